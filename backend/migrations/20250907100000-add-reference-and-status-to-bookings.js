@@ -0,0 +1,47 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Same alphabet as generateBookingReference in server.js
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function generateBookingReference(length = 12) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('bookings', 'reference', {
+      type: Sequelize.STRING(12),
+      allowNull: true
+    });
+    await queryInterface.addColumn('bookings', 'status', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'confirmed'
+    });
+
+    // Give bookings made before this migration a reference of their own
+    const [bookings] = await queryInterface.sequelize.query('SELECT id FROM bookings');
+    for (const booking of bookings) {
+      await queryInterface.bulkUpdate('bookings', { reference: generateBookingReference() }, { id: booking.id });
+    }
+
+    await queryInterface.changeColumn('bookings', 'reference', {
+      type: Sequelize.STRING(12),
+      allowNull: false
+    });
+    await queryInterface.addIndex('bookings', ['reference'], {
+      unique: true,
+      name: 'bookings_reference_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('bookings', 'bookings_reference_unique');
+    await queryInterface.removeColumn('bookings', 'status');
+    await queryInterface.removeColumn('bookings', 'reference');
+  }
+};
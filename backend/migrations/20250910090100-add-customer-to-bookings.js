@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Nullable so bookings made before accounts existed stay valid
+    await queryInterface.addColumn('bookings', 'customer_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'customer_id');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customers', 'role', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'customer'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('customers', 'role');
+  }
+};
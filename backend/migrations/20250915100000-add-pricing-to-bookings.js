@@ -0,0 +1,21 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Nullable: bookings made before server-side pricing have no stored quote
+    await queryInterface.addColumn('bookings', 'total_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('bookings', 'price_breakdown', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'price_breakdown');
+    await queryInterface.removeColumn('bookings', 'total_amount');
+  }
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('promo_codes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      code: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      discount_type: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      discount_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      valid_from: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      valid_until: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      max_redemptions: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      redemption_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      min_rental_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      vehicle_type_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      }
+    });
+
+    await queryInterface.addColumn('bookings', 'promo_code_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'promo_codes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'promo_code_id');
+    await queryInterface.dropTable('promo_codes');
+  }
+};
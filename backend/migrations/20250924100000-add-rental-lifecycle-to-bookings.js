@@ -0,0 +1,40 @@
+'use strict';
+
+const COLUMNS = [
+  'checked_out_at', 'checked_out_by', 'odometer_out', 'fuel_level_out',
+  'checked_in_at', 'checked_in_by', 'odometer_in', 'fuel_level_in',
+  'extra_charges_total', 'extra_charges'
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const staffReference = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+
+    await queryInterface.addColumn('bookings', 'checked_out_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('bookings', 'checked_out_by', staffReference);
+    await queryInterface.addColumn('bookings', 'odometer_out', { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('bookings', 'fuel_level_out', { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('bookings', 'checked_in_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('bookings', 'checked_in_by', staffReference);
+    await queryInterface.addColumn('bookings', 'odometer_in', { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('bookings', 'fuel_level_in', { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('bookings', 'extra_charges_total', { type: Sequelize.DECIMAL(10, 2), allowNull: true });
+    await queryInterface.addColumn('bookings', 'extra_charges', { type: Sequelize.JSON, allowNull: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const column of [...COLUMNS].reverse()) {
+      await queryInterface.removeColumn('bookings', column);
+    }
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('branches', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      city: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      phone: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      }
+    });
+
+    const branchReference = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    };
+    await queryInterface.addColumn('vehicles', 'branch_id', branchReference);
+    await queryInterface.addColumn('bookings', 'pickup_branch_id', branchReference);
+    await queryInterface.addColumn('bookings', 'dropoff_branch_id', branchReference);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'dropoff_branch_id');
+    await queryInterface.removeColumn('bookings', 'pickup_branch_id');
+    await queryInterface.removeColumn('vehicles', 'branch_id');
+    await queryInterface.dropTable('branches');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('bookings', 'start_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('bookings', 'end_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Existing bookings covered whole days, both ends inclusive; as half-open
+    // ranges they run from midnight on the first day to midnight after the last.
+    await queryInterface.sequelize.query(
+      'UPDATE bookings SET start_at = start_date, end_at = DATE_ADD(end_date, INTERVAL 1 DAY)'
+    );
+
+    await queryInterface.changeColumn('bookings', 'start_at', {
+      type: Sequelize.DATE,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('bookings', 'end_at', {
+      type: Sequelize.DATE,
+      allowNull: false
+    });
+    await queryInterface.removeColumn('bookings', 'start_date');
+    await queryInterface.removeColumn('bookings', 'end_date');
+
+    await queryInterface.addColumn('vehicle_types', 'price_per_hour', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('vehicle_types', 'price_per_hour');
+
+    await queryInterface.addColumn('bookings', 'start_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('bookings', 'end_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    // A return at midnight belongs to the previous day; anything later keeps its day
+    await queryInterface.sequelize.query(
+      'UPDATE bookings SET start_date = DATE(start_at), end_date = DATE(end_at - INTERVAL 1 SECOND)'
+    );
+    await queryInterface.changeColumn('bookings', 'start_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('bookings', 'end_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: false
+    });
+    await queryInterface.removeColumn('bookings', 'start_at');
+    await queryInterface.removeColumn('bookings', 'end_at');
+  }
+};
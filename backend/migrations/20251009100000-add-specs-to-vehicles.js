@@ -0,0 +1,50 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('vehicles', 'seats', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'transmission', {
+      type: Sequelize.STRING(16),
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'fuel_type', {
+      type: Sequelize.STRING(16),
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'engine_cc', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'luggage_capacity', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'registration_number', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      unique: true
+    });
+    await queryInterface.addColumn('vehicles', 'colour', {
+      type: Sequelize.STRING(32),
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'year', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('vehicles', 'image_path', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const column of ['image_path', 'year', 'colour', 'registration_number', 'luggage_capacity', 'engine_cc', 'fuel_type', 'transmission', 'seats']) {
+      await queryInterface.removeColumn('vehicles', column);
+    }
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('vehicle_images', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      vehicle_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'vehicles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      storage_driver: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      thumbnail_key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      is_primary: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('vehicle_images', ['vehicle_id', 'position'], {
+      name: 'vehicle_images_vehicle_position'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('vehicle_images');
+  }
+};
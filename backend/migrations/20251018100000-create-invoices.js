@@ -0,0 +1,52 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('invoices', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      booking_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      series: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      issued_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('invoices', ['series', 'sequence'], {
+      name: 'invoices_series_sequence',
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('invoices');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('bookings', 'created_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    });
+    // Existing bookings were made when their first payment was started;
+    // those without a payment are left without a creation time
+    await queryInterface.sequelize.query(`
+      UPDATE bookings
+      SET created_at = (SELECT MIN(payments.created_at) FROM payments WHERE payments.booking_id = bookings.id)
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'created_at');
+  }
+};
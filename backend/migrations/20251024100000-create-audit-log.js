@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('audit_log', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      entity_type: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      // No foreign key: entries outlive the accounts that made them
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      actor_role: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      request_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('audit_log', ['entity_type', 'entity_id'], {
+      name: 'audit_log_entity'
+    });
+    await queryInterface.addIndex('audit_log', ['actor_id'], {
+      name: 'audit_log_actor'
+    });
+    await queryInterface.addIndex('audit_log', ['request_id'], {
+      name: 'audit_log_request'
+    });
+    await queryInterface.addIndex('audit_log', ['created_at'], {
+      name: 'audit_log_created_at'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('audit_log');
+  }
+};
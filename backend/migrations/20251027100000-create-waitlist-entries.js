@@ -0,0 +1,102 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('waitlist_entries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      customer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      vehicle_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'vehicles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'vehicle_types',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      start_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      end_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'waiting'
+      },
+      offered_vehicle_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'vehicles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      claim_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      claim_expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      booking_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('waitlist_entries', ['status', 'created_at'], {
+      name: 'waitlist_entries_status_created_at'
+    });
+    await queryInterface.addIndex('waitlist_entries', ['offered_vehicle_id'], {
+      name: 'waitlist_entries_offered_vehicle'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('waitlist_entries');
+  }
+};
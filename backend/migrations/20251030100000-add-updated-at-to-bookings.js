@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing bookings count as last changed now, which keeps the SEQUENCE
+    // of their calendar events above the 0 clients have seen so far
+    await queryInterface.addColumn('bookings', 'updated_at', {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('bookings', 'updated_at');
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('invoice_series', {
+      series: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        primaryKey: true
+      },
+      last_sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    });
+    // Carry on from the invoices already issued in each series
+    await queryInterface.sequelize.query(`
+      INSERT INTO invoice_series (series, last_sequence)
+      SELECT series, MAX(sequence) FROM invoices GROUP BY series
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('invoice_series');
+  }
+};
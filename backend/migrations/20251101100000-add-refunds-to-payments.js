@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Refunds are payments in the other direction. A refund is recorded
+    // before the gateway is asked for it, so it has no provider id until then.
+    await queryInterface.addColumn('payments', 'kind', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'charge'
+    });
+    await queryInterface.changeColumn('payments', 'provider_payment_id', {
+      type: Sequelize.STRING(128),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('payments', { kind: 'refund' });
+    await queryInterface.changeColumn('payments', 'provider_payment_id', {
+      type: Sequelize.STRING(128),
+      allowNull: false
+    });
+    await queryInterface.removeColumn('payments', 'kind');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A booking now collects several documents: its rental invoice, a credit
+    // note and a new invoice each time it is changed, and an invoice for any
+    // charges raised on return. Keep an index for the foreign key before
+    // dropping the unique one.
+    await queryInterface.addIndex('invoices', ['booking_id'], {
+      name: 'invoices_booking_id'
+    });
+    await queryInterface.removeIndex('invoices', 'booking_id');
+
+    await queryInterface.addColumn('invoices', 'kind', {
+      type: Sequelize.STRING(16),
+      allowNull: false,
+      defaultValue: 'rental'
+    });
+    await queryInterface.addColumn('invoices', 'credited_invoice_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+    // What the document bills, copied from the booking when it is issued.
+    // Invoices issued before this get theirs when next downloaded.
+    await queryInterface.addColumn('invoices', 'total', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'details', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('invoices', 'details');
+    await queryInterface.removeColumn('invoices', 'total');
+    await queryInterface.removeColumn('invoices', 'credited_invoice_id');
+    await queryInterface.removeColumn('invoices', 'kind');
+    await queryInterface.addIndex('invoices', ['booking_id'], {
+      name: 'booking_id',
+      unique: true
+    });
+    await queryInterface.removeIndex('invoices', 'invoices_booking_id');
+  }
+};
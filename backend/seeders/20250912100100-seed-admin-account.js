@@ -0,0 +1,32 @@
+'use strict';
+
+const bcrypt = require('bcryptjs');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // The first admin's credentials come from backend/.env rather than source control
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      throw new Error('Set ADMIN_EMAIL and ADMIN_PASSWORD in backend/.env to seed the admin account.');
+    }
+
+    await queryInterface.bulkInsert('customers', [
+      {
+        first_name: 'Fleet',
+        last_name: 'Admin',
+        email: ADMIN_EMAIL.trim().toLowerCase(),
+        phone: null,
+        password_hash: await bcrypt.hash(ADMIN_PASSWORD, 10),
+        token_version: 0,
+        role: 'admin'
+      }
+    ], {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('customers', { role: 'admin', first_name: 'Fleet', last_name: 'Admin' }, {});
+  }
+};
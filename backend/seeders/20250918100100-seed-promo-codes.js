@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.bulkInsert('promo_codes', [
+      { code: 'WELCOME10', description: '10% off your first ride', discount_type: 'percent', discount_value: 10.00, max_redemptions: 500, redemption_count: 0, is_active: true },
+      { code: 'WEEKLONG', description: '₹1,000 off rentals of a week or more', discount_type: 'flat', discount_value: 1000.00, min_rental_days: 7, redemption_count: 0, is_active: true },
+      { code: 'RIDEFREE', description: '15% off cruisers', discount_type: 'percent', discount_value: 15.00, vehicle_type_ids: JSON.stringify([4]), max_redemptions: 100, redemption_count: 0, is_active: true }
+    ], {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('promo_codes', { code: ['WELCOME10', 'WEEKLONG', 'RIDEFREE'] }, {});
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Home branch for each seeded vehicle, by name
+const VEHICLE_BRANCHES = {
+  'Pune Central': ['Swift', 'Alto', 'Scorpio', 'XUV500', 'City', 'Verna', 'Royal Enfield Classic 350', 'Avenger 220 Cruise'],
+  'Mumbai Andheri': ['Tiago', 'Creta', 'Ciaz', 'Jawa Perak']
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.bulkInsert('branches', [
+      { name: 'Pune Central', city: 'Pune', address: 'FC Road, Shivajinagar, Pune 411005', phone: '+91 20 4000 1000', is_active: true },
+      { name: 'Mumbai Andheri', city: 'Mumbai', address: 'Andheri Kurla Road, Andheri East, Mumbai 400059', phone: '+91 22 4000 2000', is_active: true }
+    ], {});
+
+    const branches = await queryInterface.sequelize.query(
+      'SELECT id, name FROM branches WHERE name IN (:names)',
+      { replacements: { names: Object.keys(VEHICLE_BRANCHES) }, type: Sequelize.QueryTypes.SELECT }
+    );
+    for (const branch of branches) {
+      await queryInterface.bulkUpdate('vehicles', { branch_id: branch.id }, { name: VEHICLE_BRANCHES[branch.name] });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('vehicles', { branch_id: null }, {});
+    await queryInterface.bulkDelete('branches', { name: Object.keys(VEHICLE_BRANCHES) }, {});
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+// Hourly rates for the seeded types; types left out only rent by the day
+const HOURLY_RATES = {
+  Hatchback: 250,
+  Sedan: 350,
+  Cruiser: 120
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [name, rate] of Object.entries(HOURLY_RATES)) {
+      await queryInterface.bulkUpdate('vehicle_types', { price_per_hour: rate }, { name });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('vehicle_types', { price_per_hour: null }, { name: Object.keys(HOURLY_RATES) });
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+// Cars get four hours for cleaning and inspection between renters, bikes one
+const TURNAROUND_MINUTES_BY_WHEELS = {
+  4: 240,
+  2: 60
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [wheels, minutes] of Object.entries(TURNAROUND_MINUTES_BY_WHEELS)) {
+      await queryInterface.bulkUpdate('vehicle_types', { turnaround_minutes: minutes }, { wheels: Number(wheels) });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('vehicle_types', { turnaround_minutes: 0 }, {});
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// Specs for the seeded catalogue, matched by vehicle name. Photos are left
+// for admins to upload; until then the frontend shows a placeholder.
+const SPECS = {
+  'Swift': { seats: 5, transmission: 'manual', fuel_type: 'petrol', engine_cc: 1197, luggage_capacity: 2, registration_number: 'MH12AB1001', colour: 'Red', year: 2022 },
+  'Alto': { seats: 5, transmission: 'manual', fuel_type: 'petrol', engine_cc: 796, luggage_capacity: 1, registration_number: 'MH12AB1002', colour: 'White', year: 2021 },
+  'Tiago': { seats: 5, transmission: 'automatic', fuel_type: 'petrol', engine_cc: 1199, luggage_capacity: 2, registration_number: 'MH02CD2001', colour: 'Blue', year: 2023 },
+  'Scorpio': { seats: 7, transmission: 'manual', fuel_type: 'diesel', engine_cc: 2179, luggage_capacity: 3, registration_number: 'MH12AB1003', colour: 'Black', year: 2022 },
+  'XUV500': { seats: 7, transmission: 'automatic', fuel_type: 'diesel', engine_cc: 2179, luggage_capacity: 3, registration_number: 'MH12AB1004', colour: 'Silver', year: 2021 },
+  'Creta': { seats: 5, transmission: 'automatic', fuel_type: 'petrol', engine_cc: 1497, luggage_capacity: 3, registration_number: 'MH02CD2002', colour: 'White', year: 2023 },
+  'City': { seats: 5, transmission: 'automatic', fuel_type: 'petrol', engine_cc: 1498, luggage_capacity: 3, registration_number: 'MH12AB1005', colour: 'Grey', year: 2022 },
+  'Verna': { seats: 5, transmission: 'manual', fuel_type: 'diesel', engine_cc: 1493, luggage_capacity: 3, registration_number: 'MH12AB1006', colour: 'Blue', year: 2021 },
+  'Ciaz': { seats: 5, transmission: 'manual', fuel_type: 'hybrid', engine_cc: 1462, luggage_capacity: 3, registration_number: 'MH02CD2003', colour: 'Brown', year: 2022 },
+  'Royal Enfield Classic 350': { seats: 2, transmission: 'manual', fuel_type: 'petrol', engine_cc: 349, luggage_capacity: 1, registration_number: 'MH12EF3001', colour: 'Black', year: 2023 },
+  'Avenger 220 Cruise': { seats: 2, transmission: 'manual', fuel_type: 'petrol', engine_cc: 220, luggage_capacity: 1, registration_number: 'MH12EF3002', colour: 'Red', year: 2022 },
+  'Jawa Perak': { seats: 1, transmission: 'manual', fuel_type: 'petrol', engine_cc: 334, luggage_capacity: 0, registration_number: 'MH02GH4001', colour: 'Black', year: 2022 }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [name, specs] of Object.entries(SPECS)) {
+      await queryInterface.bulkUpdate('vehicles', specs, { name });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const cleared = Object.fromEntries(Object.keys(SPECS['Swift']).map(column => [column, null]));
+    await queryInterface.bulkUpdate('vehicles', cleared, { name: Object.keys(SPECS) });
+  }
+};
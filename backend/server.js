@@ -4,13 +4,32 @@ const express = require('express');
 const cors = require('cors');
 const { Sequelize, DataTypes, Op } = require('sequelize');
 const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const pricing = require('./services/pricing');
+const promotions = require('./services/promotions');
+const payments = require('./services/payments');
+const storage = require('./services/storage');
+const vehicleImages = require('./services/vehicleImages');
+const validation = require('./services/validation');
+const notifications = require('./services/notifications');
+const ical = require('./services/ical');
+const csv = require('./services/csv');
+const reports = require('./services/reports');
+const audit = require('./services/audit');
+const waitlist = require('./services/waitlist');
+const invoices = require('./services/invoices');
+const multer = require('multer');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
 const app = express();
 
 // Middleware for CORS and JSON body parsing
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
+// Tags each request with an ID and tracks who makes it, for the audit log
+app.use(audit.middleware);
 
 // Set up the database connection using Sequelize
 const sequelize = new Sequelize(
@@ -39,11 +58,61 @@ const VehicleType = sequelize.define('VehicleType', {
     type: DataTypes.INTEGER,
     allowNull: false,
   },
+  // Rate for part-day rentals; types without one only rent by the day
+  price_per_hour: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+  },
+  // Cleaning and inspection time kept free between consecutive rentals
+  turnaround_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
 }, {
   tableName: 'vehicle_types',
   timestamps: false,
 });
 
+// A rental location; vehicles are based at one and bookings pick up and drop off at them
+const Branch = sequelize.define('Branch', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  phone: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'branches',
+  timestamps: false,
+});
+
+// What an account may do: customers book, staff run the counter, admins manage the fleet
+const ROLES = ['customer', 'staff', 'admin'];
+
+const TRANSMISSIONS = ['manual', 'automatic'];
+const FUEL_TYPES = ['petrol', 'diesel', 'cng', 'electric', 'hybrid'];
+
 const Vehicle = sequelize.define('Vehicle', {
   id: {
     type: DataTypes.INTEGER,
@@ -66,12 +135,60 @@ const Vehicle = sequelize.define('Vehicle', {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  // Home branch, where the vehicle is picked up from
+  branch_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Specifications shown to customers and used by the listing filters. All are
+  // optional so vehicles added before they existed stay valid.
+  seats: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  transmission: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    validate: { isIn: [TRANSMISSIONS] },
+  },
+  fuel_type: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    validate: { isIn: [FUEL_TYPES] },
+  },
+  engine_cc: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Number of medium suitcases (or helmets/saddlebags for bikes) that fit
+  luggage_capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  registration_number: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true,
+  },
+  colour: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Picture shown in listings: a path under the frontend's public folder or a full URL
+  image_path: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
 }, {
   tableName: 'vehicles',
   timestamps: false,
 });
 
-const Booking = sequelize.define('Booking', {
+const Customer = sequelize.define('Customer', {
   id: {
     type: DataTypes.INTEGER,
     autoIncrement: true,
@@ -85,114 +202,3940 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.STRING,
     allowNull: false,
   },
-  vehicle_id: {
-    type: DataTypes.INTEGER,
+  email: {
+    type: DataTypes.STRING,
     allowNull: false,
+    unique: true,
+    validate: { isEmail: true },
   },
-  start_date: {
-    type: DataTypes.DATEONLY,
+  phone: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+  },
+  password_hash: {
+    type: DataTypes.STRING,
     allowNull: false,
   },
-  end_date: {
-    type: DataTypes.DATEONLY,
+  // Bumped on logout; tokens carrying an older version are rejected
+  token_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  role: {
+    type: DataTypes.STRING(20),
     allowNull: false,
+    defaultValue: 'customer',
+    validate: { isIn: [ROLES] },
   },
 }, {
-  tableName: 'bookings',
+  tableName: 'customers',
   timestamps: false,
 });
 
-// Define model associations
-VehicleType.hasMany(Vehicle, { foreignKey: 'type_id' });
-Vehicle.belongsTo(VehicleType, { foreignKey: 'type_id' });
-Vehicle.hasMany(Booking, { foreignKey: 'vehicle_id' });
-Booking.belongsTo(Vehicle, { foreignKey: 'vehicle_id' });
+// Never send credentials back to the client
+Customer.prototype.toJSON = function toJSON() {
+  const { password_hash, token_version, ...customer } = this.get();
+  return customer;
+};
 
-// API Route to get all vehicle types (2-wheelers and 4-wheelers)
-app.get('/api/vehicle-types', async (req, res) => {
-  try {
-    const types = await VehicleType.findAll();
-    res.json(types);
-  } catch (error) {
-    console.error('Error fetching vehicle types:', error);
-    res.status(500).json({ message: 'Error fetching vehicle types' });
-  }
-});
+// Booking references are shown to customers and are the only credential needed
+// to manage a booking, so they are random rather than derived from the ID.
+// The alphabet skips look-alike characters (0/O, 1/I/L).
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+function generateBookingReference(length = 12) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
 
-// API Route to get vehicles by type ID
-app.get('/api/vehicles/:typeId', async (req, res) => {
-  try {
-    const { typeId } = req.params;
-    const vehicles = await Vehicle.findAll({
-      where: { type_id: typeId, is_available: true },
-    });
-    res.json(vehicles);
-  } catch (error) {
-    console.error('Error fetching vehicles:', error);
-    res.status(500).json({ message: 'Error fetching vehicles' });
-  }
-});
+// Booking lifecycle: pending_payment → confirmed (reserved) → active (checked
+// out) → returned (checked in). Unpaid bookings end as expired; confirmed ones
+// may be cancelled before pickup.
+//
+// A booking waits in pending_payment until its payment succeeds. It holds the
+// vehicle for this many minutes; after that it expires and frees its dates.
+const PAYMENT_WINDOW_MINUTES = Number(process.env.PAYMENT_WINDOW_MINUTES) || 15;
+const BOOKING_STATUSES = ['pending_payment', 'confirmed', 'active', 'returned', 'expired', 'cancelled'];
 
-// API Route to submit a new booking
-app.post('/api/bookings', async (req, res) => {
-  try {
-    const { firstName, lastName, vehicleId, startDate, endDate } = req.body;
+const Booking = sequelize.define('Booking', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Name on the booking, copied from the customer's account when booked
+  first_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  last_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Booked pickup and return times; the range is half-open, so a booking
+  // ending at 10:00 does not clash with one starting at 10:00
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // Drop-off differs from pickup for one-way rentals
+  pickup_branch_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  dropoff_branch_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  reference: {
+    type: DataTypes.STRING(12),
+    allowNull: false,
+    unique: true,
+    defaultValue: () => generateBookingReference(),
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'confirmed',
+    validate: { isIn: [BOOKING_STATUSES] },
+  },
+  // Deadline for paying a pending_payment booking
+  payment_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // What happened at the counter: recorded by staff at check-out and check-in.
+  // Fuel levels are percentages of a full tank.
+  checked_out_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  checked_out_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  odometer_out: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fuel_level_out: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  checked_in_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  checked_in_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  odometer_in: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fuel_level_in: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Late-return and extra-kilometre charges from services/pricing.js, raised at check-in
+  extra_charges_total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+  },
+  extra_charges: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  promo_code_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Authoritative price from services/pricing.js at the time of booking
+  total_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+  },
+  price_breakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // When the pickup reminder went out; the daily job skips bookings already reminded
+  reminder_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // When the customer booked; unknown for some bookings made before it was recorded
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'bookings',
+  // Sequelize keeps updated_at current on every save; calendar feeds use it
+  // to tell subscribed clients which events changed
+  timestamps: true,
+  createdAt: false,
+  updatedAt: 'updated_at',
+});
 
-    // Backend validation for required fields
-    if (!firstName || !lastName || !vehicleId || !startDate || !endDate) {
-      return res.status(400).json({ message: 'All fields are required.' });
-    }
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  discount_type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['percent', 'flat']] },
+  },
+  discount_value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+  },
+  // Inclusive window, compared with the day the code is redeemed
+  valid_from: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  valid_until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  max_redemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  redemption_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  min_rental_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Vehicle type IDs the code is limited to; null means every type
+  vehicle_type_ids: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'promo_codes',
+  timestamps: false,
+});
 
-    // Check for booking overlap for the selected vehicle
-    const existingBookings = await Booking.findAll({
-      where: {
-        vehicle_id: vehicleId,
-        [Op.or]: [
-          // Case 1: Existing booking starts within the new booking's date range
-          { start_date: { [Op.between]: [startDate, endDate] } },
-          // Case 2: Existing booking ends within the new booking's date range
-          { end_date: { [Op.between]: [startDate, endDate] } },
-          // Case 3: New booking is fully contained within an existing booking
-          { start_date: { [Op.lte]: startDate }, end_date: { [Op.gte]: endDate } },
-          // Case 4: Existing booking is fully contained within the new booking
-          { start_date: { [Op.gte]: startDate }, end_date: { [Op.lte]: endDate } },
-        ],
-      },
-    });
+// Kinds of money movement recorded against a booking
+const PAYMENT_KINDS = ['charge', 'refund'];
 
-    if (existingBookings.length > 0) {
-      return res.status(409).json({ message: 'This vehicle is already booked for the selected dates. Please choose a different date range or vehicle.' });
-    }
+// One attempt to pay for a booking through a gateway from services/payments,
+// or a refund of part of what was paid
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  provider: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+  },
+  // Null for a refund the gateway has not taken yet
+  provider_payment_id: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+  },
+  kind: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'charge',
+    validate: { isIn: [PAYMENT_KINDS] },
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [['pending', 'succeeded', 'failed']] },
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'payments',
+  timestamps: false,
+});
 
-    // Create the new booking
-    const newBooking = await Booking.create({
-      first_name: firstName,
-      last_name: lastName,
-      vehicle_id: vehicleId,
-      start_date: startDate,
-      end_date: endDate,
-    });
+// Reasons a vehicle can be taken out of service for a date range
+const BLACKOUT_REASONS = ['service', 'repair', 'staff_reserved'];
 
-    res.status(201).json({ message: 'Booking created successfully!', booking: newBooking });
-  } catch (error) {
-    console.error('Error creating booking:', error);
-    res.status(500).json({ message: 'An internal server error occurred.' });
-  }
+// A date range (inclusive) when a vehicle cannot be booked, e.g. while it is
+// in for a service. Unlike is_available this only hides the vehicle for those days.
+const VehicleBlackout = sequelize.define('VehicleBlackout', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [BLACKOUT_REASONS] },
+  },
+  notes: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'vehicle_blackouts',
+  timestamps: false,
 });
 
-// Sync database models and start the server
-async function startServer() {
-  try {
-    await sequelize.authenticate();
-    console.log('Database connection has been established successfully.');
-
-    const PORT = process.env.PORT || 5000;
-    app.listen(PORT, () => {
-      console.log(`Server is running on port ${PORT}`);
-    });
-  } catch (error) {
-    console.error('Unable to connect to the database:', error);
-  }
+// Uploaded vehicle photo. The file and its thumbnail live in the storage
+// driver named in `storage_driver`; `url` and `thumbnail_url` are where it serves them.
+const VehicleImage = sequelize.define('VehicleImage', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  storage_driver: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+  },
+  storage_key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  thumbnail_key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // The one photo shown on listings; every vehicle with photos has exactly one
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Order in the gallery, ascending
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return storage.storageFor(this.storage_driver).urlFor(this.storage_key);
+    },
+  },
+  thumbnail_url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return storage.storageFor(this.storage_driver).urlFor(this.thumbnail_key);
+    },
+  },
+}, {
+  tableName: 'vehicle_images',
+  timestamps: false,
+});
+
+// Kinds of tax document issued for a booking: the invoice for the rental
+// once it is paid, one for charges raised on return, and a credit note
+// cancelling an invoice when the booking changes
+const INVOICE_KINDS = ['rental', 'return_charges', 'credit_note'];
+
+// Tax document issued for a booking. Numbers run without gaps within a series
+// (the financial year, see services/invoices.js), shared by all kinds.
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  kind: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    defaultValue: 'rental',
+    validate: { isIn: [INVOICE_KINDS] },
+  },
+  // The invoice a credit note cancels
+  credited_invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  series: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  number: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+  },
+  issued_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  // What the document bills as it stood when issued: { customer, booking },
+  // laid out by invoices.renderInvoice. Null only for invoices issued before
+  // these were kept, until they are next downloaded.
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+}, {
+  tableName: 'invoices',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['series', 'sequence'] }],
+});
+
+// The last invoice number issued in a series. invoiceFor locks the row to
+// take the next one.
+const InvoiceSeries = sequelize.define('InvoiceSeries', {
+  series: {
+    type: DataTypes.STRING(16),
+    primaryKey: true,
+  },
+  last_sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+}, {
+  tableName: 'invoice_series',
+  timestamps: false,
+});
+
+// One change to an audited row (see auditChanges): what changed, from what
+// to what, who made the change and in which request
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  entity_type: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  action: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    validate: { isIn: [['create', 'update', 'delete']] },
+  },
+  // { field: { from, to } } for every field that changed
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // The signed-in account; null for guests and the system
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // The account's role at the time, 'guest' or 'system'
+  actor_role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  request_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'audit_log',
+  timestamps: false,
+});
+
+// A customer waiting for a vehicle, or for any vehicle of a type, to come
+// free for their dates. When one does, the entry is offered it: the vehicle
+// is held for the customer until claim_expires_at (see services/waitlist).
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Exactly one of vehicle_id and type_id is set
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  type_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'waiting',
+    validate: { isIn: [['waiting', 'offered', 'claimed', 'expired', 'cancelled']] },
+  },
+  offered_vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // SHA-256 of the token in the claim link
+  claim_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+  },
+  claim_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // The booking made with the claim link
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: false,
+});
+
+// A booking calendar feed link issued to a staff member. The link's token
+// names the row, so a feed stops working once it expires or is revoked.
+const CalendarFeed = sequelize.define('CalendarFeed', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // 'vehicle:<id>', 'type:<id>' or 'fleet'
+  scope: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'calendar_feeds',
+  timestamps: false,
+});
+
+// Define model associations
+VehicleType.hasMany(Vehicle, { foreignKey: 'type_id' });
+Vehicle.belongsTo(VehicleType, { foreignKey: 'type_id' });
+Branch.hasMany(Vehicle, { foreignKey: 'branch_id' });
+Vehicle.belongsTo(Branch, { foreignKey: 'branch_id' });
+Booking.belongsTo(Branch, { as: 'PickupBranch', foreignKey: 'pickup_branch_id' });
+Booking.belongsTo(Branch, { as: 'DropoffBranch', foreignKey: 'dropoff_branch_id' });
+Vehicle.hasMany(Booking, { foreignKey: 'vehicle_id' });
+Booking.belongsTo(Vehicle, { foreignKey: 'vehicle_id' });
+Customer.hasMany(Booking, { foreignKey: 'customer_id' });
+Booking.belongsTo(Customer, { foreignKey: 'customer_id' });
+PromoCode.hasMany(Booking, { foreignKey: 'promo_code_id' });
+Booking.belongsTo(PromoCode, { foreignKey: 'promo_code_id' });
+Booking.hasMany(Payment, { foreignKey: 'booking_id' });
+Payment.belongsTo(Booking, { foreignKey: 'booking_id' });
+Vehicle.hasMany(VehicleBlackout, { foreignKey: 'vehicle_id' });
+VehicleBlackout.belongsTo(Vehicle, { foreignKey: 'vehicle_id' });
+Vehicle.hasMany(VehicleImage, { as: 'images', foreignKey: 'vehicle_id' });
+VehicleImage.belongsTo(Vehicle, { foreignKey: 'vehicle_id' });
+Booking.hasMany(Invoice, { foreignKey: 'booking_id' });
+Invoice.belongsTo(Booking, { foreignKey: 'booking_id' });
+Invoice.belongsTo(Invoice, { foreignKey: 'credited_invoice_id', as: 'CreditedInvoice' });
+AuditLog.belongsTo(Customer, { as: 'Actor', foreignKey: 'actor_id', constraints: false });
+Customer.hasMany(WaitlistEntry, { foreignKey: 'customer_id' });
+WaitlistEntry.belongsTo(Customer, { foreignKey: 'customer_id' });
+WaitlistEntry.belongsTo(Vehicle, { foreignKey: 'vehicle_id' });
+WaitlistEntry.belongsTo(VehicleType, { foreignKey: 'type_id' });
+WaitlistEntry.belongsTo(Vehicle, { as: 'OfferedVehicle', foreignKey: 'offered_vehicle_id' });
+WaitlistEntry.belongsTo(Booking, { foreignKey: 'booking_id' });
+Customer.hasMany(CalendarFeed, { foreignKey: 'customer_id' });
+CalendarFeed.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+// Writes an audit log entry for every create, update and delete of the
+// model's rows, in the same transaction as the change. Bulk updates and
+// deletes are run row by row so each row gets its own entry.
+function auditChanges(model, entityType) {
+  const record = action => async (instance, options) => {
+    const changes = audit.changesOf(instance, action, { ignore: ['updated_at'] });
+    if (changes) {
+      await AuditLog.create({
+        entity_type: entityType,
+        entity_id: instance.id,
+        action,
+        changes,
+        ...audit.currentActor(),
+      }, { transaction: options.transaction });
+    }
+  };
+  model.addHook('afterCreate', record('create'));
+  model.addHook('afterUpdate', record('update'));
+  model.addHook('afterDestroy', record('delete'));
+  model.addHook('beforeBulkUpdate', (options) => { options.individualHooks = true; });
+  model.addHook('beforeBulkDestroy', (options) => { options.individualHooks = true; });
+}
+
+const AUDITED_ENTITY_TYPES = ['vehicle', 'vehicle_type', 'booking'];
+auditChanges(Vehicle, 'vehicle');
+auditChanges(VehicleType, 'vehicle_type');
+auditChanges(Booking, 'booking');
+
+// Include for a vehicle's photos, in gallery order with the primary one first
+const vehicleImagesInclude = { model: VehicleImage, as: 'images', separate: true, order: [['is_primary', 'DESC'], ['position', 'ASC'], ['id', 'ASC']] };
+
+// Machine-readable error codes for statuses thrown without a more specific one
+const DEFAULT_ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+};
+
+// Error carrying an HTTP status, thrown from inside transactions so the route
+// handler can turn it into the matching response after the rollback. Every
+// API error response has the shape { code, message, field }: `code` is stable
+// for clients to branch on and `field` names the request field at fault, if any.
+class HttpError extends Error {
+  // Other `details` are extra response fields, e.g. when a booked vehicle is next free
+  constructor(status, message, { code = DEFAULT_ERROR_CODES[status], field = null, ...details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+// Shared error handling for route handlers: HttpErrors become their response,
+// anything else is logged as a failure while doing `action`
+function sendError(res, error, action) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ code: error.code, message: error.message, field: error.field, ...error.details });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ code: 'internal_error', message: 'An internal server error occurred.', field: null });
+}
+
+const { DATE_PATTERN, rules, validate } = validation;
+
+// Request fields shared by the schemas of the customer booking routes. Pickup
+// times in the past are rejected; validated times reach the handlers as Dates.
+const rentalPeriodFields = {
+  startAt: rules.dateTime({ required: true, label: 'Pickup time', future: true }),
+  endAt: rules.dateTime({ required: true, label: 'Return time' }),
+};
+const returnAfterPickup = validation.ordered('startAt', 'endAt', 'The return time must be after the pickup time.');
+const vehicleIdField = rules.id({ required: true, label: 'Vehicle' });
+const dropoffBranchField = rules.id({ label: 'Drop-off branch' });
+
+// YYYY-MM-DD of a moment in server-local time
+function localDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD HH:mm of a moment in server-local time, for messages
+function localDateTime(date) {
+  const d = new Date(date);
+  return `${localDate(d)} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+// Today's date as YYYY-MM-DD
+function today() {
+  return localDate(new Date());
+}
+
+// The [start, end) moments covered by an inclusive YYYY-MM-DD range, for
+// comparing whole-day ranges such as blackouts with booking times
+function dayRange(startDate, endDate) {
+  const end = new Date(`${endDate}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return { startAt: new Date(`${startDate}T00:00:00`), endAt: end };
+}
+
+// Builds the where-clause matching blackouts (or other start_date/end_date
+// rows) that overlap [startDate, endDate] (inclusive)
+function datesOverlapping(startDate, endDate) {
+  return {
+    [Op.or]: [
+      // Case 1: The row starts within the range
+      { start_date: { [Op.between]: [startDate, endDate] } },
+      // Case 2: The row ends within the range
+      { end_date: { [Op.between]: [startDate, endDate] } },
+      // Case 3: The range is fully contained within the row
+      { start_date: { [Op.lte]: startDate }, end_date: { [Op.gte]: endDate } },
+      // Case 4: The row is fully contained within the range
+      { start_date: { [Op.gte]: startDate }, end_date: { [Op.lte]: endDate } },
+    ],
+  };
+}
+
+// Builds the where-clause matching bookings that still hold their vehicle and
+// overlap [startAt, endAt). Confirmed and active bookings hold it, and so do
+// pending_payment ones until their payment window runs out.
+function overlappingRange(startAt, endAt) {
+  return {
+    [Op.or]: [
+      { status: ['confirmed', 'active'] },
+      { status: 'pending_payment', payment_expires_at: { [Op.gt]: new Date() } },
+    ],
+    // Half-open ranges overlap when each starts before the other ends
+    start_at: { [Op.lt]: endAt },
+    end_at: { [Op.gt]: startAt },
+  };
+}
+
+// Turnaround time a vehicle of this type needs between rentals, in milliseconds
+function turnaroundMs(vehicleType) {
+  return (vehicleType ? vehicleType.turnaround_minutes : 0) * 60 * 1000;
+}
+
+// [startAt, endAt) widened by the turnaround on both sides. A booking overlapping
+// the widened range leaves too little time to prepare the vehicle between renters.
+function withTurnaround(startAt, endAt, bufferMs) {
+  return {
+    startAt: new Date(new Date(startAt).getTime() - bufferMs),
+    endAt: new Date(new Date(endAt).getTime() + bufferMs),
+  };
+}
+
+// Throws a 409 if another live booking of the vehicle overlaps [startAt, endAt)
+// or falls within its type's turnaround of it. The response says when the
+// vehicle is free again: the end of the clashing bookings plus the turnaround.
+async function assertNoBookingConflict(vehicle, startAt, endAt, { excludeId = null, transaction } = {}) {
+  const type = vehicle.VehicleType || await vehicle.getVehicleType({ transaction });
+  const bufferMs = turnaroundMs(type);
+  const range = withTurnaround(startAt, endAt, bufferMs);
+  const where = { vehicle_id: vehicle.id, ...overlappingRange(range.startAt, range.endAt) };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+  const conflicts = await Booking.findAll({ attributes: ['end_at'], where, transaction });
+  if (conflicts.length === 0) {
+    return;
+  }
+
+  const availableFrom = new Date(Math.max(...conflicts.map(booking => new Date(booking.end_at).getTime())) + bufferMs);
+  const turnaround = bufferMs > 0 ? `, allowing ${type.turnaround_minutes} minutes to prepare it between rentals` : '';
+  throw new HttpError(
+    409,
+    `This vehicle is already booked for the selected times. It is next free from ${localDateTime(availableFrom)}${turnaround}. Please choose different times or another vehicle.`,
+    { code: 'booking_conflict', field: 'startAt', availableFrom },
+  );
+}
+
+// Builds the where-clause matching blackouts on any day touched by [startAt, endAt)
+function blackoutsDuring(startAt, endAt) {
+  return datesOverlapping(localDate(startAt), localDate(new Date(endAt) - 1));
+}
+
+// Throws a 409 if the vehicle is blacked out on any day of [startAt, endAt)
+async function assertNoBlackout(vehicleId, startAt, endAt, { transaction } = {}) {
+  const blackout = await VehicleBlackout.findOne({
+    where: { vehicle_id: vehicleId, ...blackoutsDuring(startAt, endAt) },
+    order: [['start_date', 'ASC']],
+    transaction,
+  });
+  if (blackout) {
+    throw new HttpError(
+      409,
+      `This vehicle is out of service from ${blackout.start_date} to ${blackout.end_date}. Please choose a different date range or vehicle.`,
+      { code: 'vehicle_blacked_out', field: 'startAt' },
+    );
+  }
+}
+
+// How long a customer stays signed in
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+function issueToken(customer) {
+  return jwt.sign({ sub: customer.id, ver: customer.token_version }, process.env.JWT_SECRET, { expiresIn: TOKEN_TTL });
+}
+
+// Middleware that loads the customer for a `Authorization: Bearer <token>` header
+// into req.customer, rejecting missing, invalid, expired or logged-out tokens.
+async function requireCustomer(req, res, next) {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new HttpError(401, 'Please sign in to continue.', { code: 'authentication_required' });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new HttpError(401, 'Your session has expired. Please sign in again.', { code: 'session_expired' });
+    }
+
+    const customer = await Customer.findByPk(claims.sub);
+    if (!customer || customer.token_version !== claims.ver) {
+      throw new HttpError(401, 'Your session has expired. Please sign in again.', { code: 'session_expired' });
+    }
+
+    req.customer = customer;
+    audit.setActor(customer);
+  } catch (error) {
+    return sendError(res, error, 'authenticating customer');
+  }
+  next();
+}
+
+// Builds middleware for routes limited to some roles; runs requireCustomer
+// first, then checks the role
+function requireRole(...roles) {
+  return (req, res, next) => {
+    requireCustomer(req, res, () => {
+      if (!roles.includes(req.customer.role)) {
+        return sendError(res, new HttpError(403, 'You do not have permission to do that.'));
+      }
+      next();
+    });
+  };
+}
+
+const requireAdmin = requireRole('admin');
+// Counter staff handle pickups and returns; admins can too
+const requireStaff = requireRole('staff', 'admin');
+
+// API Route to create a customer account
+app.post('/api/auth/register', validate({
+  body: {
+    firstName: rules.string({ required: true, label: 'First name', maxLength: 100 }),
+    lastName: rules.string({ required: true, label: 'Last name', maxLength: 100 }),
+    email: rules.email({ required: true }),
+    phone: rules.string({ label: 'Phone', maxLength: 32, pattern: /^\+?[\d\s()-]{6,32}$/, patternMessage: 'Please enter a valid phone number.' }),
+    password: rules.password({ required: true }),
+  },
+}), async (req, res) => {
+  try {
+    const { firstName, lastName, email, phone, password } = req.body;
+
+    if (await Customer.findOne({ where: { email } })) {
+      throw new HttpError(409, 'An account with this email already exists. Please sign in instead.', { code: 'email_taken', field: 'email' });
+    }
+
+    const customer = await Customer.create({
+      first_name: firstName,
+      last_name: lastName,
+      email,
+      phone: phone || null,
+      password_hash: await bcrypt.hash(password, 10),
+    });
+
+    res.status(201).json({ token: issueToken(customer), customer });
+  } catch (error) {
+    sendError(res, error, 'registering customer');
+  }
+});
+
+// API Route to sign in with email and password
+app.post('/api/auth/login', validate({
+  body: {
+    email: rules.email({ required: true }),
+    password: rules.string({ required: true, label: 'Password' }),
+  },
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const customer = await Customer.findOne({ where: { email } });
+    if (!customer || !(await bcrypt.compare(password, customer.password_hash))) {
+      throw new HttpError(401, 'Incorrect email or password.', { code: 'invalid_credentials', field: 'password' });
+    }
+
+    res.json({ token: issueToken(customer), customer });
+  } catch (error) {
+    sendError(res, error, 'signing in customer');
+  }
+});
+
+// API Route to sign out, revoking every token issued to the customer so far
+app.post('/api/auth/logout', requireCustomer, async (req, res) => {
+  try {
+    await req.customer.increment('token_version');
+    res.json({ message: 'Signed out successfully.' });
+  } catch (error) {
+    sendError(res, error, 'signing out customer');
+  }
+});
+
+// API Route to get the signed-in customer's profile
+app.get('/api/auth/me', requireCustomer, (req, res) => {
+  res.json(req.customer);
+});
+
+// Prices a rental of `vehicle` through the pricing engine, loading its type when
+// it was not included in the query. `promo` is a PromoCode already checked for
+// eligibility.
+async function quoteForVehicle(vehicle, startAt, endAt, { promo = null, oneWay = false, ...options } = {}) {
+  const type = vehicle.VehicleType || await vehicle.getVehicleType(options);
+  return pricing.quote({
+    pricePerDay: vehicle.price_per_day,
+    pricePerHour: type.price_per_hour,
+    vehicleType: type.name,
+    startAt,
+    endAt,
+    promo: promo && promotions.toPricingPromo(promo),
+    oneWay,
+  });
+}
+
+// Whether dropping `vehicle` off at `dropoffBranchId` makes a one-way rental
+function isOneWay(vehicle, dropoffBranchId) {
+  return Boolean(dropoffBranchId && vehicle.branch_id && Number(dropoffBranchId) !== vehicle.branch_id);
+}
+
+// Resolves the pickup and drop-off branches for booking `vehicle`. Pickup is
+// always the vehicle's home branch; drop-off defaults to it. Throws on a
+// pickup elsewhere or an unknown or closed drop-off branch.
+async function branchesForBooking(vehicle, { pickupBranchId, dropoffBranchId } = {}, { transaction } = {}) {
+  const pickupId = vehicle.branch_id;
+  if (pickupBranchId && Number(pickupBranchId) !== pickupId) {
+    throw new HttpError(400, 'This vehicle is not available for pickup at the selected branch.', { code: 'wrong_pickup_branch', field: 'pickupBranchId' });
+  }
+  const dropoffId = dropoffBranchId ? Number(dropoffBranchId) : pickupId;
+  if (dropoffId && dropoffId !== pickupId) {
+    const dropoff = await Branch.findByPk(dropoffId, { transaction });
+    if (!dropoff || !dropoff.is_active) {
+      throw new HttpError(400, 'Please choose an open branch for drop-off.', { code: 'branch_unavailable', field: 'dropoffBranchId' });
+    }
+  }
+  return { pickupId, dropoffId, oneWay: isOneWay(vehicle, dropoffId) };
+}
+
+// Loads the vehicle named by a booking request. Throws if it does not exist
+// or has been taken out of the customer fleet.
+async function findVehicleForBooking(vehicleId, options = {}) {
+  const vehicle = await Vehicle.findByPk(vehicleId, options);
+  if (!vehicle) {
+    throw new HttpError(404, 'The selected vehicle does not exist.', { code: 'vehicle_not_found', field: 'vehicleId' });
+  }
+  if (!vehicle.is_available) {
+    throw new HttpError(409, 'The selected vehicle is not available for booking. Please choose another vehicle.', { code: 'vehicle_unavailable', field: 'vehicleId' });
+  }
+  return vehicle;
+}
+
+// API Route to list the branches customers can pick up from and drop off at
+app.get('/api/branches', async (req, res) => {
+  try {
+    const branches = await Branch.findAll({
+      where: { is_active: true },
+      order: [['city', 'ASC'], ['name', 'ASC']],
+    });
+    res.json(branches);
+  } catch (error) {
+    sendError(res, error, 'fetching branches');
+  }
+});
+
+// API Route to get all vehicle types (2-wheelers and 4-wheelers)
+app.get('/api/vehicle-types', async (req, res) => {
+  try {
+    const types = await VehicleType.findAll();
+    res.json(types);
+  } catch (error) {
+    sendError(res, error, 'fetching vehicle types');
+  }
+});
+
+// API Route to search vehicles, optionally only those based at `branchId`,
+// matching the spec filters (`transmission`, `fuelType`, `minSeats`,
+// `minLuggage`) and free between `startAt` and `endAt`. When both times are given, each vehicle
+// carries its quoted total for the rental, including the one-way fee if
+// `dropoffBranchId` differs from its branch.
+app.get('/api/vehicles', validate({
+  query: {
+    typeId: rules.id({ label: 'Vehicle type' }),
+    wheels: rules.oneOf(['2', '3', '4'], { label: 'Wheels' }),
+    branchId: rules.id({ label: 'Pickup branch' }),
+    dropoffBranchId: dropoffBranchField,
+    startAt: rules.dateTime({ label: 'Pickup time', future: true }),
+    endAt: rules.dateTime({ label: 'Return time' }),
+    transmission: rules.oneOf(TRANSMISSIONS, { label: 'Transmission' }),
+    fuelType: rules.oneOf(FUEL_TYPES, { label: 'Fuel type' }),
+    minSeats: rules.integer({ label: 'Minimum seats', min: 0 }),
+    minLuggage: rules.integer({ label: 'Minimum luggage', min: 0 }),
+  },
+  checks: [
+    validation.together(['startAt', 'endAt'], 'Give both a pickup and a return time, or neither.'),
+    returnAfterPickup,
+  ],
+}), async (req, res) => {
+  try {
+    const { typeId, wheels, branchId, dropoffBranchId, transmission, fuelType, minSeats, minLuggage } = req.query;
+    const period = req.query.startAt ? { startAt: req.query.startAt, endAt: req.query.endAt } : null;
+
+    const where = { is_available: true };
+    if (typeId) {
+      where.type_id = typeId;
+    }
+    if (branchId) {
+      where.branch_id = branchId;
+    }
+    // Spec filters; each takes a single value, and vehicles without the spec don't match
+    if (transmission) {
+      where.transmission = transmission;
+    }
+    if (fuelType) {
+      where.fuel_type = fuelType;
+    }
+    if (minSeats !== undefined && minSeats !== '') {
+      where.seats = { [Op.gte]: minSeats };
+    }
+    if (minLuggage !== undefined && minLuggage !== '') {
+      where.luggage_capacity = { [Op.gte]: minLuggage };
+    }
+
+    if (period) {
+      // Fetch bookings near the period using the longest turnaround of any
+      // type, then hold each one to its own vehicle's turnaround
+      const longestTurnaround = (await VehicleType.max('turnaround_minutes')) || 0;
+      const window = withTurnaround(period.startAt, period.endAt, longestTurnaround * 60 * 1000);
+      const nearbyBookings = await Booking.findAll({
+        attributes: ['vehicle_id', 'start_at', 'end_at'],
+        where: overlappingRange(window.startAt, window.endAt),
+        include: [{ model: Vehicle, attributes: ['id'], include: [{ model: VehicleType, attributes: ['turnaround_minutes'] }] }],
+      });
+      const bookedVehicleIds = nearbyBookings
+        .filter((booking) => {
+          const range = withTurnaround(period.startAt, period.endAt, turnaroundMs(booking.Vehicle.VehicleType));
+          return booking.start_at < range.endAt && booking.end_at > range.startAt;
+        })
+        .map(booking => booking.vehicle_id);
+      const blackedOutVehicleIds = await VehicleBlackout.findAll({
+        attributes: ['vehicle_id'],
+        where: blackoutsDuring(period.startAt, period.endAt),
+        group: ['vehicle_id'],
+        raw: true,
+      });
+      const heldVehicleIds = await WaitlistEntry.findAll({
+        attributes: ['offered_vehicle_id'],
+        where: heldOffers(null, period.startAt, period.endAt),
+        group: ['offered_vehicle_id'],
+        raw: true,
+      });
+      const unavailableIds = [
+        ...bookedVehicleIds,
+        ...blackedOutVehicleIds.map(row => row.vehicle_id),
+        ...heldVehicleIds.map(row => row.offered_vehicle_id),
+      ];
+      if (unavailableIds.length > 0) {
+        where.id = { [Op.notIn]: unavailableIds };
+      }
+    }
+
+    const vehicles = await Vehicle.findAll({
+      where,
+      include: [wheels ? { model: VehicleType, where: { wheels } } : VehicleType, vehicleImagesInclude],
+      order: [['price_per_day', 'ASC']],
+    });
+
+    res.json(await Promise.all(vehicles.map(async (vehicle) => {
+      if (!period) {
+        return vehicle;
+      }
+      const quote = await quoteForVehicle(vehicle, period.startAt, period.endAt, { oneWay: isOneWay(vehicle, dropoffBranchId) });
+      return { ...vehicle.toJSON(), rentalDays: quote.rentalDays, rentalHours: quote.rentalHours, quotedTotal: quote.total };
+    })));
+  } catch (error) {
+    sendError(res, error, 'searching vehicles');
+  }
+});
+
+// API Route to get vehicles by type ID, optionally only those based at `branchId`
+app.get('/api/vehicles/:typeId', validate({
+  params: { typeId: rules.id({ required: true, label: 'Vehicle type' }) },
+  query: { branchId: rules.id({ label: 'Pickup branch' }) },
+}), async (req, res) => {
+  try {
+    const { typeId } = req.params;
+    const where = { type_id: typeId, is_available: true };
+    if (req.query.branchId) {
+      where.branch_id = req.query.branchId;
+    }
+    const vehicles = await Vehicle.findAll({ where, include: [vehicleImagesInclude] });
+    res.json(vehicles);
+  } catch (error) {
+    sendError(res, error, 'fetching vehicles');
+  }
+});
+
+// API Route to get the booked time ranges of a vehicle on the days `from` to
+// `to`, optionally ignoring the booking whose reference is passed as `exclude`.
+// Blackouts are reported as booked ranges too; customers don't see why.
+app.get('/api/vehicles/:id/availability', validate({
+  params: { id: rules.id({ required: true, label: 'Vehicle' }) },
+  query: {
+    from: rules.date({ label: 'From' }),
+    to: rules.date({ label: 'To' }),
+  },
+  checks: [validation.ordered('from', 'to', '`to` must be on or after `from`.', { allowEqual: true })],
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = req.query.from || today();
+    const to = req.query.to || `${Number(from.slice(0, 4)) + 1}${from.slice(4)}`;
+    if (from > to) {
+      throw new HttpError(400, '`to` must be on or after `from`.', { code: 'invalid_range', field: 'to' });
+    }
+
+    const vehicle = await Vehicle.findByPk(id, { include: [VehicleType] });
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+
+    // Same overlap semantics as POST /api/bookings, so any time inside a
+    // returned [startAt, endAt) range would be rejected with a 409. Booked
+    // ranges are padded with the type's turnaround on both sides. `exclude`
+    // takes a booking reference to leave out, for customers moving their own booking.
+    const bufferMs = turnaroundMs(vehicle.VehicleType);
+    const days = dayRange(from, to);
+    const window = withTurnaround(days.startAt, days.endAt, bufferMs);
+    const where = { vehicle_id: id, ...overlappingRange(window.startAt, window.endAt) };
+    if (req.query.exclude) {
+      where.reference = { [Op.ne]: req.query.exclude };
+    }
+    const bookings = await Booking.findAll({
+      attributes: ['start_at', 'end_at'],
+      where,
+    });
+    const blackouts = await VehicleBlackout.findAll({
+      attributes: ['start_date', 'end_date'],
+      where: { vehicle_id: id, ...datesOverlapping(from, to) },
+    });
+    // Dates held for a customer from the waitlist are taken until the offer lapses
+    const holds = await WaitlistEntry.findAll({
+      attributes: ['start_at', 'end_at'],
+      where: heldOffers(vehicle.id, days.startAt, days.endAt),
+    });
+
+    res.json({
+      vehicleId: vehicle.id,
+      from,
+      to,
+      turnaroundMinutes: vehicle.VehicleType ? vehicle.VehicleType.turnaround_minutes : 0,
+      booked: [
+        ...bookings.map(booking => withTurnaround(booking.start_at, booking.end_at, bufferMs)),
+        ...blackouts.map(blackout => dayRange(blackout.start_date, blackout.end_date)),
+        ...holds.map(hold => ({ startAt: hold.start_at, endAt: hold.end_at })),
+      ].sort((a, b) => a.startAt - b.startAt),
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching vehicle availability');
+  }
+});
+
+// API Route to price a draft booking without reserving anything
+app.post('/api/quotes', validate({
+  body: { vehicleId: vehicleIdField, ...rentalPeriodFields, dropoffBranchId: dropoffBranchField },
+  checks: [returnAfterPickup],
+}), async (req, res) => {
+  try {
+    const { vehicleId, startAt, endAt, dropoffBranchId } = req.body;
+
+    const vehicle = await findVehicleForBooking(vehicleId);
+    const quote = await quoteForVehicle(vehicle, startAt, endAt, { oneWay: isOneWay(vehicle, dropoffBranchId) });
+    res.json({ vehicleId: vehicle.id, ...quote });
+  } catch (error) {
+    sendError(res, error, 'quoting booking');
+  }
+});
+
+// API Route to check a promo code against a draft booking and price it with the discount
+app.post('/api/promo-codes/validate', validate({
+  body: {
+    code: rules.string({ required: true, label: 'Promo code', maxLength: 50 }),
+    vehicleId: vehicleIdField,
+    ...rentalPeriodFields,
+    dropoffBranchId: dropoffBranchField,
+  },
+  checks: [returnAfterPickup],
+}), async (req, res) => {
+  try {
+    const { code, vehicleId, startAt, endAt, dropoffBranchId } = req.body;
+
+    const promo = await PromoCode.findOne({ where: { code: promotions.normalizeCode(code) } });
+    if (!promo) {
+      throw new HttpError(404, 'This promo code does not exist.', { code: 'promo_not_found', field: 'code' });
+    }
+
+    const vehicle = await findVehicleForBooking(vehicleId);
+    const reason = promotions.promoIneligibility(promo, {
+      vehicleTypeId: vehicle.type_id,
+      rentalDays: pricing.rentalDaysBetween(startAt, endAt),
+      today: today(),
+    });
+    if (reason) {
+      throw new HttpError(400, reason, { code: 'promo_ineligible', field: 'code' });
+    }
+
+    res.json({
+      message: 'Promo code applied.',
+      promo: { code: promo.code, description: promo.description },
+      quote: {
+        vehicleId: vehicle.id,
+        ...(await quoteForVehicle(vehicle, startAt, endAt, { promo, oneWay: isOneWay(vehicle, dropoffBranchId) })),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'validating promo code');
+  }
+});
+
+// API Route to submit a new booking for the signed-in customer
+app.post('/api/bookings', requireCustomer, validate({
+  body: {
+    vehicleId: vehicleIdField,
+    ...rentalPeriodFields,
+    promoCode: rules.string({ label: 'Promo code', maxLength: 50 }),
+    pickupBranchId: rules.id({ label: 'Pickup branch' }),
+    dropoffBranchId: dropoffBranchField,
+    // Token from a waitlist claim link, to book the vehicle held for the customer
+    claimToken: rules.string({ label: 'Claim', maxLength: 64 }),
+  },
+  checks: [returnAfterPickup],
+}), async (req, res) => {
+  try {
+    const { vehicleId, startAt, endAt, promoCode, pickupBranchId, dropoffBranchId, claimToken } = req.body;
+
+    const newBooking = await sequelize.transaction(async (transaction) => {
+      // Lock the vehicle row so concurrent bookings for the same vehicle are
+      // serialised: the second request waits here until the first commits.
+      const vehicle = await findVehicleForBooking(vehicleId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const claim = claimToken ? await findWaitlistClaim(claimToken, { transaction, lock: transaction.LOCK.UPDATE }) : null;
+      if (claim) {
+        if (claim.customer_id !== req.customer.id) {
+          throw new HttpError(403, 'This offer was made to another account. Sign in as the customer it was sent to.', { code: 'claim_not_yours', field: 'claimToken' });
+        }
+        if (claim.offered_vehicle_id !== vehicleId || claim.start_at.getTime() !== startAt.getTime() || claim.end_at.getTime() !== endAt.getTime()) {
+          throw new HttpError(400, 'A waitlist offer can only be booked for the vehicle and times it was made for.', { code: 'claim_mismatch', field: 'claimToken' });
+        }
+      }
+
+      // Check for booking overlap for the selected vehicle, turnaround included
+      await assertNoBookingConflict(vehicle, startAt, endAt, { transaction });
+      await assertNoBlackout(vehicleId, startAt, endAt, { transaction });
+      await assertNoWaitlistHold(vehicleId, startAt, endAt, { claim, transaction });
+      const branches = await branchesForBooking(vehicle, { pickupBranchId, dropoffBranchId }, { transaction });
+
+      // Re-check the promo code under a row lock and redeem it in this
+      // transaction, so a limited code cannot be used past its limit.
+      let promo = null;
+      if (promoCode) {
+        promo = await PromoCode.findOne({
+          where: { code: promotions.normalizeCode(promoCode) },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!promo) {
+          throw new HttpError(400, 'This promo code does not exist.', { code: 'promo_not_found', field: 'promoCode' });
+        }
+        const reason = promotions.promoIneligibility(promo, {
+          vehicleTypeId: vehicle.type_id,
+          rentalDays: pricing.rentalDaysBetween(startAt, endAt),
+          today: today(),
+        });
+        if (reason) {
+          throw new HttpError(400, reason, { code: 'promo_ineligible', field: 'promoCode' });
+        }
+        await promo.increment('redemption_count', { transaction });
+      }
+
+      // Create the new booking at the server-side price. It holds the vehicle
+      // only until the payment window closes.
+      const quote = await quoteForVehicle(vehicle, startAt, endAt, { promo, oneWay: branches.oneWay, transaction });
+      const booking = await Booking.create({
+        customer_id: req.customer.id,
+        first_name: req.customer.first_name,
+        last_name: req.customer.last_name,
+        vehicle_id: vehicleId,
+        start_at: startAt,
+        end_at: endAt,
+        pickup_branch_id: branches.pickupId,
+        dropoff_branch_id: branches.dropoffId,
+        status: 'pending_payment',
+        payment_expires_at: new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000),
+        promo_code_id: promo ? promo.id : null,
+        total_amount: quote.total,
+        price_breakdown: quote,
+      }, { transaction });
+      if (claim) {
+        await claim.update({ status: 'claimed', booking_id: booking.id }, { transaction });
+      }
+      return booking;
+    });
+
+    // Start the payment outside the transaction: it calls the gateway. The
+    // booking is saved either way, so a gateway failure is reported with it
+    // and the client retries through POST /api/bookings/:ref/payment.
+    let payment;
+    try {
+      payment = await startPayment(newBooking);
+    } catch (error) {
+      console.error(`Error starting payment for booking ${newBooking.reference}:`, error);
+      return res.status(201).json({
+        message: 'Booking reserved, but the payment could not be started. Please try paying again before the reservation runs out.',
+        booking: newBooking,
+        payment: null,
+      });
+    }
+
+    res.status(201).json({ message: 'Booking reserved. Complete payment to confirm it.', booking: newBooking, payment });
+  } catch (error) {
+    sendError(res, error, 'creating booking');
+  }
+});
+
+// Opens a payment for a pending booking with the active gateway and records it.
+// Resolves with what the client needs to complete the payment.
+async function startPayment(booking) {
+  const gateway = payments.activeGateway();
+  const currency = booking.price_breakdown ? booking.price_breakdown.currency : 'INR';
+  const result = await gateway.createPayment({
+    reference: booking.reference,
+    amount: booking.total_amount,
+    currency,
+    description: `Vehicle booking ${booking.reference}`,
+  });
+  await Payment.create({
+    booking_id: booking.id,
+    provider: gateway.name,
+    provider_payment_id: result.providerPaymentId,
+    amount: booking.total_amount,
+    currency,
+    status: result.status,
+  });
+  return {
+    provider: gateway.name,
+    status: result.status,
+    amount: booking.total_amount,
+    currency,
+    expiresAt: booking.payment_expires_at,
+    nextAction: result.nextAction,
+  };
+}
+
+// Records a pending refund of `amount` against the booking's latest charge
+async function recordRefund(booking, amount, currency, transaction) {
+  const charge = await Payment.findOne({
+    where: { booking_id: booking.id, kind: 'charge', status: 'succeeded' },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    transaction,
+  });
+  return Payment.create({
+    booking_id: booking.id,
+    provider: charge ? charge.provider : payments.activeGateway().name,
+    kind: 'refund',
+    amount,
+    currency,
+    status: 'pending',
+  }, { transaction });
+}
+
+// Asks the gateway to pay a recorded refund back onto the card it was charged
+// to. Failures are logged and leave the refund pending.
+async function issueRefund(refund) {
+  try {
+    const charge = await Payment.findOne({
+      where: { booking_id: refund.booking_id, kind: 'charge', status: 'succeeded' },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+    });
+    if (!charge) {
+      throw new Error('the booking has no succeeded charge to refund');
+    }
+    const result = await payments.gatewayFor(charge.provider).refundPayment({
+      providerPaymentId: charge.provider_payment_id,
+      amount: refund.amount,
+      currency: refund.currency,
+    });
+    await refund.update({ provider_payment_id: result.providerRefundId, status: result.status });
+  } catch (error) {
+    console.error(`Error refunding payment ${refund.id} for booking ${refund.booking_id}:`, error);
+  }
+}
+
+// Marks pending bookings whose payment window has closed as expired and gives
+// back the promo code redemptions they took. Overlap checks already ignore
+// them; this keeps the stored status honest, and offers the freed dates to
+// the waitlist.
+async function expireUnpaidBookings() {
+  const expired = await sequelize.transaction(async (transaction) => {
+    const stale = await Booking.findAll({
+      where: { status: 'pending_payment', payment_expires_at: { [Op.lte]: new Date() } },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    for (const booking of stale) {
+      await booking.update({ status: 'expired' }, { transaction });
+      await releasePromoRedemption(booking, transaction);
+    }
+    return stale.length;
+  });
+  if (expired > 0) {
+    await processWaitlist();
+  }
+}
+
+// Gives back the promo code use counted when an unpaid booking was made, so
+// a booking that never went ahead does not use up a limited code
+async function releasePromoRedemption(booking, transaction) {
+  if (booking.promo_code_id) {
+    await PromoCode.decrement('redemption_count', { where: { id: booking.promo_code_id }, transaction });
+  }
+}
+
+// Loads a booking by its customer-facing reference together with its vehicle
+// and branches
+function findBookingByReference(reference, options = {}) {
+  return Booking.findOne({
+    where: { reference },
+    include: [
+      { model: Vehicle, include: [VehicleType] },
+      { model: Branch, as: 'PickupBranch' },
+      { model: Branch, as: 'DropoffBranch' },
+    ],
+    ...options,
+  });
+}
+
+// Where a branch is, for messages and calendar events
+function branchLocation(branch) {
+  return branch ? [branch.name, branch.address || branch.city].filter(Boolean).join(', ') : null;
+}
+
+// Emails the customer who made a booking about it (see services/notifications).
+// Bookings without an account have no address to write to. Failures are
+// only logged: the change being announced has already been saved.
+async function notifyCustomer(kind, reference) {
+  try {
+    const booking = await Booking.findOne({
+      where: { reference },
+      include: [
+        Customer,
+        Vehicle,
+        { model: Branch, as: 'PickupBranch' },
+        { model: Branch, as: 'DropoffBranch' },
+      ],
+    });
+    if (!booking || !booking.Customer) {
+      return false;
+    }
+    await notifications.notifyBooking(kind, {
+      email: booking.Customer.email,
+      firstName: booking.first_name,
+      reference: booking.reference,
+      vehicleName: booking.Vehicle.name,
+      startAt: booking.start_at,
+      endAt: booking.end_at,
+      pickupLocation: branchLocation(booking.PickupBranch),
+      dropoffLocation: branchLocation(booking.DropoffBranch || booking.PickupBranch),
+      totalAmount: booking.total_amount,
+      currency: booking.price_breakdown ? booking.price_breakdown.currency : undefined,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${kind} notification for booking ${reference}:`, error);
+    return false;
+  }
+}
+
+// Reminds customers of confirmed bookings picked up tomorrow (server-local
+// date). Runs periodically; reminder_sent_at keeps each booking to one reminder.
+async function sendPickupReminders() {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const day = dayRange(localDate(tomorrow), localDate(tomorrow));
+  const due = await Booking.findAll({
+    attributes: ['id', 'reference'],
+    where: {
+      status: 'confirmed',
+      reminder_sent_at: null,
+      start_at: { [Op.gte]: day.startAt, [Op.lt]: day.endAt },
+    },
+  });
+  for (const booking of due) {
+    if (await notifyCustomer('reminder', booking.reference)) {
+      await booking.update({ reminder_sent_at: new Date() });
+    }
+  }
+}
+
+// API Route to look up a booking by its reference
+app.get('/api/bookings/:ref', async (req, res) => {
+  try {
+    const booking = await findBookingByReference(req.params.ref);
+    if (!booking) {
+      throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+    }
+    res.json(booking);
+  } catch (error) {
+    sendError(res, error, 'fetching booking');
+  }
+});
+
+// Bookings that have been paid for, and so can have an invoice
+const PAID_BOOKING_STATUSES = ['confirmed', 'active', 'returned'];
+
+// What a document for the booking bills, in the shape invoices.renderInvoice
+// lays out: the rental price, or with `kind` 'return_charges' the charges
+// raised on return. Read inside the caller's transaction, so it sees changes
+// the caller has just made.
+async function invoiceDetails(booking, kind, transaction) {
+  const billed = await Booking.findByPk(booking.id, {
+    include: [
+      Customer,
+      Vehicle,
+      { model: Branch, as: 'PickupBranch' },
+      { model: Branch, as: 'DropoffBranch' },
+    ],
+    transaction,
+  });
+  return {
+    customer: {
+      name: `${billed.first_name} ${billed.last_name}`,
+      email: billed.Customer ? billed.Customer.email : null,
+      phone: billed.Customer ? billed.Customer.phone : null,
+    },
+    booking: {
+      reference: billed.reference,
+      vehicleName: billed.Vehicle.name,
+      registrationNumber: billed.Vehicle.registration_number,
+      startAt: billed.start_at,
+      endAt: billed.end_at,
+      pickupLocation: branchLocation(billed.PickupBranch),
+      dropoffLocation: branchLocation(billed.DropoffBranch || billed.PickupBranch),
+      priceBreakdown: kind === 'return_charges' ? null : billed.price_breakdown,
+      extraCharges: kind === 'return_charges' ? billed.extra_charges : null,
+    },
+  };
+}
+
+// Issues a document for the booking with the next number in the current
+// series. Numbers come from the series' counter row, which is created on
+// first use and locked until the transaction ends, so concurrent calls take
+// numbers one after the other, including the first of a new series; the
+// unique (series, sequence) index backs that up.
+async function issueInvoice(booking, { kind, creditedInvoice = null, total, details }, transaction) {
+  const issuedAt = new Date();
+  const series = invoices.seriesFor(issuedAt);
+  await InvoiceSeries.bulkCreate([{ series, last_sequence: 0 }], { ignoreDuplicates: true, transaction });
+  const counter = await InvoiceSeries.findByPk(series, { transaction, lock: transaction.LOCK.UPDATE });
+  const sequence = counter.last_sequence + 1;
+  await counter.update({ last_sequence: sequence }, { transaction });
+  return Invoice.create({
+    booking_id: booking.id,
+    kind,
+    credited_invoice_id: creditedInvoice ? creditedInvoice.id : null,
+    series,
+    sequence,
+    number: invoices.invoiceNumber(series, sequence),
+    issued_at: issuedAt,
+    total,
+    details,
+  }, { transaction });
+}
+
+// The booking's current rental invoice, if it has one: the latest, as each
+// change to the booking credits the one before. One issued before invoices
+// kept what they bill is filled in from the booking now, with the charges on
+// return that it used to show as well.
+async function currentInvoice(booking, transaction) {
+  const invoice = await Invoice.findOne({
+    where: { booking_id: booking.id, kind: 'rental' },
+    order: [['id', 'DESC']],
+    transaction,
+  });
+  if (invoice && !invoice.details) {
+    const details = await invoiceDetails(booking, 'rental', transaction);
+    details.booking.extraCharges = booking.extra_charges;
+    const total = pricing.toPaise(booking.total_amount) + pricing.toPaise(booking.extra_charges_total || 0);
+    await invoice.update({ total: pricing.formatAmount(total), details }, { transaction });
+  }
+  return invoice;
+}
+
+// The booking's rental invoice, issuing it if it has none yet
+async function invoiceFor(booking, transaction) {
+  return (await currentInvoice(booking, transaction)) || issueInvoice(booking, {
+    kind: 'rental',
+    total: booking.total_amount,
+    details: await invoiceDetails(booking, 'rental', transaction),
+  }, transaction);
+}
+
+// Cancels `invoice` with a credit note for everything it billed and issues a
+// new rental invoice for what the changed booking bills now
+async function reissueInvoice(booking, invoice, transaction) {
+  await issueInvoice(booking, { kind: 'credit_note', creditedInvoice: invoice, total: invoice.total, details: invoice.details }, transaction);
+  return issueInvoice(booking, {
+    kind: 'rental',
+    total: booking.total_amount,
+    details: await invoiceDetails(booking, 'rental', transaction),
+  }, transaction);
+}
+
+// Sends an issued document as a PDF download, laid out from what it billed
+async function sendInvoicePdf(res, invoice) {
+  const credited = invoice.credited_invoice_id ? await Invoice.findByPk(invoice.credited_invoice_id) : null;
+  const pdf = await invoices.renderInvoice({
+    invoice: {
+      number: invoice.number,
+      issuedAt: invoice.issued_at,
+      kind: invoice.kind,
+      creditedNumber: credited ? credited.number : null,
+    },
+    ...invoice.details,
+  });
+
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${invoice.kind === 'credit_note' ? 'credit-note' : 'invoice'}-${invoice.number.replace(/\//g, '-')}.pdf"`);
+  res.send(pdf);
+}
+
+// API Route to download the tax invoice of a paid booking as a PDF
+app.get('/api/bookings/:ref/invoice.pdf', async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ where: { reference: req.params.ref } });
+    if (!booking) {
+      throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+    }
+    if (!PAID_BOOKING_STATUSES.includes(booking.status) || !booking.price_breakdown) {
+      throw new HttpError(409, 'An invoice is only available once the booking has been paid for.', { code: 'invoice_unavailable' });
+    }
+
+    // Issued at payment; bookings paid before invoicing existed get theirs now
+    const invoice = await sequelize.transaction(transaction => invoiceFor(booking, transaction));
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    sendError(res, error, 'generating invoice');
+  }
+});
+
+// API Route to list the invoices and credit notes issued for a booking
+app.get('/api/bookings/:ref/invoices', async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ where: { reference: req.params.ref } });
+    if (!booking) {
+      throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+    }
+    const issued = await Invoice.findAll({
+      where: { booking_id: booking.id },
+      attributes: { exclude: ['details'] },
+      include: [{ model: Invoice, as: 'CreditedInvoice', attributes: ['number'] }],
+      order: [['id', 'ASC']],
+    });
+    res.json(issued);
+  } catch (error) {
+    sendError(res, error, 'fetching invoices');
+  }
+});
+
+// API Route to download one of a booking's invoices or credit notes as a PDF
+app.get('/api/bookings/:ref/invoices/:id.pdf', validate({
+  params: { id: rules.id({ required: true, label: 'Invoice' }) },
+}), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.id },
+      include: [{ model: Booking, where: { reference: req.params.ref } }],
+    });
+    if (!invoice) {
+      throw new HttpError(404, 'No invoice found for that booking.', { code: 'invoice_not_found', field: 'id' });
+    }
+    if (!invoice.details) {
+      await sequelize.transaction(transaction => currentInvoice(invoice.Booking, transaction));
+      await invoice.reload();
+    }
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    sendError(res, error, 'generating invoice');
+  }
+});
+
+// API Route to start a new payment for a booking still awaiting one, e.g.
+// when the gateway failed at booking time or the customer abandoned a payment.
+// The reservation keeps its original payment window.
+app.post('/api/bookings/:ref/payment', async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ where: { reference: req.params.ref } });
+    if (!booking) {
+      throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+    }
+    if (booking.status !== 'pending_payment') {
+      throw new HttpError(409, 'This booking is no longer awaiting payment.', { code: 'invalid_booking_status' });
+    }
+    if (booking.payment_expires_at <= new Date()) {
+      throw new HttpError(409, 'The payment window for this booking has closed and the dates were released. Please book again.', { code: 'payment_window_closed' });
+    }
+
+    let payment;
+    try {
+      payment = await startPayment(booking);
+    } catch (error) {
+      console.error(`Error starting payment for booking ${booking.reference}:`, error);
+      throw new HttpError(502, 'The payment could not be started. Please try again shortly.', { code: 'payment_unavailable' });
+    }
+    res.status(201).json({ message: 'Payment started. Complete it to confirm your booking.', booking, payment });
+  } catch (error) {
+    sendError(res, error, 'starting payment');
+  }
+});
+
+// API Route to confirm a pending booking once its payment has gone through
+app.post('/api/bookings/:ref/confirm-payment', async (req, res) => {
+  try {
+    // Confirmed by an earlier call unless this one flips the status
+    const newlyConfirmed = await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { reference: req.params.ref },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+      }
+      if (booking.status === 'confirmed') {
+        return false;
+      }
+      if (booking.status !== 'pending_payment') {
+        throw new HttpError(409, 'This booking is no longer awaiting payment.', { code: 'invalid_booking_status' });
+      }
+      if (booking.payment_expires_at <= new Date()) {
+        throw new HttpError(409, 'The payment window for this booking has closed and the dates were released. Please book again.', { code: 'payment_window_closed' });
+      }
+
+      const payment = await Payment.findOne({
+        where: { booking_id: booking.id, kind: 'charge' },
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        transaction,
+      });
+      if (!payment) {
+        throw new HttpError(409, 'No payment has been started for this booking.', { code: 'payment_not_started' });
+      }
+      const status = await payments.gatewayFor(payment.provider).getPaymentStatus(payment.provider_payment_id);
+      if (status !== payment.status) {
+        await payment.update({ status }, { transaction });
+      }
+      if (status !== 'succeeded') {
+        throw new HttpError(402, 'Payment has not been completed yet.', { code: 'payment_incomplete' });
+      }
+
+      await booking.update({ status: 'confirmed', payment_expires_at: null }, { transaction });
+      await invoiceFor(booking, transaction);
+      return true;
+    });
+
+    if (newlyConfirmed) {
+      notifyCustomer('confirmed', req.params.ref);
+    }
+    const booking = await findBookingByReference(req.params.ref);
+    res.json({ message: 'Payment received. Your booking is confirmed!', booking });
+  } catch (error) {
+    sendError(res, error, 'confirming payment');
+  }
+});
+
+// API Route to change the dates, vehicle and/or drop-off branch of a booking
+app.patch('/api/bookings/:ref', validate({
+  body: {
+    vehicleId: rules.id({ label: 'Vehicle' }),
+    startAt: rules.dateTime({ label: 'Pickup time', future: true }),
+    endAt: rules.dateTime({ label: 'Return time', future: true }),
+    dropoffBranchId: dropoffBranchField,
+  },
+  checks: [
+    validation.atLeastOne(['vehicleId', 'startAt', 'endAt', 'dropoffBranchId'], 'Provide a new vehicle, new times or a new drop-off branch to change.'),
+    returnAfterPickup,
+  ],
+}), async (req, res) => {
+  try {
+    const { vehicleId, startAt, endAt, dropoffBranchId } = req.body;
+
+    // Set when the new price is lower than what was paid
+    const refund = await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { reference: req.params.ref },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+      }
+      if (booking.status === 'pending_payment') {
+        throw new HttpError(409, 'Complete payment for this booking before changing it.', { code: 'invalid_booking_status' });
+      }
+      if (booking.status === 'active' || booking.status === 'returned') {
+        throw new HttpError(409, 'This vehicle has already been picked up, so the booking can no longer be changed.', { code: 'invalid_booking_status' });
+      }
+      if (booking.status !== 'confirmed') {
+        throw new HttpError(409, `This booking has ${booking.status === 'expired' ? 'expired' : 'been cancelled'} and can no longer be changed.`, { code: 'invalid_booking_status' });
+      }
+
+      const changes = {
+        vehicle_id: vehicleId || booking.vehicle_id,
+        start_at: startAt || booking.start_at,
+        end_at: endAt || booking.end_at,
+      };
+      if (!(changes.start_at < changes.end_at)) {
+        throw new HttpError(400, 'The return time must be after the pickup time.', { code: 'invalid_range', field: endAt ? 'endAt' : 'startAt' });
+      }
+
+      // Same vehicle lock as POST /api/bookings so a concurrent booking cannot
+      // take the new dates between the overlap check and the update. Keeping
+      // the booked vehicle is fine even if it has since been withdrawn.
+      const vehicle = changes.vehicle_id === booking.vehicle_id
+        ? await Vehicle.findByPk(changes.vehicle_id, { transaction, lock: transaction.LOCK.UPDATE })
+        : await findVehicleForBooking(changes.vehicle_id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      await assertNoBookingConflict(vehicle, changes.start_at, changes.end_at, { excludeId: booking.id, transaction });
+      await assertNoBlackout(changes.vehicle_id, changes.start_at, changes.end_at, { transaction });
+      await assertNoWaitlistHold(changes.vehicle_id, changes.start_at, changes.end_at, { transaction });
+
+      // A replacement vehicle has to be at the same pickup branch
+      const branches = await branchesForBooking(vehicle, {
+        pickupBranchId: booking.pickup_branch_id,
+        dropoffBranchId: dropoffBranchId || booking.dropoff_branch_id,
+      }, { transaction });
+      changes.pickup_branch_id = branches.pickupId;
+      changes.dropoff_branch_id = branches.dropoffId;
+
+      // A redeemed promo code stays on the booking but must still fit the new
+      // dates and vehicle; its window and usage limit were checked at redemption.
+      let promo = null;
+      if (booking.promo_code_id) {
+        promo = await PromoCode.findByPk(booking.promo_code_id, { transaction });
+        const reason = promotions.promoIneligibility(promo, {
+          vehicleTypeId: vehicle.type_id,
+          rentalDays: pricing.rentalDaysBetween(changes.start_at, changes.end_at),
+          redeemed: true,
+        });
+        if (reason) {
+          throw new HttpError(409, `Promo code ${promo.code} would no longer apply: ${reason}`, { code: 'promo_ineligible' });
+        }
+      }
+
+      // A new pickup day gets its own reminder
+      if (localDate(changes.start_at) !== localDate(booking.start_at)) {
+        changes.reminder_sent_at = null;
+      }
+
+      // New dates or vehicle mean a new price. A confirmed booking's total is
+      // what the customer has paid net of refunds, so a lower price is refunded;
+      // there is no way yet to collect a higher one.
+      const quote = await quoteForVehicle(vehicle, changes.start_at, changes.end_at, { promo, oneWay: branches.oneWay, transaction });
+      const difference = pricing.toPaise(booking.total_amount) - pricing.toPaise(quote.total);
+      if (difference < 0) {
+        throw new HttpError(409, `These changes would add ${quote.currency} ${pricing.formatAmount(-difference)} to the price, and paying a difference is not supported yet. Choose changes that cost no more, or cancel and book again.`, {
+          code: 'payment_difference_required',
+          amount: pricing.formatAmount(-difference),
+          currency: quote.currency,
+        });
+      }
+      // The invoice bills the booking as it was, so it is credited and a new
+      // one issued for the booking as changed
+      const invoice = await currentInvoice(booking, transaction);
+      await booking.update({ ...changes, total_amount: quote.total, price_breakdown: quote }, { transaction });
+      if (invoice) {
+        await reissueInvoice(booking, invoice, transaction);
+      }
+      return difference > 0 ? recordRefund(booking, pricing.formatAmount(difference), quote.currency, transaction) : null;
+    });
+
+    // Sent to the gateway once the new price is saved; a refund it turns down
+    // stays pending in payments for staff to settle
+    if (refund) {
+      await issueRefund(refund);
+    }
+    notifyCustomer('modified', req.params.ref);
+    // Moving or shortening the booking may have freed dates someone is waiting for
+    processWaitlist();
+    const booking = await findBookingByReference(req.params.ref);
+    res.json({
+      message: refund
+        ? `Booking updated successfully! ${refund.currency} ${refund.amount} will be refunded to your card.`
+        : 'Booking updated successfully!',
+      booking,
+      refund: refund && { amount: refund.amount, currency: refund.currency, status: refund.status },
+    });
+  } catch (error) {
+    sendError(res, error, 'updating booking');
+  }
+});
+
+// API Route to cancel a booking, releasing its dates
+app.delete('/api/bookings/:ref', async (req, res) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      // Same row lock as payment confirmation so a booking cannot be paid for
+      // and cancelled at once, nor its promo redemption released twice
+      const booking = await Booking.findOne({
+        where: { reference: req.params.ref },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+      }
+      if (booking.status === 'cancelled') {
+        throw new HttpError(409, 'This booking has already been cancelled.', { code: 'invalid_booking_status' });
+      }
+      if (booking.status === 'expired') {
+        throw new HttpError(409, 'This booking expired unpaid and holds no dates.', { code: 'invalid_booking_status' });
+      }
+      if (booking.status === 'active' || booking.status === 'returned') {
+        throw new HttpError(409, 'This vehicle has already been picked up, so the booking can no longer be cancelled.', { code: 'invalid_booking_status' });
+      }
+
+      const unpaid = booking.status === 'pending_payment';
+      await booking.update({ status: 'cancelled' }, { transaction });
+      if (unpaid) {
+        await releasePromoRedemption(booking, transaction);
+      }
+    });
+
+    notifyCustomer('cancelled', req.params.ref);
+    processWaitlist();
+    const booking = await findBookingByReference(req.params.ref);
+    res.json({ message: 'Booking cancelled successfully.', booking });
+  } catch (error) {
+    sendError(res, error, 'cancelling booking');
+  }
+});
+
+// Builds the where-clause matching waitlist offers that hold the vehicle, or
+// with a null vehicleId any vehicle, for some of [startAt, endAt) until their
+// claim runs out
+function heldOffers(vehicleId, startAt, endAt) {
+  return {
+    status: 'offered',
+    offered_vehicle_id: vehicleId === null ? { [Op.ne]: null } : vehicleId,
+    claim_expires_at: { [Op.gt]: new Date() },
+    start_at: { [Op.lt]: endAt },
+    end_at: { [Op.gt]: startAt },
+  };
+}
+
+// Throws a 409 if the vehicle is held for a waitlisted customer during
+// [startAt, endAt). The customer holding it passes their own offer as `claim`.
+async function assertNoWaitlistHold(vehicleId, startAt, endAt, { claim = null, transaction } = {}) {
+  const where = heldOffers(vehicleId, startAt, endAt);
+  if (claim) {
+    where.id = { [Op.ne]: claim.id };
+  }
+  const hold = await WaitlistEntry.findOne({ where, order: [['claim_expires_at', 'DESC']], transaction });
+  if (hold) {
+    throw new HttpError(
+      409,
+      `This vehicle is being held for a customer on the waitlist until ${localDateTime(hold.claim_expires_at)}. Please choose different times or another vehicle.`,
+      { code: 'waitlist_hold', field: 'startAt', availableFrom: hold.claim_expires_at },
+    );
+  }
+}
+
+// Whether a booking of the vehicle for [startAt, endAt) would go through
+async function isVehicleFree(vehicle, startAt, endAt, { transaction } = {}) {
+  try {
+    await assertNoBookingConflict(vehicle, startAt, endAt, { transaction });
+    await assertNoBlackout(vehicle.id, startAt, endAt, { transaction });
+    await assertNoWaitlistHold(vehicle.id, startAt, endAt, { transaction });
+    return true;
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Vehicles that could serve a waitlist entry, cheapest first for a type
+function waitlistCandidates(entry) {
+  return Vehicle.findAll({
+    where: entry.vehicle_id ? { id: entry.vehicle_id, is_available: true } : { type_id: entry.type_id, is_available: true },
+    include: [VehicleType, Branch],
+    order: [['price_per_day', 'ASC'], ['id', 'ASC']],
+  });
+}
+
+// Offers the vehicle to a waiting customer if it is free for their dates.
+// Takes the same vehicle lock as POST /api/bookings, so no booking can take
+// the dates between the check and the offer. Resolves with 'offered',
+// 'taken' when the vehicle is not free, or 'left' when the entry is no longer
+// waiting, e.g. because the customer left the waitlist.
+function offerVehicle(entry, vehicle, claim) {
+  return sequelize.transaction(async (transaction) => {
+    await Vehicle.findByPk(vehicle.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!(await isVehicleFree(vehicle, entry.start_at, entry.end_at, { transaction }))) {
+      return 'taken';
+    }
+    const [offeredCount] = await WaitlistEntry.update({
+      status: 'offered',
+      offered_vehicle_id: vehicle.id,
+      claim_token_hash: claim.tokenHash,
+      claim_expires_at: claim.expiresAt,
+    }, { where: { id: entry.id, status: 'waiting' }, transaction });
+    return offeredCount > 0 ? 'offered' : 'left';
+  });
+}
+
+// Lapses offers nobody claimed in time and entries whose pickup has passed,
+// then offers each waiting customer, oldest first, a vehicle that is free for
+// their dates. Offers made here hold the vehicle, so one freed slot goes to
+// one customer at a time.
+async function offerFreedDates() {
+  const now = new Date();
+  await WaitlistEntry.update({ status: 'expired' }, {
+    where: { status: 'offered', claim_expires_at: { [Op.lte]: now } },
+  });
+  await WaitlistEntry.update({ status: 'expired' }, {
+    where: { status: ['waiting', 'offered'], start_at: { [Op.lte]: now } },
+  });
+
+  const waiting = await WaitlistEntry.findAll({
+    where: { status: 'waiting' },
+    include: [Customer],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+  });
+  for (const entry of waiting) {
+    const claim = waitlist.newClaim(now);
+    let offered = null;
+    for (const vehicle of await waitlistCandidates(entry)) {
+      const outcome = await offerVehicle(entry, vehicle, claim);
+      if (outcome === 'taken') {
+        continue;
+      }
+      if (outcome === 'offered') {
+        offered = vehicle;
+      }
+      break;
+    }
+    if (!offered) {
+      continue;
+    }
+
+    try {
+      await waitlist.activeNotifier().notify({
+        email: entry.Customer.email,
+        firstName: entry.Customer.first_name,
+        vehicleName: offered.name,
+        startAt: entry.start_at,
+        endAt: entry.end_at,
+        pickupLocation: branchLocation(offered.Branch),
+        claimUrl: claim.claimUrl,
+        expiresAt: claim.expiresAt,
+      });
+    } catch (error) {
+      console.error(`Error sending waitlist offer for entry ${entry.id}:`, error);
+    }
+  }
+}
+
+// Runs offerFreedDates after whatever changed the fleet's bookings. Runs are
+// chained so two never offer the same vehicle; errors are only logged, as the
+// change that triggered the run has already been saved.
+let waitlistRun = Promise.resolve();
+function processWaitlist() {
+  waitlistRun = waitlistRun
+    .then(offerFreedDates)
+    .catch(error => console.error('Error processing the waitlist:', error));
+  return waitlistRun;
+}
+
+// Loads the waitlist offer a claim link was made for. Throws unless it can
+// still be booked.
+async function findWaitlistClaim(token, options = {}) {
+  const claim = await WaitlistEntry.findOne({ where: { claim_token_hash: waitlist.hashClaimToken(token) }, ...options });
+  if (!claim) {
+    throw new HttpError(404, 'This claim link is not valid.', { code: 'claim_not_found', field: 'claimToken' });
+  }
+  if (claim.status === 'claimed') {
+    throw new HttpError(409, 'This offer has already been booked.', { code: 'claim_used', field: 'claimToken' });
+  }
+  if (claim.status !== 'offered' || claim.claim_expires_at <= new Date()) {
+    throw new HttpError(410, 'This offer has expired and the vehicle has passed to the next customer on the waitlist.', { code: 'claim_expired', field: 'claimToken' });
+  }
+  return claim;
+}
+
+// API Route to join the waitlist for a vehicle, or for any vehicle of a type,
+// that is fully booked for the customer's dates
+app.post('/api/waitlist', requireCustomer, validate({
+  body: {
+    vehicleId: rules.id({ label: 'Vehicle' }),
+    typeId: rules.id({ label: 'Vehicle type' }),
+    ...rentalPeriodFields,
+  },
+  checks: [
+    validation.atLeastOne(['vehicleId', 'typeId'], 'Choose a vehicle or a vehicle type to wait for.'),
+    returnAfterPickup,
+  ],
+}), async (req, res) => {
+  try {
+    const { vehicleId, typeId, startAt, endAt } = req.body;
+    if (vehicleId && typeId) {
+      throw new HttpError(400, 'Wait for either a vehicle or a vehicle type, not both.', { code: 'not_allowed', field: 'typeId' });
+    }
+
+    if (vehicleId) {
+      await findVehicleForBooking(vehicleId);
+    } else if (!await VehicleType.findByPk(typeId)) {
+      throw new HttpError(404, 'Vehicle type not found.', { code: 'vehicle_type_not_found', field: 'typeId' });
+    }
+
+    const entry = { vehicle_id: vehicleId || null, type_id: vehicleId ? null : typeId, start_at: startAt, end_at: endAt };
+    for (const vehicle of await waitlistCandidates(entry)) {
+      if (await isVehicleFree(vehicle, startAt, endAt)) {
+        throw new HttpError(409, `${vehicle.name} is free for these times, so it can be booked now.`, { code: 'vehicle_free', vehicleId: vehicle.id });
+      }
+    }
+
+    const duplicate = await WaitlistEntry.findOne({
+      where: { ...entry, customer_id: req.customer.id, status: ['waiting', 'offered'] },
+    });
+    if (duplicate) {
+      throw new HttpError(409, 'You are already on the waitlist for these times.', { code: 'already_waitlisted' });
+    }
+
+    const created = await WaitlistEntry.create({ ...entry, customer_id: req.customer.id });
+    res.status(201).json({ message: 'You are on the waitlist. We will email you if it comes free.', entry: created });
+  } catch (error) {
+    sendError(res, error, 'joining waitlist');
+  }
+});
+
+// API Route to list the signed-in customer's open waitlist entries
+app.get('/api/waitlist', requireCustomer, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.findAll({
+      where: { customer_id: req.customer.id, status: ['waiting', 'offered'] },
+      include: [Vehicle, VehicleType],
+      order: [['start_at', 'ASC']],
+    });
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error, 'fetching waitlist');
+  }
+});
+
+// API Route to leave the waitlist. Leaving while holding an offer releases it
+// to the next customer.
+app.delete('/api/waitlist/:id', requireCustomer, validate({
+  params: { id: rules.id({ required: true, label: 'Waitlist entry' }) },
+}), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ where: { id: req.params.id, customer_id: req.customer.id } });
+    if (!entry) {
+      throw new HttpError(404, 'Waitlist entry not found.', { code: 'waitlist_entry_not_found', field: 'id' });
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw new HttpError(409, 'This waitlist entry is already closed.', { code: 'invalid_waitlist_status' });
+    }
+    await entry.update({ status: 'cancelled' });
+    processWaitlist();
+    res.json({ message: 'You have left the waitlist.', entry });
+  } catch (error) {
+    sendError(res, error, 'leaving waitlist');
+  }
+});
+
+// API Route to look up the offer behind a claim link. The link is the
+// credential, so only what the customer needs to book it is returned.
+app.get('/api/waitlist/claims/:token', async (req, res) => {
+  try {
+    const claim = await findWaitlistClaim(req.params.token, {
+      include: [{ model: Vehicle, as: 'OfferedVehicle', include: [VehicleType, Branch] }],
+    });
+    res.json({
+      vehicle: claim.OfferedVehicle,
+      startAt: claim.start_at,
+      endAt: claim.end_at,
+      expiresAt: claim.claim_expires_at,
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching waitlist offer');
+  }
+});
+
+// Admin routes for managing the fleet; every route requires an admin account
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+// Copies the validated payload fields present in `body` onto the model
+// columns they map to. Optional fields sent empty clear their column.
+function columnsFrom(body, columns) {
+  const attributes = {};
+  for (const [field, column] of Object.entries(columns)) {
+    if (body[field] !== undefined) {
+      attributes[column] = body[field] === '' || body[field] === null ? null : body[field];
+    }
+  }
+  return attributes;
+}
+
+// Admin vehicle payloads; specs are optional and an empty value clears them
+const vehicleFields = {
+  name: rules.string({ required: true, label: 'Vehicle name' }),
+  typeId: rules.id({ required: true, label: 'Vehicle type' }),
+  pricePerDay: rules.amount({ required: true, label: 'Price per day' }),
+  isAvailable: rules.boolean({ notBlank: true, label: 'Availability' }),
+  branchId: rules.id({ required: true, label: 'Home branch' }),
+  seats: rules.integer({ label: 'Seats', min: 1, max: 60 }),
+  engineCc: rules.integer({ label: 'Engine capacity', min: 50, max: 10000 }),
+  luggageCapacity: rules.integer({ label: 'Luggage capacity', min: 0, max: 20 }),
+  year: rules.integer({ label: 'Year', min: 1950, max: new Date().getFullYear() + 1 }),
+  transmission: rules.oneOf(TRANSMISSIONS, { label: 'Transmission' }),
+  fuelType: rules.oneOf(FUEL_TYPES, { label: 'Fuel type' }),
+  colour: rules.string({ label: 'Colour', maxLength: 32 }),
+  imagePath: rules.string({ label: 'Image path' }),
+  // Stored without spaces, e.g. MH12AB1234
+  registrationNumber: rules.string({
+    label: 'Registration number',
+    normalize: value => value.replace(/[\s-]/g, '').toUpperCase(),
+    pattern: /^[A-Z0-9]{4,20}$/,
+    patternMessage: 'Registration number may only contain letters and digits.',
+  }),
+};
+// Vehicles from before branches existed may be saved without one until assigned
+const vehicleUpdateFields = { ...validation.partial(vehicleFields), branchId: rules.id({ label: 'Home branch' }) };
+
+const VEHICLE_COLUMNS = {
+  name: 'name',
+  typeId: 'type_id',
+  pricePerDay: 'price_per_day',
+  isAvailable: 'is_available',
+  branchId: 'branch_id',
+  seats: 'seats',
+  engineCc: 'engine_cc',
+  luggageCapacity: 'luggage_capacity',
+  year: 'year',
+  transmission: 'transmission',
+  fuelType: 'fuel_type',
+  colour: 'colour',
+  imagePath: 'image_path',
+  registrationNumber: 'registration_number',
+};
+
+// Maps a validated admin vehicle payload onto model attributes, checking
+// what needs the database: the type and branch exist and no other vehicle
+// (than `vehicleId`, when updating) has the registration number.
+async function vehicleAttributesFrom(body, { vehicleId = null } = {}) {
+  const attributes = columnsFrom(body, VEHICLE_COLUMNS);
+  // A blank branch on an update leaves a legacy vehicle without one
+  if (vehicleId && attributes.branch_id === null) {
+    delete attributes.branch_id;
+  }
+
+  if (attributes.type_id && !(await VehicleType.findByPk(attributes.type_id))) {
+    throw new HttpError(400, 'Please choose an existing vehicle type.', { code: 'vehicle_type_not_found', field: 'typeId' });
+  }
+  if (attributes.branch_id && !(await Branch.findByPk(attributes.branch_id))) {
+    throw new HttpError(400, 'Please choose an existing home branch.', { code: 'branch_not_found', field: 'branchId' });
+  }
+  if (attributes.registration_number) {
+    const where = { registration_number: attributes.registration_number };
+    if (vehicleId) {
+      where.id = { [Op.ne]: vehicleId };
+    }
+    if (await Vehicle.findOne({ where })) {
+      throw new HttpError(409, 'Another vehicle already has this registration number.', { code: 'registration_taken', field: 'registrationNumber' });
+    }
+  }
+  return attributes;
+}
+
+const vehicleTypeFields = {
+  name: rules.string({ required: true, label: 'Vehicle type name' }),
+  wheels: rules.integer({ required: true, label: 'Wheels', min: 2, max: 4 }),
+  // Empty for types only rented by the day
+  pricePerHour: rules.amount({ label: 'Price per hour' }),
+  turnaroundMinutes: rules.integer({ notBlank: true, label: 'Turnaround minutes', min: 0, max: 7 * 24 * 60 }),
+};
+
+const VEHICLE_TYPE_COLUMNS = {
+  name: 'name',
+  wheels: 'wheels',
+  pricePerHour: 'price_per_hour',
+  turnaroundMinutes: 'turnaround_minutes',
+};
+
+// Route params naming admin records, by their label
+const idParam = label => ({ id: rules.id({ required: true, label }) });
+
+// API Route to list the whole fleet, including vehicles hidden from customers
+adminRouter.get('/vehicles', async (req, res) => {
+  try {
+    const vehicles = await Vehicle.findAll({
+      include: [VehicleType, Branch, vehicleImagesInclude],
+      order: [['type_id', 'ASC'], ['name', 'ASC']],
+    });
+    res.json(vehicles);
+  } catch (error) {
+    sendError(res, error, 'listing fleet');
+  }
+});
+
+// API Route to add a vehicle
+adminRouter.post('/vehicles', validate({ body: vehicleFields }), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.create(await vehicleAttributesFrom(req.body));
+    res.status(201).json({ message: 'Vehicle added.', vehicle });
+  } catch (error) {
+    sendError(res, error, 'adding vehicle');
+  }
+});
+
+// API Route to edit a vehicle
+adminRouter.put('/vehicles/:id', validate({ params: idParam('Vehicle'), body: vehicleUpdateFields }), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findByPk(req.params.id);
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    await vehicle.update(await vehicleAttributesFrom(req.body, { vehicleId: vehicle.id }));
+    res.json({ message: 'Vehicle updated.', vehicle });
+  } catch (error) {
+    sendError(res, error, 'updating vehicle');
+  }
+});
+
+// API Route to show or hide a vehicle from customer listings
+// Without `isAvailable` the current setting is flipped.
+adminRouter.patch('/vehicles/:id/availability', validate({
+  params: idParam('Vehicle'),
+  body: { isAvailable: rules.boolean({ notBlank: true, label: 'Availability' }) },
+}), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findByPk(req.params.id);
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    const isAvailable = req.body.isAvailable === undefined ? !vehicle.is_available : req.body.isAvailable;
+    await vehicle.update({ is_available: isAvailable });
+    res.json({ message: isAvailable ? 'Vehicle is now available.' : 'Vehicle is now unavailable.', vehicle });
+  } catch (error) {
+    sendError(res, error, 'toggling vehicle availability');
+  }
+});
+
+// API Route to remove a vehicle. The bookings foreign key is ON DELETE RESTRICT,
+// so vehicles with booking history cannot be removed, only made unavailable.
+adminRouter.delete('/vehicles/:id', validate({ params: idParam('Vehicle') }), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findByPk(req.params.id, { include: [vehicleImagesInclude] });
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    await sequelize.transaction(async (transaction) => {
+      // Waitlist entries only lose the vehicle (ON DELETE SET NULL), so close
+      // the ones waiting for it, and put back in line those offered it while
+      // waiting for any vehicle of its type
+      await WaitlistEntry.update({ status: 'expired' }, {
+        where: { vehicle_id: vehicle.id, status: ['waiting', 'offered'] },
+        transaction,
+      });
+      await WaitlistEntry.update({ status: 'waiting', offered_vehicle_id: null, claim_token_hash: null, claim_expires_at: null }, {
+        where: { offered_vehicle_id: vehicle.id, status: 'offered' },
+        transaction,
+      });
+      await vehicle.destroy({ transaction });
+    });
+    processWaitlist();
+    // The photo rows go with the vehicle (ON DELETE CASCADE); the files have to be removed here
+    await removeImageFiles(vehicle.images);
+    res.json({ message: 'Vehicle deleted.' });
+  } catch (error) {
+    if (error instanceof Sequelize.ForeignKeyConstraintError) {
+      return sendError(res, new HttpError(409, 'This vehicle has bookings and cannot be deleted. Mark it unavailable instead.', { code: 'vehicle_in_use' }));
+    }
+    sendError(res, error, 'deleting vehicle');
+  }
+});
+
+// Uploads are held in memory only until they are checked and re-encoded
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: vehicleImages.MAX_BYTES, files: vehicleImages.MAX_FILES },
+  fileFilter: (req, file, callback) => {
+    if (!vehicleImages.ACCEPTED_TYPES.includes(file.mimetype)) {
+      return callback(new vehicleImages.InvalidImageError(`${file.originalname} must be a JPEG, PNG or WebP image.`));
+    }
+    callback(null, true);
+  },
+}).array('images');
+
+// Runs the multipart parser, turning its errors into HttpErrors
+function receiveImages(req, res) {
+  return new Promise((resolve, reject) => {
+    imageUpload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: [413, `Each image must be ${vehicleImages.MAX_BYTES / (1024 * 1024)} MB or smaller.`],
+          LIMIT_FILE_COUNT: [400, `Upload at most ${vehicleImages.MAX_FILES} images at a time.`],
+          LIMIT_UNEXPECTED_FILE: [400, 'Images must be sent in the `images` form field.'],
+        };
+        const [status, message] = messages[error.code] || [400, error.message];
+        return reject(new HttpError(status, message, { field: 'images' }));
+      }
+      if (error instanceof vehicleImages.InvalidImageError) {
+        return reject(new HttpError(400, error.message, { code: 'invalid_image', field: 'images' }));
+      }
+      return error ? reject(error) : resolve();
+    });
+  });
+}
+
+// Deletes the stored files of photos whose rows are gone. A file that cannot
+// be removed is only logged; it is unreachable without its row anyway.
+async function removeImageFiles(images) {
+  for (const image of images) {
+    const driver = storage.storageFor(image.storage_driver);
+    for (const key of [image.storage_key, image.thumbnail_key]) {
+      await driver.remove(key).catch(error => console.error(`Error removing stored file ${key}:`, error));
+    }
+  }
+}
+
+// API Route to list a vehicle's photos in gallery order
+adminRouter.get('/vehicles/:id/images', validate({ params: idParam('Vehicle') }), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findByPk(req.params.id, { include: [vehicleImagesInclude] });
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    res.json(vehicle.images);
+  } catch (error) {
+    sendError(res, error, 'listing vehicle images');
+  }
+});
+
+// API Route to upload photos of a vehicle as multipart/form-data in the
+// `images` field. Every file is checked before any is stored; the first photo
+// a vehicle gets becomes its primary one.
+adminRouter.post('/vehicles/:id/images', validate({ params: idParam('Vehicle') }), async (req, res) => {
+  const driver = storage.activeStorage();
+  const storedKeys = [];
+  try {
+    const vehicle = await Vehicle.findByPk(req.params.id);
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    await receiveImages(req, res);
+    if (!req.files || req.files.length === 0) {
+      throw new HttpError(400, 'Choose at least one image to upload.', { code: 'required', field: 'images' });
+    }
+
+    const prepared = [];
+    for (const file of req.files) {
+      prepared.push({ ...(await vehicleImages.prepareImage(file.buffer, file.originalname)), ...vehicleImages.storageKeysFor(vehicle.id) });
+    }
+    for (const image of prepared) {
+      await driver.save(image.storageKey, image.full, { contentType: 'image/webp' });
+      storedKeys.push(image.storageKey);
+      await driver.save(image.thumbnailKey, image.thumbnail, { contentType: 'image/webp' });
+      storedKeys.push(image.thumbnailKey);
+    }
+
+    const images = await sequelize.transaction(async (transaction) => {
+      // Lock the vehicle so concurrent uploads agree on positions and the primary photo
+      await Vehicle.findByPk(vehicle.id, { transaction, lock: transaction.LOCK.UPDATE });
+      const existing = await VehicleImage.findAll({ where: { vehicle_id: vehicle.id }, transaction });
+      const nextPosition = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+      const hasPrimary = existing.some(image => image.is_primary);
+      return VehicleImage.bulkCreate(prepared.map((image, index) => ({
+        vehicle_id: vehicle.id,
+        storage_driver: driver.name,
+        storage_key: image.storageKey,
+        thumbnail_key: image.thumbnailKey,
+        width: image.width,
+        height: image.height,
+        is_primary: !hasPrimary && index === 0,
+        position: nextPosition + index,
+      })), { transaction });
+    });
+
+    res.status(201).json({ message: `${images.length} photo${images.length > 1 ? 's' : ''} uploaded.`, images });
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => driver.remove(key).catch(() => {})));
+    if (error instanceof vehicleImages.InvalidImageError) {
+      return sendError(res, new HttpError(400, error.message, { code: 'invalid_image', field: 'images' }));
+    }
+    sendError(res, error, 'uploading vehicle images');
+  }
+});
+
+// Route params naming one photo of a vehicle
+const imageParams = { ...idParam('Vehicle'), imageId: rules.id({ required: true, label: 'Photo' }) };
+
+// API Route to make a photo the one shown on listings
+adminRouter.put('/vehicles/:id/images/:imageId/primary', validate({ params: imageParams }), async (req, res) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const image = await VehicleImage.findOne({
+        where: { id: req.params.imageId, vehicle_id: req.params.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!image) {
+        throw new HttpError(404, 'Photo not found.', { code: 'image_not_found', field: 'imageId' });
+      }
+      await VehicleImage.update({ is_primary: false }, { where: { vehicle_id: image.vehicle_id }, transaction });
+      await image.update({ is_primary: true }, { transaction });
+    });
+    res.json({ message: 'Primary photo updated.' });
+  } catch (error) {
+    sendError(res, error, 'setting primary vehicle image');
+  }
+});
+
+// API Route to delete a photo. If it was the primary one, the next photo in
+// the gallery takes its place.
+adminRouter.delete('/vehicles/:id/images/:imageId', validate({ params: imageParams }), async (req, res) => {
+  try {
+    const image = await sequelize.transaction(async (transaction) => {
+      const found = await VehicleImage.findOne({
+        where: { id: req.params.imageId, vehicle_id: req.params.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!found) {
+        throw new HttpError(404, 'Photo not found.', { code: 'image_not_found', field: 'imageId' });
+      }
+      await found.destroy({ transaction });
+      if (found.is_primary) {
+        const next = await VehicleImage.findOne({
+          where: { vehicle_id: found.vehicle_id },
+          order: [['position', 'ASC'], ['id', 'ASC']],
+          transaction,
+        });
+        if (next) {
+          await next.update({ is_primary: true }, { transaction });
+        }
+      }
+      return found;
+    });
+    await removeImageFiles([image]);
+    res.json({ message: 'Photo deleted.' });
+  } catch (error) {
+    sendError(res, error, 'deleting vehicle image');
+  }
+});
+
+const blackoutFields = {
+  vehicleId: rules.id({ required: true, label: 'Vehicle' }),
+  startDate: rules.date({ required: true, label: 'Start date' }),
+  endDate: rules.date({ required: true, label: 'End date' }),
+  reason: rules.oneOf(BLACKOUT_REASONS, { required: true, label: 'Reason' }),
+  notes: rules.string({ label: 'Notes' }),
+};
+// Updates that send only one end of the range are checked against the other in saveBlackout
+const blackoutRange = validation.ordered('startDate', 'endDate', 'End date must be on or after the start date.', { allowEqual: true });
+
+const BLACKOUT_COLUMNS = {
+  vehicleId: 'vehicle_id',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  reason: 'reason',
+  notes: 'notes',
+};
+
+// Saves a blackout after checking its range and that no live booking falls in
+// it; those have to be moved or cancelled first.
+async function saveBlackout(blackout, attributes) {
+  await sequelize.transaction(async (transaction) => {
+    blackout.set(attributes);
+    if (blackout.start_date > blackout.end_date) {
+      throw new HttpError(400, 'End date must be on or after the start date.', { code: 'invalid_range', field: 'endDate' });
+    }
+    const vehicle = await Vehicle.findByPk(blackout.vehicle_id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!vehicle) {
+      throw new HttpError(400, 'Please choose an existing vehicle.', { code: 'vehicle_not_found', field: 'vehicleId' });
+    }
+    const days = dayRange(blackout.start_date, blackout.end_date);
+    const clashes = await Booking.findAll({
+      attributes: ['reference'],
+      where: { vehicle_id: blackout.vehicle_id, ...overlappingRange(days.startAt, days.endAt) },
+      transaction,
+    });
+    if (clashes.length > 0) {
+      throw new HttpError(
+        409,
+        `These bookings fall in the blackout and must be moved first: ${clashes.map(booking => booking.reference).join(', ')}.`,
+        { code: 'booking_conflict' },
+      );
+    }
+    await blackout.save({ transaction });
+  });
+}
+
+// API Route to list blackouts, optionally for one vehicle and/or ending on or after `from`
+adminRouter.get('/blackouts', validate({
+  query: {
+    vehicleId: rules.id({ label: 'Vehicle' }),
+    from: rules.date({ label: 'From' }),
+  },
+}), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.vehicleId) {
+      where.vehicle_id = req.query.vehicleId;
+    }
+    if (req.query.from) {
+      where.end_date = { [Op.gte]: req.query.from };
+    }
+    res.json(await VehicleBlackout.findAll({
+      where,
+      include: [{ model: Vehicle, attributes: ['id', 'name'] }],
+      order: [['start_date', 'ASC']],
+    }));
+  } catch (error) {
+    sendError(res, error, 'listing blackouts');
+  }
+});
+
+// API Route to take a vehicle out of service for a date range
+adminRouter.post('/blackouts', validate({ body: blackoutFields, checks: [blackoutRange] }), async (req, res) => {
+  try {
+    const blackout = VehicleBlackout.build({ created_by: req.customer.id });
+    await saveBlackout(blackout, columnsFrom(req.body, BLACKOUT_COLUMNS));
+    res.status(201).json({ message: 'Blackout added.', blackout });
+  } catch (error) {
+    sendError(res, error, 'adding blackout');
+  }
+});
+
+// API Route to change a blackout's dates, reason or notes
+adminRouter.put('/blackouts/:id', validate({
+  params: idParam('Blackout'),
+  body: validation.partial(blackoutFields),
+  checks: [blackoutRange],
+}), async (req, res) => {
+  try {
+    const blackout = await VehicleBlackout.findByPk(req.params.id);
+    if (!blackout) {
+      throw new HttpError(404, 'Blackout not found.', { code: 'blackout_not_found', field: 'id' });
+    }
+    await saveBlackout(blackout, columnsFrom(req.body, BLACKOUT_COLUMNS));
+    // Moving or shortening the blackout may have freed dates someone is waiting for
+    processWaitlist();
+    res.json({ message: 'Blackout updated.', blackout });
+  } catch (error) {
+    sendError(res, error, 'updating blackout');
+  }
+});
+
+// API Route to end a blackout early or remove it, freeing its dates
+adminRouter.delete('/blackouts/:id', validate({ params: idParam('Blackout') }), async (req, res) => {
+  try {
+    const blackout = await VehicleBlackout.findByPk(req.params.id);
+    if (!blackout) {
+      throw new HttpError(404, 'Blackout not found.', { code: 'blackout_not_found', field: 'id' });
+    }
+    await blackout.destroy();
+    processWaitlist();
+    res.json({ message: 'Blackout removed.' });
+  } catch (error) {
+    sendError(res, error, 'removing blackout');
+  }
+});
+
+const branchFields = {
+  name: rules.string({ required: true, label: 'Branch name' }),
+  city: rules.string({ required: true, label: 'City' }),
+  address: rules.string({ label: 'Address' }),
+  phone: rules.string({ label: 'Phone', maxLength: 32 }),
+  isActive: rules.boolean({ notBlank: true, label: 'Open' }),
+};
+
+const BRANCH_COLUMNS = { name: 'name', city: 'city', address: 'address', phone: 'phone', isActive: 'is_active' };
+
+// API Route to list all branches, including closed ones
+adminRouter.get('/branches', async (req, res) => {
+  try {
+    res.json(await Branch.findAll({ order: [['city', 'ASC'], ['name', 'ASC']] }));
+  } catch (error) {
+    sendError(res, error, 'listing branches');
+  }
+});
+
+// API Route to open a branch
+adminRouter.post('/branches', validate({ body: branchFields }), async (req, res) => {
+  try {
+    const branch = await Branch.create(columnsFrom(req.body, BRANCH_COLUMNS));
+    res.status(201).json({ message: 'Branch added.', branch });
+  } catch (error) {
+    sendError(res, error, 'adding branch');
+  }
+});
+
+// API Route to edit a branch. Branches are closed with isActive rather than
+// deleted, since vehicles and bookings keep pointing at them.
+adminRouter.put('/branches/:id', validate({ params: idParam('Branch'), body: validation.partial(branchFields) }), async (req, res) => {
+  try {
+    const branch = await Branch.findByPk(req.params.id);
+    if (!branch) {
+      throw new HttpError(404, 'Branch not found.', { code: 'branch_not_found', field: 'id' });
+    }
+    await branch.update(columnsFrom(req.body, BRANCH_COLUMNS));
+    res.json({ message: 'Branch updated.', branch });
+  } catch (error) {
+    sendError(res, error, 'updating branch');
+  }
+});
+
+// API Route to add a vehicle type
+adminRouter.post('/vehicle-types', validate({ body: vehicleTypeFields }), async (req, res) => {
+  try {
+    const type = await VehicleType.create(columnsFrom(req.body, VEHICLE_TYPE_COLUMNS));
+    res.status(201).json({ message: 'Vehicle type added.', vehicleType: type });
+  } catch (error) {
+    sendError(res, error, 'adding vehicle type');
+  }
+});
+
+// API Route to edit a vehicle type
+adminRouter.put('/vehicle-types/:id', validate({
+  params: idParam('Vehicle type'),
+  body: validation.partial(vehicleTypeFields),
+}), async (req, res) => {
+  try {
+    const type = await VehicleType.findByPk(req.params.id);
+    if (!type) {
+      throw new HttpError(404, 'Vehicle type not found.', { code: 'vehicle_type_not_found', field: 'id' });
+    }
+    await type.update(columnsFrom(req.body, VEHICLE_TYPE_COLUMNS));
+    res.json({ message: 'Vehicle type updated.', vehicleType: type });
+  } catch (error) {
+    sendError(res, error, 'updating vehicle type');
+  }
+});
+
+// API Route to remove a vehicle type that no vehicle uses (vehicles.type_id is ON DELETE RESTRICT)
+adminRouter.delete('/vehicle-types/:id', validate({ params: idParam('Vehicle type') }), async (req, res) => {
+  try {
+    const type = await VehicleType.findByPk(req.params.id);
+    if (!type) {
+      throw new HttpError(404, 'Vehicle type not found.', { code: 'vehicle_type_not_found', field: 'id' });
+    }
+    await sequelize.transaction(async (transaction) => {
+      // Waitlist entries only lose the type (ON DELETE SET NULL), so close the
+      // ones waiting for it
+      await WaitlistEntry.update({ status: 'expired' }, {
+        where: { type_id: type.id, status: ['waiting', 'offered'] },
+        transaction,
+      });
+      await type.destroy({ transaction });
+    });
+    res.json({ message: 'Vehicle type deleted.' });
+  } catch (error) {
+    if (error instanceof Sequelize.ForeignKeyConstraintError) {
+      return sendError(res, new HttpError(409, 'Vehicles still belong to this type. Move or delete them first.', { code: 'vehicle_type_in_use' }));
+    }
+    sendError(res, error, 'deleting vehicle type');
+  }
+});
+
+const promoCodeFields = {
+  code: rules.string({ required: true, label: 'Promo code', maxLength: 32, normalize: promotions.normalizeCode }),
+  description: rules.string({ label: 'Description' }),
+  discountType: rules.oneOf(['percent', 'flat'], { required: true, label: 'Discount type' }),
+  discountValue: rules.amount({ required: true, label: 'Discount value' }),
+  validFrom: rules.date({ label: 'Valid from' }),
+  validUntil: rules.date({ label: 'Valid until' }),
+  maxRedemptions: rules.integer({ label: 'Usage limit', min: 1 }),
+  minRentalDays: rules.integer({ label: 'Minimum rental days', min: 1 }),
+  // Empty for codes that apply to every type
+  vehicleTypeIds: rules.list(rules.id({ label: 'Vehicle type' }), { label: 'Vehicle types' }),
+  isActive: rules.boolean({ notBlank: true, label: 'Active' }),
+};
+
+const PROMO_CODE_COLUMNS = {
+  code: 'code',
+  description: 'description',
+  discountType: 'discount_type',
+  discountValue: 'discount_value',
+  validFrom: 'valid_from',
+  validUntil: 'valid_until',
+  maxRedemptions: 'max_redemptions',
+  minRentalDays: 'min_rental_days',
+  vehicleTypeIds: 'vehicle_type_ids',
+  isActive: 'is_active',
+};
+
+// Throws a 409 if a different promo code already uses promo.code
+async function assertPromoCodeFree(promo) {
+  const where = { code: promo.code };
+  if (promo.id) {
+    where.id = { [Op.ne]: promo.id };
+  }
+  if (await PromoCode.findOne({ where })) {
+    throw new HttpError(409, 'A promo code with this code already exists.', { code: 'promo_code_taken', field: 'code' });
+  }
+}
+
+// Sets validated promo code payload fields on a code, checking the result
+// as a whole since an update may change only the type or only the value
+function applyPromoCode(promo, body) {
+  promo.set(columnsFrom(body, PROMO_CODE_COLUMNS));
+  if (Array.isArray(promo.vehicle_type_ids) && promo.vehicle_type_ids.length === 0) {
+    promo.vehicle_type_ids = null;
+  }
+  if (promo.discount_type === 'percent' && Number(promo.discount_value) > 100) {
+    throw new HttpError(400, 'Percentage discounts can be at most 100.', { code: 'out_of_range', field: 'discountValue' });
+  }
+  if (promo.valid_from && promo.valid_until && promo.valid_from > promo.valid_until) {
+    throw new HttpError(400, 'The code must stop being valid on or after the day it starts.', { code: 'invalid_range', field: 'validUntil' });
+  }
+  return promo;
+}
+
+// API Route to list promo codes
+adminRouter.get('/promo-codes', async (req, res) => {
+  try {
+    res.json(await PromoCode.findAll({ order: [['code', 'ASC']] }));
+  } catch (error) {
+    sendError(res, error, 'listing promo codes');
+  }
+});
+
+// API Route to create a promo code
+adminRouter.post('/promo-codes', validate({ body: promoCodeFields }), async (req, res) => {
+  try {
+    const promo = applyPromoCode(PromoCode.build(), req.body);
+    await assertPromoCodeFree(promo);
+    await promo.save();
+    res.status(201).json({ message: 'Promo code created.', promoCode: promo });
+  } catch (error) {
+    sendError(res, error, 'creating promo code');
+  }
+});
+
+// API Route to edit or deactivate a promo code
+adminRouter.put('/promo-codes/:id', validate({ params: idParam('Promo code'), body: validation.partial(promoCodeFields) }), async (req, res) => {
+  try {
+    const promo = await PromoCode.findByPk(req.params.id);
+    if (!promo) {
+      throw new HttpError(404, 'Promo code not found.', { code: 'promo_not_found', field: 'id' });
+    }
+    applyPromoCode(promo, req.body);
+    await assertPromoCodeFree(promo);
+    await promo.save();
+    res.json({ message: 'Promo code updated.', promoCode: promo });
+  } catch (error) {
+    sendError(res, error, 'updating promo code');
+  }
+});
+
+// API Route to change an account's role, e.g. to give counter staff access
+adminRouter.put('/customers/:id/role', validate({
+  params: idParam('Account'),
+  body: { role: rules.oneOf(ROLES, { required: true, label: 'Role' }) },
+}), async (req, res) => {
+  try {
+    const customer = await Customer.findByPk(req.params.id);
+    if (!customer) {
+      throw new HttpError(404, 'Account not found.', { code: 'account_not_found', field: 'id' });
+    }
+    await customer.update({ role: req.body.role });
+    res.json({ message: 'Role updated.', customer });
+  } catch (error) {
+    sendError(res, error, 'updating account role');
+  }
+});
+
+// CSV exports and the vehicle import. A vehicle export can be edited and
+// imported again: rows with an id update that vehicle, rows without add one.
+const CSV_IMPORT_MAX_BYTES = 1024 * 1024;
+const CSV_IMPORT_MAX_ROWS = 1000;
+
+// Vehicle CSV columns: [header, vehicleFields payload field, export value]
+const VEHICLE_CSV_COLUMNS = [
+  ['id', null, v => v.id],
+  ['name', 'name', v => v.name],
+  ['type', 'typeId', v => (v.VehicleType ? v.VehicleType.name : v.type_id)],
+  ['branch', 'branchId', v => (v.Branch ? v.Branch.name : v.branch_id)],
+  ['price_per_day', 'pricePerDay', v => v.price_per_day],
+  ['is_available', 'isAvailable', v => v.is_available],
+  ['registration_number', 'registrationNumber', v => v.registration_number],
+  ['seats', 'seats', v => v.seats],
+  ['transmission', 'transmission', v => v.transmission],
+  ['fuel_type', 'fuelType', v => v.fuel_type],
+  ['engine_cc', 'engineCc', v => v.engine_cc],
+  ['luggage_capacity', 'luggageCapacity', v => v.luggage_capacity],
+  ['colour', 'colour', v => v.colour],
+  ['year', 'year', v => v.year],
+  ['image_path', 'imagePath', v => v.image_path],
+];
+
+const VEHICLE_TYPE_CSV_COLUMNS = [
+  ['id', t => t.id],
+  ['name', t => t.name],
+  ['wheels', t => t.wheels],
+  ['price_per_hour', t => t.price_per_hour],
+  ['turnaround_minutes', t => t.turnaround_minutes],
+  ['vehicle_count', t => t.get('vehicle_count')],
+];
+
+// Number of the booking's current rental invoice, the one issued last
+function latestRentalInvoiceNumber(issued = []) {
+  const rental = issued.filter(invoice => invoice.kind === 'rental').sort((a, b) => b.id - a.id);
+  return rental.length > 0 ? rental[0].number : null;
+}
+
+const BOOKING_CSV_COLUMNS = [
+  ['reference', b => b.reference],
+  ['status', b => b.status],
+  ['first_name', b => b.first_name],
+  ['last_name', b => b.last_name],
+  ['email', b => (b.Customer ? b.Customer.email : null)],
+  ['vehicle', b => b.Vehicle.name],
+  ['vehicle_type', b => (b.Vehicle.VehicleType ? b.Vehicle.VehicleType.name : null)],
+  ['registration_number', b => b.Vehicle.registration_number],
+  ['pickup_branch', b => (b.PickupBranch ? b.PickupBranch.name : null)],
+  ['dropoff_branch', b => (b.DropoffBranch || b.PickupBranch ? (b.DropoffBranch || b.PickupBranch).name : null)],
+  ['start_at', b => b.start_at],
+  ['end_at', b => b.end_at],
+  ['promo_code', b => (b.PromoCode ? b.PromoCode.code : null)],
+  ['currency', b => (b.price_breakdown ? b.price_breakdown.currency : null)],
+  ['taxable_amount', b => (b.price_breakdown ? b.price_breakdown.taxableAmount : null)],
+  ['tax_total', b => (b.price_breakdown ? b.price_breakdown.taxTotal : null)],
+  ['total_amount', b => b.total_amount],
+  ['extra_charges_total', b => b.extra_charges_total],
+  ['invoice_number', b => latestRentalInvoiceNumber(b.Invoices)],
+];
+
+// Sends CSV text as a file download named `<name>.csv`
+function sendCsv(res, name, text) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+  res.send(text);
+}
+
+// API Route to export the fleet, optionally only one type and/or home branch
+adminRouter.get('/export/vehicles.csv', validate({
+  query: {
+    typeId: rules.id({ label: 'Vehicle type' }),
+    branchId: rules.id({ label: 'Branch' }),
+  },
+}), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.typeId) {
+      where.type_id = req.query.typeId;
+    }
+    if (req.query.branchId) {
+      where.branch_id = req.query.branchId;
+    }
+    const vehicles = await Vehicle.findAll({
+      where,
+      include: [VehicleType, Branch],
+      order: [['type_id', 'ASC'], ['name', 'ASC']],
+    });
+    sendCsv(res, `vehicles-${today()}`, csv.stringify(VEHICLE_CSV_COLUMNS.map(([header, , value]) => [header, value]), vehicles));
+  } catch (error) {
+    sendError(res, error, 'exporting vehicles');
+  }
+});
+
+// API Route to export the vehicle types with the number of vehicles of each
+adminRouter.get('/export/vehicle-types.csv', async (req, res) => {
+  try {
+    const types = await VehicleType.findAll({
+      attributes: {
+        include: [[sequelize.literal('(SELECT COUNT(*) FROM vehicles WHERE vehicles.type_id = VehicleType.id)'), 'vehicle_count']],
+      },
+      order: [['name', 'ASC']],
+    });
+    sendCsv(res, `vehicle-types-${today()}`, csv.stringify(VEHICLE_TYPE_CSV_COLUMNS, types));
+  } catch (error) {
+    sendError(res, error, 'exporting vehicle types');
+  }
+});
+
+// API Route to export bookings picked up between two dates (inclusive),
+// optionally only for one vehicle type and/or status
+adminRouter.get('/export/bookings.csv', validate({
+  query: {
+    from: rules.date({ label: 'From' }),
+    to: rules.date({ label: 'To' }),
+    typeId: rules.id({ label: 'Vehicle type' }),
+    status: rules.oneOf(BOOKING_STATUSES, { label: 'Status' }),
+  },
+  checks: [validation.ordered('from', 'to', 'The end date cannot be before the start date.', { allowEqual: true })],
+}), async (req, res) => {
+  try {
+    const { from, to, typeId, status } = req.query;
+    const where = {};
+    if (from || to) {
+      const range = dayRange(from || to, to || from);
+      where.start_at = {};
+      if (from) {
+        where.start_at[Op.gte] = range.startAt;
+      }
+      if (to) {
+        where.start_at[Op.lt] = range.endAt;
+      }
+    }
+    if (status) {
+      where.status = status;
+    }
+    const bookings = await Booking.findAll({
+      where,
+      include: [
+        { model: Vehicle, where: typeId ? { type_id: typeId } : undefined, include: [VehicleType] },
+        { model: Branch, as: 'PickupBranch' },
+        { model: Branch, as: 'DropoffBranch' },
+        { model: Customer, attributes: ['email'] },
+        { model: PromoCode, attributes: ['code'] },
+        { model: Invoice, attributes: ['id', 'kind', 'number'] },
+      ],
+      order: [['start_at', 'ASC'], ['id', 'ASC']],
+    });
+    sendCsv(res, `bookings-${today()}`, csv.stringify(BOOKING_CSV_COLUMNS, bookings));
+  } catch (error) {
+    sendError(res, error, 'exporting bookings');
+  }
+});
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CSV_IMPORT_MAX_BYTES, files: 1 },
+}).single('file');
+
+// Runs the multipart parser for a CSV upload in the `file` field, turning its
+// errors into HttpErrors, and resolves with the file's text
+function receiveCsv(req, res) {
+  return new Promise((resolve, reject) => {
+    csvUpload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: [413, `The CSV file must be ${CSV_IMPORT_MAX_BYTES / 1024} KB or smaller.`],
+          LIMIT_UNEXPECTED_FILE: [400, 'The CSV file must be sent in the `file` form field.'],
+        };
+        const [status, message] = messages[error.code] || [400, error.message];
+        return reject(new HttpError(status, message, { field: 'file' }));
+      }
+      if (error) {
+        return reject(error);
+      }
+      if (!req.file) {
+        return reject(new HttpError(400, 'Choose a CSV file to import.', { code: 'required', field: 'file' }));
+      }
+      resolve(req.file.buffer.toString('utf8'));
+    });
+  });
+}
+
+// Turns a CSV yes/no cell into a boolean; blank leaves it unset
+function csvBoolean(value) {
+  if (value === '') {
+    return undefined;
+  }
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) {
+    return true;
+  }
+  if (['false', 'no', 'n', '0'].includes(normalized)) {
+    return false;
+  }
+  throw new HttpError(400, 'Must be true or false.', { field: 'isAvailable' });
+}
+
+// Finds the ID of the vehicle type or branch named in a CSV cell, by ID or by
+// name (case-insensitive), or null if there is none. Blank cells stay '' for
+// the field checks to handle like any other empty field.
+function csvLookup(value, records) {
+  if (value === '') {
+    return '';
+  }
+  const match = /^\d+$/.test(value)
+    ? records.find(record => record.id === Number(value))
+    : records.find(record => record.name.toLowerCase() === value.toLowerCase());
+  return match ? match.id : null;
+}
+
+// Checks every row of a vehicle CSV and works out what it would change.
+// Resolves with the vehicles to create or update and the problems found, at
+// most one per row, as { line, column, code, message }.
+async function planVehicleImport(text) {
+  let parsed;
+  try {
+    parsed = csv.parseRecords(text);
+  } catch (error) {
+    throw new HttpError(400, error.message, { code: 'invalid_csv', field: 'file' });
+  }
+  const { headers, records } = parsed;
+  const known = VEHICLE_CSV_COLUMNS.map(([header]) => header);
+  const unknown = headers.filter(header => !known.includes(header));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown columns: ${unknown.join(', ')}. Expected: ${known.join(', ')}.`, { code: 'invalid_csv', field: 'file' });
+  }
+  if (records.length === 0) {
+    throw new HttpError(400, 'The CSV file has no vehicle rows.', { code: 'invalid_csv', field: 'file' });
+  }
+  if (records.length > CSV_IMPORT_MAX_ROWS) {
+    throw new HttpError(400, `Import at most ${CSV_IMPORT_MAX_ROWS} vehicles at a time.`, { code: 'invalid_csv', field: 'file' });
+  }
+
+  const [types, branches] = await Promise.all([
+    VehicleType.findAll({ attributes: ['id', 'name'] }),
+    Branch.findAll({ attributes: ['id', 'name'] }),
+  ]);
+  const columnFor = field => (VEHICLE_CSV_COLUMNS.find(([, payloadField]) => payloadField === field) || [field])[0];
+  const planned = [];
+  const errors = [];
+  const seenIds = new Set();
+  const seenRegistrations = new Set();
+
+  for (const { line, values } of records) {
+    try {
+      const vehicleId = values.id ? Number(values.id) : null;
+      if (values.id && (!Number.isInteger(vehicleId) || !(await Vehicle.findByPk(vehicleId)))) {
+        throw new HttpError(400, `There is no vehicle with ID ${values.id}.`, { code: 'vehicle_not_found', field: 'id' });
+      }
+      if (vehicleId && seenIds.has(vehicleId)) {
+        throw new HttpError(400, `Vehicle ${vehicleId} appears more than once in the file.`, { code: 'duplicate_row', field: 'id' });
+      }
+
+      const payload = {};
+      for (const [header, field] of VEHICLE_CSV_COLUMNS) {
+        if (field && header in values) {
+          payload[field] = values[header];
+        }
+      }
+      if ('typeId' in payload) {
+        payload.typeId = csvLookup(payload.typeId, types);
+        if (payload.typeId === null) {
+          throw new HttpError(400, `There is no vehicle type "${values.type}".`, { code: 'unknown_type', field: 'typeId' });
+        }
+      }
+      if ('branchId' in payload) {
+        payload.branchId = csvLookup(payload.branchId, branches);
+        if (payload.branchId === null) {
+          throw new HttpError(400, `There is no branch "${values.branch}".`, { code: 'unknown_branch', field: 'branchId' });
+        }
+      }
+      if ('isAvailable' in payload) {
+        payload.isAvailable = csvBoolean(payload.isAvailable);
+      }
+
+      const checked = validation.validateFields(vehicleId ? vehicleUpdateFields : vehicleFields, payload);
+      const attributes = await vehicleAttributesFrom(checked, { vehicleId });
+      if (attributes.registration_number) {
+        if (seenRegistrations.has(attributes.registration_number)) {
+          throw new HttpError(400, 'Another row in the file has this registration number.', { code: 'duplicate_row', field: 'registrationNumber' });
+        }
+        seenRegistrations.add(attributes.registration_number);
+      }
+      if (vehicleId) {
+        seenIds.add(vehicleId);
+      }
+      planned.push({ line, vehicleId, attributes });
+    } catch (error) {
+      if (!(error instanceof HttpError || error instanceof validation.ValidationError)) {
+        throw error;
+      }
+      errors.push({ line, column: error.field ? columnFor(error.field) : null, code: error.code, message: error.message });
+    }
+  }
+  return { planned, errors };
+}
+
+// API Route to import vehicles from a CSV file uploaded as multipart/form-data
+// in the `file` field. Every row is checked first; with `dryRun=true`, or if
+// any row has problems, nothing is saved and the report lists them by line.
+// Otherwise all rows are saved in one transaction.
+adminRouter.post('/import/vehicles', validate({
+  query: { dryRun: rules.boolean({ label: 'Dry run' }) },
+}), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === true;
+    const { planned, errors } = await planVehicleImport(await receiveCsv(req, res));
+    const report = {
+      dryRun,
+      rows: planned.length + errors.length,
+      created: planned.filter(row => !row.vehicleId).length,
+      updated: planned.filter(row => row.vehicleId).length,
+      errors,
+    };
+    if (errors.length > 0) {
+      const message = `${errors.length} of ${report.rows} rows have problems${dryRun ? '' : '; nothing was imported'}.`;
+      if (dryRun) {
+        return res.json({ message, ...report });
+      }
+      throw new HttpError(400, message, { code: 'invalid_rows', ...report });
+    }
+    if (!dryRun) {
+      await sequelize.transaction(async (transaction) => {
+        for (const { vehicleId, attributes } of planned) {
+          if (vehicleId) {
+            await Vehicle.update(attributes, { where: { id: vehicleId }, transaction });
+          } else {
+            await Vehicle.create(attributes, { transaction });
+          }
+        }
+      });
+    }
+    const summary = `${report.created} to add and ${report.updated} to update`;
+    res.json({ message: dryRun ? `All ${report.rows} rows are valid: ${summary}.` : `Imported ${report.rows} vehicles: ${report.created} added, ${report.updated} updated.`, ...report });
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return sendError(res, new HttpError(409, 'A registration number in the file was taken while importing. Nothing was imported; please try again.', { code: 'registration_taken' }), 'importing vehicles');
+    }
+    sendError(res, error, 'importing vehicles');
+  }
+});
+
+// Reports over a period of whole days (see services/reports.js), as JSON or
+// as CSV of their main table. Only paid bookings count.
+const REPORT_MAX_DAYS = 731;
+
+const reportPeriodSchema = validate({
+  query: {
+    from: rules.date({ required: true, label: 'From' }),
+    to: rules.date({ required: true, label: 'To' }),
+  },
+  checks: [
+    validation.ordered('from', 'to', 'The end date cannot be before the start date.', { allowEqual: true }),
+    (values) => {
+      if ((new Date(values.to) - new Date(values.from)) / (24 * 3600000) >= REPORT_MAX_DAYS) {
+        throw new validation.ValidationError('invalid_range', `Reports cover at most ${REPORT_MAX_DAYS} days.`, 'to');
+      }
+    },
+  ],
+});
+
+const REPORTS = {
+  utilisation: {
+    build: data => reports.utilisation(data),
+    csvRows: report => report.vehicles,
+    csvColumns: [
+      ['vehicle', row => row.name],
+      ['registration_number', row => row.registrationNumber],
+      ['type', row => row.typeName],
+      ['booked_hours', row => row.bookedHours],
+      ['utilisation_percent', row => row.utilisation],
+      ['bookings', row => row.bookings],
+      ['net_revenue', row => row.revenue],
+    ],
+  },
+  revenue: {
+    build: data => ({ months: reports.revenueByMonth(data) }),
+    csvRows: report => report.months,
+    csvColumns: [
+      ['month', row => row.month],
+      ['bookings', row => row.bookings],
+      ['net_revenue', row => row.net],
+      ['tax', row => row.tax],
+      ['gross_revenue', row => row.gross],
+    ],
+  },
+  rentals: {
+    build: data => reports.rentalStats(data),
+    csvRows: report => [{ name: 'All types', ...report.overall }, ...report.types],
+    csvColumns: [
+      ['type', row => row.name],
+      ['bookings', row => row.bookings],
+      ['average_length_hours', row => row.averageLengthHours],
+      ['average_lead_days', row => row.averageLeadDays],
+      ['median_lead_days', row => row.medianLeadDays],
+    ],
+  },
+};
+
+// The fleet and the paid bookings overlapping [from, to] (inclusive dates),
+// in the shape services/reports.js takes
+async function reportData(from, to) {
+  const period = dayRange(from, to);
+  const [vehicles, bookings] = await Promise.all([
+    Vehicle.findAll({ include: [VehicleType] }),
+    Booking.findAll({
+      where: {
+        status: { [Op.in]: PAID_BOOKING_STATUSES },
+        start_at: { [Op.lt]: period.endAt },
+        end_at: { [Op.gt]: period.startAt },
+      },
+      include: [{ model: Vehicle, attributes: ['id', 'type_id'], include: [{ model: VehicleType, attributes: ['id', 'name'] }] }],
+    }),
+  ]);
+  return {
+    period,
+    vehicles: vehicles.map(vehicle => ({
+      id: vehicle.id,
+      name: vehicle.name,
+      registrationNumber: vehicle.registration_number,
+      typeId: vehicle.type_id,
+      typeName: vehicle.VehicleType ? vehicle.VehicleType.name : null,
+    })),
+    bookings: bookings.map((booking) => {
+      const quote = booking.price_breakdown;
+      const extras = booking.extra_charges;
+      // Bookings priced before breakdowns were stored only have a total
+      const net = quote ? Number(quote.taxableAmount) : Number(booking.total_amount || 0);
+      const tax = quote ? Number(quote.taxTotal) : 0;
+      return {
+        vehicleId: booking.vehicle_id,
+        typeId: booking.Vehicle.type_id,
+        typeName: booking.Vehicle.VehicleType ? booking.Vehicle.VehicleType.name : null,
+        startAt: booking.start_at,
+        endAt: booking.end_at,
+        createdAt: booking.created_at,
+        net: net + (extras ? Number(extras.subtotal) : 0),
+        tax: tax + (extras ? Number(extras.taxTotal) : 0),
+      };
+    }),
+  };
+}
+
+function findReport(name) {
+  if (!Object.prototype.hasOwnProperty.call(REPORTS, name)) {
+    throw new HttpError(404, `There is no "${name}" report. Available: ${Object.keys(REPORTS).join(', ')}.`, { code: 'report_not_found' });
+  }
+  return REPORTS[name];
+}
+
+// API Route to download a report's main table as CSV
+adminRouter.get('/reports/:name.csv', reportPeriodSchema, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = findReport(req.params.name);
+    const result = report.build(await reportData(from, to));
+    sendCsv(res, `${req.params.name}-${from}-to-${to}`, csv.stringify(report.csvColumns, report.csvRows(result)));
+  } catch (error) {
+    sendError(res, error, 'exporting report');
+  }
+});
+
+// API Route to run a report: utilisation, revenue or rentals
+adminRouter.get('/reports/:name', reportPeriodSchema, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = findReport(req.params.name);
+    res.json({ from, to, ...report.build(await reportData(from, to)) });
+  } catch (error) {
+    sendError(res, error, 'running report');
+  }
+});
+
+// API Route to search the audit log, newest first. Filter by what changed
+// (entityType and entityId, or a booking's reference), who changed it, the
+// action, the request and/or a date range; page back with beforeId.
+adminRouter.get('/audit-log', validate({
+  query: {
+    entityType: rules.oneOf(AUDITED_ENTITY_TYPES, { label: 'Entity type' }),
+    entityId: rules.id({ label: 'Entity' }),
+    reference: rules.string({ label: 'Booking reference', maxLength: 12 }),
+    actorId: rules.id({ label: 'Actor' }),
+    action: rules.oneOf(['create', 'update', 'delete'], { label: 'Action' }),
+    requestId: rules.string({ label: 'Request ID', maxLength: 64 }),
+    from: rules.date({ label: 'From' }),
+    to: rules.date({ label: 'To' }),
+    beforeId: rules.id({ label: 'Before' }),
+    limit: rules.integer({ label: 'Limit', min: 1, max: 500 }),
+  },
+  checks: [
+    validation.together(['entityType', 'entityId'], 'Give both the entity type and the entity ID.'),
+    validation.ordered('from', 'to', 'The end date cannot be before the start date.', { allowEqual: true }),
+  ],
+}), async (req, res) => {
+  try {
+    const { entityType, entityId, reference, actorId, action, requestId, from, to, beforeId } = req.query;
+    const limit = req.query.limit || 100;
+    const where = {};
+    if (reference) {
+      const booking = await Booking.findOne({ attributes: ['id'], where: { reference } });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found', field: 'reference' });
+      }
+      where.entity_type = 'booking';
+      where.entity_id = booking.id;
+    } else if (entityType) {
+      where.entity_type = entityType;
+      where.entity_id = entityId;
+    }
+    if (actorId) {
+      where.actor_id = actorId;
+    }
+    if (action) {
+      where.action = action;
+    }
+    if (requestId) {
+      where.request_id = requestId;
+    }
+    if (from || to) {
+      const range = dayRange(from || to, to || from);
+      where.created_at = {};
+      if (from) {
+        where.created_at[Op.gte] = range.startAt;
+      }
+      if (to) {
+        where.created_at[Op.lt] = range.endAt;
+      }
+    }
+    if (beforeId) {
+      where.id = { [Op.lt]: beforeId };
+    }
+    const entries = await AuditLog.findAll({
+      where,
+      include: [{ model: Customer, as: 'Actor', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+      order: [['id', 'DESC']],
+      limit,
+    });
+    res.json({ entries, nextBeforeId: entries.length === limit ? entries[entries.length - 1].id : null });
+  } catch (error) {
+    sendError(res, error, 'searching audit log');
+  }
+});
+
+app.use('/api/admin', adminRouter);
+
+// Counter routes for handing vehicles over and taking them back
+const staffRouter = express.Router();
+staffRouter.use(requireStaff);
+
+// Schema for the odometer reading (km) and fuel level (%) staff enter at the counter
+const counterReadingsSchema = validate({
+  body: {
+    odometer: rules.integer({ required: true, label: 'Odometer', min: 0 }),
+    fuelLevel: rules.integer({ required: true, label: 'Fuel level', min: 0, max: 100 }),
+  },
+});
+
+// API Route to hand a reserved vehicle to the customer
+staffRouter.post('/bookings/:ref/check-out', counterReadingsSchema, async (req, res) => {
+  try {
+    const { odometer, fuelLevel } = req.body;
+
+    await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { reference: req.params.ref },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+      }
+      if (booking.status !== 'confirmed') {
+        throw new HttpError(409, `Only reserved bookings can be checked out; this one is ${booking.status.replace('_', ' ')}.`, { code: 'invalid_booking_status' });
+      }
+      if (today() < localDate(booking.start_at)) {
+        throw new HttpError(409, `This booking starts on ${localDate(booking.start_at)} and cannot be picked up yet.`, { code: 'too_early' });
+      }
+
+      await booking.update({
+        status: 'active',
+        checked_out_at: new Date(),
+        checked_out_by: req.customer.id,
+        odometer_out: odometer,
+        fuel_level_out: fuelLevel,
+      }, { transaction });
+    });
+
+    const booking = await findBookingByReference(req.params.ref);
+    res.json({ message: 'Vehicle checked out.', booking });
+  } catch (error) {
+    sendError(res, error, 'checking out vehicle');
+  }
+});
+
+// API Route to take a vehicle back, charging for late return and extra kilometres
+staffRouter.post('/bookings/:ref/check-in', counterReadingsSchema, async (req, res) => {
+  try {
+    const { odometer, fuelLevel } = req.body;
+
+    await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { reference: req.params.ref },
+        include: [{ model: Vehicle, include: [VehicleType] }],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!booking) {
+        throw new HttpError(404, 'No booking found with that reference.', { code: 'booking_not_found' });
+      }
+      if (booking.status !== 'active') {
+        throw new HttpError(409, `Only checked-out bookings can be checked in; this one is ${booking.status.replace('_', ' ')}.`, { code: 'invalid_booking_status' });
+      }
+      if (odometer < booking.odometer_out) {
+        throw new HttpError(400, `Odometer cannot be lower than at check-out (${booking.odometer_out} km).`, { code: 'out_of_range', field: 'odometer' });
+      }
+
+      const checkedInAt = new Date();
+      const charges = pricing.returnCharges({
+        pricePerDay: booking.Vehicle.price_per_day,
+        vehicleType: booking.Vehicle.VehicleType ? booking.Vehicle.VehicleType.name : null,
+        startAt: booking.start_at,
+        endAt: booking.end_at,
+        returnedAt: checkedInAt,
+        distanceKm: odometer - booking.odometer_out,
+      });
+
+      // Fills in an older rental invoice before the charges on return get one
+      // of their own, so they are not billed on both
+      await currentInvoice(booking, transaction);
+      await booking.update({
+        status: 'returned',
+        checked_in_at: checkedInAt,
+        checked_in_by: req.customer.id,
+        odometer_in: odometer,
+        fuel_level_in: fuelLevel,
+        extra_charges_total: charges.total,
+        extra_charges: charges,
+      }, { transaction });
+      if (charges.lines.length > 0) {
+        await issueInvoice(booking, {
+          kind: 'return_charges',
+          total: charges.total,
+          details: await invoiceDetails(booking, 'return_charges', transaction),
+        }, transaction);
+      }
+    });
+
+    const booking = await findBookingByReference(req.params.ref);
+    res.json({ message: 'Vehicle checked in.', booking });
+  } catch (error) {
+    sendError(res, error, 'checking in vehicle');
+  }
+});
+
+// --- Calendar feeds ---
+// Staff subscribe to booking schedules from their calendar apps, which cannot
+// send an Authorization header. Feed URLs therefore carry their own token: a
+// JWT naming the calendar_feeds row it was issued as and the one feed it
+// opens, so it grants read access to nothing else. A token stops working when
+// its row expires (CALENDAR_FEED_TTL_DAYS after issue) or is revoked, when
+// the holder loses the staff role, or when CALENDAR_FEED_SECRET is rotated.
+// Rotating a feed revokes its link and issues a new one for the same scope.
+
+const FEED_AUDIENCE = 'calendar-feed';
+const FEED_TTL_DAYS = Number(process.env.CALENDAR_FEED_TTL_DAYS) || 180;
+// Bookings shown in feeds: recent history and the year ahead
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+function feedSecret() {
+  return process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET;
+}
+
+// Feed scopes: 'vehicle:<id>', 'type:<id>' or 'fleet'
+function feedScope({ vehicleId, typeId }) {
+  if (vehicleId) return `vehicle:${vehicleId}`;
+  if (typeId) return `type:${typeId}`;
+  return 'fleet';
+}
+
+// The path of the feed a scope opens
+function feedPath(scope) {
+  const [kind, id] = scope.split(':');
+  if (kind === 'vehicle') return `/api/vehicles/${id}/calendar.ics`;
+  return `/api/fleet/calendar.ics${kind === 'type' ? `?typeId=${id}` : ''}`;
+}
+
+// Creates a feed link for the signed-in staff member and resolves with the
+// saved feed and its subscribable URL. The token is only ever in the URL.
+async function issueFeed(req, { scope, name }) {
+  const feed = await CalendarFeed.create({
+    customer_id: req.customer.id,
+    scope,
+    name,
+    expires_at: new Date(Date.now() + FEED_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const token = jwt.sign(
+    { sub: req.customer.id, scope, exp: Math.floor(feed.expires_at.getTime() / 1000) },
+    feedSecret(),
+    { audience: FEED_AUDIENCE, jwtid: String(feed.id) },
+  );
+  const path = feedPath(scope);
+  return { feed, url: `${req.protocol}://${req.get('host')}${path}${path.includes('?') ? '&' : '?'}token=${token}` };
+}
+
+// Rejects a feed request unless its token was issued for `scope`, has not
+// expired or been revoked, and belongs to someone who is still staff
+async function assertFeedAccess(token, scope) {
+  let claims = null;
+  try {
+    claims = jwt.verify(token || '', feedSecret(), { audience: FEED_AUDIENCE });
+  } catch (error) {
+    // Falls through to the rejection below
+  }
+  const feed = claims && claims.jti && claims.scope === scope
+    && await CalendarFeed.findByPk(claims.jti, { include: [Customer] });
+  const usable = feed && feed.scope === scope && !feed.revoked_at && feed.expires_at > new Date();
+  if (!usable || !['staff', 'admin'].includes(feed.Customer.role)) {
+    throw new HttpError(401, 'This calendar link is invalid, expired or has been revoked.', { code: 'invalid_feed_token', field: 'token' });
+  }
+}
+
+// How each booking status shows up in calendars. Unpaid holds are tentative
+// and expired ones are dropped; cancelled bookings stay in the feed as
+// cancelled events so subscribed calendars remove them.
+const FEED_EVENT_STATUSES = {
+  pending_payment: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  active: 'CONFIRMED',
+  returned: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+// Renders the bookings matching `where` as an iCalendar document. Each
+// booking is one event whose UID depends only on its reference, so clients
+// refreshing the feed update the event in place when the booking changes.
+async function bookingFeed(where, name) {
+  const now = Date.now();
+  const bookings = await Booking.findAll({
+    where: {
+      ...where,
+      [Op.or]: [
+        { status: ['confirmed', 'active', 'returned', 'cancelled'] },
+        { status: 'pending_payment', payment_expires_at: { [Op.gt]: new Date(now) } },
+      ],
+      start_at: { [Op.lt]: new Date(now + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000) },
+      end_at: { [Op.gt]: new Date(now - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) },
+    },
+    include: [
+      { model: Vehicle, attributes: ['id', 'name', 'registration_number'] },
+      { model: Branch, as: 'PickupBranch' },
+      { model: Branch, as: 'DropoffBranch' },
+    ],
+    order: [['start_at', 'ASC']],
+  });
+
+  return ical.calendar(bookings.map((booking) => {
+    const vehicle = booking.Vehicle;
+    const dropoff = booking.DropoffBranch || booking.PickupBranch;
+    const oneWay = booking.DropoffBranch && booking.PickupBranch && booking.DropoffBranch.id !== booking.PickupBranch.id;
+    return {
+      uid: `booking-${booking.reference}@vehicle-rental`,
+      start: booking.start_at,
+      end: booking.end_at,
+      summary: `${vehicle.name}: ${booking.first_name} ${booking.last_name}`,
+      description: [
+        `Booking reference: ${booking.reference}`,
+        vehicle.registration_number && `Registration: ${vehicle.registration_number}`,
+        oneWay && `One-way rental, returned to ${branchLocation(dropoff)}`,
+      ].filter(Boolean).join('\n'),
+      location: branchLocation(booking.PickupBranch),
+      status: FEED_EVENT_STATUSES[booking.status],
+      // Whole seconds since the epoch only grow as the booking changes
+      sequence: Math.floor(booking.updated_at.getTime() / 1000),
+      lastModified: booking.updated_at,
+    };
+  }), { name });
+}
+
+function sendCalendar(res, body) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(body);
+}
+
+// API Route to list the signed-in staff member's feed links that still work
+staffRouter.get('/calendar-feeds', async (req, res) => {
+  try {
+    res.json(await CalendarFeed.findAll({
+      where: { customer_id: req.customer.id, revoked_at: null, expires_at: { [Op.gt]: new Date() } },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+    }));
+  } catch (error) {
+    sendError(res, error, 'listing calendar feeds');
+  }
+});
+
+// API Route to create a subscribable feed link for one vehicle (`vehicleId`),
+// one vehicle type (`typeId`) or, with neither, the whole fleet
+staffRouter.post('/calendar-feeds', validate({
+  body: {
+    vehicleId: rules.id({ label: 'Vehicle' }),
+    typeId: rules.id({ label: 'Vehicle type' }),
+  },
+}), async (req, res) => {
+  try {
+    const { vehicleId, typeId } = req.body;
+    let name;
+    if (vehicleId) {
+      const vehicle = await Vehicle.findByPk(vehicleId);
+      if (!vehicle) {
+        throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'vehicleId' });
+      }
+      name = `Bookings: ${vehicle.name}`;
+    } else {
+      const type = typeId && await VehicleType.findByPk(typeId);
+      if (typeId && !type) {
+        throw new HttpError(404, 'Vehicle type not found.', { code: 'vehicle_type_not_found', field: 'typeId' });
+      }
+      name = type ? `Bookings: ${type.name}` : 'Bookings: whole fleet';
+    }
+
+    const { feed, url } = await issueFeed(req, { scope: feedScope({ vehicleId, typeId }), name });
+    res.status(201).json({ message: 'Calendar link created.', feed, name, url });
+  } catch (error) {
+    sendError(res, error, 'issuing calendar feed');
+  }
+});
+
+// Loads a feed link the signed-in staff member may manage: their own, or any
+// for admins. Throws unless it still works.
+async function findManagedFeed(req) {
+  const feed = await CalendarFeed.findByPk(req.params.id);
+  if (!feed || (feed.customer_id !== req.customer.id && req.customer.role !== 'admin')) {
+    throw new HttpError(404, 'Calendar link not found.', { code: 'feed_not_found', field: 'id' });
+  }
+  if (feed.revoked_at || feed.expires_at <= new Date()) {
+    throw new HttpError(409, 'This calendar link has already stopped working.', { code: 'feed_inactive', field: 'id' });
+  }
+  return feed;
+}
+
+// API Route to revoke a feed link, e.g. one shared by mistake
+staffRouter.delete('/calendar-feeds/:id', validate({ params: idParam('Calendar link') }), async (req, res) => {
+  try {
+    const feed = await findManagedFeed(req);
+    await feed.update({ revoked_at: new Date() });
+    res.json({ message: 'Calendar link revoked. Calendars subscribed to it will stop updating.' });
+  } catch (error) {
+    sendError(res, error, 'revoking calendar feed');
+  }
+});
+
+// API Route to replace a feed link with a new one for the same bookings,
+// revoking the old link. The new link starts a fresh expiry period.
+staffRouter.post('/calendar-feeds/:id/rotate', validate({ params: idParam('Calendar link') }), async (req, res) => {
+  try {
+    const old = await findManagedFeed(req);
+    await old.update({ revoked_at: new Date() });
+    const { feed, url } = await issueFeed(req, { scope: old.scope, name: old.name });
+    res.status(201).json({ message: 'Calendar link replaced. Subscribe to the new link; the old one no longer works.', feed, name: feed.name, url });
+  } catch (error) {
+    sendError(res, error, 'rotating calendar feed');
+  }
+});
+
+app.use('/api/staff', staffRouter);
+
+// API Route to get one vehicle's bookings as an iCalendar feed
+app.get('/api/vehicles/:id/calendar.ics', validate({
+  params: { id: rules.id({ required: true, label: 'Vehicle' }) },
+  query: { token: rules.string({ required: true, label: 'Feed token', maxLength: 2000 }) },
+}), async (req, res) => {
+  try {
+    await assertFeedAccess(req.query.token, feedScope({ vehicleId: req.params.id }));
+    const vehicle = await Vehicle.findByPk(req.params.id);
+    if (!vehicle) {
+      throw new HttpError(404, 'Vehicle not found.', { code: 'vehicle_not_found', field: 'id' });
+    }
+    sendCalendar(res, await bookingFeed({ vehicle_id: vehicle.id }, `Bookings: ${vehicle.name}`));
+  } catch (error) {
+    sendError(res, error, 'building vehicle calendar');
+  }
+});
+
+// API Route to get the whole fleet's bookings as an iCalendar feed,
+// optionally only for vehicles of type `typeId`
+app.get('/api/fleet/calendar.ics', validate({
+  query: {
+    typeId: rules.id({ label: 'Vehicle type' }),
+    token: rules.string({ required: true, label: 'Feed token', maxLength: 2000 }),
+  },
+}), async (req, res) => {
+  try {
+    const { typeId } = req.query;
+    await assertFeedAccess(req.query.token, feedScope({ typeId }));
+    const type = typeId && await VehicleType.findByPk(typeId);
+    if (typeId && !type) {
+      throw new HttpError(404, 'Vehicle type not found.', { field: 'typeId' });
+    }
+    const where = type ? { '$Vehicle.type_id$': type.id } : {};
+    sendCalendar(res, await bookingFeed(where, type ? `Bookings: ${type.name}` : 'Bookings: whole fleet'));
+  } catch (error) {
+    sendError(res, error, 'building fleet calendar');
+  }
+});
+payments.mountGatewayRoutes(app);
+storage.mountStorageRoutes(app);
+
+// Errors raised outside the route handlers, such as a malformed JSON body,
+// get the same response shape as the rest of the API
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new HttpError(400, 'The request body is not valid JSON.', { code: 'invalid_json' }));
+  }
+  sendError(res, error, `handling ${req.method} ${req.path}`);
+});
+
+// Sync database models and start the server
+async function startServer() {
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET must be set in backend/.env to sign customer tokens.');
+    process.exit(1);
+  }
+
+  try {
+    await sequelize.authenticate();
+    console.log('Database connection has been established successfully.');
+
+    // Sweep unpaid bookings every minute
+    setInterval(() => {
+      expireUnpaidBookings().catch(error => console.error('Error expiring unpaid bookings:', error));
+    }, 60 * 1000);
+
+    // Send pickup reminders hourly, so a restart never skips a day
+    const remind = () => sendPickupReminders().catch(error => console.error('Error sending pickup reminders:', error));
+    remind();
+    setInterval(remind, 60 * 60 * 1000);
+
+    // Lapse unclaimed waitlist offers and pass them on every minute
+    setInterval(processWaitlist, 60 * 1000);
+
+    const PORT = process.env.PORT || 5000;
+    app.listen(PORT, () => {
+      console.log(`Server is running on port ${PORT}`);
+    });
+  } catch (error) {
+    console.error('Unable to connect to the database:', error);
+  }
+}
+
+// Start listening when run directly; the tests load the app without a server
+if (require.main === module) {
+  startServer();
 }
 
-startServer();
+module.exports = {
+  app,
+  sequelize,
+  models: { VehicleType, Branch, Vehicle, Customer, Booking, PromoCode, Payment, VehicleBlackout, VehicleImage, Invoice, InvoiceSeries, AuditLog, WaitlistEntry, CalendarFeed },
+  expireUnpaidBookings,
+  processWaitlist,
+};
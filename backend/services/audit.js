@@ -0,0 +1,86 @@
+// backend/services/audit.js
+//
+// Who is behind a change, for the audit trail. Every request runs in its own
+// context holding a request ID (the client's X-Request-Id, or a new one) and,
+// once authenticated, the account making it, so model hooks can attribute the
+// rows they write without the route passing anything down. Changes made
+// outside a request, such as expiring unpaid bookings, are put down to the
+// system; requests without an account (managing a booking by its reference)
+// to a guest.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Express middleware that opens the context for a request and echoes its ID
+// back in the X-Request-Id response header
+function middleware(req, res, next) {
+  const supplied = req.get('X-Request-Id');
+  const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, actor: null }, next);
+}
+
+// Records the authenticated account of the current request
+function setActor(customer) {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = { id: customer.id, role: customer.role };
+  }
+}
+
+/**
+ * The actor and request of the current context, as audit log columns.
+ *
+ * @returns {{ actor_id: ?number, actor_role: string, request_id: ?string }}
+ *          actor_role is the account's role, 'guest' or 'system'
+ */
+function currentActor() {
+  const context = storage.getStore();
+  if (!context) {
+    return { actor_id: null, actor_role: 'system', request_id: null };
+  }
+  return {
+    actor_id: context.actor ? context.actor.id : null,
+    actor_role: context.actor ? context.actor.role : 'guest',
+    request_id: context.requestId,
+  };
+}
+
+// Dates as ISO strings, so the diff reads the same once stored as JSON
+function comparable(value) {
+  return value instanceof Date ? value.toISOString() : value === undefined ? null : value;
+}
+
+/**
+ * The fields a create, update or delete of a model instance changed, as
+ * { field: { from, to } }. Call from the model's after-hooks.
+ *
+ * @param {object} instance            Sequelize model instance
+ * @param {string} action              'create', 'update' or 'delete'
+ * @param {object} [options]
+ * @param {string[]} [options.ignore]  Fields to leave out of the diff
+ * @returns {?object} The diff, or null when nothing changed
+ */
+function changesOf(instance, action, { ignore = [] } = {}) {
+  const changes = {};
+  const fields = action === 'update'
+    ? instance.changed() || []
+    : Object.keys(instance.constructor.rawAttributes);
+  for (const field of fields) {
+    if (ignore.includes(field) || instance.constructor.rawAttributes[field].type.key === 'VIRTUAL') {
+      continue;
+    }
+    const before = action === 'create' ? null : comparable(action === 'update' ? instance.previous(field) : instance.get(field));
+    const after = action === 'delete' ? null : comparable(instance.get(field));
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { from: before, to: after };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+module.exports = { middleware, setActor, currentActor, changesOf };
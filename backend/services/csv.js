@@ -0,0 +1,120 @@
+// backend/services/csv.js
+//
+// Reading and writing CSV (RFC 4180) for the admin exports and imports.
+// Fields containing commas, quotes or line breaks are quoted; text that a
+// spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV.
+ *
+ * @param {Array<[string, function(object): *]>} columns  Header and value getter of each column
+ * @param {object[]} rows
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+function stringify(columns, rows) {
+  const lines = [columns.map(([header]) => escapeField(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, value]) => escapeField(value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of fields. Accepts CRLF or LF line endings and a
+ * leading byte order mark; blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>} Each row with the line it starts on
+ * @throws {Error} When a quoted field is never closed
+ */
+function parse(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unclosed quoted field starting on line ${rowLine}.`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV whose first row holds the column names.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], records: Array<{ line: number, values: Object<string, string> }> }}
+ *          Headers trimmed and lower-cased; values trimmed, keyed by header
+ */
+function parseRecords(text) {
+  const [header, ...rows] = parse(text);
+  if (!header) {
+    return { headers: [], records: [] };
+  }
+  const headers = header.fields.map(name => name.trim().toLowerCase());
+  const records = rows.map(({ line, fields }) => ({
+    line,
+    values: Object.fromEntries(headers.map((name, index) => [name, (fields[index] || '').trim()])),
+  }));
+  return { headers, records };
+}
+
+module.exports = { stringify, parse, parseRecords };
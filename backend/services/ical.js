@@ -0,0 +1,85 @@
+// backend/services/ical.js
+//
+// Builds iCalendar (RFC 5545) documents for booking emails and calendar
+// clients. Times are written in UTC, so no VTIMEZONE blocks are needed.
+//
+// An event is { uid, start, end, summary, description, location, status,
+// sequence, lastModified }, where `uid` must stay the same across updates of
+// the same event so calendar apps replace it instead of adding a copy, and
+// `sequence` must grow with each of those updates.
+
+const PRODUCT_ID = '-//Vehicle Rental//Bookings//EN';
+
+// 20251001T083000Z
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escapes text values: backslashes, separators and line breaks
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space. Splitting by characters keeps multi-byte ones intact.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document.
+ *
+ * @param {object[]} events
+ * @param {object} [options]
+ * @param {string} [options.name]    Calendar name shown by subscribing clients
+ * @param {string} [options.method]  iTIP method for email attachments:
+ *                                   PUBLISH, or CANCEL to remove the events
+ * @returns {string}
+ */
+function calendar(events, { name, method } = {}) {
+  const stamp = formatUtc(new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    lines.push(...eventLines(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { calendar, formatUtc, escapeText };
@@ -0,0 +1,151 @@
+// backend/services/invoices.js
+//
+// Tax invoices for bookings. Invoice numbers run sequentially within a
+// financial year series, e.g. INV/2025-26/00042, as GST rules require; the
+// caller stores them and passes them back in. The PDF is laid out from the
+// copy of the booking each document keeps of what it bills: the rental price,
+// the charges raised on return, or for a credit note what the invoice it
+// cancels billed. The seller's details come from config/business.json.
+
+const PDFDocument = require('pdfkit');
+const business = require('../config/business.json');
+const { formatTime } = require('./notifications/templates');
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const AMOUNT_WIDTH = 110;
+
+// Financial year an invoice issued at `date` belongs to, e.g. 2025-26 for
+// April 2025 to March 2026 (server-local time)
+function seriesFor(date) {
+  const startMonth = business.invoice.financialYearStartMonth || 1;
+  const year = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  return startMonth === 1 ? String(year) : `${year}-${String(year + 1).slice(-2)}`;
+}
+
+function invoiceNumber(series, sequence) {
+  return `${business.invoice.prefix}/${series}/${String(sequence).padStart(5, '0')}`;
+}
+
+const formatAmount = amount => Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = date => new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium', timeZone: process.env.MAIL_TIMEZONE || undefined }).format(new Date(date));
+
+// One description/amount row; `bold` for totals
+function row(doc, label, amount, { bold = false } = {}) {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, MARGIN, y, { width: CONTENT_WIDTH - AMOUNT_WIDTH - 10 });
+  const labelBottom = doc.y;
+  doc.text(formatAmount(amount), PAGE_WIDTH - MARGIN - AMOUNT_WIDTH, y, { width: AMOUNT_WIDTH, align: 'right' });
+  doc.y = Math.max(labelBottom, doc.y) + 4;
+}
+
+function rule(doc) {
+  doc.moveTo(MARGIN, doc.y).lineTo(PAGE_WIDTH - MARGIN, doc.y).strokeColor('#cccccc').stroke();
+  doc.y += 6;
+}
+
+// Itemised lines, taxable amount and taxes of a price breakdown (a quote
+// from services/pricing.js or the charges raised at check-in)
+function chargesSection(doc, title, breakdown, taxableAmount) {
+  doc.font('Helvetica-Bold').fontSize(11).text(title, MARGIN, doc.y);
+  doc.fontSize(10).moveDown(0.4);
+  rule(doc);
+  for (const line of breakdown.lines) {
+    row(doc, line.label, line.amount);
+  }
+  rule(doc);
+  row(doc, 'Taxable amount', taxableAmount);
+  for (const tax of breakdown.taxes) {
+    row(doc, `${tax.name} @ ${tax.percent}%`, tax.amount);
+  }
+  row(doc, 'Total', breakdown.total, { bold: true });
+  doc.moveDown();
+}
+
+/**
+ * Render a booking's tax invoice or credit note.
+ *
+ * @param {object} params
+ * @param {object} params.invoice        { number, issuedAt, kind, creditedNumber }; kind 'credit_note'
+ *                                       with the number of the invoice it cancels makes a credit note
+ * @param {object} params.customer       { name, email, phone }
+ * @param {object} params.booking        { reference, vehicleName, registrationNumber, startAt, endAt,
+ *                                         pickupLocation, dropoffLocation, priceBreakdown, extraCharges };
+ *                                       either of the last two may be null
+ * @returns {Promise<Buffer>} The PDF file
+ */
+function renderInvoice({ invoice, customer, booking }) {
+  return new Promise((resolve, reject) => {
+    const creditNote = invoice.kind === 'credit_note';
+    const title = creditNote ? 'Credit note' : 'Invoice';
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `${title} ${invoice.number}`, Author: business.name } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { priceBreakdown: quote, extraCharges } = booking;
+    const currency = (quote || extraCharges).currency || 'INR';
+
+    // Seller, left; invoice number and date, right
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(16).text(business.name, MARGIN, top, { width: CONTENT_WIDTH / 2 });
+    doc.font('Helvetica').fontSize(9);
+    for (const line of [...business.address, business.email, business.phone, ...business.taxIds.map(id => `${id.label}: ${id.value}`)]) {
+      doc.text(line, { width: CONTENT_WIDTH / 2 });
+    }
+    const sellerBottom = doc.y;
+    doc.font('Helvetica-Bold').fontSize(18).text(creditNote ? 'CREDIT NOTE' : 'TAX INVOICE', MARGIN + CONTENT_WIDTH / 2, top, { width: CONTENT_WIDTH / 2, align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`${title} no. ${invoice.number}`, { width: CONTENT_WIDTH / 2, align: 'right' })
+      .text(`Date: ${formatDate(invoice.issuedAt)}`, { width: CONTENT_WIDTH / 2, align: 'right' });
+    if (creditNote) {
+      doc.text(`Against invoice no. ${invoice.creditedNumber}`, { width: CONTENT_WIDTH / 2, align: 'right' });
+    }
+    doc.text(`Booking: ${booking.reference}`, { width: CONTENT_WIDTH / 2, align: 'right' });
+    doc.y = Math.max(sellerBottom, doc.y) + 20;
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Billed to', MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(10);
+    for (const line of [customer.name, customer.email, customer.phone].filter(Boolean)) {
+      doc.text(line);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Rental');
+    doc.font('Helvetica').fontSize(10)
+      .text(`Vehicle: ${booking.vehicleName}${booking.registrationNumber ? ` (${booking.registrationNumber})` : ''}`)
+      .text(`Pickup: ${formatTime(booking.startAt)}${booking.pickupLocation ? `, ${booking.pickupLocation}` : ''}`)
+      .text(`Return: ${formatTime(booking.endAt)}${booking.dropoffLocation ? `, ${booking.dropoffLocation}` : ''}`);
+    if (business.invoice.serviceCode) {
+      doc.text(`${business.invoice.serviceCode.label}: ${business.invoice.serviceCode.value}`);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(`All amounts in ${currency}`, { align: 'right' });
+    doc.fillColor('#000000').fontSize(10);
+    if (quote) {
+      chargesSection(doc, 'Rental charges', quote, quote.taxableAmount);
+    }
+    if (extraCharges && extraCharges.lines.length > 0) {
+      chargesSection(doc, 'Charges on return', extraCharges, extraCharges.subtotal);
+    }
+    // Older invoices bill the rental and the charges on return together
+    const sections = [quote, extraCharges].filter(charges => charges && charges.lines.length > 0);
+    if (creditNote || sections.length > 1) {
+      const total = sections.reduce((sum, charges) => sum + Number(charges.total), 0);
+      row(doc, creditNote ? 'Amount credited' : 'Amount payable', total.toFixed(2), { bold: true });
+      doc.moveDown();
+    }
+
+    if (business.invoice.footer) {
+      doc.font('Helvetica').fontSize(8).fillColor('#666666').text(business.invoice.footer, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'center' });
+    }
+    doc.end();
+  });
+}
+
+module.exports = { seriesFor, invoiceNumber, renderInvoice };
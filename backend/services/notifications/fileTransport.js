@@ -0,0 +1,25 @@
+// backend/services/notifications/fileTransport.js
+//
+// Local development transport: writes each message as an .eml file under
+// MAIL_DIR (default backend/mail), which any mail client can open, and logs
+// a line to the console. Nothing leaves the machine.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const root = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+// Builds the raw MIME message without sending it anywhere
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+async function send(message) {
+  const info = await builder.sendMail(message);
+  const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '-')}.eml`;
+  await fs.mkdir(root, { recursive: true });
+  await fs.writeFile(path.join(root, fileName), info.message);
+  console.log(`Mail to ${message.to} "${message.subject}" saved to ${path.join(root, fileName)}`);
+  return { id: info.messageId };
+}
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,111 @@
+// backend/services/notifications/index.js
+//
+// Booking notifications: renders a template, attaches an .ics file with the
+// pickup and return as calendar events, and hands the message to the mail
+// transport chosen with MAIL_TRANSPORT (default: file). Kept free of database
+// access; callers pass a plain booking summary.
+//
+// Every transport exports:
+//   name                      Identifier used in MAIL_TRANSPORT
+//   send({ from, to, subject, text, html, attachments })
+//                             Delivers the message and resolves with { id }
+
+const ical = require('../ical');
+const templates = require('./templates');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Vehicle Rental <bookings@localhost>';
+// Calendar events last this long, so the pickup and return show up as slots
+const EVENT_MINUTES = 30;
+
+function activeTransport() {
+  const name = process.env.MAIL_TRANSPORT || fileTransport.name;
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Available: ${Object.keys(transports).join(', ')}`);
+  }
+  return transport;
+}
+
+// The pickup and return events of a booking. UIDs only depend on the
+// reference, so an update or cancellation replaces the events already in the
+// customer's calendar. The sequence has to grow with every message about the
+// same events; seconds since the epoch always do.
+function bookingCalendar(booking, { cancelled = false } = {}) {
+  const sequence = Math.floor(Date.now() / 1000);
+  const event = (kind, at, location) => ({
+    uid: `booking-${booking.reference}-${kind}@vehicle-rental`,
+    start: at,
+    end: new Date(new Date(at).getTime() + EVENT_MINUTES * 60 * 1000),
+    summary: `${kind === 'pickup' ? 'Pick up' : 'Return'} ${booking.vehicleName}`,
+    description: `Booking reference ${booking.reference}`,
+    location,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence,
+  });
+  return ical.calendar([
+    event('pickup', booking.startAt, booking.pickupLocation),
+    event('return', booking.endAt, booking.dropoffLocation),
+  ], { method: cancelled ? 'CANCEL' : 'PUBLISH' });
+}
+
+/**
+ * Email a customer about their booking.
+ *
+ * @param {string} kind                     confirmed, modified, cancelled or reminder
+ * @param {object} booking
+ * @param {string} booking.email            Recipient
+ * @param {string} booking.firstName
+ * @param {string} booking.reference
+ * @param {string} booking.vehicleName
+ * @param {Date|string} booking.startAt     Pickup time
+ * @param {Date|string} booking.endAt       Return time
+ * @param {string} [booking.pickupLocation]
+ * @param {string} [booking.dropoffLocation]
+ * @param {string} [booking.totalAmount]    Decimal string
+ * @param {string} [booking.currency]
+ * @returns {Promise<{ id: string }>}
+ */
+async function notifyBooking(kind, booking) {
+  const { subject, text, html } = templates.render(kind, { currency: 'INR', ...booking });
+  const cancelled = kind === 'cancelled';
+  return activeTransport().send({
+    from: MAIL_FROM,
+    to: booking.email,
+    subject,
+    text,
+    html,
+    attachments: [{
+      filename: `booking-${booking.reference}.ics`,
+      content: bookingCalendar(booking, { cancelled }),
+      contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    }],
+  });
+}
+
+/**
+ * Email a waitlisted customer that a vehicle has become free for their dates.
+ *
+ * @param {object} offer
+ * @param {string} offer.email
+ * @param {string} offer.firstName
+ * @param {string} offer.vehicleName
+ * @param {Date|string} offer.startAt
+ * @param {Date|string} offer.endAt
+ * @param {string} [offer.pickupLocation]
+ * @param {string} offer.claimUrl          Where the customer books the vehicle
+ * @param {Date|string} offer.expiresAt    When the offer passes to the next customer
+ * @returns {Promise<{ id: string }>}
+ */
+async function notifyWaitlistOffer(offer) {
+  const { subject, text, html } = templates.render('waitlist_offer', offer);
+  return activeTransport().send({ from: MAIL_FROM, to: offer.email, subject, text, html });
+}
+
+module.exports = { activeTransport, notifyBooking, notifyWaitlistOffer };
@@ -0,0 +1,33 @@
+// backend/services/notifications/smtpTransport.js
+//
+// Sends mail through an SMTP server configured with SMTP_HOST, SMTP_PORT
+// (default 587), SMTP_SECURE ('true' for implicit TLS, usually port 465),
+// SMTP_USER and SMTP_PASS.
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Created on first use, so the server starts without SMTP settings when
+// another transport is active
+function smtpTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send mail with the smtp transport');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  const info = await smtpTransporter().sendMail(message);
+  return { id: info.messageId };
+}
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,109 @@
+// backend/services/notifications/templates.js
+//
+// Email templates for booking notifications. Each template turns a booking
+// summary (see index.js) into { subject, intro }, and every message shares
+// the same layout: the intro, the booking details and a closing line.
+// Templates for messages that are not about a booking yet supply their own
+// detail `rows`, and may add a `link` for the customer to follow.
+
+const timeZone = process.env.MAIL_TIMEZONE || undefined;
+
+// Wed, 1 Oct 2025, 2:00 pm in the business's time zone (server-local by default)
+function formatTime(date) {
+  return new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(new Date(date));
+}
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(Number(amount));
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const templates = {
+  confirmed: booking => ({
+    subject: `Booking confirmed: ${booking.vehicleName}, ${formatTime(booking.startAt)}`,
+    intro: `Hi ${booking.firstName}, your booking is confirmed. The attached calendar file adds your pickup and return to your calendar.`,
+  }),
+  modified: booking => ({
+    subject: `Booking ${booking.reference} updated`,
+    intro: `Hi ${booking.firstName}, your booking has been changed. Here are the new details; the attached calendar file updates the events in your calendar.`,
+  }),
+  cancelled: booking => ({
+    subject: `Booking ${booking.reference} cancelled`,
+    intro: `Hi ${booking.firstName}, your booking has been cancelled and the vehicle released. The attached calendar file removes it from your calendar.`,
+  }),
+  reminder: booking => ({
+    subject: `Reminder: pick up your ${booking.vehicleName} tomorrow`,
+    intro: `Hi ${booking.firstName}, this is a reminder that your rental starts tomorrow. Please bring your driving licence and booking reference to the counter.`,
+  }),
+  waitlist_offer: offer => ({
+    subject: `${offer.vehicleName} is available for your dates`,
+    intro: `Hi ${offer.firstName}, a vehicle you were waiting for is free for your dates. It is held for you until ${formatTime(offer.expiresAt)}; after that it goes to the next person on the waitlist.`,
+    rows: [
+      ['Vehicle', offer.vehicleName],
+      ['Pickup', `${formatTime(offer.startAt)}${offer.pickupLocation ? ` at ${offer.pickupLocation}` : ''}`],
+      ['Return', formatTime(offer.endAt)],
+    ],
+    link: { label: 'Book it now', url: offer.claimUrl },
+  }),
+};
+
+// Label/value rows describing the booking, in display order
+function detailRows(booking) {
+  const rows = [
+    ['Booking reference', booking.reference],
+    ['Vehicle', booking.vehicleName],
+    ['Pickup', `${formatTime(booking.startAt)}${booking.pickupLocation ? ` at ${booking.pickupLocation}` : ''}`],
+    ['Return', `${formatTime(booking.endAt)}${booking.dropoffLocation ? ` at ${booking.dropoffLocation}` : ''}`],
+  ];
+  if (booking.totalAmount !== null && booking.totalAmount !== undefined) {
+    rows.push(['Total', formatAmount(booking.totalAmount, booking.currency)]);
+  }
+  return rows;
+}
+
+/**
+ * Render a notification email.
+ *
+ * @param {string} kind     One of the template names: confirmed, modified, cancelled, reminder, waitlist_offer
+ * @param {object} booking  Booking summary built by notifications/index.js, or the waitlist offer
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function render(kind, booking) {
+  const template = templates[kind];
+  if (!template) {
+    throw new Error(`No notification template named "${kind}"`);
+  }
+  const { subject, intro, rows = detailRows(booking), link } = template(booking);
+  const closing = booking.reference
+    ? 'Questions? Just reply to this email and quote your booking reference.'
+    : 'Questions? Just reply to this email.';
+
+  const text = [
+    intro,
+    '',
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    '',
+    ...(link ? [`${link.label}: ${link.url}`, ''] : []),
+    closing,
+  ].join('\n');
+
+  const html = [
+    `<p>${escapeHtml(intro)}</p>`,
+    '<table cellpadding="6" style="border-collapse: collapse">',
+    ...rows.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+    '</table>',
+    ...(link ? [`<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`] : []),
+    `<p>${escapeHtml(closing)}</p>`,
+  ].join('\n');
+
+  return { subject, text, html };
+}
+
+module.exports = { render, formatTime, kinds: Object.keys(templates) };
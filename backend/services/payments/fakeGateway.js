@@ -0,0 +1,74 @@
+// backend/services/payments/fakeGateway.js
+//
+// Local stand-in for a card payment gateway so the payment flow works without
+// any outside service. Payments live in memory and are lost on restart.
+// Card 4000 0000 0000 0002 is always declined; any other 16-digit number succeeds.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DECLINED_CARD = '4000000000000002';
+const payments = new Map();
+
+async function createPayment({ reference, amount, currency, description }) {
+  const providerPaymentId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+  payments.set(providerPaymentId, { reference, amount, currency, description, status: 'pending' });
+  return {
+    providerPaymentId,
+    status: 'pending',
+    // The client posts card details here, standing in for a gateway's hosted form
+    nextAction: { type: 'card_form', path: `/payments/fake/${providerPaymentId}/complete` },
+  };
+}
+
+async function getPaymentStatus(providerPaymentId) {
+  const payment = payments.get(providerPaymentId);
+  return payment ? payment.status : 'failed';
+}
+
+// Refunds go through at once, up to what is left of the payment
+async function refundPayment({ providerPaymentId, amount }) {
+  const payment = payments.get(providerPaymentId);
+  if (!payment || payment.status !== 'succeeded') {
+    throw new Error(`Payment ${providerPaymentId} has not succeeded, so it cannot be refunded`);
+  }
+  const refundedPaise = (payment.refundedPaise || 0) + Math.round(Number(amount) * 100);
+  if (refundedPaise > Math.round(Number(payment.amount) * 100)) {
+    throw new Error(`A refund of ${amount} is more than is left of payment ${providerPaymentId}`);
+  }
+  payment.refundedPaise = refundedPaise;
+  return { providerRefundId: `fake_refund_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+}
+
+const router = express.Router();
+
+// Simulates the customer submitting their card on the gateway's payment page
+router.post('/:paymentId/complete', (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) {
+    return res.status(404).json({ code: 'payment_not_found', message: 'Payment not found.', field: null });
+  }
+  if (payment.status !== 'pending') {
+    return res.status(409).json({ code: 'payment_completed', message: 'This payment has already been completed.', field: null });
+  }
+
+  const cardNumber = String(req.body.cardNumber || '').replace(/\s+/g, '');
+  if (!/^\d{16}$/.test(cardNumber)) {
+    return res.status(400).json({ code: 'invalid_format', message: 'Please enter a valid 16-digit card number.', field: 'cardNumber' });
+  }
+  // A decline leaves the payment open so the customer can try another card
+  if (cardNumber === DECLINED_CARD) {
+    return res.status(402).json({ code: 'card_declined', message: 'Your card was declined. Please try another card.', field: 'cardNumber' });
+  }
+
+  payment.status = 'succeeded';
+  res.json({ message: 'Payment authorised.', status: payment.status });
+});
+
+module.exports = {
+  name: 'fake',
+  createPayment,
+  getPaymentStatus,
+  refundPayment,
+  router,
+};
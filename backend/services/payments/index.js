@@ -0,0 +1,54 @@
+// backend/services/payments/index.js
+//
+// Payment gateway registry. Bookings talk to gateways only through this
+// adapter interface, so a real provider can be added without touching routes.
+//
+// Every adapter exports:
+//   name                      Identifier stored in payments.provider
+//   createPayment({ reference, amount, currency, description })
+//                             Starts a payment for `amount` (a decimal string) and
+//                             resolves with { providerPaymentId, status, nextAction },
+//                             where nextAction tells the client how to complete it
+//   getPaymentStatus(providerPaymentId)
+//                             Resolves with 'pending', 'succeeded' or 'failed'
+//   refundPayment({ providerPaymentId, amount, currency })
+//                             Refunds `amount` of a succeeded payment and resolves
+//                             with { providerRefundId, status }
+//   router                    Optional express router mounted at /api/payments/<name>
+//                             for gateway-specific callbacks
+
+const fakeGateway = require('./fakeGateway');
+
+const gateways = {
+  [fakeGateway.name]: fakeGateway,
+};
+
+// The gateway new payments go through, chosen with PAYMENT_GATEWAY (default: fake)
+function activeGateway() {
+  const name = process.env.PAYMENT_GATEWAY || fakeGateway.name;
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway "${name}". Available: ${Object.keys(gateways).join(', ')}`);
+  }
+  return gateway;
+}
+
+// Looks up the gateway that created an existing payment
+function gatewayFor(provider) {
+  const gateway = gateways[provider];
+  if (!gateway) {
+    throw new Error(`No payment gateway registered as "${provider}"`);
+  }
+  return gateway;
+}
+
+// Mounts every gateway's callback routes on the app
+function mountGatewayRoutes(app) {
+  for (const gateway of Object.values(gateways)) {
+    if (gateway.router) {
+      app.use(`/api/payments/${gateway.name}`, gateway.router);
+    }
+  }
+}
+
+module.exports = { activeGateway, gatewayFor, mountGatewayRoutes };
@@ -0,0 +1,254 @@
+// backend/services/pricing.js
+//
+// Computes rental quotes from a vehicle's daily rate (and its type's hourly
+// rate, for part days) and the rules in config/pricing.json: weekend and
+// seasonal multipliers per vehicle type, long-rental discounts, the one-way
+// drop-off fee and taxes, plus the late-return and extra-kilometre charges
+// raised at check-in. All arithmetic is done in paise so the itemised lines
+// always add up to the total.
+
+const defaultRules = require('../config/pricing.json');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const formatAmount = (paise) => (paise / 100).toFixed(2);
+
+// Length of a rental from pickup to return: started hours (at least one),
+// split into whole 24-hour days and leftover hours
+function rentalLength(startAt, endAt) {
+  const hours = Math.max(1, Math.ceil((new Date(endAt) - new Date(startAt)) / HOUR_MS));
+  return { hours, days: Math.floor(hours / 24), extraHours: hours % 24 };
+}
+
+// Started 24-hour periods in a rental; a four-hour rental is one day. Used
+// for day-based rules such as promo minimums and kilometre allowances.
+function rentalDaysBetween(startAt, endAt) {
+  return Math.ceil(rentalLength(startAt, endAt).hours / 24);
+}
+
+// MM-DD of a date in server-local time, for matching seasons
+function monthDayOf(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Seasons are recurring MM-DD windows and may wrap over the new year
+function seasonCovers(season, monthDay) {
+  return season.from <= season.to
+    ? monthDay >= season.from && monthDay <= season.to
+    : monthDay >= season.from || monthDay <= season.to;
+}
+
+function appliesToType(rule, typeName) {
+  return !rule.vehicleTypes || rule.vehicleTypes.includes(typeName);
+}
+
+/**
+ * Quote a rental.
+ *
+ * @param {object} params
+ * @param {number|string} params.pricePerDay  Vehicle's base daily rate
+ * @param {number|string} [params.pricePerHour] Vehicle type's hourly rate; without one, part days bill as full days
+ * @param {string} params.vehicleType         Vehicle type name, used to pick rules
+ * @param {string|Date} params.startAt        Pickup time
+ * @param {string|Date} params.endAt          Return time
+ * @param {object} [params.promo]             Promo discount: { code, discountType: 'percent'|'flat', discountValue }
+ * @param {boolean} [params.oneWay]           Drop-off at a different branch from pickup
+ * @param {object} [rules]                    Pricing rules; defaults to config/pricing.json
+ * @returns {object} Itemised breakdown; amounts are strings with two decimals
+ */
+function quote({ pricePerDay, pricePerHour = null, vehicleType, startAt, endAt, promo = null, oneWay = false }, rules = defaultRules) {
+  const dailyRate = toPaise(pricePerDay);
+  const hourlyRate = pricePerHour ? toPaise(pricePerHour) : 0;
+
+  // Leftover hours bill at the hourly rate, unless that would cost more than
+  // another day or the type has no hourly rate
+  const length = rentalLength(startAt, endAt);
+  let rentalDays = length.days;
+  let rentalHours = length.extraHours;
+  if (rentalHours && (!hourlyRate || rentalHours * hourlyRate >= dailyRate)) {
+    rentalDays += 1;
+    rentalHours = 0;
+  }
+
+  const typeRules = (rules.vehicleTypes && rules.vehicleTypes[vehicleType]) || {};
+  const weekendMultiplier = typeRules.weekendMultiplier || 1;
+  const weekendDays = rules.weekendDays || [];
+  const seasons = (rules.seasons || []).filter(season => appliesToType(season, vehicleType));
+
+  let base = 0;
+  let weekendDaysCount = 0;
+  let weekendSurcharge = 0;
+  const seasonTotals = new Map();
+
+  for (let i = 0; i < rentalDays; i++) {
+    const day = new Date(new Date(startAt).getTime() + i * DAY_MS);
+    const monthDay = monthDayOf(day);
+    let dayRate = dailyRate;
+    base += dailyRate;
+
+    if (weekendDays.includes(day.getDay()) && weekendMultiplier !== 1) {
+      const surcharge = Math.round(dailyRate * (weekendMultiplier - 1));
+      weekendDaysCount++;
+      weekendSurcharge += surcharge;
+      dayRate += surcharge;
+    }
+
+    // Overlapping seasons do not stack; the strongest adjustment wins
+    const season = seasons
+      .filter(candidate => seasonCovers(candidate, monthDay))
+      .sort((a, b) => Math.abs(b.multiplier - 1) - Math.abs(a.multiplier - 1))[0];
+    if (season) {
+      const adjustment = Math.round(dayRate * (season.multiplier - 1));
+      const totals = seasonTotals.get(season.name) || { days: 0, amount: 0 };
+      seasonTotals.set(season.name, { days: totals.days + 1, amount: totals.amount + adjustment });
+    }
+  }
+
+  const lines = [];
+  if (rentalDays) {
+    lines.push({
+      code: 'base',
+      label: `Base rate (${rentalDays} day${rentalDays > 1 ? 's' : ''} × ${formatAmount(dailyRate)})`,
+      amount: base,
+    });
+  }
+  if (rentalHours) {
+    lines.push({
+      code: 'hourly',
+      label: `Hourly rate (${rentalHours} hour${rentalHours > 1 ? 's' : ''} × ${formatAmount(hourlyRate)})`,
+      amount: rentalHours * hourlyRate,
+    });
+  }
+  if (weekendSurcharge) {
+    lines.push({ code: 'weekend', label: `Weekend rate (${weekendDaysCount} day${weekendDaysCount > 1 ? 's' : ''})`, amount: weekendSurcharge });
+  }
+  for (const [name, totals] of seasonTotals) {
+    lines.push({ code: 'season', label: `${name} (${totals.days} day${totals.days > 1 ? 's' : ''})`, amount: totals.amount });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  // Only the largest long-rental discount the rental qualifies for applies
+  const discountRule = (rules.longRentalDiscounts || [])
+    .filter(rule => rentalDays >= rule.minDays && appliesToType(rule, vehicleType))
+    .sort((a, b) => b.percent - a.percent)[0];
+  const discount = discountRule ? Math.round(subtotal * discountRule.percent / 100) : 0;
+  if (discount) {
+    lines.push({ code: 'discount', label: `${discountRule.label} (${discountRule.percent}%)`, amount: -discount });
+  }
+
+  // Promo discounts apply after long-rental discounts and never exceed what is left
+  const afterDiscount = subtotal - discount;
+  let promoDiscount = 0;
+  if (promo) {
+    promoDiscount = promo.discountType === 'percent'
+      ? Math.round(afterDiscount * Number(promo.discountValue) / 100)
+      : Math.min(toPaise(promo.discountValue), afterDiscount);
+    const label = promo.discountType === 'percent'
+      ? `Promo code ${promo.code} (${Number(promo.discountValue)}%)`
+      : `Promo code ${promo.code}`;
+    lines.push({ code: 'promo', label, amount: -promoDiscount });
+  }
+
+  // The one-way fee is a flat charge, so no discount applies to it
+  const oneWayFee = oneWay && rules.oneWayFee ? toPaise(rules.oneWayFee.amount) : 0;
+  if (oneWayFee) {
+    lines.push({ code: 'one_way', label: rules.oneWayFee.label, amount: oneWayFee });
+  }
+
+  const taxable = afterDiscount - promoDiscount + oneWayFee;
+  const taxes = taxesOn(taxable, rules);
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return {
+    currency: rules.currency || 'INR',
+    startAt,
+    endAt,
+    rentalDays,
+    rentalHours,
+    pricePerDay: formatAmount(dailyRate),
+    pricePerHour: hourlyRate ? formatAmount(hourlyRate) : null,
+    lines: lines.map(line => ({ ...line, amount: formatAmount(line.amount) })),
+    subtotal: formatAmount(subtotal),
+    discount: formatAmount(discount),
+    promoCode: promo ? promo.code : null,
+    promoDiscount: formatAmount(promoDiscount),
+    oneWayFee: formatAmount(oneWayFee),
+    taxableAmount: formatAmount(taxable),
+    taxes: taxes.map(tax => ({ ...tax, amount: formatAmount(tax.amount) })),
+    taxTotal: formatAmount(taxTotal),
+    total: formatAmount(taxable + taxTotal),
+  };
+}
+
+function taxesOn(taxable, rules) {
+  return (rules.taxes || []).map(tax => ({
+    name: tax.name,
+    percent: tax.percent,
+    amount: Math.round(taxable * tax.percent / 100),
+  }));
+}
+
+/**
+ * Charges raised when a vehicle comes back: late return and kilometres beyond
+ * the type's allowance.
+ *
+ * @param {object} params
+ * @param {number|string} params.pricePerDay  Vehicle's base daily rate
+ * @param {string} params.vehicleType         Vehicle type name, used to pick rules
+ * @param {string|Date} params.startAt        Booked pickup time
+ * @param {string|Date} params.endAt          Booked return time
+ * @param {Date} params.returnedAt            When the vehicle was checked in
+ * @param {number} params.distanceKm          Odometer difference between check-out and check-in
+ * @param {object} [rules]                    Pricing rules; defaults to config/pricing.json
+ * @returns {object} Itemised charges; amounts are strings with two decimals
+ */
+function returnCharges({ pricePerDay, vehicleType, startAt, endAt, returnedAt, distanceKm }, rules = defaultRules) {
+  const dailyRate = toPaise(pricePerDay);
+  const typeRules = (rules.vehicleTypes && rules.vehicleTypes[vehicleType]) || {};
+  const mileage = { ...rules.mileage, ...typeRules };
+  const lateRules = rules.lateReturn || {};
+  const lines = [];
+
+  // Every started hour past the grace period costs hourlyPercent of the daily
+  // rate, but no 24 hours ever cost more than a full day.
+  const lateMinutes = Math.max(0, Math.ceil((returnedAt - new Date(endAt)) / 60000));
+  if (lateMinutes > (lateRules.graceMinutes || 0)) {
+    const lateHours = Math.ceil(lateMinutes / 60);
+    const hourlyRate = Math.round(dailyRate * (lateRules.hourlyPercent || 0) / 100);
+    const amount = Math.floor(lateHours / 24) * dailyRate + Math.min((lateHours % 24) * hourlyRate, dailyRate);
+    if (amount) {
+      lines.push({ code: 'late_return', label: `Late return (${lateHours} hour${lateHours > 1 ? 's' : ''})`, amount });
+    }
+  }
+
+  const kmAllowance = (mileage.kmAllowancePerDay || 0) * rentalDaysBetween(startAt, endAt);
+  const extraKm = mileage.kmAllowancePerDay ? Math.max(0, distanceKm - kmAllowance) : 0;
+  if (extraKm && mileage.extraKmRate) {
+    lines.push({
+      code: 'extra_km',
+      label: `Extra kilometres (${extraKm} km over ${kmAllowance} km × ${formatAmount(toPaise(mileage.extraKmRate))})`,
+      amount: extraKm * toPaise(mileage.extraKmRate),
+    });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const taxes = taxesOn(subtotal, rules);
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return {
+    currency: rules.currency || 'INR',
+    lateMinutes,
+    distanceKm,
+    kmAllowance,
+    lines: lines.map(line => ({ ...line, amount: formatAmount(line.amount) })),
+    subtotal: formatAmount(subtotal),
+    taxes: taxes.map(tax => ({ ...tax, amount: formatAmount(tax.amount) })),
+    taxTotal: formatAmount(taxTotal),
+    total: formatAmount(subtotal + taxTotal),
+  };
+}
+
+module.exports = { quote, returnCharges, rentalDaysBetween, toPaise, formatAmount };
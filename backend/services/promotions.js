@@ -0,0 +1,56 @@
+// backend/services/promotions.js
+//
+// Eligibility rules for promo codes. Kept free of database access so the same
+// checks run when validating a draft and inside the booking transaction.
+
+// Codes are matched case-insensitively and stored upper-case
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Explain why a promo code cannot be used for a draft booking.
+ *
+ * @param {object} promo                 PromoCode instance or plain attributes
+ * @param {object} draft
+ * @param {number} draft.vehicleTypeId
+ * @param {number} draft.rentalDays
+ * @param {string} draft.today           YYYY-MM-DD the code is being redeemed on
+ * @param {boolean} [draft.redeemed]     The booking already holds this code, so the
+ *                                       validity window and usage limit are not rechecked
+ * @returns {string|null} Customer-facing reason, or null when the code applies
+ */
+function promoIneligibility(promo, { vehicleTypeId, rentalDays, today, redeemed = false }) {
+  if (!redeemed) {
+    if (!promo.is_active) {
+      return 'This promo code is no longer active.';
+    }
+    if (promo.valid_from && today < promo.valid_from) {
+      return 'This promo code is not valid yet.';
+    }
+    if (promo.valid_until && today > promo.valid_until) {
+      return 'This promo code has expired.';
+    }
+    if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+      return 'This promo code has reached its usage limit.';
+    }
+  }
+  if (promo.min_rental_days && rentalDays < promo.min_rental_days) {
+    return `This promo code requires a rental of at least ${promo.min_rental_days} days.`;
+  }
+  if (promo.vehicle_type_ids && promo.vehicle_type_ids.length > 0 && !promo.vehicle_type_ids.includes(Number(vehicleTypeId))) {
+    return 'This promo code does not apply to the selected vehicle type.';
+  }
+  return null;
+}
+
+// Shape the pricing engine expects for a discount
+function toPricingPromo(promo) {
+  return {
+    code: promo.code,
+    discountType: promo.discount_type,
+    discountValue: promo.discount_value,
+  };
+}
+
+module.exports = { normalizeCode, promoIneligibility, toPricingPromo };
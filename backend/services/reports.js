@@ -0,0 +1,192 @@
+// backend/services/reports.js
+//
+// Fleet reports over a period: how much of the time each vehicle and vehicle
+// type was on rent, revenue by month, and how long and how far ahead
+// customers book. Callers load the paid bookings that overlap the period and
+// the fleet, and pass them in as plain objects; nothing here touches the
+// database. Amounts are summed in paise and returned as two-decimal strings,
+// like services/pricing.js.
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toPaise = (amount) => Math.round(Number(amount || 0) * 100);
+const formatAmount = (paise) => (paise / 100).toFixed(2);
+const round = (value, places = 1) => (value === null ? null : Number(value.toFixed(places)));
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// YYYY-MM of a date in server-local time
+function monthOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Hours of [startAt, endAt) that fall inside the period
+function hoursWithin(startAt, endAt, period) {
+  const start = Math.max(new Date(startAt).getTime(), period.startAt.getTime());
+  const end = Math.min(new Date(endAt).getTime(), period.endAt.getTime());
+  return Math.max(0, end - start) / HOUR_MS;
+}
+
+// Bookings picked up within the period; revenue, lengths and lead times are
+// counted in the period of the pickup
+function pickedUpWithin(bookings, period) {
+  return bookings.filter(booking => booking.startAt >= period.startAt && booking.startAt < period.endAt);
+}
+
+// Revenue of a booking before and after tax, in paise: the rental and any
+// charges raised at check-in
+function bookingRevenue(booking) {
+  return { net: toPaise(booking.net), tax: toPaise(booking.tax) };
+}
+
+/**
+ * Share of the period each vehicle, and each type as a whole, was booked.
+ * Time out of service is not taken off; a vehicle added part-way through the
+ * period counts for all of it.
+ *
+ * @param {object} params
+ * @param {Array<{ id, name, typeId, typeName, registrationNumber }>} params.vehicles
+ * @param {Array<{ vehicleId, startAt: Date, endAt: Date, net, tax }>} params.bookings
+ * @param {{ startAt: Date, endAt: Date }} params.period
+ * @returns {{ periodHours: number, vehicles: object[], types: object[] }}
+ *          Per vehicle and per type: bookedHours, utilisation (percent), bookings
+ *          picked up in the period and their net revenue
+ */
+function utilisation({ vehicles, bookings, period }) {
+  const periodHours = (period.endAt - period.startAt) / HOUR_MS;
+  const pickups = new Set(pickedUpWithin(bookings, period));
+  const rows = new Map(vehicles.map(vehicle => [vehicle.id, {
+    vehicleId: vehicle.id,
+    name: vehicle.name,
+    registrationNumber: vehicle.registrationNumber || null,
+    typeId: vehicle.typeId,
+    typeName: vehicle.typeName,
+    bookedHours: 0,
+    bookings: 0,
+    revenuePaise: 0,
+  }]));
+
+  for (const booking of bookings) {
+    const row = rows.get(booking.vehicleId);
+    if (!row) {
+      continue;
+    }
+    row.bookedHours += hoursWithin(booking.startAt, booking.endAt, period);
+    if (pickups.has(booking)) {
+      row.bookings += 1;
+      row.revenuePaise += bookingRevenue(booking).net;
+    }
+  }
+
+  const types = new Map();
+  for (const row of rows.values()) {
+    if (!types.has(row.typeId)) {
+      types.set(row.typeId, { typeId: row.typeId, name: row.typeName, vehicles: 0, bookedHours: 0, bookings: 0, revenuePaise: 0 });
+    }
+    const type = types.get(row.typeId);
+    type.vehicles += 1;
+    type.bookedHours += row.bookedHours;
+    type.bookings += row.bookings;
+    type.revenuePaise += row.revenuePaise;
+  }
+
+  const finish = ({ revenuePaise, ...row }, capacityHours) => ({
+    ...row,
+    bookedHours: round(row.bookedHours),
+    utilisation: capacityHours > 0 ? round((row.bookedHours / capacityHours) * 100) : 0,
+    revenue: formatAmount(revenuePaise),
+  });
+  return {
+    periodHours,
+    vehicles: [...rows.values()]
+      .map(row => finish(row, periodHours))
+      .sort((a, b) => b.utilisation - a.utilisation || a.name.localeCompare(b.name)),
+    types: [...types.values()]
+      .map(type => finish(type, type.vehicles * periodHours))
+      .sort((a, b) => b.utilisation - a.utilisation || a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Revenue by calendar month of pickup (server-local time), with a row for
+ * every month the period touches, including months without bookings.
+ *
+ * @param {object} params
+ * @param {Array<{ startAt: Date, net, tax }>} params.bookings
+ * @param {{ startAt: Date, endAt: Date }} params.period
+ * @returns {Array<{ month: string, bookings: number, net: string, tax: string, gross: string }>}
+ */
+function revenueByMonth({ bookings, period }) {
+  const months = new Map();
+  const cursor = new Date(period.startAt.getFullYear(), period.startAt.getMonth(), 1);
+  while (cursor < period.endAt) {
+    months.set(monthOf(cursor), { month: monthOf(cursor), bookings: 0, net: 0, tax: 0 });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  for (const booking of pickedUpWithin(bookings, period)) {
+    const row = months.get(monthOf(booking.startAt));
+    const { net, tax } = bookingRevenue(booking);
+    row.bookings += 1;
+    row.net += net;
+    row.tax += tax;
+  }
+  return [...months.values()].map(row => ({
+    month: row.month,
+    bookings: row.bookings,
+    net: formatAmount(row.net),
+    tax: formatAmount(row.tax),
+    gross: formatAmount(row.net + row.tax),
+  }));
+}
+
+// Average length and lead time of a set of bookings. Bookings made before
+// creation times were recorded have no lead time and are left out of it.
+function rentalSummary(bookings) {
+  const lengths = bookings.map(booking => (booking.endAt - booking.startAt) / HOUR_MS);
+  const leadTimes = bookings
+    .filter(booking => booking.createdAt)
+    .map(booking => Math.max(0, booking.startAt - booking.createdAt) / DAY_MS);
+  return {
+    bookings: bookings.length,
+    averageLengthHours: round(average(lengths)),
+    averageLeadDays: round(average(leadTimes)),
+    medianLeadDays: round(median(leadTimes)),
+  };
+}
+
+/**
+ * Average rental length and lead time between booking and pickup, for the
+ * bookings picked up in the period, overall and per vehicle type.
+ *
+ * @param {object} params
+ * @param {Array<{ typeId, typeName, startAt: Date, endAt: Date, createdAt: ?Date }>} params.bookings
+ * @param {{ startAt: Date, endAt: Date }} params.period
+ * @returns {{ overall: object, types: object[] }}
+ */
+function rentalStats({ bookings, period }) {
+  const pickups = pickedUpWithin(bookings, period);
+  const byType = new Map();
+  for (const booking of pickups) {
+    if (!byType.has(booking.typeId)) {
+      byType.set(booking.typeId, { typeId: booking.typeId, name: booking.typeName, bookings: [] });
+    }
+    byType.get(booking.typeId).bookings.push(booking);
+  }
+  return {
+    overall: rentalSummary(pickups),
+    types: [...byType.values()]
+      .map(type => ({ typeId: type.typeId, name: type.name, ...rentalSummary(type.bookings) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+module.exports = { utilisation, revenueByMonth, rentalStats };
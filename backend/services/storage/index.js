@@ -0,0 +1,50 @@
+// backend/services/storage/index.js
+//
+// File storage registry. Uploaded files are only read and written through this
+// adapter interface, so local disk can later be swapped for object storage
+// without touching routes.
+//
+// Every adapter exports:
+//   name                      Identifier stored next to each file's key
+//   save(key, buffer, { contentType })
+//                             Stores `buffer` under `key` (a relative path such as
+//                             vehicles/3/abc.webp), replacing any existing file
+//   remove(key)               Deletes the file; resolves even if it is already gone
+//   urlFor(key)               Public URL or path the file is served from
+//   mount(app)                Optional; registers routes that serve the files
+
+const localDisk = require('./localDisk');
+
+const adapters = {
+  [localDisk.name]: localDisk,
+};
+
+// The adapter new files are written to, chosen with STORAGE_DRIVER (default: local)
+function activeStorage() {
+  const name = process.env.STORAGE_DRIVER || localDisk.name;
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+// Looks up the adapter that holds an existing file
+function storageFor(name) {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`No storage driver registered as "${name}"`);
+  }
+  return adapter;
+}
+
+// Mounts every adapter's file-serving routes on the app
+function mountStorageRoutes(app) {
+  for (const adapter of Object.values(adapters)) {
+    if (adapter.mount) {
+      adapter.mount(app);
+    }
+  }
+}
+
+module.exports = { activeStorage, storageFor, mountStorageRoutes };
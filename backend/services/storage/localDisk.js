@@ -0,0 +1,41 @@
+// backend/services/storage/localDisk.js
+//
+// Stores files under UPLOAD_DIR (default backend/uploads) and serves them from
+// /uploads on the Express app. Keys are generated by the server, never taken
+// from user input, but are still checked to stay inside the upload directory.
+
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_PATH = '/uploads';
+const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+function pathFor(key) {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Storage key "${key}" points outside the upload directory`);
+  }
+  return filePath;
+}
+
+async function save(key, buffer) {
+  const filePath = pathFor(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+}
+
+async function remove(key) {
+  await fs.rm(pathFor(key), { force: true });
+}
+
+function urlFor(key) {
+  return `${PUBLIC_PATH}/${key}`;
+}
+
+// Keys are random, so a stored file never changes and can be cached for good
+function mount(app) {
+  app.use(PUBLIC_PATH, express.static(root, { immutable: true, maxAge: '365d', index: false }));
+}
+
+module.exports = { name: 'local', save, remove, urlFor, mount };
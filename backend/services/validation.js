@@ -0,0 +1,241 @@
+// backend/services/validation.js
+//
+// Declarative request validation. A route's schema lists the fields it reads
+// from req.body, req.query and req.params, each with a rule built from the
+// helpers below, plus optional checks across fields. `validate(schema)` turns
+// it into Express middleware that replaces the checked parts with their
+// normalized values (trimmed strings, numbers, Dates) or rejects the request
+// with a 400 in the API's error shape, { code, message, field }.
+//
+// Rules only check shape and format. Whatever needs the database, such as
+// whether a vehicle exists, stays in the route. `validateFields` checks a
+// single object against a field map, for input that is not a request, such as
+// the rows of an uploaded CSV file.
+
+// Thrown for a request that fails its schema; `field` is the offending field
+class ValidationError extends Error {
+  constructor(code, message, field = null) {
+    super(message);
+    this.status = 400;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// ISO 8601 date-times such as 2025-10-01T14:00 or 2025-10-01T14:00:00+05:30.
+// Times without an offset are taken as server-local time.
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Wraps a check of a present value into a rule that also handles missing ones.
+// `check(value)` returns the normalized value or throws a ValidationError
+// (without a field; validate() fills it in). A `notBlank` field may be left
+// out but not sent empty, e.g. one that cannot be cleared.
+function rule(check, { required = false, notBlank = false, label }) {
+  return { required, notBlank, label, check };
+}
+
+const fail = (code, message) => {
+  throw new ValidationError(code, message);
+};
+
+const rules = {
+  // Trimmed text; `normalize` rewrites it further before the checks, e.g. to
+  // strip spaces or change its case
+  string({ required, notBlank, label, minLength = 0, maxLength = 255, pattern, patternMessage, normalize } = {}) {
+    return rule((value) => {
+      if (typeof value !== 'string') fail('invalid_type', `${label} must be text.`);
+      const trimmed = normalize ? normalize(value.trim()) : value.trim();
+      if (trimmed.length < minLength) fail('too_short', `${label} must be at least ${minLength} characters long.`);
+      if (trimmed.length > maxLength) fail('too_long', `${label} must be at most ${maxLength} characters long.`);
+      if (pattern && !pattern.test(trimmed)) fail('invalid_format', patternMessage || `${label} is not in the expected format.`);
+      return trimmed;
+    }, { required, notBlank, label });
+  },
+
+  // Passwords are kept exactly as typed
+  password({ required, notBlank, label = 'Password', minLength = 8 } = {}) {
+    return rule((value) => {
+      if (typeof value !== 'string') fail('invalid_type', `${label} must be text.`);
+      if (value.length < minLength) fail('too_short', `${label} must be at least ${minLength} characters long.`);
+      return value;
+    }, { required, notBlank, label });
+  },
+
+  email({ required, notBlank, label = 'Email' } = {}) {
+    return rule((value) => {
+      const email = String(value).trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(email) || email.length > 255) fail('invalid_format', 'Please enter a valid email address.');
+      return email;
+    }, { required, notBlank, label });
+  },
+
+  // Whole numbers, also accepted as numeric strings from query parameters
+  integer({ required, notBlank, label, min = -Infinity, max = Infinity } = {}) {
+    return rule((value) => {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number)) fail('invalid_type', `${label} must be a whole number.`);
+      if (number < min || number > max) {
+        fail('out_of_range', max === Infinity ? `${label} must be at least ${min}.` : `${label} must be between ${min} and ${max}.`);
+      }
+      return number;
+    }, { required, notBlank, label });
+  },
+
+  // Database ids: positive whole numbers
+  id({ required, notBlank, label } = {}) {
+    return rules.integer({ required, notBlank, label, min: 1 });
+  },
+
+  // Positive money amounts below `max`, also accepted as numeric strings and
+  // normalized to strings with two decimals, as DECIMAL columns store them
+  amount({ required, notBlank, label, max = 1e8 } = {}) {
+    return rule((value) => {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) fail('invalid_type', `${label} must be an amount.`);
+      if (number <= 0 || number >= max) fail('out_of_range', `${label} must be a positive amount.`);
+      return number.toFixed(2);
+    }, { required, notBlank, label });
+  },
+
+  oneOf(values, { required, notBlank, label } = {}) {
+    return rule((value) => {
+      if (!values.includes(value)) fail('not_allowed', `${label} must be one of: ${values.join(', ')}.`);
+      return value;
+    }, { required, notBlank, label });
+  },
+
+  boolean({ required, notBlank, label } = {}) {
+    return rule((value) => {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return fail('invalid_type', `${label} must be true or false.`);
+    }, { required, notBlank, label });
+  },
+
+  // Arrays whose every item passes `item`, another rule, e.g. rules.id()
+  list(item, { required, notBlank, label } = {}) {
+    return rule((value) => {
+      if (!Array.isArray(value)) fail('invalid_type', `${label} must be a list.`);
+      return value.map((entry) => {
+        if (isBlank(entry)) fail('invalid_type', `${label} cannot contain empty entries.`);
+        return item.check(entry);
+      });
+    }, { required, notBlank, label });
+  },
+
+  // Calendar dates as YYYY-MM-DD strings
+  date({ required, notBlank, label } = {}) {
+    return rule((value) => {
+      if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(`${value}T00:00:00`).getTime())) {
+        fail('invalid_format', `${label} must be a date in YYYY-MM-DD format.`);
+      }
+      return value;
+    }, { required, notBlank, label });
+  },
+
+  // ISO date-times, normalized to Dates. With `future`, moments already past
+  // (allowing `graceMinutes` for the time spent filling in the form) are rejected.
+  dateTime({ required, notBlank, label, future = false, graceMinutes = 15 } = {}) {
+    return rule((value) => {
+      const date = DATETIME_PATTERN.test(value) ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) fail('invalid_format', `${label} must be a valid date and time.`);
+      if (future && date.getTime() < Date.now() - graceMinutes * 60 * 1000) fail('in_the_past', `${label} cannot be in the past.`);
+      return date;
+    }, { required, notBlank, label });
+  },
+};
+
+// Cross-field check that `later` comes after `earlier` (or on it, with
+// `allowEqual`). Either may be missing; required-ness is up to their rules.
+function ordered(earlier, later, message, { allowEqual = false } = {}) {
+  return (values) => {
+    if (isBlank(values[earlier]) || isBlank(values[later])) return;
+    const inOrder = allowEqual ? values[earlier] <= values[later] : values[earlier] < values[later];
+    if (!inOrder) throw new ValidationError('invalid_range', message, later);
+  };
+}
+
+// Cross-field check that the given fields are either all present or all missing
+function together(fields, message) {
+  return (values) => {
+    const missing = fields.find(field => isBlank(values[field]));
+    if (missing && fields.some(field => !isBlank(values[field]))) {
+      throw new ValidationError('required', message, missing);
+    }
+  };
+}
+
+// Cross-field check that at least one of the given fields is present
+function atLeastOne(fields, message) {
+  return (values) => {
+    if (fields.every(field => isBlank(values[field]))) {
+      throw new ValidationError('required', message);
+    }
+  };
+}
+
+// The field map for updates, which send only the fields they change: nothing
+// is required, but fields required on creation cannot be sent empty
+function partial(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, fieldRule]) => [
+    field,
+    fieldRule.required ? { ...fieldRule, required: false, notBlank: true } : fieldRule,
+  ]));
+}
+
+// Checks `input` against a field map, returning the normalized values of the
+// fields present. Fields not in the map are passed through untouched, and so
+// are empty optional ones, which callers may take as clearing the field.
+function validateFields(fields, input = {}) {
+  const values = { ...input };
+  for (const [field, fieldRule] of Object.entries(fields)) {
+    const value = input[field];
+    if (isBlank(value)) {
+      if (fieldRule.required || (fieldRule.notBlank && value !== undefined)) {
+        throw new ValidationError('required', `${fieldRule.label} is required.`, field);
+      }
+      continue;
+    }
+    try {
+      values[field] = fieldRule.check(value);
+    } catch (error) {
+      if (error instanceof ValidationError) error.field = field;
+      throw error;
+    }
+  }
+  return values;
+}
+
+/**
+ * Build middleware validating a request against a schema.
+ *
+ * @param {object} schema
+ * @param {object} [schema.body]      Field rules for req.body
+ * @param {object} [schema.query]     Field rules for req.query
+ * @param {object} [schema.params]    Field rules for req.params
+ * @param {Function[]} [schema.checks] Cross-field checks, called with the
+ *                                     normalized body, query and params merged
+ */
+function validate({ body, query, params, checks = [] }) {
+  return (req, res, next) => {
+    try {
+      if (body) req.body = validateFields(body, req.body);
+      if (query) req.query = validateFields(query, req.query);
+      if (params) req.params = validateFields(params, req.params);
+      const values = { ...req.params, ...req.query, ...req.body };
+      checks.forEach(check => check(values));
+      next();
+    } catch (error) {
+      if (!(error instanceof ValidationError)) return next(error);
+      res.status(400).json({ code: error.code, message: error.message, field: error.field });
+    }
+  };
+}
+
+module.exports = {
+  ValidationError, rules, ordered, together, atLeastOne, partial, validateFields, validate, DATE_PATTERN, DATETIME_PATTERN,
+};
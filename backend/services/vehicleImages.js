@@ -0,0 +1,73 @@
+// backend/services/vehicleImages.js
+//
+// Checks and prepares uploaded vehicle photos. Every upload is decoded with
+// sharp, so a file only passes if it really is one of the accepted formats,
+// whatever its name or declared type. Photos are re-encoded as WebP (which
+// also drops EXIF data such as GPS location) in a full size and a card-sized
+// thumbnail.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 10;
+
+const FULL_SIZE = { width: 1600, height: 1200 };
+// Matches the 16:9 image area of the vehicle cards
+const THUMBNAIL_SIZE = { width: 480, height: 270 };
+
+class InvalidImageError extends Error {}
+
+/**
+ * Decode an upload and produce the files to store for it.
+ *
+ * @param {Buffer} buffer           Raw uploaded bytes
+ * @param {string} originalName     Client file name, only used in error messages
+ * @returns {Promise<{ full: Buffer, thumbnail: Buffer, width: number, height: number }>}
+ * @throws {InvalidImageError} when the file is not a readable JPEG, PNG or WebP image
+ */
+async function prepareImage(buffer, originalName) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new InvalidImageError(`${originalName} is not a readable image.`);
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`${originalName} must be a JPEG, PNG or WebP image.`);
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const { data: full, info } = await sharp(buffer)
+    .rotate()
+    .resize({ ...FULL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ ...THUMBNAIL_SIZE, fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+  return { full, thumbnail, width: info.width, height: info.height };
+}
+
+// Random storage keys for a vehicle's photo and its thumbnail
+function storageKeysFor(vehicleId) {
+  const id = crypto.randomBytes(12).toString('hex');
+  return {
+    storageKey: `vehicles/${vehicleId}/${id}.webp`,
+    thumbnailKey: `vehicles/${vehicleId}/${id}-thumb.webp`,
+  };
+}
+
+module.exports = {
+  ACCEPTED_TYPES,
+  MAX_BYTES,
+  MAX_FILES,
+  InvalidImageError,
+  prepareImage,
+  storageKeysFor,
+};
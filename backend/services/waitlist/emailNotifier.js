@@ -0,0 +1,11 @@
+// backend/services/waitlist/emailNotifier.js
+//
+// Emails the offer through the active mail transport (see services/notifications).
+
+const notifications = require('../notifications');
+
+async function notify(offer) {
+  await notifications.notifyWaitlistOffer(offer);
+}
+
+module.exports = { name: 'email', notify };
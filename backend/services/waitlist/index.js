@@ -0,0 +1,57 @@
+// backend/services/waitlist/index.js
+//
+// Waitlist offers. When dates free up, the first customer waiting for them is
+// offered the vehicle through the notifier chosen with WAITLIST_NOTIFIER
+// (default: email), with a claim link that books it. The offer is held for
+// WAITLIST_CLAIM_MINUTES (default 60) before it passes to the next customer.
+// Claim tokens are random and only their hashes are stored, so the link is
+// the credential. Kept free of database access.
+//
+// Every notifier exports:
+//   name                      Identifier used in WAITLIST_NOTIFIER
+//   notify(offer)             Tells the customer about the offer (see
+//                             notifications.notifyWaitlistOffer for its fields)
+
+const crypto = require('crypto');
+const emailNotifier = require('./emailNotifier');
+const logNotifier = require('./logNotifier');
+
+const notifiers = {
+  [emailNotifier.name]: emailNotifier,
+  [logNotifier.name]: logNotifier,
+};
+
+const CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+// The React app, which turns ?claim=<token> into the claim screen
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+function activeNotifier() {
+  const name = process.env.WAITLIST_NOTIFIER || emailNotifier.name;
+  const notifier = notifiers[name];
+  if (!notifier) {
+    throw new Error(`Unknown waitlist notifier "${name}". Available: ${Object.keys(notifiers).join(', ')}`);
+  }
+  return notifier;
+}
+
+function hashClaimToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A new offer's claim token and deadline.
+ *
+ * @param {Date} [now]
+ * @returns {{ token: string, tokenHash: string, expiresAt: Date, claimUrl: string }}
+ */
+function newClaim(now = new Date()) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return {
+    token,
+    tokenHash: hashClaimToken(token),
+    expiresAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000),
+    claimUrl: `${APP_URL}/?claim=${encodeURIComponent(token)}`,
+  };
+}
+
+module.exports = { activeNotifier, hashClaimToken, newClaim };
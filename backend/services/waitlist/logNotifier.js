@@ -0,0 +1,9 @@
+// backend/services/waitlist/logNotifier.js
+//
+// Local development notifier: logs the offer and its claim link to the console.
+
+async function notify(offer) {
+  console.log(`Waitlist offer for ${offer.email}: ${offer.vehicleName}, ${new Date(offer.startAt).toISOString()} to ${new Date(offer.endAt).toISOString()}. Claim by ${new Date(offer.expiresAt).toISOString()} at ${offer.claimUrl}`);
+}
+
+module.exports = { name: 'log', notify };
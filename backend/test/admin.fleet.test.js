@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('admin fleet routes', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  const asAdmin = (method, url, body) => app.request(method, url, { token: admin.token, body });
+
+  it('is closed to customers and staff', async () => {
+    for (const role of ['customer', 'staff']) {
+      const { token } = await signUp(app.request, { role });
+      const response = await app.request('GET', '/api/admin/vehicles', { token });
+      assert.equal(response.status, 403, role);
+    }
+  });
+
+  it('adds a vehicle with normalized fields', async () => {
+    const existing = await createVehicle();
+    const response = await asAdmin('POST', '/api/admin/vehicles', {
+      name: ' Baleno ', typeId: existing.type_id, branchId: existing.branch_id, pricePerDay: '1750', registrationNumber: 'mh 12 xy 4321', seats: '5',
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.vehicle.name, 'Baleno');
+    assert.equal(Number(response.body.vehicle.price_per_day), 1750);
+    assert.equal(response.body.vehicle.registration_number, 'MH12XY4321');
+    assert.equal(response.body.vehicle.seats, 5);
+  });
+
+  it('rejects invalid vehicle payloads field by field', async () => {
+    const existing = await createVehicle();
+    const valid = { name: 'Baleno', typeId: existing.type_id, branchId: existing.branch_id, pricePerDay: 1750 };
+    const cases = [
+      [{ ...valid, name: '' }, 'required', 'name'],
+      [{ ...valid, pricePerDay: -5 }, 'out_of_range', 'pricePerDay'],
+      [{ ...valid, seats: 0 }, 'out_of_range', 'seats'],
+      [{ ...valid, transmission: 'cvt' }, 'not_allowed', 'transmission'],
+      [{ ...valid, typeId: 99999 }, 'vehicle_type_not_found', 'typeId'],
+      [{ ...valid, branchId: 99999 }, 'branch_not_found', 'branchId'],
+    ];
+    for (const [body, code, field] of cases) {
+      const response = await asAdmin('POST', '/api/admin/vehicles', body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.deepEqual([response.body.code, response.body.field], [code, field]);
+    }
+  });
+
+  it('updates only the fields sent and keeps registrations unique', async () => {
+    const first = await createVehicle({ vehicle: { registration_number: 'MH12AA0001' } });
+    const second = await createVehicle();
+
+    const renamed = await asAdmin('PUT', `/api/admin/vehicles/${second.id}`, { name: 'Swift Dzire' });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.vehicle.name, 'Swift Dzire');
+    assert.equal(Number(renamed.body.vehicle.price_per_day), 1000);
+
+    const taken = await asAdmin('PUT', `/api/admin/vehicles/${second.id}`, { registrationNumber: first.registration_number });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'registration_taken');
+
+    const missing = await asAdmin('PUT', '/api/admin/vehicles/99999', { name: 'Ghost' });
+    assert.deepEqual([missing.status, missing.body.code, missing.body.field], [404, 'vehicle_not_found', 'id']);
+    const malformed = await asAdmin('PUT', '/api/admin/vehicles/abc', { name: 'Ghost' });
+    assert.deepEqual([malformed.status, malformed.body.field], [400, 'id']);
+  });
+
+  it('takes a vehicle out of the customer fleet and puts it back', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const listed = async () => (await app.request('GET', '/api/vehicles')).body.some(({ id }) => id === vehicle.id);
+
+    const hidden = await asAdmin('PATCH', `/api/admin/vehicles/${vehicle.id}/availability`, { isAvailable: false });
+
+    assert.equal(hidden.status, 200);
+    assert.equal(await listed(), false);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    assert.equal(booked.status, 409);
+    assert.equal(booked.body.code, 'vehicle_unavailable');
+
+    const toggled = await asAdmin('PATCH', `/api/admin/vehicles/${vehicle.id}/availability`, {});
+    assert.equal(toggled.body.vehicle.is_available, true);
+    assert.equal(await listed(), true);
+  });
+
+  it('adds, renames and removes vehicle types customers can choose from', async () => {
+    const names = async () => (await app.request('GET', '/api/vehicle-types')).body.map(({ name }) => name);
+
+    const added = await asAdmin('POST', '/api/admin/vehicle-types', { name: 'Cruiser', wheels: 2 });
+    assert.equal(added.status, 201);
+    const { id } = added.body.vehicleType;
+    assert.ok((await names()).includes('Cruiser'));
+
+    assert.equal((await asAdmin('PUT', `/api/admin/vehicle-types/${id}`, { name: 'Tourer' })).status, 200);
+    assert.ok((await names()).includes('Tourer'));
+
+    assert.equal((await asAdmin('DELETE', `/api/admin/vehicle-types/${id}`)).status, 200);
+    assert.ok(!(await names()).includes('Tourer'));
+  });
+
+  it('refuses to delete a vehicle or type that bookings or vehicles still use', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    assert.equal(booked.status, 201);
+
+    const vehicleResponse = await asAdmin('DELETE', `/api/admin/vehicles/${vehicle.id}`);
+    assert.equal(vehicleResponse.status, 409);
+    assert.equal(vehicleResponse.body.code, 'vehicle_in_use');
+
+    const typeResponse = await asAdmin('DELETE', `/api/admin/vehicle-types/${vehicle.type_id}`);
+    assert.equal(typeResponse.status, 409);
+    assert.equal(typeResponse.body.code, 'vehicle_type_in_use');
+  });
+
+  it('validates vehicle types, branches and roles', async () => {
+    const wheels = await asAdmin('POST', '/api/admin/vehicle-types', { name: 'Trike', wheels: 5 });
+    assert.deepEqual([wheels.status, wheels.body.code, wheels.body.field], [400, 'out_of_range', 'wheels']);
+
+    const type = await asAdmin('POST', '/api/admin/vehicle-types', { name: 'Trike', wheels: 3, pricePerHour: '90' });
+    assert.equal(type.status, 201);
+    const cleared = await asAdmin('PUT', `/api/admin/vehicle-types/${type.body.vehicleType.id}`, { pricePerHour: '' });
+    assert.equal(cleared.body.vehicleType.price_per_hour, null);
+
+    const branch = await asAdmin('POST', '/api/admin/branches', { name: 'Nashik Road' });
+    assert.deepEqual([branch.status, branch.body.code, branch.body.field], [400, 'required', 'city']);
+
+    const { customer } = await signUp(app.request);
+    const role = await asAdmin('PUT', `/api/admin/customers/${customer.id}/role`, { role: 'owner' });
+    assert.deepEqual([role.status, role.body.code, role.body.field], [400, 'not_allowed', 'role']);
+    const promoted = await asAdmin('PUT', `/api/admin/customers/${customer.id}/role`, { role: 'staff' });
+    assert.equal(promoted.body.customer.role, 'staff');
+  });
+
+  it('checks promo codes as a whole when updating part of one', async () => {
+    const created = await asAdmin('POST', '/api/admin/promo-codes', { code: ' festive10 ', discountType: 'percent', discountValue: 10, vehicleTypeIds: [] });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.promoCode.code, 'FESTIVE10');
+    assert.equal(created.body.promoCode.vehicle_type_ids, null);
+
+    const tooMuch = await asAdmin('PUT', `/api/admin/promo-codes/${created.body.promoCode.id}`, { discountValue: 150 });
+    assert.deepEqual([tooMuch.status, tooMuch.body.code, tooMuch.body.field], [400, 'out_of_range', 'discountValue']);
+
+    const duplicate = await asAdmin('POST', '/api/admin/promo-codes', { code: 'FESTIVE10', discountType: 'flat', discountValue: 100 });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'promo_code_taken');
+    assert.equal(await loadServer().models.PromoCode.count({ where: { code: 'FESTIVE10' } }), 1);
+  });
+
+  it('refuses to rename a promo code to one that is taken', async () => {
+    await asAdmin('POST', '/api/admin/promo-codes', { code: 'MONSOON5', discountType: 'percent', discountValue: 5 });
+    const other = await asAdmin('POST', '/api/admin/promo-codes', { code: 'WINTER5', discountType: 'percent', discountValue: 5 });
+    const url = `/api/admin/promo-codes/${other.body.promoCode.id}`;
+
+    const taken = await asAdmin('PUT', url, { code: 'monsoon5' });
+    assert.deepEqual([taken.status, taken.body.code, taken.body.field], [409, 'promo_code_taken', 'code']);
+
+    const unchanged = await asAdmin('PUT', url, { code: 'WINTER5', discountValue: 8 });
+    assert.equal(unchanged.status, 200);
+    assert.equal(Number(unchanged.body.promoCode.discount_value), 8);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('audit trail', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  const auditLog = query => app.request('GET', `/api/admin/audit-log?${new URLSearchParams(query)}`, { token: admin.token });
+
+  it('records what an admin changed on a vehicle, and who changed it in which request', async () => {
+    const vehicle = await createVehicle();
+
+    const updated = await app.request('PUT', `/api/admin/vehicles/${vehicle.id}`, { token: admin.token, body: { pricePerDay: '1200', seats: 5 } });
+
+    assert.equal(updated.status, 200);
+    const { entries } = (await auditLog({ entityType: 'vehicle', entityId: vehicle.id, action: 'update' })).body;
+    assert.equal(entries.length, 1);
+    const [entry] = entries;
+    assert.deepEqual(Object.keys(entry.changes).sort(), ['price_per_day', 'seats']);
+    assert.deepEqual(entry.changes.seats, { from: null, to: 5 });
+    assert.equal(Number(entry.changes.price_per_day.to), 1200);
+    assert.deepEqual([entry.actor_id, entry.actor_role, entry.Actor.email], [admin.customer.id, 'admin', admin.customer.email]);
+    assert.equal(entry.request_id, updated.headers.get('x-request-id'));
+  });
+
+  it("follows a booking's history by its reference, including changes made without signing in", async () => {
+    const vehicle = await createVehicle();
+    const customer = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token: customer.token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const { reference } = booked.body.booking;
+
+    await app.request('DELETE', `/api/bookings/${reference}`);
+
+    const { entries } = (await auditLog({ reference })).body;
+    assert.deepEqual(entries.map(({ action, actor_role: role }) => [action, role]), [['update', 'guest'], ['create', 'customer']]);
+    assert.deepEqual(entries[0].changes.status, { from: 'pending_payment', to: 'cancelled' });
+  });
+
+  it('is closed to staff', async () => {
+    const staff = await signUp(app.request, { role: 'staff' });
+
+    const response = await app.request('GET', '/api/admin/audit-log', { token: staff.token });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('customer accounts', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const account = { firstName: 'Asha', lastName: 'Patil', email: 'asha@example.com', password: 'password123' };
+
+  it("registers, signs in and books under the account holder's name", async () => {
+    const registered = await app.request('POST', '/api/auth/register', { body: account });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.customer.password_hash, undefined);
+
+    const duplicate = await app.request('POST', '/api/auth/register', { body: account });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'email_taken');
+
+    const signedIn = await app.request('POST', '/api/auth/login', { body: { email: account.email, password: account.password } });
+    assert.equal(signedIn.status, 200);
+    const me = await app.request('GET', '/api/auth/me', { token: signedIn.body.token });
+    assert.equal(me.body.email, account.email);
+
+    const vehicle = await createVehicle();
+    const booked = await app.request('POST', '/api/bookings', { token: signedIn.body.token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.booking.first_name, 'Asha');
+    assert.equal(booked.body.booking.last_name, 'Patil');
+  });
+
+  it('rejects a wrong password', async () => {
+    const response = await app.request('POST', '/api/auth/login', { body: { email: account.email, password: 'not-the-password' } });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'invalid_credentials');
+  });
+
+  it('needs an account to book', async () => {
+    const vehicle = await createVehicle();
+
+    const response = await app.request('POST', '/api/bookings', { body: { vehicleId: vehicle.id, ...futurePeriod() } });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'authentication_required');
+  });
+
+  it('revokes every token on sign-out', async () => {
+    const first = await app.request('POST', '/api/auth/login', { body: { email: account.email, password: account.password } });
+    const second = await app.request('POST', '/api/auth/login', { body: { email: account.email, password: account.password } });
+
+    const signedOut = await app.request('POST', '/api/auth/logout', { token: first.body.token });
+
+    assert.equal(signedOut.status, 200);
+    for (const { body } of [first, second]) {
+      const me = await app.request('GET', '/api/auth/me', { token: body.token });
+      assert.equal(me.status, 401);
+      assert.equal(me.body.code, 'session_expired');
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+// YYYY-MM-DD of an ISO time, in local time as the server compares blackouts
+function dateOf(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+describe('vehicle blackouts', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  async function blackOut(vehicle, period) {
+    const response = await app.request('POST', '/api/admin/blackouts', {
+      token: admin.token,
+      body: { vehicleId: vehicle.id, startDate: dateOf(period.startAt), endDate: dateOf(period.endAt), reason: 'service' },
+    });
+    assert.equal(response.status, 201);
+    return response.body.blackout;
+  }
+
+  it('rejects bookings on a blacked-out day', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    await blackOut(vehicle, futurePeriod({ daysAhead: 4, hours: 2 }));
+
+    const response = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod({ daysAhead: 3 }) } });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'vehicle_blacked_out');
+  });
+
+  it('offers the freed dates to the waitlist when a blackout is removed', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const period = futurePeriod({ daysAhead: 10 });
+    const blackout = await blackOut(vehicle, period);
+    const joined = await app.request('POST', '/api/waitlist', { token, body: { vehicleId: vehicle.id, ...period } });
+    assert.equal(joined.status, 201);
+
+    const removed = await app.request('DELETE', `/api/admin/blackouts/${blackout.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+
+    // The offer is made in the background after the response
+    const { WaitlistEntry } = loadServer().models;
+    let entry;
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      entry = await WaitlistEntry.findOne({ where: { vehicle_id: vehicle.id } });
+      if (entry.status === 'offered') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(entry.status, 'offered');
+    assert.equal(entry.offered_vehicle_id, vehicle.id);
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('DELETE /api/bookings/:ref', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('gives back the promo code use of an unpaid booking', async () => {
+    const { PromoCode } = loadServer().models;
+    const promo = await PromoCode.create({ code: 'ONCE', discount_type: 'flat', discount_value: '100.00', max_redemptions: 1 });
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+
+    const booked = await app.request('POST', '/api/bookings', {
+      token,
+      body: { vehicleId: vehicle.id, promoCode: 'ONCE', ...futurePeriod() },
+    });
+    assert.equal(booked.status, 201);
+    assert.equal((await promo.reload()).redemption_count, 1);
+
+    const cancelled = await app.request('DELETE', `/api/bookings/${booked.body.booking.reference}`, { token });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.booking.status, 'cancelled');
+    assert.equal((await promo.reload()).redemption_count, 0);
+  });
+
+  it('cancels a booking once when cancellations race', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+
+    const statuses = (await Promise.all([1, 2, 3].map(() => app.request('DELETE', url, { token })))).map(response => response.status);
+
+    assert.deepEqual(statuses.sort(), [200, 409, 409]);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('POST /api/bookings under concurrency', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('books a vehicle once when many requests race for the same times', async () => {
+    const attempts = 10;
+    const vehicle = await createVehicle();
+    const period = futurePeriod();
+    const customers = await Promise.all(Array.from({ length: attempts }, () => signUp(app.request)));
+
+    const responses = await Promise.all(customers.map(({ token }) => app.request('POST', '/api/bookings', {
+      token,
+      body: { vehicleId: vehicle.id, ...period },
+    })));
+
+    const statuses = responses.map(response => response.status);
+    assert.equal(statuses.filter(status => status === 201).length, 1, `statuses: ${statuses.join(', ')}`);
+    assert.equal(statuses.filter(status => status === 409).length, attempts - 1, `statuses: ${statuses.join(', ')}`);
+    for (const response of responses.filter(({ status }) => status === 409)) {
+      assert.equal(response.body.code, 'booking_conflict');
+    }
+    assert.equal(await loadServer().models.Booking.count({ where: { vehicle_id: vehicle.id } }), 1);
+  });
+
+  it('books a vehicle once when requests race for overlapping times', async () => {
+    const vehicle = await createVehicle();
+    // Each period starts an hour after the last, so every pair overlaps
+    const first = futurePeriod({ daysAhead: 6 });
+    const later = (time, hours) => new Date(new Date(time).getTime() + hours * 3600000).toISOString();
+    const periods = [0, 1, 2, 3, 4].map(hours => ({ startAt: later(first.startAt, hours), endAt: later(first.endAt, hours) }));
+    const customers = await Promise.all(periods.map(() => signUp(app.request)));
+
+    const responses = await Promise.all(periods.map((period, index) => app.request('POST', '/api/bookings', {
+      token: customers[index].token,
+      body: { vehicleId: vehicle.id, ...period },
+    })));
+
+    const statuses = responses.map(response => response.status);
+    assert.equal(statuses.filter(status => status === 201).length, 1, `statuses: ${statuses.join(', ')}`);
+    assert.equal(await loadServer().models.Booking.count({ where: { vehicle_id: vehicle.id } }), 1);
+  });
+});
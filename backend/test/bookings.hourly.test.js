@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('hourly bookings', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  before(async () => {
+    app = await startApp();
+    ({ token } = await signUp(app.request));
+  });
+  after(() => app.close());
+
+  // A period starting `fromHour` hours after 10:00 in three days' time
+  const slot = (fromHour, hours) => {
+    const start = new Date(futurePeriod().startAt).getTime() + fromHour * 3600000;
+    return { startAt: new Date(start).toISOString(), endAt: new Date(start + hours * 3600000).toISOString() };
+  };
+
+  it('books the same vehicle for back-to-back hours on one day', async () => {
+    const vehicle = await createVehicle({ type: { price_per_hour: '150.00' } });
+
+    const morning = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...slot(0, 3) } });
+    const afternoon = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...slot(3, 4) } });
+    const overlapping = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...slot(6, 2) } });
+
+    assert.equal(morning.status, 201);
+    assert.equal(Number(morning.body.booking.price_breakdown.subtotal), 450);
+    assert.equal(afternoon.status, 201);
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.code, 'booking_conflict');
+  });
+
+  it('needs the return to come after the pickup', async () => {
+    const vehicle = await createVehicle();
+    const { startAt } = slot(0, 1);
+
+    const response = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, startAt, endAt: startAt } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.field, 'endAt');
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('booking payments', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('keeps the booking when the gateway fails and lets the customer pay later', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+
+    process.env.PAYMENT_GATEWAY = 'unavailable';
+    let booked;
+    try {
+      booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    } finally {
+      delete process.env.PAYMENT_GATEWAY;
+    }
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.payment, null);
+    assert.equal(booked.body.booking.status, 'pending_payment');
+
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+    const started = await app.request('POST', `${url}/payment`);
+    assert.equal(started.status, 201);
+    assert.equal(Number(started.body.payment.amount), Number(booked.body.booking.total_amount));
+
+    const paid = await app.request('POST', `/api${started.body.payment.nextAction.path}`, { body: { cardNumber: '4242424242424242' } });
+    assert.equal(paid.status, 200);
+    const confirmed = await app.request('POST', `${url}/confirm-payment`);
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.booking.status, 'confirmed');
+  });
+
+  it('does not restart payment for a booking that is not awaiting one', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+    await app.request('DELETE', url, { token });
+
+    const response = await app.request('POST', `${url}/payment`);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'invalid_booking_status');
+  });
+
+  it('confirms a booking only once its payment has succeeded', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+
+    const early = await app.request('POST', `${url}/confirm-payment`);
+    assert.equal(early.status, 402);
+    assert.equal(early.body.code, 'payment_incomplete');
+
+    const declined = await app.request('POST', `/api${booked.body.payment.nextAction.path}`, { body: { cardNumber: '4000000000000002' } });
+    assert.equal(declined.status, 402);
+    assert.equal(declined.body.code, 'card_declined');
+  });
+
+  it('refunds the difference when a paid booking is moved to a cheaper period', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod({ hours: 72 }) } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+    await app.request('POST', `/api${booked.body.payment.nextAction.path}`, { body: { cardNumber: '4242424242424242' } });
+    await app.request('POST', `${url}/confirm-payment`);
+
+    const moved = await app.request('PATCH', url, { token, body: futurePeriod({ daysAhead: 5, hours: 48 }) });
+
+    assert.equal(moved.status, 200);
+    const paid = Number(booked.body.booking.total_amount);
+    const repriced = Number(moved.body.booking.total_amount);
+    assert.ok(repriced < paid);
+    assert.equal(moved.body.booking.status, 'confirmed');
+    const difference = (paid - repriced).toFixed(2);
+    assert.deepEqual([moved.body.refund.amount, moved.body.refund.status], [difference, 'succeeded']);
+    const refunds = await loadServer().models.Payment.findAll({ where: { booking_id: booked.body.booking.id, kind: 'refund' } });
+    assert.deepEqual(refunds.map(({ amount, status }) => [Number(amount).toFixed(2), status]), [[difference, 'succeeded']]);
+  });
+
+  it('refuses to move a paid booking to a dearer period', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod({ hours: 48 }) } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+    await app.request('POST', `/api${booked.body.payment.nextAction.path}`, { body: { cardNumber: '4242424242424242' } });
+    await app.request('POST', `${url}/confirm-payment`);
+
+    const moved = await app.request('PATCH', url, { token, body: futurePeriod({ daysAhead: 5, hours: 72 }) });
+
+    assert.equal(moved.status, 409);
+    assert.equal(moved.body.code, 'payment_difference_required');
+    assert.ok(Number(moved.body.amount) > 0);
+    const booking = await app.request('GET', url);
+    assert.equal(Number(booking.body.total_amount), Number(booked.body.booking.total_amount));
+    assert.equal(booking.body.start_at, booked.body.booking.start_at);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('pickup and drop-off branches', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  before(async () => {
+    app = await startApp();
+    ({ token } = await signUp(app.request));
+  });
+  after(() => app.close());
+
+  const book = body => app.request('POST', '/api/bookings', { token, body: { ...futurePeriod(), ...body } });
+
+  it('charges the one-way fee only when the vehicle is dropped off elsewhere', async () => {
+    const { Branch } = loadServer().models;
+    const elsewhere = await Branch.create({ name: 'Mumbai Andheri', city: 'Mumbai' });
+    const vehicle = await createVehicle();
+
+    const roundTrip = await book({ vehicleId: vehicle.id, dropoffBranchId: vehicle.branch_id });
+    await app.request('DELETE', `/api/bookings/${roundTrip.body.booking.reference}`, { token });
+    const oneWay = await book({ vehicleId: vehicle.id, dropoffBranchId: elsewhere.id });
+
+    assert.equal(roundTrip.status, 201);
+    assert.equal(Number(roundTrip.body.booking.price_breakdown.oneWayFee), 0);
+    assert.equal(oneWay.status, 201);
+    assert.equal(oneWay.body.booking.dropoff_branch_id, elsewhere.id);
+    assert.equal(Number(oneWay.body.booking.price_breakdown.oneWayFee), 1500);
+  });
+
+  it('only hands vehicles out at their own branch and takes them back at open ones', async () => {
+    const { Branch } = loadServer().models;
+    const closed = await Branch.create({ name: 'Old Depot', city: 'Pune', is_active: false });
+    const vehicle = await createVehicle();
+
+    const wrongPickup = await book({ vehicleId: vehicle.id, pickupBranchId: closed.id });
+    const closedDropoff = await book({ vehicleId: vehicle.id, dropoffBranchId: closed.id });
+
+    assert.deepEqual([wrongPickup.status, wrongPickup.body.code], [400, 'wrong_pickup_branch']);
+    assert.deepEqual([closedDropoff.status, closedDropoff.body.code], [400, 'branch_unavailable']);
+  });
+
+  it('lists only the vehicles based at the chosen pickup branch', async () => {
+    const here = await createVehicle();
+    await createVehicle();
+
+    const response = await app.request('GET', `/api/vehicles?branchId=${here.branch_id}`);
+
+    assert.deepEqual(response.body.map(({ id }) => id), [here.id]);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+// The path and query of a feed URL, for app.request()
+const feedPath = (url) => {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+};
+
+describe('calendar feeds', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let staff;
+  let vehicle;
+  before(async () => {
+    app = await startApp();
+    staff = await signUp(app.request, { role: 'staff' });
+    vehicle = await createVehicle();
+  });
+  after(() => app.close());
+
+  const issue = () => app.request('POST', '/api/staff/calendar-feeds', { token: staff.token, body: { vehicleId: vehicle.id } });
+
+  it('versions each booking event by when the booking last changed', async () => {
+    const customer = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token: customer.token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const updatedAt = new Date('2030-01-02T03:04:05Z');
+    await loadServer().sequelize.query('UPDATE bookings SET updated_at = ? WHERE reference = ?', {
+      replacements: [updatedAt, booked.body.booking.reference],
+    });
+
+    const feed = await app.request('GET', feedPath((await issue()).body.url));
+
+    assert.equal(feed.status, 200);
+    assert.match(feed.body, /LAST-MODIFIED:20300102T030405Z/);
+    assert.match(feed.body, new RegExp(`SEQUENCE:${updatedAt.getTime() / 1000}`));
+  });
+
+  it('stops serving a revoked link', async () => {
+    const issued = await issue();
+    assert.equal(issued.status, 201);
+    assert.equal((await app.request('GET', feedPath(issued.body.url))).status, 200);
+
+    const revoked = await app.request('DELETE', `/api/staff/calendar-feeds/${issued.body.feed.id}`, { token: staff.token });
+
+    assert.equal(revoked.status, 200);
+    const feed = await app.request('GET', feedPath(issued.body.url));
+    assert.equal(feed.status, 401);
+    assert.equal(feed.body.code, 'invalid_feed_token');
+    const listed = await app.request('GET', '/api/staff/calendar-feeds', { token: staff.token });
+    assert.ok(!listed.body.some(({ id }) => id === issued.body.feed.id));
+  });
+
+  it('replaces a rotated link with a working one', async () => {
+    const issued = await issue();
+
+    const rotated = await app.request('POST', `/api/staff/calendar-feeds/${issued.body.feed.id}/rotate`, { token: staff.token });
+
+    assert.equal(rotated.status, 201);
+    assert.notEqual(rotated.body.url, issued.body.url);
+    assert.equal((await app.request('GET', feedPath(issued.body.url))).status, 401);
+    assert.equal((await app.request('GET', feedPath(rotated.body.url))).status, 200);
+  });
+
+  it('stops serving a link once it expires', async () => {
+    const issued = await issue();
+    const { CalendarFeed } = loadServer().models;
+    await CalendarFeed.update({ expires_at: new Date(Date.now() - 1000) }, { where: { id: issued.body.feed.id } });
+
+    assert.equal((await app.request('GET', feedPath(issued.body.url))).status, 401);
+  });
+
+  it("does not let staff revoke someone else's link", async () => {
+    const issued = await issue();
+    const other = await signUp(app.request, { role: 'staff' });
+
+    const revoked = await app.request('DELETE', `/api/staff/calendar-feeds/${issued.body.feed.id}`, { token: other.token });
+
+    assert.equal(revoked.status, 404);
+    assert.equal((await app.request('GET', feedPath(issued.body.url))).status, 200);
+  });
+});
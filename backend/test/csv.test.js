@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../services/csv');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle } = require('./helpers');
+
+describe('csv', () => {
+  it('quotes fields that need it and defuses spreadsheet formulas', () => {
+    const text = csv.stringify([['name', row => row.name], ['note', row => row.note], ['at', row => row.at]], [
+      { name: 'Swift, "VXi"', note: '=HYPERLINK("x")', at: new Date('2030-01-07T10:00:00Z') },
+      { name: 'Line\nbreak', note: null, at: -5 },
+    ]);
+
+    assert.equal(text, [
+      'name,note,at',
+      '"Swift, ""VXi""","\'=HYPERLINK(""x"")",2030-01-07T10:00:00.000Z',
+      '"Line\nbreak",,-5',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('parses quoted fields, byte order marks and either line ending, skipping blank lines', () => {
+    const rows = csv.parse('\uFEFFname,note\r\n"Swift, ""VXi""","two\nlines"\n\nBaleno,\n');
+
+    assert.deepEqual(rows, [
+      { line: 1, fields: ['name', 'note'] },
+      { line: 2, fields: ['Swift, "VXi"', 'two\nlines'] },
+      { line: 5, fields: ['Baleno', ''] },
+    ]);
+  });
+
+  it('reports a quoted field that is never closed', () => {
+    assert.throws(() => csv.parse('name\n"Swift\n'), /Unclosed quoted field starting on line 2/);
+  });
+
+  it('keys records by their trimmed, lower-cased headers', () => {
+    assert.deepEqual(csv.parseRecords(' Name ,Seats\n Swift , 5\n').records, [{ line: 2, values: { name: 'Swift', seats: '5' } }]);
+  });
+});
+
+describe('vehicle CSV export and import', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  const upload = (text, query = '') => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/csv' }), 'vehicles.csv');
+    return app.request('POST', `/api/admin/import/vehicles${query}`, { token: admin.token, body: form });
+  };
+
+  it('imports an edited export, checking every row before saving any', async () => {
+    const vehicle = await createVehicle();
+    const exported = await app.request('GET', '/api/admin/export/vehicles.csv', { token: admin.token });
+    assert.equal(exported.status, 200);
+    const [header, row] = csv.parse(exported.body).map(({ fields }) => fields);
+    row[header.indexOf('price_per_day')] = '1250';
+    const edited = [header, row].map(fields => fields.join(',')).join('\r\n');
+    const { Vehicle } = loadServer().models;
+
+    const dryRun = await upload(edited, '?dryRun=true');
+    assert.deepEqual([dryRun.status, dryRun.body.updated, dryRun.body.created], [200, 1, 0]);
+    assert.equal(Number((await Vehicle.findByPk(vehicle.id)).price_per_day), 1000);
+
+    const withBadRow = await upload(`${edited}\r\n,Alto,No Such Type,Test Branch,900,true`);
+    assert.equal(withBadRow.status, 400);
+    assert.equal(withBadRow.body.code, 'invalid_rows');
+    assert.deepEqual(withBadRow.body.errors.map(({ line, column, code }) => [line, column, code]), [[3, 'type', 'unknown_type']]);
+    assert.equal(Number((await Vehicle.findByPk(vehicle.id)).price_per_day), 1000);
+
+    const imported = await upload(edited);
+    assert.equal(imported.status, 200);
+    assert.equal(Number((await Vehicle.findByPk(vehicle.id)).price_per_day), 1250);
+  });
+});
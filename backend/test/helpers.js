@@ -0,0 +1,145 @@
+// backend/test/helpers.js
+//
+// Shared setup for the API tests. They run the Express app against a real
+// MySQL database named by TEST_DB_NAME (with TEST_DB_USER, TEST_DB_PASSWORD
+// and TEST_DB_HOST). Every table in it is dropped and rebuilt from the
+// migrations, so never point it at a database whose data matters. Test files
+// share it, which is why `npm test` runs them one at a time. Without
+// TEST_DB_NAME the API tests are skipped; the service tests always run.
+// `npm run test:ci` sets REQUIRE_TEST_DB, which turns a missing TEST_DB_NAME
+// into a failure, so CI cannot pass without running them.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hasDatabase = Boolean(process.env.TEST_DB_NAME);
+if (!hasDatabase && process.env.REQUIRE_TEST_DB) {
+  throw new Error('REQUIRE_TEST_DB is set but TEST_DB_NAME is not: point TEST_DB_NAME at a MySQL database the tests may wipe.');
+}
+
+// Pass as the `skip` option of a describe() that needs the database
+const skipWithoutDatabase = hasDatabase ? false : 'TEST_DB_NAME is not set';
+
+let server = null;
+
+// Loads server.js pointed at the test database, with mail, waitlist offers
+// and uploads kept on this machine
+function loadServer() {
+  if (!server) {
+    Object.assign(process.env, {
+      DB_NAME: process.env.TEST_DB_NAME,
+      DB_USER: process.env.TEST_DB_USER || 'root',
+      DB_PASSWORD: process.env.TEST_DB_PASSWORD || '',
+      DB_HOST: process.env.TEST_DB_HOST || '127.0.0.1',
+      JWT_SECRET: 'test-secret',
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: path.join(os.tmpdir(), 'vehicle-rental-test-mail'),
+      UPLOAD_DIR: path.join(os.tmpdir(), 'vehicle-rental-test-uploads'),
+      WAITLIST_NOTIFIER: 'log',
+    });
+    server = require('../server');
+  }
+  return server;
+}
+
+// Drops every table and runs the migrations in order, as `sequelize db:migrate` does
+async function resetDatabase() {
+  const { sequelize } = loadServer();
+  const { Sequelize } = sequelize;
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.dropAllTables();
+  const dir = path.join(__dirname, '..', 'migrations');
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+    await require(path.join(dir, file)).up(queryInterface, Sequelize);
+  }
+}
+
+/**
+ * Start the app on a free port against a freshly migrated database. Call
+ * from before(); the returned close() belongs in after().
+ *
+ * @returns {Promise<{ request: Function, close: Function }>}
+ */
+async function startApp() {
+  const { app, sequelize, processWaitlist } = loadServer();
+  await resetDatabase();
+  const listener = await new Promise((resolve) => {
+    const started = app.listen(0, '127.0.0.1', () => resolve(started));
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  // Sends a JSON request, or a multipart one for a FormData body, and
+  // resolves with the status and parsed body (or text, for other content types)
+  async function request(method, url, { body, token } = {}) {
+    const headers = {};
+    const multipart = body instanceof FormData;
+    if (body !== undefined && !multipart) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const payload = body === undefined || multipart ? body : JSON.stringify(body);
+    const response = await fetch(`${baseUrl}${url}`, { method, headers, body: payload });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('application/json') ? await response.json() : await response.text(),
+    };
+  }
+
+  async function close() {
+    await new Promise(resolve => listener.close(resolve));
+    // Let waitlist runs the routes started in the background finish first
+    await processWaitlist();
+    await sequelize.close();
+  }
+
+  return { request, close };
+}
+
+let accounts = 0;
+
+/**
+ * Register an account through the API, optionally promoting it to staff or admin.
+ *
+ * @returns {Promise<{ customer: object, token: string }>}
+ */
+async function signUp(request, { role = 'customer' } = {}) {
+  accounts += 1;
+  const response = await request('POST', '/api/auth/register', {
+    body: { firstName: 'Test', lastName: `Customer ${accounts}`, email: `customer${accounts}@example.com`, password: 'password123' },
+  });
+  if (role !== 'customer') {
+    await loadServer().models.Customer.update({ role }, { where: { id: response.body.customer.id } });
+  }
+  return response.body;
+}
+
+// Adds a vehicle of a new type at a new branch; `type` and `vehicle` override
+// their attributes
+async function createVehicle({ type = {}, vehicle = {} } = {}) {
+  const { VehicleType, Branch, Vehicle } = loadServer().models;
+  const vehicleType = await VehicleType.create({ name: 'Hatchback', wheels: 4, turnaround_minutes: 0, ...type });
+  const branch = await Branch.create({ name: 'Test Branch', city: 'Pune' });
+  return Vehicle.create({ name: 'Swift', type_id: vehicleType.id, price_per_day: '1000.00', branch_id: branch.id, ...vehicle });
+}
+
+/**
+ * A rental period in the future as ISO strings, starting at 10:00 local time.
+ *
+ * @param {object} [options]
+ * @param {number} [options.daysAhead]  Days from today to the pickup
+ * @param {number} [options.hours]      Length of the rental
+ * @returns {{ startAt: string, endAt: string }}
+ */
+function futurePeriod({ daysAhead = 3, hours = 48 } = {}) {
+  const start = new Date();
+  start.setDate(start.getDate() + daysAhead);
+  start.setHours(10, 0, 0, 0);
+  return { startAt: start.toISOString(), endAt: new Date(start.getTime() + hours * 3600000).toISOString() };
+}
+
+module.exports = { hasDatabase, skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod };
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('booking invoices', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  // A booking of a new vehicle, marked as paid for
+  async function paidBooking() {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    await loadServer().models.Booking.update({ status: 'confirmed' }, { where: { reference: booked.body.booking.reference } });
+    return booked.body.booking;
+  }
+
+  it('numbers the first invoices of a series one after the other when issued together', async () => {
+    const { Invoice, InvoiceSeries } = loadServer().models;
+    const bookings = await Promise.all([1, 2, 3].map(() => paidBooking()));
+
+    const responses = await Promise.all(bookings.map(({ reference }) => app.request('GET', `/api/bookings/${reference}/invoice.pdf`)));
+
+    assert.deepEqual(responses.map(({ status }) => status), [200, 200, 200]);
+    assert.equal(responses[0].headers.get('content-type'), 'application/pdf');
+    const issued = await Invoice.findAll({ order: [['sequence', 'ASC']] });
+    assert.deepEqual(issued.map(({ sequence }) => sequence), [1, 2, 3]);
+    assert.equal((await InvoiceSeries.findByPk(issued[0].series)).last_sequence, 3);
+  });
+
+  it('keeps the number of an invoice that was already issued', async () => {
+    const { reference } = await paidBooking();
+    const url = `/api/bookings/${reference}/invoice.pdf`;
+
+    await app.request('GET', url);
+    await app.request('GET', url);
+
+    const { Invoice, Booking } = loadServer().models;
+    const booking = await Booking.findOne({ where: { reference } });
+    assert.equal(await Invoice.count({ where: { booking_id: booking.id } }), 1);
+  });
+
+  it('credits the invoice of a changed booking and bills it again as changed', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const period = futurePeriod({ hours: 72 });
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...period } });
+    const url = `/api/bookings/${booked.body.booking.reference}`;
+    await app.request('POST', `/api${booked.body.payment.nextAction.path}`, { body: { cardNumber: '4242424242424242' } });
+    await app.request('POST', `${url}/confirm-payment`);
+
+    const moved = await app.request('PATCH', url, { token, body: futurePeriod({ daysAhead: 5, hours: 48 }) });
+    assert.equal(moved.status, 200);
+
+    const listed = await app.request('GET', `${url}/invoices`);
+    assert.equal(listed.status, 200);
+    const [original, creditNote, reissued] = listed.body;
+    assert.deepEqual(listed.body.map(({ kind }) => kind), ['rental', 'credit_note', 'rental']);
+    assert.equal(creditNote.credited_invoice_id, original.id);
+    assert.equal(creditNote.CreditedInvoice.number, original.number);
+    assert.equal(Number(original.total), Number(booked.body.booking.total_amount));
+    assert.equal(Number(creditNote.total), Number(original.total));
+    assert.equal(Number(reissued.total), Number(moved.body.booking.total_amount));
+
+    // Each keeps what it billed when it was issued
+    const { Invoice } = loadServer().models;
+    const stored = await Invoice.findByPk(original.id);
+    assert.equal(new Date(stored.details.booking.startAt).toISOString(), period.startAt);
+    assert.equal(Number(stored.details.booking.priceBreakdown.total), Number(booked.body.booking.total_amount));
+
+    for (const { id } of listed.body) {
+      const pdf = await app.request('GET', `${url}/invoices/${id}.pdf`);
+      assert.equal(pdf.status, 200);
+      assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    }
+    const current = await app.request('GET', `${url}/invoice.pdf`);
+    assert.match(current.headers.get('content-disposition'), new RegExp(reissued.number.replace(/\//g, '-')));
+  });
+
+  it("does not serve another booking's invoice", async () => {
+    const first = await paidBooking();
+    const second = await paidBooking();
+    await app.request('GET', `/api/bookings/${first.reference}/invoice.pdf`);
+    const [invoice] = (await app.request('GET', `/api/bookings/${first.reference}/invoices`)).body;
+
+    const response = await app.request('GET', `/api/bookings/${second.reference}/invoices/${invoice.id}.pdf`);
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'invoice_not_found');
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The file transport picks its directory when first loaded
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vehicle-rental-mail-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = mailDir;
+
+const { notifyBooking } = require('../services/notifications');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+// The saved message whose subject starts with `subject`, waiting a little for
+// mail sent in the background
+async function mailWithSubject(subject) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    for (const name of fs.readdirSync(mailDir)) {
+      const message = fs.readFileSync(path.join(mailDir, name), 'utf8');
+      if (message.includes(`\r\nSubject: ${subject}`)) {
+        return message;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return assert.fail(`No mail with subject "${subject}"`);
+}
+
+// The decoded text of a message's attachment called `fileName`
+function attachment(message, fileName) {
+  const [, base64] = message.match(new RegExp(`filename=${fileName}\\r\\n\\r\\n([A-Za-z0-9+/=\\r\\n]+)`));
+  return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+after(() => fs.rmSync(mailDir, { recursive: true, force: true }));
+
+describe('notifyBooking', () => {
+  const booking = {
+    email: 'asha@example.com',
+    firstName: 'Asha',
+    reference: 'ABC123',
+    vehicleName: 'Swift',
+    startAt: new Date('2030-01-07T10:00:00Z'),
+    endAt: new Date('2030-01-09T10:00:00Z'),
+    pickupLocation: 'Pune Central, FC Road',
+    totalAmount: '2360.00',
+  };
+
+  it('mails the customer with the pickup and return as calendar events', async () => {
+    await notifyBooking('confirmed', booking);
+
+    const message = await mailWithSubject('Booking confirmed: Swift');
+    assert.match(message, /^To: asha@example\.com\r$/m);
+    const calendar = attachment(message, 'booking-ABC123.ics');
+    assert.match(calendar, /METHOD:PUBLISH\r\n/);
+    assert.match(calendar, /UID:booking-ABC123-pickup@vehicle-rental\r\nDTSTAMP:\w+\r\nDTSTART:20300107T100000Z\r\n/);
+    assert.match(calendar, /UID:booking-ABC123-return@vehicle-rental\r\nDTSTAMP:\w+\r\nDTSTART:20300109T100000Z\r\n/);
+    assert.match(calendar, /LOCATION:Pune Central\\, FC Road\r\n/);
+  });
+
+  it('cancels the same events when the booking is cancelled', async () => {
+    await notifyBooking('cancelled', booking);
+
+    const calendar = attachment(await mailWithSubject('Booking ABC123 cancelled'), 'booking-ABC123.ics');
+    assert.match(calendar, /METHOD:CANCEL\r\n/);
+    assert.match(calendar, /UID:booking-ABC123-pickup@vehicle-rental\r\n/);
+    assert.equal(calendar.match(/STATUS:CANCELLED/g).length, 2);
+  });
+});
+
+describe('booking notifications', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('tells the customer when their booking is cancelled', async () => {
+    const vehicle = await createVehicle();
+    const { token, customer } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const { reference } = booked.body.booking;
+
+    await app.request('DELETE', `/api/bookings/${reference}`, { token });
+
+    const message = await mailWithSubject(`Booking ${reference} cancelled`);
+    assert.match(message, new RegExp(`^To: ${customer.email}\r$`, 'm'));
+  });
+});
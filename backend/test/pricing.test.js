@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { quote } = require('../services/pricing');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+// Rules with round numbers, so the expected amounts can be worked out by hand
+const RULES = {
+  weekendDays: [0, 6],
+  vehicleTypes: { Hatchback: { weekendMultiplier: 1.5 } },
+  seasons: [{ name: 'Year-end holidays', from: '12-30', to: '01-01', multiplier: 2 }],
+  longRentalDiscounts: [
+    { label: 'Weekly rental discount', minDays: 7, percent: 10 },
+    { label: 'Fortnightly rental discount', minDays: 14, percent: 15 },
+  ],
+  oneWayFee: { label: 'One-way drop-off fee', amount: 500 },
+  taxes: [{ name: 'GST', percent: 18 }],
+};
+
+// A quote for a Hatchback at 1000 a day, picked up at 10:00 local time on `date`
+const quoteFrom = (date, hours, options = {}) => {
+  const startAt = new Date(`${date}T10:00:00`);
+  return quote({ pricePerDay: '1000.00', vehicleType: 'Hatchback', startAt, endAt: new Date(startAt.getTime() + hours * 3600000), ...options }, RULES);
+};
+
+// Amounts of a quote's lines by code
+const amounts = ({ lines }) => Object.fromEntries(lines.map(({ code, amount }) => [code, amount]));
+
+describe('quote', () => {
+  it('charges the daily rate for each weekday plus tax', () => {
+    // Monday to Wednesday
+    const result = quoteFrom('2030-01-07', 48);
+
+    assert.equal(result.rentalDays, 2);
+    assert.deepEqual(amounts(result), { base: '2000.00' });
+    assert.equal(result.taxTotal, '360.00');
+    assert.equal(result.total, '2360.00');
+  });
+
+  it("adds the type's weekend surcharge and the season adjustment", () => {
+    // Saturday 2030-12-28 to Wednesday 2031-01-01: two weekend days, then two in the season
+    const result = quoteFrom('2030-12-28', 96);
+
+    assert.deepEqual(amounts(result), { base: '4000.00', weekend: '1000.00', season: '2000.00' });
+    assert.equal(result.subtotal, '7000.00');
+  });
+
+  it('applies only the largest long-rental discount, then the promo, then the one-way fee', () => {
+    // Monday to Monday takes in one weekend
+    const result = quoteFrom('2030-01-07', 7 * 24, {
+      promo: { code: 'FLAT500', discountType: 'flat', discountValue: '500.00' },
+      oneWay: true,
+    });
+
+    assert.deepEqual(amounts(result), {
+      base: '7000.00', weekend: '1000.00', discount: '-800.00', promo: '-500.00', one_way: '500.00',
+    });
+    assert.equal(result.taxableAmount, '7200.00');
+    assert.equal(result.total, '8496.00');
+  });
+
+  it('bills leftover hours at the hourly rate', () => {
+    const result = quoteFrom('2030-01-07', 26, { pricePerHour: '100.00' });
+
+    assert.deepEqual([result.rentalDays, result.rentalHours], [1, 2]);
+    assert.deepEqual(amounts(result), { base: '1000.00', hourly: '200.00' });
+  });
+
+  it('bills leftover hours as a day when that is cheaper or there is no hourly rate', () => {
+    const dearHours = quoteFrom('2030-01-07', 30, { pricePerHour: '200.00' });
+    const noHourlyRate = quoteFrom('2030-01-07', 4);
+
+    assert.deepEqual([dearHours.rentalDays, dearHours.rentalHours], [2, 0]);
+    assert.deepEqual(amounts(noHourlyRate), { base: '1000.00' });
+  });
+
+  it('never lets a flat promo take the price below nothing', () => {
+    const result = quoteFrom('2030-01-07', 24, { promo: { code: 'BIG', discountType: 'flat', discountValue: '5000.00' } });
+
+    assert.equal(result.promoDiscount, '1000.00');
+    assert.equal(result.total, '0.00');
+  });
+});
+
+describe('POST /api/quotes', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('quotes the total a booking for the same times is charged', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const period = futurePeriod({ hours: 72 });
+
+    const quoted = await app.request('POST', '/api/quotes', { body: { vehicleId: vehicle.id, ...period } });
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...period } });
+
+    assert.equal(quoted.status, 200);
+    assert.equal(quoted.body.rentalDays, 3);
+    assert.equal(Number(booked.body.booking.total_amount), Number(quoted.body.total));
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCode, promoIneligibility } = require('../services/promotions');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('promoIneligibility', () => {
+  const promo = {
+    is_active: true,
+    valid_from: '2030-01-01',
+    valid_until: '2030-01-31',
+    max_redemptions: 10,
+    redemption_count: 0,
+    min_rental_days: 2,
+    vehicle_type_ids: [1, 2],
+  };
+  const draft = { vehicleTypeId: 1, rentalDays: 3, today: '2030-01-15' };
+
+  it('accepts a draft that meets every condition', () => {
+    assert.equal(promoIneligibility(promo, draft), null);
+  });
+
+  it('explains each condition a draft fails', () => {
+    assert.match(promoIneligibility({ ...promo, is_active: false }, draft), /no longer active/);
+    assert.match(promoIneligibility(promo, { ...draft, today: '2029-12-31' }), /not valid yet/);
+    assert.match(promoIneligibility(promo, { ...draft, today: '2030-02-01' }), /expired/);
+    assert.match(promoIneligibility({ ...promo, redemption_count: 10 }, draft), /usage limit/);
+    assert.match(promoIneligibility(promo, { ...draft, rentalDays: 1 }), /at least 2 days/);
+    assert.match(promoIneligibility(promo, { ...draft, vehicleTypeId: 3 }), /vehicle type/);
+  });
+
+  it('does not recheck the window or limit for a booking that already holds the code', () => {
+    const used = { ...promo, redemption_count: 10 };
+
+    assert.equal(promoIneligibility(used, { ...draft, today: '2030-02-01', redeemed: true }), null);
+  });
+
+  it('matches codes whatever their case and spacing', () => {
+    assert.equal(normalizeCode(' summer10 '), 'SUMMER10');
+  });
+});
+
+describe('promo codes on bookings', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('prices a draft with the discount', async () => {
+    const { PromoCode } = loadServer().models;
+    await PromoCode.create({ code: 'TENOFF', discount_type: 'percent', discount_value: '10.00' });
+    const vehicle = await createVehicle();
+    const period = futurePeriod();
+
+    const response = await app.request('POST', '/api/promo-codes/validate', { body: { code: 'tenoff', vehicleId: vehicle.id, ...period } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.quote.promoCode, 'TENOFF');
+    assert.equal(Number(response.body.quote.promoDiscount), Number(response.body.quote.subtotal) / 10);
+  });
+
+  it('lets only one of two racing bookings take the last use of a code', async () => {
+    const { PromoCode } = loadServer().models;
+    const promo = await PromoCode.create({ code: 'LASTONE', discount_type: 'flat', discount_value: '100.00', max_redemptions: 1 });
+    const customers = await Promise.all([1, 2].map(() => signUp(app.request)));
+    const vehicles = await Promise.all([1, 2].map(() => createVehicle()));
+
+    const responses = await Promise.all(customers.map(({ token }, i) => app.request('POST', '/api/bookings', {
+      token,
+      body: { vehicleId: vehicles[i].id, promoCode: 'LASTONE', ...futurePeriod() },
+    })));
+
+    assert.deepEqual(responses.map(({ status }) => status).sort(), [201, 400]);
+    assert.equal(responses.find(({ status }) => status === 400).body.code, 'promo_ineligible');
+    assert.equal((await promo.reload()).redemption_count, 1);
+  });
+});
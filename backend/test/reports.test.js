@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const reports = require('../services/reports');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+// Local time, `hour` o'clock on day `day` of month `month` (1-12) of 2030
+const at = (month, day, hour = 0) => new Date(2030, month - 1, day, hour);
+
+describe('reports', () => {
+  const vehicles = [
+    { id: 1, name: 'Swift', typeId: 10, typeName: 'Hatchback' },
+    { id: 2, name: 'Baleno', typeId: 10, typeName: 'Hatchback' },
+  ];
+
+  it('counts only the booked hours inside the period and the revenue of pickups in it', () => {
+    const period = { startAt: at(1, 1), endAt: at(1, 11) };
+    const bookings = [
+      // 24 of its 48 hours fall in the period, but it was picked up before
+      { vehicleId: 1, startAt: new Date(2029, 11, 31), endAt: at(1, 2), net: '1000.00', tax: '180.00' },
+      { vehicleId: 1, startAt: at(1, 5), endAt: at(1, 7), net: '2000.00', tax: '360.00' },
+    ];
+
+    const result = reports.utilisation({ vehicles, bookings, period });
+
+    assert.equal(result.periodHours, 240);
+    assert.deepEqual(result.vehicles.map(({ name, bookedHours, utilisation, bookings: count, revenue }) => [name, bookedHours, utilisation, count, revenue]), [
+      ['Swift', 72, 30, 1, '2000.00'],
+      ['Baleno', 0, 0, 0, '0.00'],
+    ]);
+    assert.deepEqual(result.types.map(({ vehicles: count, utilisation }) => [count, utilisation]), [[2, 15]]);
+  });
+
+  it('has a revenue row for every month of the period, booked or not', () => {
+    const period = { startAt: at(1, 20), endAt: at(3, 10) };
+    const bookings = [
+      { startAt: at(1, 25, 10), net: '1000.00', tax: '180.00' },
+      { startAt: at(1, 28, 10), net: '500.50', tax: '90.09' },
+      { startAt: at(3, 2, 10), net: '2000.00', tax: '360.00' },
+    ];
+
+    assert.deepEqual(reports.revenueByMonth({ bookings, period }), [
+      { month: '2030-01', bookings: 2, net: '1500.50', tax: '270.09', gross: '1770.59' },
+      { month: '2030-02', bookings: 0, net: '0.00', tax: '0.00', gross: '0.00' },
+      { month: '2030-03', bookings: 1, net: '2000.00', tax: '360.00', gross: '2360.00' },
+    ]);
+  });
+
+  it('averages rental lengths and lead times, leaving out bookings with no creation time', () => {
+    const period = { startAt: at(1, 1), endAt: at(2, 1) };
+    const booking = (startDay, hours, createdDay) => ({
+      typeId: 10, typeName: 'Hatchback', startAt: at(1, startDay, 10), endAt: new Date(at(1, startDay, 10).getTime() + hours * 3600000), createdAt: createdDay && at(1, createdDay, 10),
+    });
+
+    const { overall } = reports.rentalStats({ bookings: [booking(10, 24, 9), booking(20, 48, 10), booking(25, 72, null)], period });
+
+    assert.deepEqual(overall, { bookings: 3, averageLengthHours: 48, averageLeadDays: 5.5, medianLeadDays: 5.5 });
+  });
+});
+
+describe('GET /api/admin/reports/:name', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  const report = (name, query) => app.request('GET', `/api/admin/reports/${name}?${new URLSearchParams(query)}`, { token: admin.token });
+
+  it('counts paid bookings only', async () => {
+    const { token } = await signUp(app.request);
+    const paid = await createVehicle({ vehicle: { name: 'Paid' } });
+    const unpaid = await createVehicle({ vehicle: { name: 'Unpaid' } });
+    const period = futurePeriod({ hours: 48 });
+    for (const vehicle of [paid, unpaid]) {
+      await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...period } });
+    }
+    await loadServer().models.Booking.update({ status: 'confirmed' }, { where: { vehicle_id: paid.id } });
+    const day = new Date(period.startAt);
+    const from = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+    const response = await report('utilisation', { from, to: from });
+
+    assert.equal(response.status, 200);
+    const hours = Object.fromEntries(response.body.vehicles.map(({ name, bookedHours }) => [name, bookedHours]));
+    assert.deepEqual(hours, { Paid: 14, Unpaid: 0 });
+  });
+
+  it('rejects unknown reports and overlong periods', async () => {
+    const unknown = await report('profit', { from: '2030-01-01', to: '2030-01-31' });
+    const overlong = await report('revenue', { from: '2030-01-01', to: '2032-01-31' });
+
+    assert.deepEqual([unknown.status, unknown.body.code], [404, 'report_not_found']);
+    assert.deepEqual([overlong.status, overlong.body.field], [400, 'to']);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('staff check-out and check-in', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let staff;
+  before(async () => {
+    app = await startApp();
+    staff = await signUp(app.request, { role: 'staff' });
+  });
+  after(() => app.close());
+
+  const asStaff = (ref, action, body) => app.request('POST', `/api/staff/bookings/${ref}/${action}`, { token: staff.token, body });
+
+  // A paid two-day booking that was due back `minutesLate` minutes ago
+  async function dueBooking(minutesLate) {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+    const endAt = new Date(Date.now() - minutesLate * 60000);
+    await loadServer().models.Booking.update(
+      { status: 'confirmed', start_at: new Date(endAt.getTime() - 48 * 3600000), end_at: endAt },
+      { where: { reference: booked.body.booking.reference } },
+    );
+    return booked.body.booking.reference;
+  }
+
+  it('records the readings and charges for a late return and extra kilometres', async () => {
+    const ref = await dueBooking(90);
+
+    const out = await asStaff(ref, 'check-out', { odometer: 12000, fuelLevel: 100 });
+    assert.equal(out.status, 200);
+    assert.equal(out.body.booking.status, 'active');
+
+    const back = await asStaff(ref, 'check-in', { odometer: 12700, fuelLevel: 40 });
+
+    assert.equal(back.status, 200);
+    const { booking } = back.body;
+    assert.equal(booking.status, 'returned');
+    assert.deepEqual([booking.odometer_in, booking.fuel_level_in], [12700, 40]);
+    // 2 started hours late at 15% of 1000 a day, and 300 km over the 400 km allowance at 8 a km, plus 18% GST
+    assert.deepEqual(booking.extra_charges.lines.map(({ code, amount }) => [code, amount]), [['late_return', '300.00'], ['extra_km', '2400.00']]);
+    assert.equal(Number(booking.extra_charges_total), 3186);
+    const invoices = (await app.request('GET', `/api/bookings/${ref}/invoices`)).body;
+    assert.deepEqual(invoices.map(({ kind, total }) => [kind, Number(total)]), [['return_charges', 3186]]);
+  });
+
+  it('refuses readings that go backwards and steps taken out of order', async () => {
+    const ref = await dueBooking(0);
+
+    const early = await asStaff(ref, 'check-in', { odometer: 100, fuelLevel: 50 });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'invalid_booking_status');
+
+    await asStaff(ref, 'check-out', { odometer: 5000, fuelLevel: 80 });
+    const backwards = await asStaff(ref, 'check-in', { odometer: 4999, fuelLevel: 50 });
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.field, 'odometer');
+
+    const twice = await asStaff(ref, 'check-out', { odometer: 5000, fuelLevel: 80 });
+    assert.equal(twice.status, 409);
+  });
+
+  it('is closed to customers', async () => {
+    const { token } = await signUp(app.request);
+
+    const response = await app.request('POST', '/api/staff/bookings/ANY/check-out', { token, body: { odometer: 1, fuelLevel: 1 } });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('turnaround buffer', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  before(async () => {
+    app = await startApp();
+    ({ token } = await signUp(app.request));
+  });
+  after(() => app.close());
+
+  // `hours` long, starting `gapMinutes` after `period` ends
+  const following = (period, gapMinutes, hours = 4) => {
+    const start = new Date(period.endAt).getTime() + gapMinutes * 60000;
+    return { startAt: new Date(start).toISOString(), endAt: new Date(start + hours * 3600000).toISOString() };
+  };
+
+  it("keeps the type's turnaround free after each booking", async () => {
+    const vehicle = await createVehicle({ type: { turnaround_minutes: 120 } });
+    const first = futurePeriod({ hours: 24 });
+    await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...first } });
+
+    const tooSoon = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...following(first, 60) } });
+    const searched = await app.request('GET', `/api/vehicles?${new URLSearchParams(following(first, 60))}`);
+    const availability = await app.request('GET', `/api/vehicles/${vehicle.id}/availability`);
+    const justInTime = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...following(first, 120) } });
+
+    assert.equal(tooSoon.status, 409);
+    assert.equal(tooSoon.body.code, 'booking_conflict');
+    assert.ok(!searched.body.some(({ id }) => id === vehicle.id));
+    assert.equal(availability.body.turnaroundMinutes, 120);
+    assert.equal(availability.body.booked[0].endAt, following(first, 120).startAt);
+    assert.equal(justInTime.status, 201);
+  });
+
+  it('lets bookings of a type without turnaround follow each other directly', async () => {
+    const vehicle = await createVehicle();
+    const first = futurePeriod({ hours: 24 });
+    await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...first } });
+
+    const next = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...following(first, 0) } });
+
+    assert.equal(next.status, 201);
+  });
+});
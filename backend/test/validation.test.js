@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError, rules, partial, validateFields } = require('../services/validation');
+
+// Runs validateFields and returns the ValidationError it throws
+function rejection(fields, input) {
+  try {
+    validateFields(fields, input);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error;
+  }
+  return assert.fail('Expected a ValidationError');
+}
+
+describe('validateFields', () => {
+  const fields = {
+    name: rules.string({ required: true, label: 'Name' }),
+    price: rules.amount({ label: 'Price' }),
+    seats: rules.integer({ label: 'Seats', min: 1, max: 60 }),
+  };
+
+  it('normalizes the fields present and passes others through', () => {
+    assert.deepEqual(validateFields(fields, { name: '  Swift ', price: '1500', seats: '5', extra: 'kept' }), {
+      name: 'Swift', price: '1500.00', seats: 5, extra: 'kept',
+    });
+  });
+
+  it('reports the first failing field with its code', () => {
+    const error = rejection(fields, { name: 'Swift', seats: 99 });
+    assert.equal(error.code, 'out_of_range');
+    assert.equal(error.field, 'seats');
+    assert.equal(error.message, 'Seats must be between 1 and 60.');
+  });
+
+  it('requires required fields', () => {
+    const error = rejection(fields, { price: 10 });
+    assert.equal(error.code, 'required');
+    assert.equal(error.field, 'name');
+  });
+
+  it('leaves empty optional fields for the caller to clear', () => {
+    assert.deepEqual(validateFields(fields, { name: 'Swift', price: '', seats: null }), { name: 'Swift', price: '', seats: null });
+  });
+});
+
+describe('partial', () => {
+  const fields = partial({
+    name: rules.string({ required: true, label: 'Name' }),
+    notes: rules.string({ label: 'Notes' }),
+  });
+
+  it('lets updates leave required fields out', () => {
+    assert.deepEqual(validateFields(fields, { notes: '' }), { notes: '' });
+  });
+
+  it('does not let updates empty a required field', () => {
+    const error = rejection(fields, { name: '' });
+    assert.equal(error.code, 'required');
+    assert.equal(error.field, 'name');
+  });
+});
+
+describe('rules', () => {
+  const check = (fieldRule, value) => fieldRule.check(value);
+
+  it('amount rejects zero, negatives and text', () => {
+    const price = rules.amount({ label: 'Price' });
+    assert.equal(check(price, 12.5), '12.50');
+    assert.throws(() => check(price, 0), { code: 'out_of_range' });
+    assert.throws(() => check(price, '-3'), { code: 'out_of_range' });
+    assert.throws(() => check(price, 'cheap'), { code: 'invalid_type' });
+    assert.throws(() => check(price, 1e8), { code: 'out_of_range' });
+  });
+
+  it('string applies normalize before its pattern', () => {
+    const registration = rules.string({ label: 'Registration', normalize: v => v.replace(/\s/g, '').toUpperCase(), pattern: /^[A-Z0-9]+$/ });
+    assert.equal(check(registration, ' mh12 ab 1234 '), 'MH12AB1234');
+    assert.throws(() => check(registration, 'MH-12'), { code: 'invalid_format' });
+  });
+
+  it('list checks every item', () => {
+    const ids = rules.list(rules.id({ label: 'Vehicle type' }), { label: 'Vehicle types' });
+    assert.deepEqual(check(ids, [1, '2']), [1, 2]);
+    assert.throws(() => check(ids, [1, 0]), { code: 'out_of_range' });
+    assert.throws(() => check(ids, '1,2'), { code: 'invalid_type' });
+  });
+
+  it('boolean accepts booleans and their query string forms', () => {
+    const flag = rules.boolean({ label: 'Flag' });
+    assert.equal(check(flag, 'false'), false);
+    assert.equal(check(flag, true), true);
+    assert.throws(() => check(flag, 'yes'), { code: 'invalid_type' });
+  });
+
+  it('dateTime rejects past moments when `future` is set', () => {
+    const pickup = rules.dateTime({ label: 'Pickup time', future: true });
+    assert.throws(() => check(pickup, '2020-01-01T10:00'), { code: 'in_the_past' });
+    assert.ok(check(pickup, '2999-01-01T10:00') instanceof Date);
+    assert.throws(() => check(pickup, '2999-13-01'), { code: 'invalid_format' });
+  });
+});
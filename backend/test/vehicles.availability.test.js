@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('GET /api/vehicles/:id/availability', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  before(async () => {
+    app = await startApp();
+    ({ token } = await signUp(app.request));
+  });
+  after(() => app.close());
+
+  it('lists the times a vehicle is booked, except cancelled and excluded bookings', async () => {
+    const vehicle = await createVehicle();
+    const kept = futurePeriod({ daysAhead: 3 });
+    const cancelled = futurePeriod({ daysAhead: 8 });
+    const booked = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...kept } });
+    const dropped = await app.request('POST', '/api/bookings', { token, body: { vehicleId: vehicle.id, ...cancelled } });
+    await app.request('DELETE', `/api/bookings/${dropped.body.booking.reference}`, { token });
+
+    const availability = await app.request('GET', `/api/vehicles/${vehicle.id}/availability`);
+
+    assert.equal(availability.status, 200);
+    assert.deepEqual(availability.body.booked, [kept]);
+
+    const reference = booked.body.booking.reference;
+    const excluding = await app.request('GET', `/api/vehicles/${vehicle.id}/availability?exclude=${reference}`);
+    assert.deepEqual(excluding.body.booked, []);
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const vehicle = await createVehicle();
+
+    const response = await app.request('GET', `/api/vehicles/${vehicle.id}/availability?from=2030-05-10&to=2030-05-01`);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.field, 'to');
+  });
+
+  it('answers 404 for a vehicle that does not exist', async () => {
+    const response = await app.request('GET', '/api/vehicles/999999/availability');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'vehicle_not_found');
+  });
+});
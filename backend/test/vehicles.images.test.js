@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { skipWithoutDatabase, startApp, signUp, createVehicle } = require('./helpers');
+
+// A form with one file per [name, type, bytes] in the `images` field
+const imageForm = (...files) => {
+  const form = new FormData();
+  for (const [name, type, bytes] of files) {
+    form.append('images', new Blob([bytes], { type }), name);
+  }
+  return form;
+};
+
+const photo = color => sharp({ create: { width: 2400, height: 1600, channels: 3, background: color } }).png().toBuffer();
+
+describe('vehicle photos', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let admin;
+  before(async () => {
+    app = await startApp();
+    admin = await signUp(app.request, { role: 'admin' });
+  });
+  after(() => app.close());
+
+  const asAdmin = (method, url, body) => app.request(method, url, { token: admin.token, body });
+
+  it('stores uploads as resized WebP files, serves them and lists them with the vehicle', async () => {
+    const vehicle = await createVehicle();
+
+    const uploaded = await asAdmin('POST', `/api/admin/vehicles/${vehicle.id}/images`, imageForm(
+      ['front.png', 'image/png', await photo('#c00')],
+      ['side.png', 'image/png', await photo('#00c')],
+    ));
+
+    assert.equal(uploaded.status, 201);
+    const [front, side] = uploaded.body.images;
+    assert.deepEqual([front.is_primary, side.is_primary], [true, false]);
+    assert.deepEqual([front.width, front.height], [1600, 1067]);
+    const served = await app.request('GET', front.url);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get('content-type'), 'image/webp');
+    const listed = (await app.request('GET', '/api/vehicles')).body.find(({ id }) => id === vehicle.id);
+    assert.deepEqual(listed.images.map(({ id }) => id), [front.id, side.id]);
+  });
+
+  it('rejects a file that is not really an image and stores none of the batch', async () => {
+    const vehicle = await createVehicle();
+
+    const response = await asAdmin('POST', `/api/admin/vehicles/${vehicle.id}/images`, imageForm(
+      ['good.png', 'image/png', await photo('#0c0')],
+      ['fake.png', 'image/png', Buffer.from('not an image')],
+    ));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_image');
+    assert.deepEqual((await asAdmin('GET', `/api/admin/vehicles/${vehicle.id}/images`)).body, []);
+  });
+
+  it('promotes the next photo when the primary one is deleted', async () => {
+    const vehicle = await createVehicle();
+    const uploaded = await asAdmin('POST', `/api/admin/vehicles/${vehicle.id}/images`, imageForm(
+      ['one.png', 'image/png', await photo('#111')],
+      ['two.png', 'image/png', await photo('#222')],
+    ));
+    const [first, second] = uploaded.body.images;
+
+    const deleted = await asAdmin('DELETE', `/api/admin/vehicles/${vehicle.id}/images/${first.id}`);
+
+    assert.equal(deleted.status, 200);
+    assert.equal((await app.request('GET', first.url)).status, 404);
+    const remaining = (await asAdmin('GET', `/api/admin/vehicles/${vehicle.id}/images`)).body;
+    assert.deepEqual(remaining.map(({ id, is_primary: isPrimary }) => [id, isPrimary]), [[second.id, true]]);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('GET /api/vehicles', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it('lists only the vehicles free for the requested times, with their price', async () => {
+    const { token } = await signUp(app.request);
+    const booked = await createVehicle({ vehicle: { name: 'Booked' } });
+    const free = await createVehicle({ vehicle: { name: 'Free', price_per_day: '1500.00' } });
+    const period = futurePeriod({ hours: 48 });
+    await app.request('POST', '/api/bookings', { token, body: { vehicleId: booked.id, ...period } });
+
+    const during = await app.request('GET', `/api/vehicles?${new URLSearchParams(period)}`);
+    const later = await app.request('GET', `/api/vehicles?${new URLSearchParams(futurePeriod({ daysAhead: 10 }))}`);
+
+    assert.equal(during.status, 200);
+    assert.deepEqual(during.body.map(({ id }) => id), [free.id]);
+    assert.equal(during.body[0].rentalDays, 2);
+    assert.ok(Number(during.body[0].quotedTotal) > 0);
+    assert.deepEqual(later.body.map(({ id }) => id).sort(), [booked.id, free.id].sort());
+  });
+
+  it('needs both ends of the period', async () => {
+    const response = await app.request('GET', `/api/vehicles?startAt=${encodeURIComponent(futurePeriod().startAt)}`);
+
+    assert.equal(response.status, 400);
+  });
+});
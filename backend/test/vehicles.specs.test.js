@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startApp, createVehicle } = require('./helpers');
+
+describe('vehicle spec filters', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let manual;
+  let automatic;
+  let unknown;
+  before(async () => {
+    app = await startApp();
+    manual = await createVehicle({ vehicle: { transmission: 'manual', fuel_type: 'petrol', seats: 5, luggage_capacity: 2 } });
+    automatic = await createVehicle({ vehicle: { transmission: 'automatic', fuel_type: 'electric', seats: 7, luggage_capacity: 4 } });
+    unknown = await createVehicle();
+  });
+  after(() => app.close());
+
+  const search = async query => (await app.request('GET', `/api/vehicles?${new URLSearchParams(query)}`)).body.map(({ id }) => id).sort();
+
+  it('lists every vehicle without filters, including those with no specs', async () => {
+    assert.deepEqual(await search({}), [manual.id, automatic.id, unknown.id].sort());
+  });
+
+  it('matches transmission and fuel type exactly and seats and luggage as minimums', async () => {
+    assert.deepEqual(await search({ transmission: 'automatic' }), [automatic.id]);
+    assert.deepEqual(await search({ fuelType: 'petrol' }), [manual.id]);
+    assert.deepEqual(await search({ minSeats: '5' }), [manual.id, automatic.id].sort());
+    assert.deepEqual(await search({ minSeats: '6', minLuggage: '3' }), [automatic.id]);
+    assert.deepEqual(await search({ transmission: 'manual', minSeats: '6' }), []);
+  });
+
+  it('rejects values it does not know', async () => {
+    const response = await app.request('GET', '/api/vehicles?fuelType=steam');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.field, 'fuelType');
+  });
+});
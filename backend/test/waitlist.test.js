@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashClaimToken } = require('../services/waitlist');
+const { skipWithoutDatabase, loadServer, startApp, signUp, createVehicle, futurePeriod } = require('./helpers');
+
+describe('waitlist', { skip: skipWithoutDatabase }, () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  // The waitlist entry once background offers have settled
+  async function entryOnceSettled(id) {
+    await loadServer().processWaitlist();
+    return loadServer().models.WaitlistEntry.findByPk(id);
+  }
+
+  // Gives an offered entry a claim token the test knows; the real one is only sent to the customer
+  async function claimTokenFor(entry) {
+    const token = `test-claim-${entry.id}`;
+    await entry.update({ claim_token_hash: hashClaimToken(token) });
+    return token;
+  }
+
+  // A vehicle booked by someone else for `period`, and two customers waiting for it in turn
+  async function fullyBooked(period) {
+    const vehicle = await createVehicle();
+    const holder = await signUp(app.request);
+    const booked = await app.request('POST', '/api/bookings', { token: holder.token, body: { vehicleId: vehicle.id, ...period } });
+    const waiting = [];
+    for (const customer of [await signUp(app.request), await signUp(app.request)]) {
+      const joined = await app.request('POST', '/api/waitlist', { token: customer.token, body: { vehicleId: vehicle.id, ...period } });
+      assert.equal(joined.status, 201);
+      waiting.push({ ...customer, entryId: joined.body.entry.id });
+    }
+    return { vehicle, holder, booking: booked.body.booking, waiting };
+  }
+
+  it('only takes customers whose vehicle is fully booked', async () => {
+    const vehicle = await createVehicle();
+    const { token } = await signUp(app.request);
+
+    const response = await app.request('POST', '/api/waitlist', { token, body: { vehicleId: vehicle.id, ...futurePeriod() } });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'vehicle_free');
+  });
+
+  it('offers cancelled dates to the first customer waiting and holds them for their claim', async () => {
+    const period = futurePeriod({ daysAhead: 5 });
+    const { vehicle, holder, booking, waiting: [first, second] } = await fullyBooked(period);
+
+    await app.request('DELETE', `/api/bookings/${booking.reference}`, { token: holder.token });
+
+    const offer = await entryOnceSettled(first.entryId);
+    assert.equal(offer.status, 'offered');
+    assert.equal((await entryOnceSettled(second.entryId)).status, 'waiting');
+    const outsider = await signUp(app.request);
+    const taken = await app.request('POST', '/api/bookings', { token: outsider.token, body: { vehicleId: vehicle.id, ...period } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'waitlist_hold');
+    const search = await app.request('GET', `/api/vehicles?startAt=${encodeURIComponent(period.startAt)}&endAt=${encodeURIComponent(period.endAt)}`);
+    assert.ok(!search.body.some(({ id }) => id === vehicle.id));
+
+    const claimToken = await claimTokenFor(offer);
+    const claimed = await app.request('POST', '/api/bookings', { token: first.token, body: { vehicleId: vehicle.id, ...period, claimToken } });
+    assert.equal(claimed.status, 201);
+    assert.equal((await offer.reload()).status, 'claimed');
+  });
+
+  it('passes an offer nobody claimed in time to the next customer', async () => {
+    const period = futurePeriod({ daysAhead: 12 });
+    const { holder, booking, waiting: [first, second] } = await fullyBooked(period);
+    await app.request('DELETE', `/api/bookings/${booking.reference}`, { token: holder.token });
+    const offer = await entryOnceSettled(first.entryId);
+    const claimToken = await claimTokenFor(offer);
+
+    await offer.update({ claim_expires_at: new Date(Date.now() - 1000) });
+
+    assert.equal((await entryOnceSettled(first.entryId)).status, 'expired');
+    assert.equal((await entryOnceSettled(second.entryId)).status, 'offered');
+    const lapsed = await app.request('GET', `/api/waitlist/claims/${claimToken}`);
+    assert.equal(lapsed.status, 410);
+    assert.equal(lapsed.body.code, 'claim_expired');
+  });
+
+  it('closes the entries waiting for a vehicle type when it is deleted', async () => {
+    const admin = await signUp(app.request, { role: 'admin' });
+    const { customer } = await signUp(app.request);
+    const added = await app.request('POST', '/api/admin/vehicle-types', { token: admin.token, body: { name: 'Minibus', wheels: 4 } });
+    const { WaitlistEntry } = loadServer().models;
+    const period = futurePeriod({ daysAhead: 8 });
+    const entry = await WaitlistEntry.create({ customer_id: customer.id, type_id: added.body.vehicleType.id, start_at: period.startAt, end_at: period.endAt });
+
+    const deleted = await app.request('DELETE', `/api/admin/vehicle-types/${added.body.vehicleType.id}`, { token: admin.token });
+
+    assert.equal(deleted.status, 200);
+    assert.equal((await entry.reload()).status, 'expired');
+  });
+});
@@ -16,7 +16,19 @@ USE vehicle_rental;
 CREATE TABLE vehicle_types (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    wheels INT NOT NULL
+    wheels INT NOT NULL,
+    price_per_hour DECIMAL(10, 2),
+    turnaround_minutes INT NOT NULL DEFAULT 0
+);
+
+-- Create the branches table for pickup and drop-off locations
+CREATE TABLE branches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    city VARCHAR(255) NOT NULL,
+    address VARCHAR(255),
+    phone VARCHAR(32),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE
 );
 
 -- Create the vehicles table to store information about each vehicle
@@ -26,16 +38,208 @@ CREATE TABLE vehicles (
     type_id INT NOT NULL,
     price_per_day DECIMAL(10, 2) NOT NULL,
     is_available BOOLEAN DEFAULT TRUE,
-    FOREIGN KEY (type_id) REFERENCES vehicle_types(id)
+    branch_id INT,
+    seats INT,
+    transmission VARCHAR(16),
+    fuel_type VARCHAR(16),
+    engine_cc INT,
+    luggage_capacity INT,
+    registration_number VARCHAR(20) UNIQUE,
+    colour VARCHAR(32),
+    year INT,
+    image_path VARCHAR(255),
+    FOREIGN KEY (type_id) REFERENCES vehicle_types(id),
+    FOREIGN KEY (branch_id) REFERENCES branches(id)
+);
+
+-- Create the customers table for customer accounts
+CREATE TABLE customers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    first_name VARCHAR(255) NOT NULL,
+    last_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone VARCHAR(32),
+    password_hash VARCHAR(255) NOT NULL,
+    token_version INT NOT NULL DEFAULT 0,
+    role VARCHAR(20) NOT NULL DEFAULT 'customer'
+);
+
+-- Create the promo_codes table for discount codes
+CREATE TABLE promo_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(32) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    discount_type VARCHAR(10) NOT NULL,
+    discount_value DECIMAL(10, 2) NOT NULL,
+    valid_from DATE,
+    valid_until DATE,
+    max_redemptions INT,
+    redemption_count INT NOT NULL DEFAULT 0,
+    min_rental_days INT,
+    vehicle_type_ids JSON,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE
 );
 
 -- Create the bookings table to track customer bookings
 CREATE TABLE bookings (
     id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT,
     first_name VARCHAR(255) NOT NULL,
     last_name VARCHAR(255) NOT NULL,
     vehicle_id INT NOT NULL,
+    start_at DATETIME NOT NULL,
+    end_at DATETIME NOT NULL,
+    pickup_branch_id INT,
+    dropoff_branch_id INT,
+    reference VARCHAR(12) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+    payment_expires_at DATETIME,
+    promo_code_id INT,
+    total_amount DECIMAL(10, 2),
+    price_breakdown JSON,
+    checked_out_at DATETIME,
+    checked_out_by INT,
+    odometer_out INT,
+    fuel_level_out INT,
+    checked_in_at DATETIME,
+    checked_in_by INT,
+    odometer_in INT,
+    fuel_level_in INT,
+    extra_charges_total DECIMAL(10, 2),
+    extra_charges JSON,
+    reminder_sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
+    FOREIGN KEY (customer_id) REFERENCES customers(id),
+    FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id),
+    FOREIGN KEY (pickup_branch_id) REFERENCES branches(id),
+    FOREIGN KEY (dropoff_branch_id) REFERENCES branches(id),
+    FOREIGN KEY (checked_out_by) REFERENCES customers(id) ON DELETE SET NULL,
+    FOREIGN KEY (checked_in_by) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+-- Create the payments table to track payment attempts and refunds for bookings
+CREATE TABLE payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_id INT NOT NULL,
+    provider VARCHAR(32) NOT NULL,
+    provider_payment_id VARCHAR(128),
+    kind VARCHAR(10) NOT NULL DEFAULT 'charge',
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY payments_provider_payment_unique (provider, provider_payment_id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+);
+
+-- Create the vehicle_blackouts table for date ranges when a vehicle is out of service
+CREATE TABLE vehicle_blackouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    vehicle_id INT NOT NULL,
     start_date DATE NOT NULL,
     end_date DATE NOT NULL,
-    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id)
-);
\ No newline at end of file
+    reason VARCHAR(20) NOT NULL,
+    notes VARCHAR(255),
+    created_by INT,
+    INDEX vehicle_blackouts_vehicle_dates (vehicle_id, start_date, end_date),
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+-- Create the vehicle_images table for uploaded vehicle photos; files live in the configured storage driver
+CREATE TABLE vehicle_images (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    vehicle_id INT NOT NULL,
+    storage_driver VARCHAR(32) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    width INT NOT NULL,
+    height INT NOT NULL,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX vehicle_images_vehicle_position (vehicle_id, position),
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE
+);
+
+-- Create the invoices table: rental invoices, invoices for charges on return, and
+-- credit notes cancelling an invoice. Numbers run without gaps within each series
+-- (financial year); each row keeps a copy of what it bills
+CREATE TABLE invoices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_id INT NOT NULL,
+    kind VARCHAR(16) NOT NULL DEFAULT 'rental',
+    credited_invoice_id INT,
+    series VARCHAR(16) NOT NULL,
+    sequence INT NOT NULL,
+    number VARCHAR(32) NOT NULL UNIQUE,
+    issued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    total DECIMAL(10, 2),
+    details JSON,
+    UNIQUE KEY invoices_series_sequence (series, sequence),
+    INDEX invoices_booking_id (booking_id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE RESTRICT,
+    FOREIGN KEY (credited_invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT
+);
+
+-- Create the invoice_series table: the last number issued in each series.
+-- Issuing an invoice locks its series' row, so numbers are handed out one at a time
+CREATE TABLE invoice_series (
+    series VARCHAR(16) PRIMARY KEY,
+    last_sequence INT NOT NULL DEFAULT 0
+);
+
+-- Create the audit_log table: one row per change to a vehicle, vehicle type or booking
+CREATE TABLE audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    entity_type VARCHAR(32) NOT NULL,
+    entity_id INT NOT NULL,
+    action VARCHAR(16) NOT NULL,
+    changes JSON NOT NULL,
+    actor_id INT,
+    actor_role VARCHAR(20) NOT NULL,
+    request_id VARCHAR(64),
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX audit_log_entity (entity_type, entity_id),
+    INDEX audit_log_actor (actor_id),
+    INDEX audit_log_request (request_id),
+    INDEX audit_log_created_at (created_at)
+);
+
+-- Create the waitlist_entries table for customers waiting for a vehicle, or any vehicle of a type, to come free
+CREATE TABLE waitlist_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    vehicle_id INT,
+    type_id INT,
+    start_at DATETIME NOT NULL,
+    end_at DATETIME NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+    offered_vehicle_id INT,
+    claim_token_hash VARCHAR(64) UNIQUE,
+    claim_expires_at DATETIME,
+    booking_id INT,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX waitlist_entries_status_created_at (status, created_at),
+    INDEX waitlist_entries_offered_vehicle (offered_vehicle_id),
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL,
+    FOREIGN KEY (type_id) REFERENCES vehicle_types(id) ON DELETE SET NULL,
+    FOREIGN KEY (offered_vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+);
+
+-- Create the calendar_feeds table for the booking feed links issued to staff, each of which expires and can be revoked
+CREATE TABLE calendar_feeds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    scope VARCHAR(40) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX calendar_feeds_customer (customer_id),
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+);
@@ -1,6 +1,6 @@
 --
 -- This script seeds the vehicle_rental database with initial data.
--- It populates the vehicle_types and vehicles tables as requested.
+-- It populates the branches, vehicle_types and vehicles tables as requested.
 -- Updated to have 2-3 vehicles per type instead of 1
 --
 -- Ensure the correct database is used
@@ -8,31 +8,37 @@ USE vehicle_rental;
 
 -- Insert vehicle types based on wheels (2 for bikes, 4 for cars)
 -- These IDs will be used as foreign keys in the vehicles table.
-INSERT INTO vehicle_types (id, name, wheels) VALUES
-(1, 'Hatchback', 4),
-(2, 'SUV', 4),
-(3, 'Sedan', 4),
-(4, 'Cruiser', 2);
+INSERT INTO vehicle_types (id, name, wheels, price_per_hour, turnaround_minutes) VALUES
+(1, 'Hatchback', 4, 250.00, 240),
+(2, 'SUV', 4, NULL, 240),
+(3, 'Sedan', 4, 350.00, 240),
+(4, 'Cruiser', 2, 120.00, 60);
 
--- Insert 2-3 vehicles for each type as requested
--- This provides more inventory while maintaining the same structure
-INSERT INTO vehicles (name, type_id, price_per_day, is_available) VALUES
+-- Insert the rental branches vehicles are based at
+INSERT INTO branches (id, name, city, address, phone, is_active) VALUES
+(1, 'Pune Central', 'Pune', 'FC Road, Shivajinagar, Pune 411005', '+91 20 4000 1000', TRUE),
+(2, 'Mumbai Andheri', 'Mumbai', 'Andheri Kurla Road, Andheri East, Mumbai 400059', '+91 22 4000 2000', TRUE);
+
+-- Insert 3 vehicles for each type. Names, prices and home branches match the
+-- Sequelize seeders so both setup paths produce the same catalogue. Photos are
+-- left for admins to upload; until then the frontend shows a placeholder.
+INSERT INTO vehicles (name, type_id, price_per_day, is_available, branch_id, seats, transmission, fuel_type, engine_cc, luggage_capacity, registration_number, colour, year) VALUES
 -- Hatchbacks (3 vehicles)
-('Maruti Suzuki Swift', 1, 1500.00, TRUE),
-('Hyundai i20', 1, 1600.00, TRUE),
-('Tata Altroz', 1, 1550.00, TRUE),
+('Swift', 1, 1500.00, TRUE, 1, 5, 'manual', 'petrol', 1197, 2, 'MH12AB1001', 'Red', 2022),
+('Alto', 1, 1200.00, TRUE, 1, 5, 'manual', 'petrol', 796, 1, 'MH12AB1002', 'White', 2021),
+('Tiago', 1, 1400.00, TRUE, 2, 5, 'automatic', 'petrol', 1199, 2, 'MH02CD2001', 'Blue', 2023),
 
 -- SUVs (3 vehicles)
-('Mahindra Scorpio', 2, 2500.00, TRUE),
-('Tata Harrier', 2, 2800.00, TRUE),
-('Mahindra XUV300', 2, 2300.00, TRUE),
+('Scorpio', 2, 2500.00, TRUE, 1, 7, 'manual', 'diesel', 2179, 3, 'MH12AB1003', 'Black', 2022),
+('XUV500', 2, 2800.00, TRUE, 1, 7, 'automatic', 'diesel', 2179, 3, 'MH12AB1004', 'Silver', 2021),
+('Creta', 2, 2200.00, TRUE, 2, 5, 'automatic', 'petrol', 1497, 3, 'MH02CD2002', 'White', 2023),
 
 -- Sedans (3 vehicles)
-('Honda City', 3, 2000.00, TRUE),
-('Maruti Suzuki Dzire', 3, 1800.00, TRUE),
-('Hyundai Verna', 3, 2100.00, TRUE),
+('City', 3, 2000.00, TRUE, 1, 5, 'automatic', 'petrol', 1498, 3, 'MH12AB1005', 'Grey', 2022),
+('Verna', 3, 1900.00, TRUE, 1, 5, 'manual', 'diesel', 1493, 3, 'MH12AB1006', 'Blue', 2021),
+('Ciaz', 3, 1800.00, TRUE, 2, 5, 'manual', 'hybrid', 1462, 3, 'MH02CD2003', 'Brown', 2022),
 
 -- Cruisers (3 vehicles)
-('Royal Enfield Classic 350', 4, 1000.00, TRUE),
-('Royal Enfield Thunderbird', 4, 1100.00, TRUE),
-('Royal Enfield Himalayan', 4, 1200.00, TRUE);
\ No newline at end of file
+('Royal Enfield Classic 350', 4, 800.00, TRUE, 1, 2, 'manual', 'petrol', 349, 1, 'MH12EF3001', 'Black', 2023),
+('Avenger 220 Cruise', 4, 700.00, TRUE, 1, 2, 'manual', 'petrol', 220, 1, 'MH12EF3002', 'Red', 2022),
+('Jawa Perak', 4, 900.00, TRUE, 2, 1, 'manual', 'petrol', 334, 0, 'MH02GH4001', 'Black', 2022);
\ No newline at end of file
@@ -1,9 +1,10 @@
 
 import React, { useState, useEffect, useMemo, useCallback, useReducer, createContext, useContext, memo, lazy, Suspense } from 'react';
-import { ChevronRight, ChevronLeft, Car, Bike, Calendar, User, Check, Building, Shapes, ClipboardCheck, XCircle, MapPin, Clock, Star, Shield, Zap } from 'lucide-react';
+import { ChevronRight, ChevronLeft, Car, Bike, Calendar, User, Check, Building, Shapes, ClipboardCheck, XCircle, MapPin, Clock, Star, Shield, Zap, Mail, Phone, Lock, LogOut, Tag, CreditCard, Fuel, Briefcase, Settings2, Gauge, Download } from 'lucide-react';
 import { CircularProgress } from '@mui/material';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { TimePicker } from '@mui/x-date-pickers/TimePicker';
 import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
 import dayjs from 'dayjs';
 
@@ -55,29 +56,76 @@ const useLocalStorage = (key, initialValue) => {
   return [storedValue, setValue];
 };
 
-const useApiCall = (url, dependencies = []) => {
+// The Error for a failed API response: it carries the HTTP status and the
+// server's `message` so callers can surface it as-is, plus its `code` and the
+// request `field` it is about (null when it is not about one field).
+const apiErrorFrom = (response, result) => {
+  const apiError = new Error(result?.message || `HTTP error! status: ${response.status}`);
+  apiError.status = response.status;
+  apiError.code = result?.code || null;
+  apiError.field = result?.field || null;
+  return apiError;
+};
+
+// Sends a request to the API. Resolves with the parsed response body, or
+// rejects with an error from apiErrorFrom.
+const apiRequest = async (url, { method = 'GET', token = null, body } = {}) => {
+  const options = { method, headers: {} };
+  if (token) {
+    options.headers.Authorization = `Bearer ${token}`;
+  }
+  if (body instanceof FormData) {
+    // The browser sets the multipart boundary itself
+    options.body = body;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(url, options);
+  const result = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw apiErrorFrom(response, result);
+  }
+  return result;
+};
+
+// Downloads a file from the API, e.g. a CSV export, and saves it as `fileName`.
+// Goes through fetch rather than a link so the request can carry the token.
+const downloadFile = async (url, { token = null, fileName }) => {
+  const response = await fetch(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  if (!response.ok) {
+    throw apiErrorFrom(response, await response.json().catch(() => null));
+  }
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(await response.blob());
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const useApiCall = (url, dependencies = [], { method = 'GET', immediate = method === 'GET', token = null } = {}) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const fetchData = useCallback(async () => {
+  const fetchData = useCallback(async (body) => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      const result = await response.json();
+      const result = await apiRequest(url, { method, token, body: method === 'GET' ? undefined : body });
       setData(result);
+      return result;
     } catch (err) {
       setError(err.message);
+      throw err;
     } finally {
       setLoading(false);
     }
-  }, [url]);
+  }, [url, method, token]);
 
   useEffect(() => {
-    if (url) {
-      fetchData();
+    if (url && immediate) {
+      fetchData().catch(() => {});
     }
   }, dependencies);
 
@@ -102,61 +150,91 @@ const formReducer = (state, action) => {
   }
 };
 
-// --- HARDCODED DATA TO REPLACE BACKEND CALLS ---
-const VEHICLE_TYPES_DATA = [
-  { id: 1, name: 'Hatchback', wheels: 4 },
-  { id: 2, name: 'SUV', wheels: 4 },
-  { id: 3, name: 'Sedan', wheels: 4 },
-  { id: 4, name: 'Cruiser', wheels: 2 }
-];
-
-const VEHICLES_DATA = [
-  // Hatchback vehicles (type_id: 1)
-  { id: 1, name: 'Swift', type_id: 1, price_per_day: 1500.00, is_available: true },
-  { id: 2, name: 'Alto', type_id: 1, price_per_day: 1200.00, is_available: true },
-  { id: 3, name: 'Tiago', type_id: 1, price_per_day: 1400.00, is_available: true },
-  // SUV vehicles (type_id: 2)
-  { id: 4, name: 'Scorpio', type_id: 2, price_per_day: 2500.00, is_available: true },
-  { id: 5, name: 'XUV500', type_id: 2, price_per_day: 2800.00, is_available: true },
-  { id: 6, name: 'Creta', type_id: 2, price_per_day: 2200.00, is_available: true },
-  // Sedan vehicles (type_id: 3)
-  { id: 7, name: 'City', type_id: 3, price_per_day: 2000.00, is_available: true },
-  { id: 8, name: 'Verna', type_id: 3, price_per_day: 1900.00, is_available: true },
-  { id: 9, name: 'Ciaz', type_id: 3, price_per_day: 1800.00, is_available: true },
-  // Cruiser vehicles (type_id: 4)
-  { id: 10, name: 'Royal Enfield Classic 350', type_id: 4, price_per_day: 800.00, is_available: true },
-  { id: 11, name: 'Avenger 220 Cruise', type_id: 4, price_per_day: 700.00, is_available: true },
-  { id: 12, name: 'Jawa Perak', type_id: 4, price_per_day: 900.00, is_available: true }
-];
-
 // --- CONFIGURATION & API ---
 const API_BASE_URL = 'http://localhost:5000/api';
+// Uploaded files are served by the API server outside /api
+const API_ORIGIN = new URL(API_BASE_URL).origin;
+
+// --- AVAILABILITY HELPERS ---
+// Booked ranges are half-open [startAt, endAt), mirroring the server's overlap
+// check, so a vehicle returned at 10:00 can go out again at 10:00.
+// A day is only unavailable when bookings cover all of it.
+const isDayBooked = (day, bookedRanges) =>
+    bookedRanges.some(range => !dayjs(range.startAt).isAfter(day.startOf('day')) && !dayjs(range.endAt).isBefore(day.add(1, 'day').startOf('day')));
 
-// --- VEHICLE IMAGE URLs ---
-const VEHICLE_IMAGES = {
-    'Swift': 'https://i.postimg.cc/wxRHBsQ4/Picsart-25-09-01-10-13-14-464.png',
-    'Alto': 'https://i.postimg.cc/25GhSvZd/Picsart-25-09-01-21-21-37-456.png',
-    'Tiago': 'https://i.postimg.cc/0NP7vZb2/Picsart-25-09-01-21-22-38-483.png',
-    'Scorpio': 'https://i.postimg.cc/YCsv9H29/Picsart-25-09-01-21-20-16-626.png',
-    'XUV500': 'https://i.postimg.cc/LXZLRsz2/Picsart-25-09-01-21-20-35-263.png',
-    'Creta': 'https://i.postimg.cc/vmKfpnx0/Picsart-25-09-01-21-20-46-904.png',
-    'City': 'https://i.postimg.cc/c1B63Y1P/Picsart-25-09-01-21-19-54-562.png',
-    'Verna': 'https://i.postimg.cc/HnRfQ30v/Picsart-25-09-01-10-17-09-430.png',
-    'Ciaz': 'https://i.postimg.cc/28H6cDZw/Picsart-25-09-01-21-19-33-817.png',
-    'Royal Enfield Classic 350': 'https://i.postimg.cc/8cczBkvt/Picsart-25-09-01-14-57-17-934.png',
-    'Avenger 220 Cruise': 'https://i.postimg.cc/DwVqj7hG/Picsart-25-09-01-21-23-05-676.png',
-    'Jawa Perak': 'https://i.postimg.cc/RVfMgn3J/Picsart-25-09-01-10-09-53-588.png'
+const rangeHitsBooking = (start, end, bookedRanges) =>
+    bookedRanges.some(range => dayjs(range.startAt).isBefore(end) && dayjs(range.endAt).isAfter(start));
+
+// Last day a return can fall on before running into the next booking after `start`
+const lastFreeDayAfter = (start, bookedRanges) => {
+    const nextBooking = bookedRanges
+        .map(range => dayjs(range.startAt))
+        .filter(bookedStart => !bookedStart.isBefore(start))
+        .sort((a, b) => a.diff(b))[0];
+    return nextBooking ? nextBooking.startOf('day') : undefined;
+};
+
+// --- RENTAL TIME HELPERS ---
+const DEFAULT_PICKUP_HOUR = 10;
+
+// Puts the time of day from `time` (or the default pickup hour) on `day`
+const withTimeOf = (day, time) => day
+    .hour(time ? time.hour() : DEFAULT_PICKUP_HOUR)
+    .minute(time ? time.minute() : 0)
+    .second(0)
+    .millisecond(0);
+
+// Billed length of a rental; every started hour counts, as in the server's quote
+const rentalHoursBetween = (start, end) => Math.max(1, Math.ceil(dayjs(end).diff(dayjs(start), 'minute') / 60));
+
+// "3 days 4 hours"-style label for a number of rental hours
+const formatRentalHours = (hours) => {
+    const days = Math.floor(hours / 24);
+    const parts = [];
+    if (days > 0) parts.push(`${days} day${days > 1 ? 's' : ''}`);
+    if (hours % 24 > 0) parts.push(`${hours % 24} hour${hours % 24 > 1 ? 's' : ''}`);
+    return parts.join(' ');
+};
+
+const formatRentalTime = (value) => dayjs(value).format('MMM DD, YYYY h:mm A');
+
+// --- VEHICLE SPECS ---
+const TRANSMISSION_LABELS = { manual: 'Manual', automatic: 'Automatic' };
+const FUEL_TYPE_LABELS = { petrol: 'Petrol', diesel: 'Diesel', cng: 'CNG', electric: 'Electric', hybrid: 'Hybrid' };
+// Seat chips offered on the model step, by number of wheels
+const SEAT_FILTERS = { 2: [2], 4: [5, 7] };
+const emptyVehicleFilters = { transmission: '', fuelType: '', minSeats: '' };
+
+// Booking request fields the API can reject, with the form field and step
+// that edit each one, so a server error is shown under the right input
+const BOOKING_FIELD_STEPS = {
+  vehicleId: { field: 'specificModel', step: 'model' },
+  startAt: { field: 'startAt', step: 'dates' },
+  endAt: { field: 'endAt', step: 'dates' },
+  pickupBranchId: { field: 'pickupBranch', step: 'location' },
+  dropoffBranchId: { field: 'dropoffBranch', step: 'location' },
+};
+
+// Absolute URL of an uploaded file; full URLs (e.g. image paths set by admins) pass through
+const assetUrl = (path) => (/^https?:\/\//.test(path) ? path : `${API_ORIGIN}${path}`);
+
+// Listing picture of a vehicle: its primary uploaded photo (the API sends it
+// first), else the image path from its specs
+const vehicleImage = (vehicle, { thumbnail = true, placeholder = 'https://placehold.co/400x225/e5e7eb/374151?text=Image' } = {}) => {
+    const primary = vehicle?.images?.[0];
+    if (primary) return assetUrl(thumbnail ? primary.thumbnail_url : primary.url);
+    return vehicle?.image_path || placeholder;
 };
 
 // --- MEMOIZED COMPONENTS FOR PERFORMANCE ---
-const FormInput = memo(({ id, placeholder, value, onChange, error, icon: Icon }) => (
+const FormInput = memo(({ id, type = 'text', placeholder, value, onChange, error, icon: Icon }) => (
     <div className="relative group">
         <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
             {Icon && <Icon className="h-5 w-5 text-gray-400 group-focus-within:text-black transition-colors" />}
         </div>
         <input 
             id={id} 
-            type="text" 
+            type={type} 
             placeholder={placeholder} 
             value={value} 
             onChange={onChange}
@@ -196,50 +274,118 @@ const SelectionCard = memo(({ isSelected, onClick, children, disabled = false, c
     </div>
 ));
 
-const VehicleCard = memo(({ model, isSelected, onClick }) => (
-    <div 
-        onClick={onClick}
-        className={`relative rounded-2xl border-2 cursor-pointer transition-all duration-500 group overflow-hidden transform-gpu ${
-            isSelected 
-                ? 'border-black bg-gradient-to-br from-gray-50 to-white ring-4 ring-gray-900/10 ring-offset-2 scale-105 shadow-2xl' 
-                : 'border-gray-200 bg-gradient-to-br from-white to-gray-50 hover:border-gray-400 hover:shadow-xl hover:shadow-gray-200/50 hover:scale-105'
-        }`}
-    >
-        <div className="bg-gradient-to-br from-gray-100 to-gray-200 overflow-hidden aspect-video relative">
-            <div className="absolute inset-0 bg-gradient-to-br from-transparent via-white/30 to-transparent"></div>
-            <img 
-                src={VEHICLE_IMAGES[model.name] || 'https://placehold.co/400x225/e5e7eb/374151?text=Image'} 
-                alt={model.name} 
-                className="w-full h-full object-contain p-4 group-hover:scale-110 transition-transform duration-700 ease-out relative z-10"
-                onError={(e) => { e.target.onerror = null; e.target.src='https://placehold.co/400x225/e5e7eb/374151?text=Image+Not+Found'; }}
-            />
-        </div>
-        <div className="p-5 relative z-10">
-            <h3 className="font-bold text-xl text-black mb-2 group-hover:text-gray-800 transition-colors">{model.name}</h3>
-            <div className="flex items-center justify-between">
-                <p className="text-gray-800 font-bold text-lg">₹{model.price_per_day.toLocaleString()}/day</p>
-                <div className="flex items-center gap-1 text-amber-500">
-                    <Star className="w-4 h-4 fill-current" />
-                    <span className="text-sm font-medium text-gray-600">4.8</span>
-                </div>
+const VehicleCard = memo(({ model, isSelected, onClick }) => {
+    // A selected card becomes a gallery of all the vehicle's photos
+    const [galleryIndex, setGalleryIndex] = useState(0);
+    const photos = model.images || [];
+    const showGallery = isSelected && photos.length > 1;
+    const imageSrc = showGallery ? assetUrl(photos[Math.min(galleryIndex, photos.length - 1)].url) : vehicleImage(model, { thumbnail: !isSelected });
+
+    return (
+        <div 
+            onClick={onClick}
+            className={`relative rounded-2xl border-2 cursor-pointer transition-all duration-500 group overflow-hidden transform-gpu ${
+                isSelected 
+                    ? 'border-black bg-gradient-to-br from-gray-50 to-white ring-4 ring-gray-900/10 ring-offset-2 scale-105 shadow-2xl' 
+                    : 'border-gray-200 bg-gradient-to-br from-white to-gray-50 hover:border-gray-400 hover:shadow-xl hover:shadow-gray-200/50 hover:scale-105'
+            }`}
+        >
+            <div className="bg-gradient-to-br from-gray-100 to-gray-200 overflow-hidden aspect-video relative">
+                <div className="absolute inset-0 bg-gradient-to-br from-transparent via-white/30 to-transparent"></div>
+                <img 
+                    src={imageSrc} 
+                    alt={model.name} 
+                    className="w-full h-full object-contain p-4 group-hover:scale-110 transition-transform duration-700 ease-out relative z-10"
+                    onError={(e) => { e.target.onerror = null; e.target.src='https://placehold.co/400x225/e5e7eb/374151?text=Image+Not+Found'; }}
+                />
             </div>
-            <div className="flex items-center gap-4 mt-3 text-sm text-gray-500">
-                <div className="flex items-center gap-1">
-                    <Zap className="w-4 h-4" />
-                    <span>Auto</span>
+            {showGallery && (
+                <div className="flex gap-2 px-5 pt-3 overflow-x-auto animate-in fade-in">
+                    {photos.map((photo, index) => (
+                        <button
+                            key={photo.id}
+                            type="button"
+                            onClick={(e) => { e.stopPropagation(); setGalleryIndex(index); }}
+                            className={`flex-shrink-0 w-16 h-9 rounded-md overflow-hidden border-2 bg-gray-100 ${index === galleryIndex ? 'border-black' : 'border-transparent opacity-70 hover:opacity-100'}`}
+                        >
+                            <img src={assetUrl(photo.thumbnail_url)} alt={`${model.name} photo ${index + 1}`} className="w-full h-full object-contain" />
+                        </button>
+                    ))}
                 </div>
-                <div className="flex items-center gap-1">
-                    <Shield className="w-4 h-4" />
-                    <span>Insured</span>
+            )}
+            <div className="p-5 relative z-10">
+                <h3 className="font-bold text-xl text-black mb-2 group-hover:text-gray-800 transition-colors">{model.name}</h3>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <p className="text-gray-800 font-bold text-lg">₹{model.price_per_day.toLocaleString()}/day</p>
+                        {model.quotedTotal && (
+                            <p className="text-sm text-gray-500">₹{Number(model.quotedTotal).toLocaleString()} for {formatRentalHours(model.rentalDays * 24 + model.rentalHours)}</p>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-1 text-amber-500">
+                        <Star className="w-4 h-4 fill-current" />
+                        <span className="text-sm font-medium text-gray-600">4.8</span>
+                    </div>
                 </div>
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-sm text-gray-500">
+                    {model.seats && (
+                        <div className="flex items-center gap-1">
+                            <User className="w-4 h-4" />
+                            <span>{model.seats} seat{model.seats > 1 ? 's' : ''}</span>
+                        </div>
+                    )}
+                    {model.transmission && (
+                        <div className="flex items-center gap-1">
+                            <Settings2 className="w-4 h-4" />
+                            <span>{TRANSMISSION_LABELS[model.transmission]}</span>
+                        </div>
+                    )}
+                    {model.fuel_type && (
+                        <div className="flex items-center gap-1">
+                            <Fuel className="w-4 h-4" />
+                            <span>{FUEL_TYPE_LABELS[model.fuel_type]}</span>
+                        </div>
+                    )}
+                    {model.engine_cc && (
+                        <div className="flex items-center gap-1">
+                            <Gauge className="w-4 h-4" />
+                            <span>{model.engine_cc} cc</span>
+                        </div>
+                    )}
+                    {model.luggage_capacity != null && (
+                        <div className="flex items-center gap-1">
+                            <Briefcase className="w-4 h-4" />
+                            <span>{model.luggage_capacity} bag{model.luggage_capacity === 1 ? '' : 's'}</span>
+                        </div>
+                    )}
+                    <div className="flex items-center gap-1">
+                        <Shield className="w-4 h-4" />
+                        <span>Insured</span>
+                    </div>
+                </div>
+                {(model.year || model.colour) && (
+                    <p className="mt-2 text-xs text-gray-400">{[model.year, model.colour].filter(Boolean).join(' • ')}</p>
+                )}
             </div>
+            {isSelected && (
+                <div className="absolute -top-3 -right-3 w-8 h-8 bg-gradient-to-r from-black to-gray-800 rounded-full flex items-center justify-center border-4 border-white shadow-lg animate-in zoom-in-75">
+                    <Check className="w-4 h-4 text-white" />
+                </div>
+            )}
         </div>
-        {isSelected && (
-            <div className="absolute -top-3 -right-3 w-8 h-8 bg-gradient-to-r from-black to-gray-800 rounded-full flex items-center justify-center border-4 border-white shadow-lg animate-in zoom-in-75">
-                <Check className="w-4 h-4 text-white" />
-            </div>
-        )}
-    </div>
+    );
+});
+
+const FilterChip = memo(({ label, isActive, onClick }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        className={`px-4 py-2 rounded-full border-2 text-sm font-semibold transition-all duration-300 ${
+            isActive ? 'border-black bg-black text-white' : 'border-gray-200 text-gray-600 hover:border-gray-400'
+        }`}
+    >
+        {label}
+    </button>
 ));
 
 // --- ENHANCED LOADING COMPONENT ---
@@ -276,16 +422,1677 @@ const SuccessAnimation = lazy(() => Promise.resolve({
     ))
 }));
 
+// --- ACCOUNT (SIGN IN / SIGN UP) COMPONENT ---
+const AccountPanel = memo(({ customer, error, onAuthenticated, onSignOut }) => {
+    const [mode, setMode] = useState('signin');
+    const [fields, setFields] = useState({ firstName: '', lastName: '', email: '', phone: '', password: '' });
+    const [authError, setAuthError] = useState(null);
+    // Server errors about one field, shown under that input
+    const [fieldErrors, setFieldErrors] = useState({});
+    const { refetch: login, loading: loggingIn } = useApiCall(`${API_BASE_URL}/auth/login`, [], { method: 'POST' });
+    const { refetch: register, loading: registering } = useApiCall(`${API_BASE_URL}/auth/register`, [], { method: 'POST' });
+
+    const updateField = (field) => (e) => {
+        setFields(prev => ({ ...prev, [field]: e.target.value }));
+        setFieldErrors(prev => ({ ...prev, [field]: null }));
+    };
+
+    const switchMode = (value) => {
+        setMode(value);
+        setAuthError(null);
+        setFieldErrors({});
+    };
+
+    const handleSubmit = useCallback(async (e) => {
+        e.preventDefault();
+        setAuthError(null);
+        setFieldErrors({});
+        try {
+            const result = mode === 'signin'
+                ? await login({ email: fields.email, password: fields.password })
+                : await register(fields);
+            onAuthenticated(result.token, result.customer);
+        } catch (err) {
+            if (err.field && err.field in fields) {
+                setFieldErrors({ [err.field]: err.message });
+            } else {
+                setAuthError(err.status ? err.message : 'Unable to reach the booking service. Please try again.');
+            }
+        }
+    }, [mode, fields, login, register, onAuthenticated]);
+
+    if (customer) {
+        return (
+            <div className="p-6 rounded-2xl bg-gradient-to-r from-gray-50 to-white border-2 border-gray-200 flex items-center justify-between gap-4 animate-in fade-in">
+                <div className="flex items-center gap-3">
+                    <div className="w-12 h-12 bg-gradient-to-r from-black to-gray-800 rounded-full flex items-center justify-center">
+                        <User className="w-6 h-6 text-white" />
+                    </div>
+                    <div className="text-left">
+                        <p className="font-bold text-black text-lg">{customer.first_name} {customer.last_name}</p>
+                        <p className="text-gray-500 text-sm">{customer.email}</p>
+                    </div>
+                </div>
+                <button
+                    onClick={onSignOut}
+                    className="flex items-center gap-2 text-gray-500 font-bold hover:text-black transition-colors"
+                >
+                    <LogOut className="w-4 h-4" />
+                    <span>Sign out</span>
+                </button>
+            </div>
+        );
+    }
+
+    const busy = loggingIn || registering;
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-8">
+            <div className="grid grid-cols-2 gap-2 p-1 rounded-xl bg-gray-100">
+                {[['signin', 'Sign in'], ['signup', 'Create account']].map(([value, label]) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => switchMode(value)}
+                        className={`py-2 rounded-lg font-bold transition-all ${mode === value ? 'bg-white text-black shadow' : 'text-gray-500 hover:text-black'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {mode === 'signup' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    <FormInput id="firstName" placeholder="First Name" value={fields.firstName} onChange={updateField('firstName')} error={fieldErrors.firstName} icon={User} />
+                    <FormInput id="lastName" placeholder="Last Name" value={fields.lastName} onChange={updateField('lastName')} error={fieldErrors.lastName} icon={User} />
+                </div>
+            )}
+            <FormInput id="email" type="email" placeholder="Email" value={fields.email} onChange={updateField('email')} error={fieldErrors.email} icon={Mail} />
+            {mode === 'signup' && (
+                <FormInput id="phone" type="tel" placeholder="Phone (optional)" value={fields.phone} onChange={updateField('phone')} error={fieldErrors.phone} icon={Phone} />
+            )}
+            <FormInput id="password" type="password" placeholder="Password" value={fields.password} onChange={updateField('password')} error={fieldErrors.password} icon={Lock} />
+            {(authError || error) && (
+                <p className="text-red-500 text-sm text-center animate-in slide-in-from-bottom">{authError || error}</p>
+            )}
+            <button
+                type="submit"
+                disabled={busy}
+                className="w-full bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-8 py-3.5 transition-all duration-300 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+            >
+                {busy ? 'Please wait...' : mode === 'signin' ? 'Sign in' : 'Create account'}
+            </button>
+        </form>
+    );
+});
+
+// --- BOOKING STATUS LABELS ---
+const BOOKING_STATUSES = {
+    pending_payment: { label: 'Awaiting payment', className: 'bg-amber-100 text-amber-700' },
+    confirmed: { label: 'Confirmed', className: 'bg-green-100 text-green-700' },
+    active: { label: 'On rent', className: 'bg-blue-100 text-blue-700' },
+    returned: { label: 'Returned', className: 'bg-gray-200 text-gray-700' },
+    expired: { label: 'Expired', className: 'bg-gray-200 text-gray-600' },
+    cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-700' }
+};
+
+// --- MANAGE BOOKING COMPONENT ---
+const ManageBooking = memo(({ initialReference = '', onClose }) => {
+    const [referenceInput, setReferenceInput] = useState(initialReference);
+    const [reference, setReference] = useState(initialReference);
+    const [draft, setDraft] = useState(null);
+    const [actionError, setActionError] = useState(null);
+    const [actionMessage, setActionMessage] = useState(null);
+
+    const bookingUrl = reference ? `${API_BASE_URL}/bookings/${encodeURIComponent(reference)}` : null;
+    const { data: booking, loading, error, refetch } = useApiCall(bookingUrl, [bookingUrl]);
+    const { refetch: updateBooking, loading: updating } = useApiCall(bookingUrl, [], { method: 'PATCH' });
+    const { refetch: cancelBooking, loading: cancelling } = useApiCall(bookingUrl, [], { method: 'DELETE' });
+    // Replacement vehicles must be at the same pickup branch
+    const { data: vehiclesOfType } = useApiCall(
+        booking ? `${API_BASE_URL}/vehicles/${booking.Vehicle.type_id}${booking.pickup_branch_id ? `?branchId=${booking.pickup_branch_id}` : ''}` : null,
+        [booking?.Vehicle?.type_id, booking?.pickup_branch_id]
+    );
+    const { data: availabilityData } = useApiCall(
+        draft ? `${API_BASE_URL}/vehicles/${draft.vehicleId}/availability?exclude=${encodeURIComponent(reference)}` : null,
+        [draft?.vehicleId, reference]
+    );
+    const bookedRanges = availabilityData?.booked || [];
+    // Paid bookings have invoices, plus a credit note for each change
+    const isPaid = ['confirmed', 'active', 'returned'].includes(booking?.status);
+    const { data: issuedInvoices } = useApiCall(
+        isPaid ? `${bookingUrl}/invoices` : null,
+        [bookingUrl, isPaid, booking?.updated_at]
+    );
+
+    // The booking's own vehicle may be hidden from listings, so keep it selectable
+    const vehicleOptions = useMemo(() => {
+        if (!booking) return [];
+        const options = (vehiclesOfType || []).filter(vehicle => vehicle.id !== booking.Vehicle.id);
+        return [booking.Vehicle, ...options];
+    }, [booking, vehiclesOfType]);
+
+    const handleLookup = useCallback((e) => {
+        e.preventDefault();
+        setDraft(null);
+        setActionError(null);
+        setActionMessage(null);
+        setReference(referenceInput.trim().toUpperCase());
+    }, [referenceInput]);
+
+    const startEditing = useCallback(() => {
+        setActionError(null);
+        setActionMessage(null);
+        setDraft({
+            vehicleId: booking.vehicle_id,
+            startDateObj: dayjs(booking.start_at),
+            endDateObj: dayjs(booking.end_at)
+        });
+    }, [booking]);
+
+    const handleSave = useCallback(async () => {
+        if (!draft.startDateObj || !draft.endDateObj) {
+            setActionError('Please choose both a pickup and a return time.');
+            return;
+        }
+        if (!draft.endDateObj.isAfter(draft.startDateObj)) {
+            setActionError('The return time must be after the pickup time.');
+            return;
+        }
+        if (rangeHitsBooking(draft.startDateObj, draft.endDateObj, bookedRanges)) {
+            setActionError('The selected times overlap another booking of this vehicle.');
+            return;
+        }
+        try {
+            const result = await updateBooking({
+                vehicleId: draft.vehicleId,
+                startAt: draft.startDateObj.format(),
+                endAt: draft.endDateObj.format()
+            });
+            setDraft(null);
+            setActionError(null);
+            setActionMessage(result?.refund
+                ? `Your booking has been updated. ${result.refund.currency} ${result.refund.amount} will be refunded to your card.`
+                : 'Your booking has been updated.');
+            refetch().catch(() => {});
+        } catch (err) {
+            setActionError(err.status ? err.message : 'Unable to reach the booking service. Please try again.');
+        }
+    }, [draft, bookedRanges, updateBooking, refetch]);
+
+    const handleCancel = useCallback(async () => {
+        if (!window.confirm('Cancel this booking? This cannot be undone.')) return;
+        try {
+            await cancelBooking();
+            setDraft(null);
+            setActionError(null);
+            setActionMessage('Your booking has been cancelled.');
+            refetch().catch(() => {});
+        } catch (err) {
+            setActionError(err.status ? err.message : 'Unable to reach the booking service. Please try again.');
+        }
+    }, [cancelBooking, refetch]);
+
+    const status = BOOKING_STATUSES[booking?.status] || BOOKING_STATUSES.confirmed;
+    // Unpaid bookings can only be cancelled; expired and cancelled ones are final
+    const isChangeable = booking?.status === 'confirmed';
+    const isCancellable = isChangeable || booking?.status === 'pending_payment';
+    const rentalHours = booking ? rentalHoursBetween(booking.start_at, booking.end_at) : 0;
+
+    return (
+        <div className="w-full max-w-3xl space-y-8">
+            <form onSubmit={handleLookup} className="flex flex-col sm:flex-row gap-4">
+                <div className="flex-1">
+                    <FormInput
+                        id="bookingReference"
+                        placeholder="Booking reference"
+                        value={referenceInput}
+                        onChange={e => setReferenceInput(e.target.value)}
+                        icon={ClipboardCheck}
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={!referenceInput.trim()}
+                    className="bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-8 py-3.5 transition-all duration-300 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+                >
+                    Find booking
+                </button>
+            </form>
+
+            {loading && <LoadingSpinner text="Looking up your booking..." />}
+
+            {error && !loading && (
+                <p className="text-red-500 text-center animate-in slide-in-from-bottom">{error}</p>
+            )}
+
+            {booking && !error && !loading && (
+                <div className="p-8 rounded-2xl bg-gradient-to-br from-white to-gray-50 border-2 border-gray-200 shadow-xl space-y-6 animate-in fade-in slide-in-from-bottom">
+                    <div className="flex items-start justify-between gap-4">
+                        <div>
+                            <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-1">Booking {booking.reference}</p>
+                            <p className="font-bold text-black text-2xl">{booking.Vehicle.name}</p>
+                            <p className="text-gray-500">{booking.first_name} {booking.last_name} • {booking.Vehicle.VehicleType?.name}</p>
+                            {booking.PickupBranch && (
+                                <p className="text-gray-500 flex items-center gap-1">
+                                    <MapPin className="w-4 h-4" />
+                                    {booking.PickupBranch.name}
+                                    {booking.DropoffBranch && booking.DropoffBranch.id !== booking.PickupBranch.id && ` → ${booking.DropoffBranch.name}`}
+                                </p>
+                            )}
+                        </div>
+                        <span className={`px-3 py-1 rounded-full text-sm font-bold ${status.className}`}>
+                            {status.label}
+                        </span>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+                        <div>
+                            <p className="text-gray-500">Pickup</p>
+                            <p className="font-semibold text-black">{formatRentalTime(booking.start_at)}</p>
+                        </div>
+                        <div>
+                            <p className="text-gray-500">Return</p>
+                            <p className="font-semibold text-black">{formatRentalTime(booking.end_at)}</p>
+                        </div>
+                        <div>
+                            <p className="text-gray-500">Total</p>
+                            <p className="font-semibold text-black">
+                                ₹{Number(booking.total_amount).toLocaleString()} for {formatRentalHours(rentalHours)}
+                            </p>
+                        </div>
+                    </div>
+
+                    {Number(booking.extra_charges_total) > 0 && (
+                        <div className="p-4 rounded-xl bg-amber-50 border border-amber-200 text-sm space-y-1">
+                            <p className="font-bold text-amber-800">Charges on return</p>
+                            {booking.extra_charges.lines.map(line => (
+                                <div key={line.code} className="flex justify-between gap-4 text-amber-700">
+                                    <span>{line.label}</span>
+                                    <span>₹{Number(line.amount).toLocaleString()}</span>
+                                </div>
+                            ))}
+                            <div className="flex justify-between gap-4 font-semibold text-amber-900">
+                                <span>Total incl. taxes</span>
+                                <span>₹{Number(booking.extra_charges_total).toLocaleString()}</span>
+                            </div>
+                        </div>
+                    )}
+
+                    {isPaid && issuedInvoices?.length > 0 && (
+                        <div className="text-sm space-y-1">
+                            <p className="text-gray-500">Invoices</p>
+                            {issuedInvoices.map(invoice => (
+                                <a
+                                    key={invoice.id}
+                                    href={`${bookingUrl}/invoices/${invoice.id}.pdf`}
+                                    className="flex justify-between gap-4 font-semibold text-black hover:underline"
+                                >
+                                    <span>
+                                        {invoice.kind === 'credit_note' ? `Credit note ${invoice.number} for ${invoice.CreditedInvoice?.number}` : `Invoice ${invoice.number}`}
+                                        {invoice.kind === 'return_charges' && ' (charges on return)'}
+                                    </span>
+                                    {invoice.total !== null && (
+                                        <span>{invoice.kind === 'credit_note' && '−'}₹{Number(invoice.total).toLocaleString()}</span>
+                                    )}
+                                </a>
+                            ))}
+                        </div>
+                    )}
+
+                    {draft && (
+                        <LocalizationProvider dateAdapter={AdapterDayjs}>
+                            <div className="space-y-6 pt-6 border-t border-gray-200">
+                                <select
+                                    value={draft.vehicleId}
+                                    onChange={e => setDraft({ ...draft, vehicleId: Number(e.target.value) })}
+                                    className="w-full rounded-xl border-2 border-gray-200 py-3 focus:border-black focus:ring-black"
+                                >
+                                    {vehicleOptions.map(vehicle => (
+                                        <option key={vehicle.id} value={vehicle.id}>
+                                            {vehicle.name} — ₹{Number(vehicle.price_per_day).toLocaleString()}/day
+                                        </option>
+                                    ))}
+                                </select>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                                    <DatePicker
+                                        label="Pickup Date"
+                                        value={draft.startDateObj}
+                                        onChange={(newValue) => setDraft({
+                                            ...draft,
+                                            startDateObj: newValue && withTimeOf(newValue, draft.startDateObj),
+                                            endDateObj: (draft.endDateObj && newValue && !draft.endDateObj.isAfter(withTimeOf(newValue, draft.startDateObj))) ? null : draft.endDateObj
+                                        })}
+                                        minDate={dayjs()}
+                                        shouldDisableDate={(day) => isDayBooked(day, bookedRanges)}
+                                        slotProps={{ textField: { fullWidth: true } }}
+                                    />
+                                    <TimePicker
+                                        label="Pickup Time"
+                                        value={draft.startDateObj}
+                                        onChange={(newValue) => newValue && draft.startDateObj && setDraft({ ...draft, startDateObj: withTimeOf(draft.startDateObj, newValue) })}
+                                        disabled={!draft.startDateObj}
+                                        minutesStep={15}
+                                        slotProps={{ textField: { fullWidth: true } }}
+                                    />
+                                    <DatePicker
+                                        label="Return Date"
+                                        value={draft.endDateObj}
+                                        onChange={(newValue) => setDraft({ ...draft, endDateObj: newValue && withTimeOf(newValue, draft.endDateObj || draft.startDateObj) })}
+                                        minDate={draft.startDateObj || dayjs()}
+                                        maxDate={draft.startDateObj ? lastFreeDayAfter(draft.startDateObj, bookedRanges) : undefined}
+                                        shouldDisableDate={(day) => isDayBooked(day, bookedRanges)}
+                                        disabled={!draft.startDateObj}
+                                        slotProps={{ textField: { fullWidth: true } }}
+                                    />
+                                    <TimePicker
+                                        label="Return Time"
+                                        value={draft.endDateObj}
+                                        onChange={(newValue) => newValue && draft.endDateObj && setDraft({ ...draft, endDateObj: withTimeOf(draft.endDateObj, newValue) })}
+                                        disabled={!draft.endDateObj}
+                                        minutesStep={15}
+                                        slotProps={{ textField: { fullWidth: true } }}
+                                    />
+                                </div>
+                            </div>
+                        </LocalizationProvider>
+                    )}
+
+                    {actionError && (
+                        <p className="text-red-500 text-sm text-center animate-in slide-in-from-bottom">{actionError}</p>
+                    )}
+                    {actionMessage && (
+                        <p className="text-green-600 text-sm text-center animate-in slide-in-from-bottom">{actionMessage}</p>
+                    )}
+
+                    {isCancellable && (
+                        <div className="flex flex-col sm:flex-row gap-4 justify-end">
+                            {draft ? (
+                                <>
+                                    <button
+                                        onClick={() => setDraft(null)}
+                                        className="text-gray-500 font-bold rounded-xl px-6 py-3 hover:text-black hover:bg-gray-50 transition-colors"
+                                    >
+                                        Discard changes
+                                    </button>
+                                    <button
+                                        onClick={handleSave}
+                                        disabled={updating}
+                                        className="bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-6 py-3 transition-all duration-300 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500"
+                                    >
+                                        {updating ? 'Saving...' : 'Save changes'}
+                                    </button>
+                                </>
+                            ) : (
+                                <>
+                                    <button
+                                        onClick={handleCancel}
+                                        disabled={cancelling}
+                                        className="text-red-600 font-bold rounded-xl px-6 py-3 border-2 border-red-200 hover:bg-red-50 transition-colors disabled:opacity-50"
+                                    >
+                                        {cancelling ? 'Cancelling...' : 'Cancel booking'}
+                                    </button>
+                                    {isChangeable && (
+                                        <button
+                                            onClick={startEditing}
+                                            className="bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-6 py-3 transition-all duration-300 hover:from-gray-800 hover:to-black"
+                                        >
+                                            Change dates or vehicle
+                                        </button>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="text-center">
+                <button
+                    onClick={onClose}
+                    className="group inline-flex items-center gap-2 text-gray-500 font-bold hover:text-black transition-colors"
+                >
+                    <ChevronLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform duration-300" />
+                    <span>Back to booking</span>
+                </button>
+            </div>
+        </div>
+    );
+});
+
+// --- PAYMENT COMPONENT ---
+// Completes the payment started by POST /bookings. The card form posts to the
+// gateway's `nextAction` path, then the booking is confirmed server-side. If
+// the gateway failed at booking time `payment` is null and paying starts a
+// new payment for the booking first.
+const PaymentStep = memo(({ booking, payment: initialPayment, onConfirmed, onExpired }) => {
+    const [payment, setPayment] = useState(initialPayment);
+    const [cardName, setCardName] = useState('');
+    const [cardNumber, setCardNumber] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const expiresAt = booking.payment_expires_at;
+    const [secondsLeft, setSecondsLeft] = useState(() => Math.max(0, dayjs(expiresAt).diff(dayjs(), 'second')));
+
+    // Count down the payment window; the server releases the dates when it closes
+    useEffect(() => {
+        const timer = setInterval(() => {
+            setSecondsLeft(Math.max(0, dayjs(expiresAt).diff(dayjs(), 'second')));
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [expiresAt]);
+
+    const handlePay = useCallback(async (e) => {
+        e.preventDefault();
+        setError(null);
+        setSubmitting(true);
+        const bookingUrl = `${API_BASE_URL}/bookings/${encodeURIComponent(booking.reference)}`;
+        try {
+            let started = payment;
+            if (!started) {
+                started = (await apiRequest(`${bookingUrl}/payment`, { method: 'POST' })).payment;
+                setPayment(started);
+            }
+            if (started.nextAction?.type === 'card_form') {
+                await apiRequest(`${API_BASE_URL}${started.nextAction.path}`, { method: 'POST', body: { cardName, cardNumber } });
+            }
+            const result = await apiRequest(`${bookingUrl}/confirm-payment`, { method: 'POST' });
+            onConfirmed(result.booking);
+        } catch (err) {
+            setError(err.status ? err.message : 'Unable to reach the payment service. Please try again.');
+        } finally {
+            setSubmitting(false);
+        }
+    }, [booking.reference, payment, cardName, cardNumber, onConfirmed]);
+
+    if (secondsLeft === 0) {
+        return (
+            <div className="w-full max-w-md p-8 rounded-2xl bg-red-50 border-2 border-red-200 text-center space-y-4 animate-in fade-in">
+                <XCircle className="w-10 h-10 mx-auto text-red-600" />
+                <p className="font-bold text-lg text-red-700">Payment time ran out</p>
+                <p className="text-red-500 text-sm">Your reservation has been released. You can book again if the vehicle is still free.</p>
+                <button onClick={onExpired} className="text-red-600 font-medium hover:text-red-800 transition-colors underline">
+                    Back to review
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handlePay} className="w-full max-w-md space-y-6">
+            <div className="p-6 rounded-2xl bg-gradient-to-r from-gray-900 to-black text-white space-y-2">
+                <div className="flex justify-between items-center">
+                    <span className="text-gray-300">Booking {booking.reference}</span>
+                    <span className="font-mono text-sm text-amber-300">
+                        {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')} left
+                    </span>
+                </div>
+                <div className="flex justify-between items-center text-lg">
+                    <span>Amount due:</span>
+                    <span className="font-bold text-2xl">₹{Number(booking.total_amount).toLocaleString()}</span>
+                </div>
+            </div>
+            {!payment && !error && (
+                <p className="text-amber-600 text-sm text-center">We could not reach the payment service when you booked. Your dates are still held, so you can try paying now.</p>
+            )}
+            <FormInput id="cardName" placeholder="Name on card" value={cardName} onChange={e => setCardName(e.target.value)} icon={User} />
+            <FormInput id="cardNumber" placeholder="Card number" value={cardNumber} onChange={e => setCardNumber(e.target.value)} icon={CreditCard} />
+            {error && (
+                <p className="text-red-500 text-sm text-center animate-in slide-in-from-bottom">{error}</p>
+            )}
+            <button
+                type="submit"
+                disabled={submitting || !cardNumber.trim()}
+                className="w-full flex items-center justify-center gap-3 bg-gradient-to-r from-green-600 to-green-700 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 hover:from-green-700 hover:to-green-800 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+            >
+                <Lock className="w-5 h-5" />
+                <span>{submitting ? 'Processing payment...' : 'Pay & confirm booking'}</span>
+            </button>
+            <p className="text-xs text-gray-500 text-center">Your dates are held until the timer runs out.</p>
+        </form>
+    );
+});
+
+// --- WAITLIST ---
+// Offered when the vehicle, or every vehicle of the type, is booked for the
+// chosen times. The server emails the customer a claim link if it comes free.
+const WaitlistJoin = memo(({ token, vehicleId, typeId, startAt, endAt, label }) => {
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleJoin = useCallback(async () => {
+        setError(null);
+        setSubmitting(true);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/waitlist`, {
+                method: 'POST',
+                token,
+                body: { vehicleId: vehicleId || undefined, typeId: vehicleId ? undefined : typeId, startAt, endAt }
+            });
+            setMessage(result.message);
+        } catch (err) {
+            setError(err.status ? err.message : 'Unable to reach the booking service. Please try again.');
+        } finally {
+            setSubmitting(false);
+        }
+    }, [token, vehicleId, typeId, startAt, endAt]);
+
+    if (message) {
+        return (
+            <div className="p-4 rounded-xl bg-green-50 border-2 border-green-200 text-center animate-in fade-in">
+                <p className="text-green-700 font-medium">{message}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-4 rounded-xl bg-gradient-to-r from-gray-50 to-white border-2 border-gray-200 text-center space-y-3 animate-in fade-in">
+            <p className="text-gray-600 text-sm">
+                Bookings are sometimes cancelled. Join the waitlist and we will email you a link to book if these times free up.
+            </p>
+            <button
+                type="button"
+                onClick={handleJoin}
+                disabled={submitting || !token}
+                className="inline-flex items-center gap-2 px-5 py-2.5 rounded-xl bg-gradient-to-r from-black to-gray-800 text-white font-bold transition-all hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+            >
+                <Clock className="w-4 h-4" />
+                <span>{submitting ? 'Joining...' : label}</span>
+            </button>
+            {!token && <p className="text-gray-500 text-xs">Sign in to join the waitlist.</p>}
+            {error && <p className="text-red-500 text-sm animate-in slide-in-from-bottom">{error}</p>}
+        </div>
+    );
+});
+
+// The page a claim link opens: the offered vehicle and times, which the
+// customer it was sent to books and pays for before the offer runs out
+const WaitlistClaim = memo(({ claimToken, auth, onAuthenticated, onSignOut, onClose }) => {
+    const [pending, setPending] = useState(null);
+    const [confirmed, setConfirmed] = useState(null);
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const claimUrl = `${API_BASE_URL}/waitlist/claims/${encodeURIComponent(claimToken)}`;
+    const { data: offer, loading, error: offerError } = useApiCall(claimUrl, [claimUrl]);
+
+    const handleBook = useCallback(async () => {
+        setError(null);
+        setSubmitting(true);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/bookings`, {
+                method: 'POST',
+                token: auth.token,
+                body: { vehicleId: offer.vehicle.id, startAt: offer.startAt, endAt: offer.endAt, claimToken }
+            });
+            setPending({ booking: result.booking, payment: result.payment });
+        } catch (err) {
+            setError(err.status ? err.message : 'Unable to reach the booking service. Please try again.');
+        } finally {
+            setSubmitting(false);
+        }
+    }, [auth.token, offer, claimToken]);
+
+    const backButton = (
+        <button onClick={onClose} className="text-gray-500 font-bold hover:text-black transition-colors">
+            Back to booking
+        </button>
+    );
+
+    if (loading || (!offer && !offerError)) {
+        return <LoadingSpinner text="Loading your offer..." />;
+    }
+    if (confirmed) {
+        return (
+            <div className="w-full max-w-md p-8 rounded-2xl bg-green-50 border-2 border-green-200 text-center space-y-4 animate-in fade-in">
+                <Check className="w-10 h-10 mx-auto text-green-600" />
+                <p className="font-bold text-lg text-green-700">Your booking is confirmed</p>
+                <p className="text-xs uppercase tracking-wider font-bold text-gray-500">Booking reference</p>
+                <p className="font-mono font-bold text-2xl text-black tracking-widest">{confirmed.reference}</p>
+                {backButton}
+            </div>
+        );
+    }
+    if (pending) {
+        return (
+            <PaymentStep
+                booking={pending.booking}
+                payment={pending.payment}
+                onConfirmed={setConfirmed}
+                onExpired={() => setPending(null)}
+            />
+        );
+    }
+    if (offerError) {
+        return (
+            <div className="w-full max-w-md p-8 rounded-2xl bg-red-50 border-2 border-red-200 text-center space-y-4 animate-in fade-in">
+                <XCircle className="w-10 h-10 mx-auto text-red-600" />
+                <p className="text-red-700 font-medium">{offerError}</p>
+                {backButton}
+            </div>
+        );
+    }
+
+    return (
+        <div className="w-full max-w-md space-y-6">
+            <div className="p-6 rounded-2xl bg-gradient-to-r from-gray-900 to-black text-white space-y-2">
+                <p className="font-bold text-2xl">{offer.vehicle.name}</p>
+                <p className="text-gray-300">
+                    {dayjs(offer.startAt).format('MMM DD, h:mm A')} to {dayjs(offer.endAt).format('MMM DD, h:mm A')}
+                </p>
+                {offer.vehicle.Branch && (
+                    <p className="flex items-center gap-2 text-gray-300 text-sm">
+                        <MapPin className="w-4 h-4" />
+                        {offer.vehicle.Branch.name}, {offer.vehicle.Branch.city}
+                    </p>
+                )}
+                <p className="text-amber-300 text-sm">Held for you until {dayjs(offer.expiresAt).format('MMM DD, h:mm A')}</p>
+            </div>
+            {auth.customer ? (
+                <>
+                    <AccountPanel customer={auth.customer} onAuthenticated={onAuthenticated} onSignOut={onSignOut} />
+                    {error && <p className="text-red-500 text-sm text-center animate-in slide-in-from-bottom">{error}</p>}
+                    <button
+                        onClick={handleBook}
+                        disabled={submitting}
+                        className="w-full flex items-center justify-center gap-3 bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+                    >
+                        <Car className="w-5 h-5" />
+                        <span>{submitting ? 'Booking...' : 'Book now'}</span>
+                    </button>
+                </>
+            ) : (
+                <>
+                    <p className="text-gray-600 text-center">Sign in with the account you joined the waitlist with to book it.</p>
+                    <AccountPanel customer={null} onAuthenticated={onAuthenticated} onSignOut={onSignOut} />
+                </>
+            )}
+            <div className="text-center">{backButton}</div>
+        </div>
+    );
+});
+
+// --- ADMIN FLEET MANAGEMENT ---
+const adminInputClass = 'w-full rounded-lg border-2 border-gray-200 px-3 py-2 focus:border-black focus:ring-black';
+
+// One editable fleet row; keeps its own draft until saved
+const VehicleRow = memo(({ vehicle, vehicleTypes, branches, onSave, onToggle, onDelete }) => {
+    const [draft, setDraft] = useState({
+        name: vehicle.name,
+        typeId: vehicle.type_id,
+        branchId: vehicle.branch_id || '',
+        pricePerDay: vehicle.price_per_day
+    });
+    const isDirty = draft.name !== vehicle.name
+        || Number(draft.typeId) !== vehicle.type_id
+        || (draft.branchId || null) !== vehicle.branch_id
+        || Number(draft.pricePerDay) !== Number(vehicle.price_per_day);
+
+    return (
+        <tr className="border-t border-gray-200">
+            <td className="p-2">
+                <input className={adminInputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+            </td>
+            <td className="p-2">
+                <select className={adminInputClass} value={draft.typeId} onChange={e => setDraft({ ...draft, typeId: Number(e.target.value) })}>
+                    {vehicleTypes.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+                </select>
+            </td>
+            <td className="p-2">
+                <select className={adminInputClass} value={draft.branchId} onChange={e => setDraft({ ...draft, branchId: Number(e.target.value) })}>
+                    {!vehicle.branch_id && <option value="">Branch...</option>}
+                    {branches.map(branch => <option key={branch.id} value={branch.id}>{branch.name}</option>)}
+                </select>
+            </td>
+            <td className="p-2">
+                <input className={adminInputClass} type="number" min="1" step="0.01" value={draft.pricePerDay} onChange={e => setDraft({ ...draft, pricePerDay: e.target.value })} />
+            </td>
+            <td className="p-2 text-center">
+                <button
+                    onClick={() => onToggle(vehicle)}
+                    className={`px-3 py-1 rounded-full text-sm font-bold ${vehicle.is_available ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                >
+                    {vehicle.is_available ? 'Available' : 'Hidden'}
+                </button>
+            </td>
+            <td className="p-2 text-right whitespace-nowrap space-x-2">
+                <button
+                    onClick={() => onSave(vehicle, draft)}
+                    disabled={!isDirty}
+                    className="px-4 py-2 rounded-lg bg-black text-white font-bold disabled:bg-gray-300"
+                >
+                    Save
+                </button>
+                <button onClick={() => onDelete(vehicle)} className="px-4 py-2 rounded-lg text-red-600 font-bold hover:bg-red-50">
+                    Delete
+                </button>
+            </td>
+        </tr>
+    );
+});
+
+const VehicleTypeRow = memo(({ vehicleType, onSave, onDelete }) => {
+    const [draft, setDraft] = useState({
+        name: vehicleType.name,
+        wheels: vehicleType.wheels,
+        pricePerHour: vehicleType.price_per_hour ?? '',
+        turnaroundMinutes: vehicleType.turnaround_minutes
+    });
+    const isDirty = draft.name !== vehicleType.name
+        || Number(draft.wheels) !== vehicleType.wheels
+        || String(draft.pricePerHour) !== String(vehicleType.price_per_hour ?? '')
+        || Number(draft.turnaroundMinutes) !== vehicleType.turnaround_minutes;
+
+    return (
+        <tr className="border-t border-gray-200">
+            <td className="p-2">
+                <input className={adminInputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+            </td>
+            <td className="p-2">
+                <select className={adminInputClass} value={draft.wheels} onChange={e => setDraft({ ...draft, wheels: Number(e.target.value) })}>
+                    {[2, 3, 4].map(wheels => <option key={wheels} value={wheels}>{wheels}</option>)}
+                </select>
+            </td>
+            <td className="p-2">
+                <input className={adminInputClass} type="number" min="1" step="0.01" placeholder="Daily only" value={draft.pricePerHour} onChange={e => setDraft({ ...draft, pricePerHour: e.target.value })} />
+            </td>
+            <td className="p-2">
+                <input className={adminInputClass} type="number" min="0" step="15" value={draft.turnaroundMinutes} onChange={e => setDraft({ ...draft, turnaroundMinutes: e.target.value })} />
+            </td>
+            <td className="p-2 text-right whitespace-nowrap space-x-2">
+                <button
+                    onClick={() => onSave(vehicleType, draft)}
+                    disabled={!isDirty}
+                    className="px-4 py-2 rounded-lg bg-black text-white font-bold disabled:bg-gray-300"
+                >
+                    Save
+                </button>
+                <button onClick={() => onDelete(vehicleType)} className="px-4 py-2 rounded-lg text-red-600 font-bold hover:bg-red-50">
+                    Delete
+                </button>
+            </td>
+        </tr>
+    );
+});
+
+const BLACKOUT_REASON_LABELS = { service: 'Service', repair: 'Repair', staff_reserved: 'Reserved for staff' };
+const emptyBlackout = { vehicleId: '', startDate: '', endDate: '', reason: 'service', notes: '' };
+
+// Photo management for one vehicle at a time. Uploads go through the admin
+// API, which checks and resizes them; the fleet list carries each vehicle's photos.
+const VehiclePhotos = memo(({ fleet, runAction }) => {
+    const [vehicleId, setVehicleId] = useState('');
+    const [files, setFiles] = useState([]);
+    const [inputKey, setInputKey] = useState(0);
+    const vehicle = fleet.find(v => v.id === Number(vehicleId));
+
+    const handleUpload = useCallback(async (e) => {
+        e.preventDefault();
+        const form = new FormData();
+        files.forEach(file => form.append('images', file));
+        if (await runAction(`/vehicles/${vehicleId}/images`, 'POST', form)) {
+            setFiles([]);
+            setInputKey(key => key + 1);
+        }
+    }, [files, vehicleId, runAction]);
+
+    return (
+        <section className="space-y-4">
+            <h3 className="text-2xl font-bold text-black">Vehicle photos</h3>
+            <form onSubmit={handleUpload} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <select className={adminInputClass} value={vehicleId} onChange={e => setVehicleId(e.target.value)}>
+                    <option value="">Vehicle…</option>
+                    {fleet.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                </select>
+                <input
+                    key={inputKey}
+                    className={adminInputClass}
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp"
+                    multiple
+                    onChange={e => setFiles(Array.from(e.target.files))}
+                />
+                <button type="submit" disabled={!vehicleId || files.length === 0} className="rounded-lg bg-black text-white font-bold px-4 py-2 disabled:bg-gray-300">
+                    Upload {files.length > 0 ? files.length : ''} photo{files.length === 1 ? '' : 's'}
+                </button>
+            </form>
+            <p className="text-xs text-gray-500">JPEG, PNG or WebP, up to 5 MB each and 10 at a time.</p>
+            {vehicle && (
+                vehicle.images.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No photos uploaded for {vehicle.name} yet.</p>
+                ) : (
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                        {vehicle.images.map(photo => (
+                            <div key={photo.id} className={`rounded-xl border-2 overflow-hidden ${photo.is_primary ? 'border-black' : 'border-gray-200'}`}>
+                                <img src={assetUrl(photo.thumbnail_url)} alt={vehicle.name} className="w-full aspect-video object-contain bg-gray-100" />
+                                <div className="flex justify-between items-center p-2 text-sm">
+                                    {photo.is_primary ? (
+                                        <span className="font-bold text-black">Primary</span>
+                                    ) : (
+                                        <button onClick={() => runAction(`/vehicles/${vehicle.id}/images/${photo.id}/primary`, 'PUT')} className="font-bold text-gray-600 hover:text-black">
+                                            Make primary
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => window.confirm('Delete this photo?') && runAction(`/vehicles/${vehicle.id}/images/${photo.id}`, 'DELETE')}
+                                        className="font-bold text-red-600 hover:text-red-800"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )
+            )}
+        </section>
+    );
+});
+
+// CSV exports of the fleet and bookings, and the vehicle import. An import is
+// always checked with a dry run first; the file can only be imported once that
+// run found no problems.
+const FleetCsv = memo(({ token, vehicleTypes, branches, onImported }) => {
+    const [vehicleFilter, setVehicleFilter] = useState({ typeId: '', branchId: '' });
+    const [bookingFilter, setBookingFilter] = useState({ from: dayjs().startOf('month').format('YYYY-MM-DD'), to: dayjs().endOf('month').format('YYYY-MM-DD'), typeId: '', status: '' });
+    const [file, setFile] = useState(null);
+    const [inputKey, setInputKey] = useState(0);
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [notice, setNotice] = useState(null);
+
+    const handleExport = useCallback(async (name, filter = {}) => {
+        const query = new URLSearchParams(Object.entries(filter).filter(([, value]) => value !== ''));
+        try {
+            await downloadFile(`${API_BASE_URL}/admin/export/${name}.csv?${query}`, { token, fileName: `${name}-${dayjs().format('YYYY-MM-DD')}.csv` });
+        } catch (err) {
+            setNotice({ type: 'error', text: err.message });
+        }
+    }, [token]);
+
+    const runImport = useCallback(async (dryRun) => {
+        const form = new FormData();
+        form.append('file', file);
+        setBusy(true);
+        setNotice(null);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/admin/import/vehicles?dryRun=${dryRun}`, { method: 'POST', token, body: form });
+            setReport(result);
+            setNotice({ type: result.errors.length > 0 ? 'error' : 'success', text: result.message });
+            if (!dryRun) {
+                setFile(null);
+                setInputKey(key => key + 1);
+                onImported();
+            }
+        } catch (err) {
+            setReport(null);
+            setNotice({ type: 'error', text: err.message });
+        } finally {
+            setBusy(false);
+        }
+    }, [file, token, onImported]);
+
+    const readyToImport = report?.dryRun && report.errors.length === 0;
+
+    return (
+        <section className="space-y-4">
+            <h3 className="text-2xl font-bold text-black">Import &amp; export</h3>
+            {notice && (
+                <p className={`text-sm font-medium ${notice.type === 'error' ? 'text-red-500' : 'text-green-600'}`}>{notice.text}</p>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                <select className={adminInputClass} value={vehicleFilter.typeId} onChange={e => setVehicleFilter({ ...vehicleFilter, typeId: e.target.value })}>
+                    <option value="">All types</option>
+                    {vehicleTypes.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+                </select>
+                <select className={adminInputClass} value={vehicleFilter.branchId} onChange={e => setVehicleFilter({ ...vehicleFilter, branchId: e.target.value })}>
+                    <option value="">All branches</option>
+                    {branches.map(branch => <option key={branch.id} value={branch.id}>{branch.name}</option>)}
+                </select>
+                <button onClick={() => handleExport('vehicles', vehicleFilter)} className="rounded-lg border-2 border-black font-bold px-4 py-2 hover:bg-gray-100">Export vehicles</button>
+                <button onClick={() => handleExport('vehicle-types')} className="rounded-lg border-2 border-black font-bold px-4 py-2 hover:bg-gray-100">Export vehicle types</button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+                <input className={adminInputClass} type="date" value={bookingFilter.from} onChange={e => setBookingFilter({ ...bookingFilter, from: e.target.value })} />
+                <input className={adminInputClass} type="date" value={bookingFilter.to} min={bookingFilter.from} onChange={e => setBookingFilter({ ...bookingFilter, to: e.target.value })} />
+                <select className={adminInputClass} value={bookingFilter.typeId} onChange={e => setBookingFilter({ ...bookingFilter, typeId: e.target.value })}>
+                    <option value="">All types</option>
+                    {vehicleTypes.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+                </select>
+                <select className={adminInputClass} value={bookingFilter.status} onChange={e => setBookingFilter({ ...bookingFilter, status: e.target.value })}>
+                    <option value="">All statuses</option>
+                    {Object.entries(BOOKING_STATUSES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <button onClick={() => handleExport('bookings', bookingFilter)} className="rounded-lg border-2 border-black font-bold px-4 py-2 hover:bg-gray-100">Export bookings</button>
+            </div>
+            <p className="text-xs text-gray-500">Bookings are exported by pickup date.</p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <input
+                    key={inputKey}
+                    className={adminInputClass}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={e => { setFile(e.target.files[0] || null); setReport(null); }}
+                />
+                <button onClick={() => runImport(true)} disabled={!file || busy} className="rounded-lg border-2 border-black font-bold px-4 py-2 hover:bg-gray-100 disabled:border-gray-300 disabled:text-gray-400">
+                    Check file
+                </button>
+                <button onClick={() => runImport(false)} disabled={!file || busy || !readyToImport} className="rounded-lg bg-black text-white font-bold px-4 py-2 disabled:bg-gray-300">
+                    Import vehicles
+                </button>
+            </div>
+            <p className="text-xs text-gray-500">Use the columns of the vehicle export. Rows with an id update that vehicle; rows without one add a vehicle. Type and branch may be given by name or ID.</p>
+            {report && report.errors.length > 0 && (
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="text-xs uppercase tracking-wider text-gray-500">
+                            <th className="p-2">Line</th>
+                            <th className="p-2">Column</th>
+                            <th className="p-2">Problem</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.errors.map(rowError => (
+                            <tr key={rowError.line} className="border-t border-gray-200">
+                                <td className="p-2 font-mono">{rowError.line}</td>
+                                <td className="p-2 font-mono">{rowError.column || '—'}</td>
+                                <td className="p-2 text-red-600">{rowError.message}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+});
+
+const AdminFleet = memo(({ token }) => {
+    const { data: fleet, loading, error, refetch: refetchFleet } = useApiCall(`${API_BASE_URL}/admin/vehicles`, [token], { token });
+    const { data: vehicleTypes, refetch: refetchTypes } = useApiCall(`${API_BASE_URL}/vehicle-types`, []);
+    const { data: branches } = useApiCall(`${API_BASE_URL}/admin/branches`, [token], { token });
+    const { data: blackouts, refetch: refetchBlackouts } = useApiCall(
+        `${API_BASE_URL}/admin/blackouts?from=${dayjs().format('YYYY-MM-DD')}`, [token], { token }
+    );
+    const [newVehicle, setNewVehicle] = useState({ name: '', typeId: '', branchId: '', pricePerDay: '' });
+    const [newType, setNewType] = useState({ name: '', wheels: 4, pricePerHour: '', turnaroundMinutes: 0 });
+    const [newBlackout, setNewBlackout] = useState(emptyBlackout);
+    const [notice, setNotice] = useState(null);
+
+    // Runs an admin action, reports its outcome and reloads the affected lists
+    const runAction = useCallback(async (path, method, body, { reloadTypes = false, reloadBlackouts = false } = {}) => {
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/admin${path}`, { method, token, body });
+            setNotice({ type: 'success', text: result.message });
+            refetchFleet().catch(() => {});
+            if (reloadTypes) refetchTypes().catch(() => {});
+            if (reloadBlackouts) refetchBlackouts().catch(() => {});
+            return true;
+        } catch (err) {
+            setNotice({ type: 'error', text: err.message });
+            return false;
+        }
+    }, [token, refetchFleet, refetchTypes, refetchBlackouts]);
+
+    const handleAddVehicle = useCallback(async (e) => {
+        e.preventDefault();
+        if (await runAction('/vehicles', 'POST', newVehicle)) {
+            setNewVehicle({ name: '', typeId: '', branchId: '', pricePerDay: '' });
+        }
+    }, [newVehicle, runAction]);
+
+    const handleAddType = useCallback(async (e) => {
+        e.preventDefault();
+        if (await runAction('/vehicle-types', 'POST', newType, { reloadTypes: true })) {
+            setNewType({ name: '', wheels: 4, pricePerHour: '', turnaroundMinutes: 0 });
+        }
+    }, [newType, runAction]);
+
+    const handleAddBlackout = useCallback(async (e) => {
+        e.preventDefault();
+        if (await runAction('/blackouts', 'POST', newBlackout, { reloadBlackouts: true })) {
+            setNewBlackout(emptyBlackout);
+        }
+    }, [newBlackout, runAction]);
+
+    const types = vehicleTypes || [];
+
+    return (
+        <div className="w-full space-y-10">
+            {notice && (
+                <p className={`text-center text-sm font-medium ${notice.type === 'error' ? 'text-red-500' : 'text-green-600'}`}>{notice.text}</p>
+            )}
+
+            <section className="space-y-4">
+                <h3 className="text-2xl font-bold text-black">Vehicles</h3>
+                {loading && !fleet && <LoadingSpinner text="Loading fleet..." />}
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="text-xs uppercase tracking-wider text-gray-500">
+                                <th className="p-2">Name</th>
+                                <th className="p-2">Type</th>
+                                <th className="p-2">Home branch</th>
+                                <th className="p-2">Price / day (₹)</th>
+                                <th className="p-2 text-center">Listing</th>
+                                <th className="p-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {(fleet || []).map(vehicle => (
+                                <VehicleRow
+                                    key={`${vehicle.id}-${vehicle.name}-${vehicle.type_id}-${vehicle.branch_id}-${vehicle.price_per_day}`}
+                                    vehicle={vehicle}
+                                    vehicleTypes={types}
+                                    branches={branches || []}
+                                    onSave={(v, draft) => runAction(`/vehicles/${v.id}`, 'PUT', draft)}
+                                    onToggle={(v) => runAction(`/vehicles/${v.id}/availability`, 'PATCH', { isAvailable: !v.is_available })}
+                                    onDelete={(v) => window.confirm(`Delete ${v.name}?`) && runAction(`/vehicles/${v.id}`, 'DELETE')}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <form onSubmit={handleAddVehicle} className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+                    <input className={adminInputClass} placeholder="New vehicle name" value={newVehicle.name} onChange={e => setNewVehicle({ ...newVehicle, name: e.target.value })} />
+                    <select className={adminInputClass} value={newVehicle.typeId} onChange={e => setNewVehicle({ ...newVehicle, typeId: Number(e.target.value) })}>
+                        <option value="">Type...</option>
+                        {types.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+                    </select>
+                    <select className={adminInputClass} value={newVehicle.branchId} onChange={e => setNewVehicle({ ...newVehicle, branchId: Number(e.target.value) })}>
+                        <option value="">Home branch...</option>
+                        {(branches || []).map(branch => <option key={branch.id} value={branch.id}>{branch.name}</option>)}
+                    </select>
+                    <input className={adminInputClass} type="number" min="1" step="0.01" placeholder="Price / day" value={newVehicle.pricePerDay} onChange={e => setNewVehicle({ ...newVehicle, pricePerDay: e.target.value })} />
+                    <button type="submit" className="rounded-lg bg-black text-white font-bold px-4 py-2">Add vehicle</button>
+                </form>
+            </section>
+
+            <VehiclePhotos fleet={fleet || []} runAction={runAction} />
+
+            <FleetCsv token={token} vehicleTypes={types} branches={branches || []} onImported={() => refetchFleet().catch(() => {})} />
+
+            <section className="space-y-4">
+                <h3 className="text-2xl font-bold text-black">Maintenance blackouts</h3>
+                <p className="text-sm text-gray-500">Vehicles can't be booked on these dates but stay listed for the rest of the calendar.</p>
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="text-xs uppercase tracking-wider text-gray-500">
+                            <th className="p-2">Vehicle</th>
+                            <th className="p-2">Dates</th>
+                            <th className="p-2">Reason</th>
+                            <th className="p-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {(blackouts || []).map(blackout => (
+                            <tr key={blackout.id} className="border-t border-gray-200">
+                                <td className="p-2 font-semibold text-black">{blackout.Vehicle?.name}</td>
+                                <td className="p-2">{dayjs(blackout.start_date).format('MMM DD')} – {dayjs(blackout.end_date).format('MMM DD, YYYY')}</td>
+                                <td className="p-2">
+                                    {BLACKOUT_REASON_LABELS[blackout.reason] || blackout.reason}
+                                    {blackout.notes && <span className="block text-xs text-gray-500">{blackout.notes}</span>}
+                                </td>
+                                <td className="p-2 text-right">
+                                    <button
+                                        onClick={() => window.confirm('Remove this blackout?') && runAction(`/blackouts/${blackout.id}`, 'DELETE', undefined, { reloadBlackouts: true })}
+                                        className="px-4 py-2 rounded-lg text-red-600 font-bold hover:bg-red-50"
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <form onSubmit={handleAddBlackout} className="grid grid-cols-1 sm:grid-cols-6 gap-2">
+                    <select className={adminInputClass} value={newBlackout.vehicleId} onChange={e => setNewBlackout({ ...newBlackout, vehicleId: Number(e.target.value) })}>
+                        <option value="">Vehicle...</option>
+                        {(fleet || []).map(vehicle => <option key={vehicle.id} value={vehicle.id}>{vehicle.name}</option>)}
+                    </select>
+                    <input className={adminInputClass} type="date" value={newBlackout.startDate} onChange={e => setNewBlackout({ ...newBlackout, startDate: e.target.value })} />
+                    <input className={adminInputClass} type="date" value={newBlackout.endDate} min={newBlackout.startDate} onChange={e => setNewBlackout({ ...newBlackout, endDate: e.target.value })} />
+                    <select className={adminInputClass} value={newBlackout.reason} onChange={e => setNewBlackout({ ...newBlackout, reason: e.target.value })}>
+                        {Object.entries(BLACKOUT_REASON_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <input className={adminInputClass} placeholder="Notes" value={newBlackout.notes} onChange={e => setNewBlackout({ ...newBlackout, notes: e.target.value })} />
+                    <button type="submit" className="rounded-lg bg-black text-white font-bold px-4 py-2">Add blackout</button>
+                </form>
+            </section>
+
+            <section className="space-y-4">
+                <h3 className="text-2xl font-bold text-black">Vehicle types</h3>
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="text-xs uppercase tracking-wider text-gray-500">
+                            <th className="p-2">Name</th>
+                            <th className="p-2">Wheels</th>
+                            <th className="p-2">Price/hour (₹)</th>
+                            <th className="p-2">Turnaround (min)</th>
+                            <th className="p-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {types.map(type => (
+                            <VehicleTypeRow
+                                key={`${type.id}-${type.name}-${type.wheels}-${type.price_per_hour}-${type.turnaround_minutes}`}
+                                vehicleType={type}
+                                onSave={(t, draft) => runAction(`/vehicle-types/${t.id}`, 'PUT', draft, { reloadTypes: true })}
+                                onDelete={(t) => window.confirm(`Delete the ${t.name} type?`) && runAction(`/vehicle-types/${t.id}`, 'DELETE', undefined, { reloadTypes: true })}
+                            />
+                        ))}
+                    </tbody>
+                </table>
+                <form onSubmit={handleAddType} className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+                    <input className={adminInputClass} placeholder="New type name" value={newType.name} onChange={e => setNewType({ ...newType, name: e.target.value })} />
+                    <select className={adminInputClass} value={newType.wheels} onChange={e => setNewType({ ...newType, wheels: Number(e.target.value) })}>
+                        {[2, 3, 4].map(wheels => <option key={wheels} value={wheels}>{wheels} wheels</option>)}
+                    </select>
+                    <input className={adminInputClass} type="number" min="1" step="0.01" placeholder="Price / hour (optional)" value={newType.pricePerHour} onChange={e => setNewType({ ...newType, pricePerHour: e.target.value })} />
+                    <input className={adminInputClass} type="number" min="0" step="15" placeholder="Turnaround (min)" value={newType.turnaroundMinutes} onChange={e => setNewType({ ...newType, turnaroundMinutes: e.target.value })} />
+                    <button type="submit" className="rounded-lg bg-black text-white font-bold px-4 py-2">Add type</button>
+                </form>
+            </section>
+        </div>
+    );
+});
+
+// --- ADMIN REPORTS ---
+const REPORT_PERIODS = {
+    month: { label: 'This month', from: () => dayjs().startOf('month'), to: () => dayjs().endOf('month') },
+    quarter: { label: 'Last 3 months', from: () => dayjs().subtract(2, 'month').startOf('month'), to: () => dayjs().endOf('month') },
+    year: { label: 'Last 12 months', from: () => dayjs().subtract(11, 'month').startOf('month'), to: () => dayjs().endOf('month') }
+};
+
+// Horizontal bar with its value, scaled against `max`
+const ReportBar = memo(({ label, value, max, display }) => (
+    <div className="grid grid-cols-[8rem_1fr_6rem] items-center gap-3 text-sm">
+        <span className="truncate font-semibold text-black" title={label}>{label}</span>
+        <div className="h-3 rounded-full bg-gray-100 overflow-hidden">
+            <div className="h-full rounded-full bg-black" style={{ width: `${max > 0 ? Math.min(100, (value / max) * 100) : 0}%` }} />
+        </div>
+        <span className="text-right text-gray-700">{display}</span>
+    </div>
+));
+
+const ReportSection = memo(({ title, onDownload, children }) => (
+    <section className="space-y-4">
+        <div className="flex items-center justify-between gap-4">
+            <h3 className="text-2xl font-bold text-black">{title}</h3>
+            <button onClick={onDownload} className="inline-flex items-center gap-2 text-sm font-bold text-gray-600 hover:text-black">
+                <Download className="w-4 h-4" />
+                CSV
+            </button>
+        </div>
+        {children}
+    </section>
+));
+
+const formatDays = (days) => (days === null ? '—' : `${days} day${days === 1 ? '' : 's'}`);
+
+const AdminReports = memo(({ token }) => {
+    const [period, setPeriod] = useState(() => ({
+        from: REPORT_PERIODS.month.from().format('YYYY-MM-DD'),
+        to: REPORT_PERIODS.month.to().format('YYYY-MM-DD')
+    }));
+    const [downloadError, setDownloadError] = useState(null);
+    const query = `from=${period.from}&to=${period.to}`;
+    const validPeriod = period.from && period.to && period.from <= period.to;
+    const reportUrl = (name) => (validPeriod ? `${API_BASE_URL}/admin/reports/${name}?${query}` : null);
+    const { data: utilisation, loading, error } = useApiCall(reportUrl('utilisation'), [token, query], { token });
+    const { data: revenue } = useApiCall(reportUrl('revenue'), [token, query], { token });
+    const { data: rentals } = useApiCall(reportUrl('rentals'), [token, query], { token });
+
+    const handleDownload = useCallback(async (name) => {
+        setDownloadError(null);
+        try {
+            await downloadFile(`${API_BASE_URL}/admin/reports/${name}.csv?${query}`, { token, fileName: `${name}-${period.from}-to-${period.to}.csv` });
+        } catch (err) {
+            setDownloadError(err.message);
+        }
+    }, [token, query, period]);
+
+    const months = revenue?.months || [];
+    const maxMonthRevenue = Math.max(0, ...months.map(month => Number(month.gross)));
+    const totalRevenue = months.reduce((sum, month) => sum + Number(month.net), 0);
+
+    return (
+        <div className="w-full space-y-10">
+            <div className="flex flex-wrap items-center gap-2">
+                {Object.entries(REPORT_PERIODS).map(([key, preset]) => (
+                    <FilterChip
+                        key={key}
+                        label={preset.label}
+                        isActive={period.from === preset.from().format('YYYY-MM-DD') && period.to === preset.to().format('YYYY-MM-DD')}
+                        onClick={() => setPeriod({ from: preset.from().format('YYYY-MM-DD'), to: preset.to().format('YYYY-MM-DD') })}
+                    />
+                ))}
+                <input className={`${adminInputClass} sm:w-44`} type="date" value={period.from} onChange={e => setPeriod({ ...period, from: e.target.value })} />
+                <span className="text-gray-500">to</span>
+                <input className={`${adminInputClass} sm:w-44`} type="date" value={period.to} min={period.from} onChange={e => setPeriod({ ...period, to: e.target.value })} />
+            </div>
+            {!validPeriod && <p className="text-red-500 text-sm">Choose a start date on or before the end date.</p>}
+            {loading && !utilisation && <LoadingSpinner text="Running reports..." />}
+            {(error || downloadError) && <p className="text-red-500 text-sm">{error || downloadError}</p>}
+
+            {rentals && (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                    {[
+                        ['Net revenue', `₹${totalRevenue.toLocaleString()}`],
+                        ['Rentals', rentals.overall.bookings],
+                        ['Average rental', rentals.overall.averageLengthHours === null ? '—' : formatRentalHours(Math.round(rentals.overall.averageLengthHours))],
+                        ['Booked ahead (median)', formatDays(rentals.overall.medianLeadDays)]
+                    ].map(([label, value]) => (
+                        <div key={label} className="p-4 rounded-2xl border-2 border-gray-200">
+                            <p className="text-xs uppercase tracking-wider font-bold text-gray-500">{label}</p>
+                            <p className="text-2xl font-bold text-black">{value}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {revenue && (
+                <ReportSection title="Revenue by month" onDownload={() => handleDownload('revenue')}>
+                    <div className="space-y-2">
+                        {months.map(month => (
+                            <ReportBar
+                                key={month.month}
+                                label={dayjs(`${month.month}-01`).format('MMM YYYY')}
+                                value={Number(month.gross)}
+                                max={maxMonthRevenue}
+                                display={`₹${Number(month.gross).toLocaleString()}`}
+                            />
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500">Including tax, by month of pickup. The CSV splits out net revenue and tax.</p>
+                </ReportSection>
+            )}
+
+            {utilisation && (
+                <ReportSection title="Utilisation" onDownload={() => handleDownload('utilisation')}>
+                    <div className="space-y-2">
+                        {utilisation.types.map(type => (
+                            <ReportBar key={type.typeId} label={type.name} value={type.utilisation} max={100} display={`${type.utilisation}%`} />
+                        ))}
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-left text-sm">
+                            <thead>
+                                <tr className="text-xs uppercase tracking-wider text-gray-500">
+                                    <th className="p-2">Vehicle</th>
+                                    <th className="p-2">Type</th>
+                                    <th className="p-2 text-right">Booked hours</th>
+                                    <th className="p-2 text-right">Utilisation</th>
+                                    <th className="p-2 text-right">Rentals</th>
+                                    <th className="p-2 text-right">Net revenue (₹)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {utilisation.vehicles.map(vehicle => (
+                                    <tr key={vehicle.vehicleId} className="border-t border-gray-200">
+                                        <td className="p-2 font-semibold text-black">{vehicle.name}</td>
+                                        <td className="p-2">{vehicle.typeName}</td>
+                                        <td className="p-2 text-right">{vehicle.bookedHours}</td>
+                                        <td className="p-2 text-right">{vehicle.utilisation}%</td>
+                                        <td className="p-2 text-right">{vehicle.bookings}</td>
+                                        <td className="p-2 text-right">{Number(vehicle.revenue).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </ReportSection>
+            )}
+
+            {rentals && (
+                <ReportSection title="Rental length and lead time" onDownload={() => handleDownload('rentals')}>
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="text-xs uppercase tracking-wider text-gray-500">
+                                <th className="p-2">Type</th>
+                                <th className="p-2 text-right">Rentals</th>
+                                <th className="p-2 text-right">Average length</th>
+                                <th className="p-2 text-right">Booked ahead (average)</th>
+                                <th className="p-2 text-right">Booked ahead (median)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rentals.types.map(type => (
+                                <tr key={type.typeId} className="border-t border-gray-200">
+                                    <td className="p-2 font-semibold text-black">{type.name}</td>
+                                    <td className="p-2 text-right">{type.bookings}</td>
+                                    <td className="p-2 text-right">{formatRentalHours(Math.round(type.averageLengthHours))}</td>
+                                    <td className="p-2 text-right">{formatDays(type.averageLeadDays)}</td>
+                                    <td className="p-2 text-right">{formatDays(type.medianLeadDays)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {rentals.types.length === 0 && <p className="text-gray-500 text-sm">No rentals picked up in this period.</p>}
+                </ReportSection>
+            )}
+        </div>
+    );
+});
+
+// --- BOOKING HISTORY (ADMIN) ---
+// Fields whose values are too large to show in a change list
+const AUDIT_SUMMARY_FIELDS = ['price_breakdown', 'extra_charges'];
+const AUDIT_ACTION_LABELS = { create: 'Booked', update: 'Changed', delete: 'Deleted' };
+const AUDIT_ROLE_LABELS = { guest: 'Guest (booking reference)', system: 'System' };
+
+const formatAuditValue = (field, value) => {
+    if (value === null || value === '') return '—';
+    if (field === 'status') return BOOKING_STATUSES[value]?.label || value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatRentalTime(value);
+    return String(value);
+};
+
+const auditActor = (entry) => {
+    if (entry.Actor) return `${entry.Actor.first_name} ${entry.Actor.last_name} (${entry.actor_role})`;
+    return AUDIT_ROLE_LABELS[entry.actor_role] || entry.actor_role;
+};
+
+const BookingHistory = memo(({ token }) => {
+    const [referenceInput, setReferenceInput] = useState('');
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleLookup = useCallback(async (e) => {
+        e.preventDefault();
+        setError(null);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/admin/audit-log?reference=${encodeURIComponent(referenceInput.trim().toUpperCase())}&limit=500`, { token });
+            // Oldest first, so the history reads top to bottom
+            setEntries([...result.entries].reverse());
+        } catch (err) {
+            setEntries(null);
+            setError(err.message);
+        }
+    }, [referenceInput, token]);
+
+    return (
+        <section className="space-y-4">
+            <h3 className="text-2xl font-bold text-black">Booking history</h3>
+            <p className="text-sm text-gray-500">Every change to a booking: who made it, when, and what it changed.</p>
+            <form onSubmit={handleLookup} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <input className={`${adminInputClass} sm:col-span-2`} placeholder="Booking reference" value={referenceInput} onChange={e => setReferenceInput(e.target.value)} />
+                <button type="submit" disabled={!referenceInput.trim()} className="rounded-lg bg-black text-white font-bold px-4 py-2 disabled:bg-gray-300">Show history</button>
+            </form>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {entries && entries.length === 0 && <p className="text-gray-500 text-sm">No changes have been recorded for this booking.</p>}
+            {entries && entries.length > 0 && (
+                <ol className="relative border-l-2 border-gray-200 ml-2 space-y-6">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="ml-6">
+                            <span className="absolute -left-[9px] mt-1.5 w-4 h-4 rounded-full bg-black border-2 border-white" />
+                            <p className="text-sm">
+                                <span className="font-bold text-black">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+                                <span className="text-gray-500"> by {auditActor(entry)} · {formatRentalTime(entry.created_at)}</span>
+                            </p>
+                            {entry.action === 'update' && (
+                                <ul className="mt-1 text-sm text-gray-700 space-y-0.5">
+                                    {Object.entries(entry.changes).map(([field, change]) => (
+                                        <li key={field}>
+                                            <span className="font-semibold">{field.replace(/_/g, ' ')}</span>
+                                            {AUDIT_SUMMARY_FIELDS.includes(field)
+                                                ? ' recalculated'
+                                                : <>: {formatAuditValue(field, change.from)} → {formatAuditValue(field, change.to)}</>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {entry.request_id && <p className="text-xs text-gray-400 font-mono">Request {entry.request_id}</p>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </section>
+    );
+});
+
+// --- RENTAL COUNTER (STAFF) ---
+// Check-out hands a reserved vehicle over; check-in takes it back and raises
+// any late-return or extra-kilometre charges.
+const RentalCounter = memo(({ token }) => {
+    const [referenceInput, setReferenceInput] = useState('');
+    const [booking, setBooking] = useState(null);
+    const [readings, setReadings] = useState({ odometer: '', fuelLevel: '' });
+    const [notice, setNotice] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleLookup = useCallback(async (e) => {
+        e.preventDefault();
+        setNotice(null);
+        setReadings({ odometer: '', fuelLevel: '' });
+        try {
+            setBooking(await apiRequest(`${API_BASE_URL}/bookings/${encodeURIComponent(referenceInput.trim().toUpperCase())}`));
+        } catch (err) {
+            setBooking(null);
+            setNotice({ type: 'error', text: err.status ? err.message : 'Unable to reach the booking service. Please try again.' });
+        }
+    }, [referenceInput]);
+
+    const handleCounterAction = useCallback(async (action) => {
+        setBusy(true);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/staff/bookings/${encodeURIComponent(booking.reference)}/${action}`, { method: 'POST', token, body: readings });
+            setBooking(result.booking);
+            setReadings({ odometer: '', fuelLevel: '' });
+            setNotice({ type: 'success', text: result.message });
+        } catch (err) {
+            setNotice({ type: 'error', text: err.status ? err.message : 'Unable to reach the booking service. Please try again.' });
+        } finally {
+            setBusy(false);
+        }
+    }, [booking, readings, token]);
+
+    const action = booking?.status === 'confirmed' ? 'check-out' : booking?.status === 'active' ? 'check-in' : null;
+    const status = booking && (BOOKING_STATUSES[booking.status] || BOOKING_STATUSES.confirmed);
+
+    return (
+        <div className="w-full max-w-3xl space-y-8">
+            <form onSubmit={handleLookup} className="flex flex-col sm:flex-row gap-4">
+                <div className="flex-1">
+                    <FormInput
+                        id="counterReference"
+                        placeholder="Booking reference"
+                        value={referenceInput}
+                        onChange={e => setReferenceInput(e.target.value)}
+                        icon={ClipboardCheck}
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={!referenceInput.trim()}
+                    className="bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-8 py-3.5 transition-all duration-300 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+                >
+                    Find booking
+                </button>
+            </form>
+
+            {notice && (
+                <p className={`text-center text-sm font-medium ${notice.type === 'error' ? 'text-red-500' : 'text-green-600'}`}>{notice.text}</p>
+            )}
+
+            {booking && (
+                <div className="p-8 rounded-2xl bg-gradient-to-br from-white to-gray-50 border-2 border-gray-200 shadow-xl space-y-6">
+                    <div className="flex items-start justify-between gap-4">
+                        <div>
+                            <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-1">Booking {booking.reference}</p>
+                            <p className="font-bold text-black text-2xl">{booking.Vehicle.name}</p>
+                            <p className="text-gray-500">
+                                {booking.first_name} {booking.last_name} • {dayjs(booking.start_at).format('MMM DD, h:mm A')} – {formatRentalTime(booking.end_at)}
+                            </p>
+                        </div>
+                        <span className={`px-3 py-1 rounded-full text-sm font-bold ${status.className}`}>{status.label}</span>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+                        <div>
+                            <p className="text-gray-500">Checked out</p>
+                            <p className="font-semibold text-black">
+                                {booking.checked_out_at ? `${dayjs(booking.checked_out_at).format('MMM DD, HH:mm')} • ${booking.odometer_out} km • ${booking.fuel_level_out}% fuel` : '—'}
+                            </p>
+                        </div>
+                        <div>
+                            <p className="text-gray-500">Checked in</p>
+                            <p className="font-semibold text-black">
+                                {booking.checked_in_at ? `${dayjs(booking.checked_in_at).format('MMM DD, HH:mm')} • ${booking.odometer_in} km • ${booking.fuel_level_in}% fuel` : '—'}
+                            </p>
+                        </div>
+                    </div>
+
+                    {booking.status === 'returned' && (
+                        <p className="text-sm font-semibold text-black">
+                            Charges on return: ₹{Number(booking.extra_charges_total || 0).toLocaleString()}
+                        </p>
+                    )}
+
+                    {action && (
+                        <div className="flex flex-col sm:flex-row gap-4 items-end pt-6 border-t border-gray-200">
+                            <label className="flex-1 text-sm font-semibold text-gray-600">
+                                Odometer (km)
+                                <input type="number" min="0" value={readings.odometer} onChange={e => setReadings({ ...readings, odometer: e.target.value })} className={adminInputClass} />
+                            </label>
+                            <label className="flex-1 text-sm font-semibold text-gray-600">
+                                Fuel level (%)
+                                <input type="number" min="0" max="100" value={readings.fuelLevel} onChange={e => setReadings({ ...readings, fuelLevel: e.target.value })} className={adminInputClass} />
+                            </label>
+                            <button
+                                onClick={() => handleCounterAction(action)}
+                                disabled={busy}
+                                className="bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-xl px-6 py-2.5 transition-all duration-300 hover:from-gray-800 hover:to-black disabled:from-gray-400 disabled:to-gray-500"
+                            >
+                                {action === 'check-out' ? 'Hand over vehicle' : 'Take vehicle back'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+});
+
+// --- CALENDAR FEEDS (STAFF) ---
+// Subscribable links to the booking schedule of the fleet, a vehicle type or
+// one vehicle. Each link carries its own read-only token, expires after a few
+// months and can be revoked or replaced here. The URL is only shown once.
+const CalendarFeeds = memo(({ token }) => {
+    const { data: vehicleTypes } = useApiCall(`${API_BASE_URL}/vehicle-types`, []);
+    const { data: vehicles } = useApiCall(`${API_BASE_URL}/vehicles`, []);
+    const { data: feeds, refetch: refetchFeeds } = useApiCall(`${API_BASE_URL}/staff/calendar-feeds`, [token], { token });
+    const [scope, setScope] = useState('fleet');
+    const [issued, setIssued] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    // Runs a feed action; links it creates are shown until the next action
+    const runAction = useCallback(async (path, method, body) => {
+        setNotice(null);
+        try {
+            const result = await apiRequest(`${API_BASE_URL}/staff/calendar-feeds${path}`, { method, token, body });
+            setIssued(result.url ? result : null);
+            setNotice({ type: 'success', text: result.message });
+            refetchFeeds().catch(() => {});
+        } catch (err) {
+            setIssued(null);
+            setNotice({ type: 'error', text: err.status ? err.message : 'Unable to reach the booking service. Please try again.' });
+        }
+    }, [token, refetchFeeds]);
+
+    const handleGetLink = useCallback((e) => {
+        e.preventDefault();
+        // Scopes are 'fleet', 'type:<id>' or 'vehicle:<id>'
+        const [kind, id] = scope.split(':');
+        runAction('', 'POST', {
+            typeId: kind === 'type' ? Number(id) : undefined,
+            vehicleId: kind === 'vehicle' ? Number(id) : undefined,
+        });
+    }, [scope, runAction]);
+
+    const handleCopy = useCallback(async () => {
+        try {
+            await navigator.clipboard.writeText(issued.url);
+            setNotice({ type: 'success', text: 'Link copied.' });
+        } catch (err) {
+            setNotice({ type: 'error', text: 'Copy failed; select the link and copy it by hand.' });
+        }
+    }, [issued]);
+
+    return (
+        <section className="w-full max-w-3xl space-y-4">
+            <h3 className="text-2xl font-bold text-black">Calendar feeds</h3>
+            <p className="text-sm text-gray-500">
+                Subscribe to bookings from Google Calendar, Outlook or Apple Calendar. Anyone with a link can see the bookings it covers, so keep it to yourself, and revoke it if it leaks.
+            </p>
+            <form onSubmit={handleGetLink} className="flex flex-col sm:flex-row gap-2">
+                <select className={adminInputClass} value={scope} onChange={e => setScope(e.target.value)}>
+                    <option value="fleet">Whole fleet</option>
+                    <optgroup label="Vehicle type">
+                        {(vehicleTypes || []).map(type => <option key={type.id} value={`type:${type.id}`}>{type.name}</option>)}
+                    </optgroup>
+                    <optgroup label="Vehicle">
+                        {(vehicles || []).map(vehicle => <option key={vehicle.id} value={`vehicle:${vehicle.id}`}>{vehicle.name}</option>)}
+                    </optgroup>
+                </select>
+                <button type="submit" className="rounded-lg bg-black text-white font-bold px-4 py-2 whitespace-nowrap">Get link</button>
+            </form>
+            {issued && (
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <input className={`${adminInputClass} font-mono text-xs`} readOnly value={issued.url} onFocus={e => e.target.select()} aria-label={issued.name} />
+                    <button onClick={handleCopy} className="rounded-lg border-2 border-black font-bold px-4 py-2">Copy</button>
+                </div>
+            )}
+            {notice && (
+                <p className={`text-sm font-medium ${notice.type === 'error' ? 'text-red-500' : 'text-green-600'}`}>{notice.text}</p>
+            )}
+            {feeds && feeds.length > 0 && (
+                <ul className="divide-y divide-gray-200 border-y border-gray-200">
+                    {feeds.map(feed => (
+                        <li key={feed.id} className="flex flex-col sm:flex-row sm:items-center gap-2 py-2">
+                            <div className="flex-1">
+                                <p className="font-semibold">{feed.name}</p>
+                                <p className="text-xs text-gray-500">
+                                    Created {new Date(feed.created_at).toLocaleDateString()}, works until {new Date(feed.expires_at).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => runAction(`/${feed.id}/rotate`, 'POST')}
+                                className="rounded-lg border-2 border-black font-bold px-3 py-1 text-sm"
+                            >
+                                New link
+                            </button>
+                            <button
+                                onClick={() => window.confirm(`Revoke the link for ${feed.name}?`) && runAction(`/${feed.id}`, 'DELETE')}
+                                className="rounded-lg border-2 border-red-500 text-red-500 font-bold px-3 py-1 text-sm"
+                            >
+                                Revoke
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+});
+
 // --- MAIN BOOKING PROVIDER COMPONENT ---
 const BookingProvider = ({ children }) => {
     const initialState = {
         firstName: '',
         lastName: '',
+        pickupBranch: '',
+        dropoffBranch: '',
         wheels: '',
         vehicleType: '',
         specificModel: '',
-        startDate: '',
-        endDate: '',
+        datesFirst: false,
+        promoInput: '',
+        promoCode: '',
+        vehicleFilters: emptyVehicleFilters,
+        startAt: '',
+        endAt: '',
         startDateObj: null,
         endDateObj: null,
         errors: {}
@@ -300,6 +2107,7 @@ const BookingProvider = ({ children }) => {
     const [allVehicles, setAllVehicles] = useState([]);
     const [bookingError, setBookingError] = useState(null);
     const [savedBookings, setSavedBookings] = useLocalStorage('bookingHistory', []);
+    const [auth, setAuth] = useLocalStorage('auth', { token: null, customer: null });
 
     // Debounced search for performance
     const debouncedSearchTerm = useDebounce(formState.firstName + formState.lastName, 300);
@@ -323,6 +2131,8 @@ const BookingProvider = ({ children }) => {
         setBookingError,
         savedBookings,
         setSavedBookings,
+        auth,
+        setAuth,
         debouncedSearchTerm
     };
 
@@ -361,70 +2171,179 @@ const BookingFlow = () => {
         bookingError,
         setBookingError,
         savedBookings,
-        setSavedBookings
+        setSavedBookings,
+        auth,
+        setAuth
     } = useBookingContext();
+    const [confirmedBooking, setConfirmedBooking] = useState(null);
+    // Booking and payment returned by POST /bookings while awaiting payment
+    const [pendingPayment, setPendingPayment] = useState(null);
+    // 'booking' for the step flow, or one of the screens in secondaryView below
+    const [view, setView] = useState('booking');
+    const [managingReference, setManagingReference] = useState('');
+    // Token of the waitlist claim link the app was opened with (?claim=...)
+    const [claimToken] = useState(() => new URLSearchParams(window.location.search).get('claim'));
+    // Vehicle and times of the last booking attempt refused because they were taken
+    const [takenPeriod, setTakenPeriod] = useState(null);
+
+    const openManageBooking = useCallback((reference = '') => {
+        setManagingReference(reference);
+        setView('manage');
+    }, []);
+
+    useEffect(() => {
+        if (claimToken) {
+            setView('claim');
+        }
+    }, [claimToken]);
+
+    // Leaving the claim screen drops the token from the address bar
+    const closeClaim = useCallback(() => {
+        window.history.replaceState(null, '', window.location.pathname);
+        setView('booking');
+    }, []);
 
     // --- DATA FETCHING WITH CUSTOM HOOKS ---
-    const vehicleTypesData = VEHICLE_TYPES_DATA;
-const typesLoading = false;
-    
+    const { data: vehicleTypesData, loading: typesLoading, error: typesError } = useApiCall(`${API_BASE_URL}/vehicle-types`, []);
+    const { data: branchesData, loading: branchesLoading, error: branchesError } = useApiCall(`${API_BASE_URL}/branches`, []);
+    const branches = useMemo(() => branchesData || [], [branchesData]);
+    // Drop-off defaults to the pickup branch; anything else is a one-way rental
+    const dropoffBranch = formState.dropoffBranch || formState.pickupBranch;
+    // Only vehicles based at the pickup branch and matching the spec filter
+    // chips are listed. In "dates first" mode they are further limited to those
+    // free for the chosen times.
+    const vehiclesUrl = useMemo(() => {
+        if (!formState.vehicleType || !formState.pickupBranch || (formState.datesFirst && !(formState.startAt && formState.endAt))) {
+            return null;
+        }
+        const params = new URLSearchParams({ typeId: formState.vehicleType, branchId: formState.pickupBranch });
+        Object.entries(formState.vehicleFilters).forEach(([name, value]) => value && params.set(name, value));
+        if (formState.datesFirst) {
+            params.set('dropoffBranchId', dropoffBranch);
+            params.set('startAt', formState.startAt);
+            params.set('endAt', formState.endAt);
+        }
+        return `${API_BASE_URL}/vehicles?${params}`;
+    }, [formState.vehicleType, formState.pickupBranch, formState.vehicleFilters, formState.datesFirst, formState.startAt, formState.endAt, dropoffBranch]);
+    const { data: vehiclesData, loading: vehiclesLoading, error: vehiclesError } = useApiCall(vehiclesUrl, [vehiclesUrl]);
+    const { data: availabilityData, refetch: refetchAvailability } = useApiCall(
+        formState.specificModel ? `${API_BASE_URL}/vehicles/${formState.specificModel}/availability` : null,
+        [formState.specificModel]
+    );
+    const { refetch: submitBooking } = useApiCall(`${API_BASE_URL}/bookings`, [], { method: 'POST', token: auth.token });
+    const { refetch: logout } = useApiCall(`${API_BASE_URL}/auth/logout`, [], { method: 'POST', token: auth.token });
+
+    // Bookings are made in the account holder's name
+    const handleAuthenticated = useCallback((token, customer) => {
+        setAuth({ token, customer });
+        dispatch({ type: 'UPDATE_MULTIPLE', payload: { firstName: customer.first_name, lastName: customer.last_name, errors: {} } });
+    }, [setAuth, dispatch]);
+
+    const handleSignOut = useCallback(() => {
+        logout().catch(() => {});
+        setAuth({ token: null, customer: null });
+        setView('booking');
+        dispatch({ type: 'UPDATE_MULTIPLE', payload: { firstName: '', lastName: '' } });
+    }, [logout, setAuth, dispatch]);
+    const bookedRanges = useMemo(() => availabilityData?.booked || [], [availabilityData]);
+    const turnaroundMinutes = availabilityData?.turnaroundMinutes || 0;
+    const { data: quoteData, refetch: requestQuote } = useApiCall(`${API_BASE_URL}/quotes`, [], { method: 'POST' });
+
+    // Prices come from the server's pricing engine; re-quote whenever the draft changes
     useEffect(() => {
-    // Use hardcoded data directly
-    const filteredData = VEHICLE_TYPES_DATA.filter(type => type.name.toLowerCase() !== 'sports');
-    const uniqueTypes = Array.from(new Map(filteredData.map(item => [item.id, item])).values());
-    setVehicleTypes(uniqueTypes);
-}, [setVehicleTypes]);
+        if (formState.specificModel && formState.startAt && formState.endAt) {
+            requestQuote({
+                vehicleId: formState.specificModel,
+                startAt: formState.startAt,
+                endAt: formState.endAt,
+                dropoffBranchId: dropoffBranch || undefined
+            }).catch(() => {});
+        }
+    }, [formState.specificModel, formState.startAt, formState.endAt, dropoffBranch, requestQuote]);
+
+    // An applied promo code is re-validated against every change to the draft
+    const { data: promoData, loading: promoLoading, refetch: validatePromo } = useApiCall(`${API_BASE_URL}/promo-codes/validate`, [], { method: 'POST' });
+    const [promoError, setPromoError] = useState(null);
+
     useEffect(() => {
-    if (formState.vehicleType) {
-        setIsLoading(true);
-        
-        // Simulate loading delay for better UX
-        setTimeout(() => {
-            // Filter vehicles by selected type
-            const filteredVehicles = VEHICLES_DATA.filter(vehicle => vehicle.type_id == formState.vehicleType);
-            
-            const duplicatesToRemove = ['Maruti Swift', 'Mahindra Scorpio', 'Honda City'];
-            let cleanedData = filteredVehicles.filter(vehicle => !duplicatesToRemove.includes(vehicle.name));
-            const uniqueVehicles = Array.from(new Map(cleanedData.map(item => [item.name, item])).values());
+        if (formState.promoCode && formState.specificModel && formState.startAt && formState.endAt) {
+            validatePromo({
+                code: formState.promoCode,
+                vehicleId: formState.specificModel,
+                startAt: formState.startAt,
+                endAt: formState.endAt,
+                dropoffBranchId: dropoffBranch || undefined
+            }).then(() => setPromoError(null)).catch((err) => {
+                setPromoError(err.status ? err.message : 'Unable to check the promo code. Please try again.');
+                dispatch({ type: 'UPDATE_FIELD', field: 'promoCode', value: '' });
+            });
+        }
+    }, [formState.promoCode, formState.specificModel, formState.startAt, formState.endAt, dropoffBranch, validatePromo, dispatch]);
 
-            setVehicles(uniqueVehicles);
+    const handleApplyPromo = useCallback(() => {
+        setPromoError(null);
+        dispatch({ type: 'UPDATE_FIELD', field: 'promoCode', value: formState.promoInput.trim().toUpperCase() });
+    }, [formState.promoInput, dispatch]);
+
+    const handleRemovePromo = useCallback(() => {
+        setPromoError(null);
+        dispatch({ type: 'UPDATE_MULTIPLE', payload: { promoCode: '', promoInput: '' } });
+    }, [dispatch]);
+
+    useEffect(() => {
+        if (vehicleTypesData) {
+            setVehicleTypes(vehicleTypesData);
+        }
+    }, [vehicleTypesData, setVehicleTypes]);
+
+    useEffect(() => {
+        if (vehiclesData) {
+            // DECIMAL columns arrive as strings from mysql2
+            const fetchedVehicles = vehiclesData.map(vehicle => ({ ...vehicle, price_per_day: Number(vehicle.price_per_day) }));
+            setVehicles(fetchedVehicles);
             setAllVehicles(prev => {
-                const newVehicles = [...prev];
-                uniqueVehicles.forEach(v => {
-                    if (!newVehicles.find(nv => nv.id === v.id)) {
-                        newVehicles.push(v);
-                    }
-                });
+                const newVehicles = prev.filter(v => !fetchedVehicles.find(fv => fv.id === v.id));
+                newVehicles.push(...fetchedVehicles);
                 return newVehicles;
             });
-            setIsLoading(false);
-        }, 800); // 800ms delay to simulate API call
-    }
-}, [formState.vehicleType, setIsLoading, setVehicles, setAllVehicles]);
+        }
+    }, [vehiclesData, setVehicles, setAllVehicles]);
+
+    // --- STEP ORDER ---
+    // "Dates first" moves the Dates step ahead of vehicle selection so the
+    // model list can be limited to vehicles that are free for the stay.
+    const stepOrder = useMemo(() => (
+        formState.datesFirst
+            ? ['details', 'dates', 'location', 'wheels', 'category', 'model', 'review', 'payment', 'success']
+            : ['details', 'location', 'wheels', 'category', 'model', 'dates', 'review', 'payment', 'success']
+    ), [formState.datesFirst]);
+
     // --- VALIDATION LOGIC WITH USECALLBACK ---
     const validateStep = useCallback((step) => {
         const newErrors = {};
         switch(step) {
-            case 0:
-                if (!formState.firstName.trim()) newErrors.firstName = 'First name is required';
-                if (!formState.lastName.trim()) newErrors.lastName = 'Last name is required';
-                if (formState.firstName.length < 2) newErrors.firstName = 'First name too short';
-                if (formState.lastName.length < 2) newErrors.lastName = 'Last name too short';
+            case 'details':
+                if (!auth.customer) newErrors.account = 'Please sign in or create an account to continue';
+                break;
+            case 'location':
+                if (!formState.pickupBranch) newErrors.pickupBranch = 'Please choose where to pick up your vehicle';
                 break;
-            case 1:
+            case 'wheels':
                 if (!formState.wheels) newErrors.wheels = 'Please select the number of wheels';
                 break;
-            case 2:
+            case 'category':
                 if (!formState.vehicleType) newErrors.vehicleType = 'Please select a vehicle type';
                 break;
-            case 3:
+            case 'model':
                 if (!formState.specificModel) newErrors.specificModel = 'Please select a specific model';
                 break;
-            case 4:
-                if (!formState.startDate) newErrors.startDate = 'Start date is required';
-                if (!formState.endDate) newErrors.endDate = 'End date is required';
-                if (formState.startDate && formState.endDate && dayjs(formState.startDate).isAfter(dayjs(formState.endDate))) {
-                    newErrors.dateRange = 'End date must be after start date';
+            case 'dates':
+                if (!formState.startAt) newErrors.startAt = 'Pickup date and time are required';
+                if (!formState.endAt) newErrors.endAt = 'Return date and time are required';
+                if (formState.startAt && formState.endAt && !dayjs(formState.endAt).isAfter(dayjs(formState.startAt))) {
+                    newErrors.dateRange = 'The return time must be after the pickup time';
+                } else if (formState.startAt && formState.endAt && rangeHitsBooking(dayjs(formState.startAt), dayjs(formState.endAt), bookedRanges)) {
+                    newErrors.dateRange = 'The selected times overlap another booking of this vehicle';
                 }
                 break;
             default:
@@ -432,10 +2351,10 @@ const typesLoading = false;
         }
         dispatch({ type: 'SET_ERRORS', payload: newErrors });
         return Object.keys(newErrors).length === 0;
-    }, [formState, dispatch]);
+    }, [formState, auth.customer, bookedRanges, dispatch]);
 
     const handleNext = useCallback(() => {
-        if (validateStep(currentStep)) {
+        if (validateStep(stepOrder[currentStep])) {
             setBookingError(null);
             setIsAnimatingOut(true);
             setTimeout(() => {
@@ -444,7 +2363,7 @@ const typesLoading = false;
                 setIsAnimatingOut(false);
             }, 300);
         }
-    }, [currentStep, validateStep, setIsAnimatingOut, setCurrentStep, setBookingError, dispatch]);
+    }, [currentStep, stepOrder, validateStep, setIsAnimatingOut, setCurrentStep, setBookingError, dispatch]);
 
     const handlePrev = useCallback(() => {
         setIsAnimatingOut(true);
@@ -457,13 +2376,19 @@ const typesLoading = false;
     
     const handleReset = useCallback(() => {
         const initialState = {
-            firstName: '',
-            lastName: '',
+            firstName: auth.customer?.first_name || '',
+            lastName: auth.customer?.last_name || '',
+            pickupBranch: '',
+            dropoffBranch: '',
             wheels: '',
             vehicleType: '',
             specificModel: '',
-            startDate: '',
-            endDate: '',
+            datesFirst: false,
+            promoInput: '',
+            promoCode: '',
+            vehicleFilters: emptyVehicleFilters,
+            startAt: '',
+            endAt: '',
             startDateObj: null,
             endDateObj: null,
             errors: {}
@@ -471,78 +2396,159 @@ const typesLoading = false;
         dispatch({ type: 'RESET_FORM', payload: initialState });
         setCurrentStep(0);
         setBookingError(null);
-    }, [dispatch, setCurrentStep, setBookingError]);
+        setConfirmedBooking(null);
+        setPendingPayment(null);
+    }, [auth.customer, dispatch, setCurrentStep, setBookingError]);
 
     const handleSubmit = useCallback(async () => {
-        if (validateStep(4)) {
+        if (validateStep('dates')) {
             setIsLoading(true);
             try {
                 const payload = {
-                    firstName: formState.firstName,
-                    lastName: formState.lastName,
+                    promoCode: formState.promoCode || undefined,
                     vehicleId: formState.specificModel,
-                    startDate: formState.startDate,
-                    endDate: formState.endDate
+                    pickupBranchId: formState.pickupBranch,
+                    dropoffBranchId: dropoffBranch,
+                    startAt: formState.startAt,
+                    endAt: formState.endAt
                 };
-                // Simulate API delay
-await new Promise(resolve => setTimeout(resolve, 2000));
-
-// For demo purposes, randomly simulate success/failure
-const shouldSucceed = Math.random() > 0.1; // 90% success rate
-
-if (shouldSucceed) {
-    // Save to booking history
-    const newBooking = { ...payload, id: Date.now(), createdAt: new Date().toISOString() };
-    setSavedBookings(prev => [newBooking, ...prev.slice(0, 4)]);
-    handleNext();
-} else {
-    // Simulate a booking conflict for demo
-    setBookingError('This vehicle is already booked for the selected dates. Please choose different dates or another vehicle.');
-}    
+                // The booking holds the vehicle until it is paid for on the next step
+                const result = await submitBooking(payload);
+                setPendingPayment({ booking: result.booking, payment: result.payment });
+                handleNext();
             } catch (error) {
-                setBookingError('An unexpected error occurred. Please try again.');
+                // 400/409/500 responses carry a user-facing message from the
+                // server; those about one field go back to the step that sets it
+                const target = BOOKING_FIELD_STEPS[error.field];
+                if (error.field === 'promoCode') {
+                    setPromoError(error.message);
+                    dispatch({ type: 'UPDATE_FIELD', field: 'promoCode', value: '' });
+                } else if (target && stepOrder.includes(target.step)) {
+                    setCurrentStep(stepOrder.indexOf(target.step));
+                    dispatch({ type: 'SET_ERRORS', payload: { [target.field]: error.message } });
+                } else {
+                    setBookingError(error.status ? error.message : 'Unable to reach the booking service. Please try again.');
+                }
+                if (error.status === 401) {
+                    // Token expired or revoked elsewhere; send the customer back to sign in
+                    setAuth({ token: null, customer: null });
+                }
+                if (error.status === 409) {
+                    // Someone else took these dates; refresh the calendar before the customer retries
+                    refetchAvailability().catch(() => {});
+                }
+                if (['booking_conflict', 'vehicle_blacked_out', 'waitlist_hold'].includes(error.code)) {
+                    setTakenPeriod({ vehicleId: formState.specificModel, startAt: formState.startAt, endAt: formState.endAt });
+                }
             } finally {
                 setIsLoading(false);
             }
         }
-    }, [formState, validateStep, setIsLoading, setSavedBookings, handleNext, setBookingError]);
+    }, [formState, dropoffBranch, stepOrder, validateStep, setIsLoading, submitBooking, refetchAvailability, setAuth, handleNext, setBookingError, setPromoError, setCurrentStep, dispatch]);
+
+    // The success step is only reached once the server has confirmed payment
+    const handlePaymentConfirmed = useCallback((booking) => {
+        const newBooking = {
+            vehicleId: booking.vehicle_id,
+            startAt: booking.start_at,
+            endAt: booking.end_at,
+            firstName: booking.first_name,
+            lastName: booking.last_name,
+            id: booking.id,
+            reference: booking.reference,
+            createdAt: new Date().toISOString()
+        };
+        setConfirmedBooking(booking);
+        setPendingPayment(null);
+        setSavedBookings(prev => [newBooking, ...prev.slice(0, 4)]);
+        handleNext();
+    }, [setSavedBookings, handleNext]);
+
+    const handlePaymentExpired = useCallback(() => {
+        setPendingPayment(null);
+        refetchAvailability().catch(() => {});
+        handlePrev();
+    }, [refetchAvailability, handlePrev]);
 
     const getVehicleInfo = useCallback((id) => allVehicles.find(v => v.id === id), [allVehicles]);
 
+    // Chips toggle a single value per spec; changing them drops the chosen model
+    const toggleVehicleFilter = useCallback((name, value) => {
+        const current = formState.vehicleFilters[name];
+        dispatch({
+            type: 'UPDATE_MULTIPLE',
+            payload: {
+                vehicleFilters: { ...formState.vehicleFilters, [name]: current === String(value) ? '' : String(value) },
+                specificModel: ''
+            }
+        });
+    }, [formState.vehicleFilters, dispatch]);
+
+    // Stores the picked pickup/return times, dropping a return that is no longer
+    // after the pickup or would run into another booking
+    const setRentalPeriod = useCallback((startDateObj, endDateObj) => {
+        const keepEnd = endDateObj && (!startDateObj
+            || (endDateObj.isAfter(startDateObj) && !rangeHitsBooking(startDateObj, endDateObj, bookedRanges)));
+        dispatch({
+            type: 'UPDATE_MULTIPLE',
+            payload: {
+                startDateObj,
+                startAt: startDateObj ? startDateObj.format() : '',
+                endDateObj: keepEnd ? endDateObj : null,
+                endAt: keepEnd ? endDateObj.format() : '',
+                ...(formState.datesFirst && { specificModel: '' })
+            }
+        });
+    }, [bookedRanges, formState.datesFirst, dispatch]);
+
     // --- MEMOIZED STEP CONFIGURATION ---
     const allSteps = useMemo(() => {
         const selectedVehicle = getVehicleInfo(formState.specificModel);
-        const rentalDays = (formState.startDateObj && formState.endDateObj && formState.endDateObj.isAfter(formState.startDateObj, 'day')) 
-            ? formState.endDateObj.diff(formState.startDateObj, 'day') + 1
+        const rentalHours = (formState.startDateObj && formState.endDateObj && formState.endDateObj.isAfter(formState.startDateObj))
+            ? rentalHoursBetween(formState.startDateObj, formState.endDateObj)
             : 0;
-        const totalPrice = selectedVehicle && rentalDays > 0 ? selectedVehicle.price_per_day * rentalDays : 0;
+        // Ignore a quote still in flight for an earlier vehicle, rental period or promo code.
+        // The quote's times come back in UTC, so compare them as instants.
+        const candidateQuote = formState.promoCode ? promoData?.quote : quoteData;
+        const quote = candidateQuote
+            && candidateQuote.vehicleId === formState.specificModel
+            && dayjs(candidateQuote.startAt).isSame(formState.startDateObj)
+            && dayjs(candidateQuote.endAt).isSame(formState.endDateObj)
+            && (candidateQuote.promoCode || '') === formState.promoCode
+            && (Number(candidateQuote.oneWayFee) > 0) === (dropoffBranch !== formState.pickupBranch)
+            ? candidateQuote
+            : null;
+        const branchName = (id) => branches.find(branch => branch.id === id)?.name;
+        const totalPrice = quote ? Number(quote.total) : 0;
 
         const steps = [
             {
+                key: 'details',
                 icon: User,
                 label: "Details",
                 title: "Let's start with your details",
-                subtitle: "We need this information to personalize your booking experience",
+                subtitle: "Sign in or create an account so your booking is saved in your name",
                 component: () => (
                     <div className="space-y-8 w-full max-w-lg">
-                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-                            <FormInput 
-                                id="firstName" 
-                                placeholder="First Name" 
-                                value={formState.firstName} 
-                                onChange={e => dispatch({ type: 'UPDATE_FIELD', field: 'firstName', value: e.target.value })}
-                                error={formState.errors.firstName} 
-                                icon={User}
-                            />
-                            <FormInput 
-                                id="lastName" 
-                                placeholder="Last Name" 
-                                value={formState.lastName} 
-                                onChange={e => dispatch({ type: 'UPDATE_FIELD', field: 'lastName', value: e.target.value })}
-                                error={formState.errors.lastName} 
-                                icon={User}
+                        <AccountPanel
+                            customer={auth.customer}
+                            error={formState.errors.account}
+                            onAuthenticated={handleAuthenticated}
+                            onSignOut={handleSignOut}
+                        />
+                        <label htmlFor="datesFirst" className="flex items-start gap-3 p-4 rounded-xl border-2 border-gray-200 bg-gradient-to-r from-gray-50 to-white cursor-pointer hover:border-gray-400 transition-colors">
+                            <input
+                                id="datesFirst"
+                                type="checkbox"
+                                checked={formState.datesFirst}
+                                onChange={e => dispatch({ type: 'UPDATE_MULTIPLE', payload: { datesFirst: e.target.checked, specificModel: '' }})}
+                                className="mt-1 h-4 w-4 rounded border-gray-300 text-black focus:ring-black"
                             />
-                        </div>
+                            <span>
+                                <span className="block font-semibold text-black">I already know my dates</span>
+                                <span className="block text-sm text-gray-500">Pick your dates first and only see vehicles you can actually rent</span>
+                            </span>
+                        </label>
                         {savedBookings.length > 0 && (
                             <div className="p-4 bg-blue-50 border border-blue-200 rounded-xl">
                                 <p className="text-sm text-blue-800 font-medium">Previous bookings found for similar names</p>
@@ -552,6 +2558,63 @@ if (shouldSucceed) {
                 )
             },
             {
+                key: 'location',
+                icon: MapPin,
+                label: "Location",
+                title: "Where are you starting from?",
+                subtitle: "Pick up from any of our branches and return to the same one or another",
+                component: () => (
+                    <div className="w-full max-w-3xl space-y-6">
+                        {branchesLoading ? (
+                            <LoadingSpinner text="Loading branches..." />
+                        ) : branchesError ? (
+                            <p className="text-red-500 text-center">{branchesError}</p>
+                        ) : (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                                {branches.map(branch => (
+                                    <SelectionCard
+                                        key={branch.id}
+                                        isSelected={formState.pickupBranch === branch.id}
+                                        onClick={() => dispatch({ type: 'UPDATE_MULTIPLE', payload: { pickupBranch: branch.id, dropoffBranch: '', specificModel: '' }})}
+                                    >
+                                        <MapPin className="w-12 h-12 mx-auto mb-4 text-black group-hover:scale-110 transition-transform duration-300"/>
+                                        <h3 className="font-bold text-xl text-black mb-1">{branch.name}</h3>
+                                        <p className="text-gray-500">{branch.address || branch.city}</p>
+                                    </SelectionCard>
+                                ))}
+                            </div>
+                        )}
+                        {formState.errors.pickupBranch && (
+                            <p className="text-red-500 text-center animate-in slide-in-from-bottom">{formState.errors.pickupBranch}</p>
+                        )}
+                        {formState.pickupBranch && branches.length > 1 && (
+                            <div className="p-4 rounded-xl border-2 border-gray-200 bg-gradient-to-r from-gray-50 to-white space-y-3">
+                                <label htmlFor="dropoffBranch" className="block font-semibold text-black">Drop-off branch</label>
+                                <select
+                                    id="dropoffBranch"
+                                    value={dropoffBranch}
+                                    onChange={e => dispatch({ type: 'UPDATE_FIELD', field: 'dropoffBranch', value: Number(e.target.value) })}
+                                    className="w-full rounded-xl border-2 border-gray-200 py-3 focus:border-black focus:ring-black"
+                                >
+                                    {branches.map(branch => (
+                                        <option key={branch.id} value={branch.id}>
+                                            {branch.name}{branch.id === formState.pickupBranch ? ' (same as pickup)' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                                {dropoffBranch !== formState.pickupBranch && (
+                                    <p className="text-sm text-gray-500">A one-way drop-off fee applies and will be shown with your price.</p>
+                                )}
+                                {formState.errors.dropoffBranch && (
+                                    <p className="text-red-500 text-sm animate-in slide-in-from-bottom">{formState.errors.dropoffBranch}</p>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )
+            },
+            {
+                key: 'wheels',
                 icon: Shapes,
                 label: "Type",
                 title: `Welcome ${formState.firstName}! Choose your adventure`,
@@ -590,6 +2653,7 @@ if (shouldSucceed) {
                 )
             },
             {
+                key: 'category',
                 icon: Building,
                 label: "Category",
                 title: "What style fits your mood?",
@@ -613,20 +2677,63 @@ if (shouldSucceed) {
                             ))}
                         </div>
                         {typesLoading && <LoadingSpinner text="Loading categories..." />}
+                        {typesError && (
+                            <p className="text-red-500 text-sm text-center animate-in slide-in-from-bottom">
+                                Could not load vehicle categories: {typesError}
+                            </p>
+                        )}
                     </div>
                 )
             },
             {
+                key: 'model',
                 icon: Car,
                 label: "Model",
                 title: "Pick your perfect ride",
-                subtitle: "These are the available models in your selected category",
+                subtitle: formState.datesFirst
+                    ? `Models free from ${dayjs(formState.startAt).format('MMM DD, h:mm A')} to ${dayjs(formState.endAt).format('MMM DD, h:mm A')}`
+                    : "These are the available models in your selected category",
                 component: () => (
                     <div className="space-y-6 w-full max-w-6xl">
-                        {isLoading ? (
+                        <div className="flex flex-wrap justify-center gap-2">
+                            {Object.entries(TRANSMISSION_LABELS).map(([value, label]) => (
+                                <FilterChip key={value} label={label} isActive={formState.vehicleFilters.transmission === value} onClick={() => toggleVehicleFilter('transmission', value)} />
+                            ))}
+                            {Object.entries(FUEL_TYPE_LABELS).map(([value, label]) => (
+                                <FilterChip key={value} label={label} isActive={formState.vehicleFilters.fuelType === value} onClick={() => toggleVehicleFilter('fuelType', value)} />
+                            ))}
+                            {(SEAT_FILTERS[formState.wheels] || []).map(seats => (
+                                <FilterChip key={seats} label={`${seats}+ seats`} isActive={formState.vehicleFilters.minSeats === String(seats)} onClick={() => toggleVehicleFilter('minSeats', seats)} />
+                            ))}
+                        </div>
+                        {vehiclesLoading ? (
                             <div className="flex justify-center items-center h-64">
                                 <LoadingSpinner size="large" text="Loading awesome rides..." />
                             </div>
+                        ) : vehiclesError ? (
+                            <p className="text-red-500 text-center animate-in slide-in-from-bottom">
+                                Could not load vehicles: {vehiclesError}
+                            </p>
+                        ) : vehicles.length === 0 ? (
+                            <div className="max-w-md mx-auto space-y-4">
+                                <p className="text-gray-500 text-center animate-in slide-in-from-bottom">
+                                    {Object.values(formState.vehicleFilters).some(Boolean)
+                                        ? 'No vehicles match these filters. Try removing some of them.'
+                                        : formState.datesFirst
+                                            ? 'No vehicles in this category are free for your dates. Try other dates or another category.'
+                                            : 'No vehicles are available in this category right now.'}
+                                </p>
+                                {formState.datesFirst && !Object.values(formState.vehicleFilters).some(Boolean) && (
+                                    <WaitlistJoin
+                                        key={`${formState.vehicleType}-${formState.startAt}-${formState.endAt}`}
+                                        token={auth.token}
+                                        typeId={formState.vehicleType}
+                                        startAt={formState.startAt}
+                                        endAt={formState.endAt}
+                                        label={`Wait for any ${vehicleTypes.find(type => type.id == formState.vehicleType)?.name || 'vehicle of this type'}`}
+                                    />
+                                )}
+                            </div>
                         ) : (
                             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 max-h-[500px] overflow-y-auto p-2 -mr-2 pr-6">
                                 {vehicles.map((model, index) => (
@@ -653,66 +2760,90 @@ if (shouldSucceed) {
                 )
             },
             {
+                key: 'dates',
                 icon: Calendar,
                 label: "Dates",
                 title: "When's your adventure?",
-                subtitle: "Choose your rental dates and get instant pricing",
+                subtitle: "Choose your pickup and return times and get instant pricing",
                 component: () => (
                     <LocalizationProvider dateAdapter={AdapterDayjs}>
                         <div className="space-y-8 w-full max-w-2xl">
-                            <div className="flex flex-col sm:flex-row gap-6 items-center justify-center">
-                                <div className="w-full sm:w-auto">
-                                    <DatePicker 
-                                        label="Start Date" 
-                                        value={formState.startDateObj} 
-                                        onChange={(newValue) => dispatch({ 
-                                            type: 'UPDATE_MULTIPLE', 
-                                            payload: { 
-                                                startDateObj: newValue, 
-                                                startDate: newValue ? newValue.format('YYYY-MM-DD') : '', 
-                                                endDateObj: (formState.endDateObj && newValue && formState.endDateObj.isBefore(newValue)) ? null : formState.endDateObj, 
-                                                endDate: (formState.endDateObj && newValue && formState.endDateObj.isBefore(newValue)) ? '' : formState.endDate 
-                                            }
-                                        })} 
-                                        minDate={dayjs()} 
-                                        slotProps={{ 
-                                            textField: { 
-                                                fullWidth: true,
-                                                className: 'animate-in slide-in-from-left duration-500'
-                                            } 
-                                        }}
-                                    />
-                                </div>
-                                <div className="w-full sm:w-auto">
-                                    <DatePicker 
-                                        label="End Date" 
-                                        value={formState.endDateObj} 
-                                        onChange={(newValue) => dispatch({ 
-                                            type: 'UPDATE_MULTIPLE', 
-                                            payload: { 
-                                                endDateObj: newValue, 
-                                                endDate: newValue ? newValue.format('YYYY-MM-DD') : '' 
-                                            }
-                                        })} 
-                                        minDate={formState.startDateObj ? formState.startDateObj.add(1, 'day') : dayjs().add(1, 'day')} 
-                                        disabled={!formState.startDateObj} 
-                                        slotProps={{ 
-                                            textField: { 
-                                                fullWidth: true,
-                                                className: 'animate-in slide-in-from-right duration-500 delay-200'
-                                            } 
-                                        }}
-                                    />
-                                </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                                <DatePicker 
+                                    label="Pickup Date" 
+                                    value={formState.startDateObj} 
+                                    onChange={(newValue) => setRentalPeriod(newValue && withTimeOf(newValue, formState.startDateObj), formState.endDateObj)} 
+                                    minDate={dayjs()} 
+                                    shouldDisableDate={(day) => isDayBooked(day, bookedRanges)} 
+                                    slotProps={{ 
+                                        textField: { 
+                                            fullWidth: true,
+                                            error: Boolean(formState.errors.startAt),
+                                            helperText: formState.errors.startAt,
+                                            className: 'animate-in slide-in-from-left duration-500'
+                                        } 
+                                    }}
+                                />
+                                <TimePicker 
+                                    label="Pickup Time" 
+                                    value={formState.startDateObj} 
+                                    onChange={(newValue) => newValue && formState.startDateObj && setRentalPeriod(withTimeOf(formState.startDateObj, newValue), formState.endDateObj)} 
+                                    minTime={formState.startDateObj && formState.startDateObj.isSame(dayjs(), 'day') ? dayjs() : undefined} 
+                                    minutesStep={15} 
+                                    disabled={!formState.startDateObj} 
+                                    slotProps={{ 
+                                        textField: { 
+                                            fullWidth: true,
+                                            className: 'animate-in slide-in-from-right duration-500'
+                                        } 
+                                    }}
+                                />
+                                <DatePicker 
+                                    label="Return Date" 
+                                    value={formState.endDateObj} 
+                                    onChange={(newValue) => setRentalPeriod(formState.startDateObj, newValue && withTimeOf(newValue, formState.endDateObj || formState.startDateObj))} 
+                                    minDate={formState.startDateObj || dayjs()} 
+                                    maxDate={formState.startDateObj ? lastFreeDayAfter(formState.startDateObj, bookedRanges) : undefined} 
+                                    shouldDisableDate={(day) => isDayBooked(day, bookedRanges)} 
+                                    disabled={!formState.startDateObj} 
+                                    slotProps={{ 
+                                        textField: { 
+                                            fullWidth: true,
+                                            error: Boolean(formState.errors.endAt),
+                                            helperText: formState.errors.endAt,
+                                            className: 'animate-in slide-in-from-left duration-500 delay-200'
+                                        } 
+                                    }}
+                                />
+                                <TimePicker 
+                                    label="Return Time" 
+                                    value={formState.endDateObj} 
+                                    onChange={(newValue) => newValue && formState.endDateObj && setRentalPeriod(formState.startDateObj, withTimeOf(formState.endDateObj, newValue))} 
+                                    minutesStep={15} 
+                                    disabled={!formState.endDateObj} 
+                                    slotProps={{ 
+                                        textField: { 
+                                            fullWidth: true,
+                                            className: 'animate-in slide-in-from-right duration-500 delay-200'
+                                        } 
+                                    }}
+                                />
                             </div>
+
+                            {bookedRanges.length > 0 && (
+                                <p className="text-sm text-gray-500 text-center">
+                                    Greyed-out days are fully booked for this vehicle; on partly booked days, pick a time outside the existing booking.
+                                    {turnaroundMinutes > 0 && ` We keep ${turnaroundMinutes % 60 === 0 ? formatRentalHours(turnaroundMinutes / 60) : `${turnaroundMinutes} minutes`} free before and after each rental to prepare the vehicle.`}
+                                </p>
+                            )}
                             
-                            {rentalDays > 0 && (
+                            {rentalHours > 0 && (
                                 <div className="text-center animate-in fade-in slide-in-from-bottom duration-700 delay-300">
                                     <div className="p-6 rounded-2xl bg-gradient-to-r from-gray-50 to-white border-2 border-gray-200 inline-block shadow-lg">
                                         <div className="flex items-center gap-3 mb-3">
                                             <Calendar className="w-6 h-6 text-gray-600" />
                                             <p className="text-gray-700 text-lg">
-                                                Duration: <span className="font-bold text-black text-xl">{rentalDays} day{rentalDays > 1 ? 's' : ''}</span>
+                                                Duration: <span className="font-bold text-black text-xl">{formatRentalHours(rentalHours)}</span>
                                             </p>
                                         </div>
                                         {totalPrice > 0 && (
@@ -720,7 +2851,7 @@ if (shouldSucceed) {
                                                 <p className="text-3xl font-bold text-black bg-gradient-to-r from-black to-gray-700 bg-clip-text text-transparent">
                                                     ₹{totalPrice.toLocaleString()}
                                                 </p>
-                                                <p className="text-sm text-gray-500 mt-1">Total estimated cost</p>
+                                                <p className="text-sm text-gray-500 mt-1">Total including taxes</p>
                                             </div>
                                         )}
                                         <div className="flex items-center justify-center gap-4 mt-4 text-sm text-gray-500">
@@ -742,11 +2873,23 @@ if (shouldSucceed) {
                                     {formState.errors.dateRange}
                                 </p>
                             )}
+
+                            {takenPeriod && takenPeriod.vehicleId === formState.specificModel && takenPeriod.startAt === formState.startAt && takenPeriod.endAt === formState.endAt && (
+                                <WaitlistJoin
+                                    key={`${takenPeriod.vehicleId}-${takenPeriod.startAt}-${takenPeriod.endAt}`}
+                                    token={auth.token}
+                                    vehicleId={takenPeriod.vehicleId}
+                                    startAt={takenPeriod.startAt}
+                                    endAt={takenPeriod.endAt}
+                                    label={`Wait for the ${getVehicleInfo(takenPeriod.vehicleId)?.name || 'vehicle'}`}
+                                />
+                            )}
                         </div>
                     </LocalizationProvider>
                 )
             },
             {
+                key: 'review',
                 icon: ClipboardCheck,
                 label: "Review",
                 title: "Everything looks perfect!",
@@ -764,7 +2907,7 @@ if (shouldSucceed) {
                                             </div>
                                             <div>
                                                 <p className="font-bold text-black text-xl">{formState.firstName} {formState.lastName}</p>
-                                                <p className="text-gray-500 text-sm">Verified Customer</p>
+                                                <p className="text-gray-500 text-sm">{auth.customer?.email || 'Verified Customer'}</p>
                                             </div>
                                         </div>
                                     </div>
@@ -774,7 +2917,7 @@ if (shouldSucceed) {
                                         <div className="flex items-center gap-3">
                                             <div className="w-16 h-16 rounded-xl overflow-hidden bg-gray-100">
                                                 <img 
-                                                    src={VEHICLE_IMAGES[selectedVehicle?.name] || 'https://placehold.co/64x64/e5e7eb/374151?text=Car'} 
+                                                    src={vehicleImage(selectedVehicle, { placeholder: 'https://placehold.co/64x64/e5e7eb/374151?text=Car' })} 
                                                     alt={selectedVehicle?.name} 
                                                     className="w-full h-full object-contain p-1"
                                                 />
@@ -793,21 +2936,34 @@ if (shouldSucceed) {
                                 </div>
                                 
                                 <div className="space-y-6">
+                                    <div className="animate-in slide-in-from-right duration-500 delay-100">
+                                        <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-2">Pickup & Drop-off</p>
+                                        <div className="flex items-center gap-3">
+                                            <MapPin className="w-5 h-5 text-black" />
+                                            <div>
+                                                <p className="font-semibold text-black">{branchName(formState.pickupBranch) || 'N/A'}</p>
+                                                <p className="text-sm text-gray-500">
+                                                    {dropoffBranch === formState.pickupBranch ? 'Return to the same branch' : `Return to ${branchName(dropoffBranch)}`}
+                                                </p>
+                                            </div>
+                                        </div>
+                                    </div>
+
                                     <div className="animate-in slide-in-from-right duration-500 delay-200">
                                         <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-2">Rental Period</p>
                                         <div className="space-y-3">
                                             <div className="flex items-center gap-3">
                                                 <Calendar className="w-5 h-5 text-green-600" />
                                                 <div>
-                                                    <p className="font-semibold text-black">Start: {dayjs(formState.startDate).format('MMM DD, YYYY')}</p>
-                                                    <p className="text-sm text-gray-500">{dayjs(formState.startDate).format('dddd')}</p>
+                                                    <p className="font-semibold text-black">Pickup: {formatRentalTime(formState.startAt)}</p>
+                                                    <p className="text-sm text-gray-500">{dayjs(formState.startAt).format('dddd')}</p>
                                                 </div>
                                             </div>
                                             <div className="flex items-center gap-3">
                                                 <Calendar className="w-5 h-5 text-red-600" />
                                                 <div>
-                                                    <p className="font-semibold text-black">End: {dayjs(formState.endDate).format('MMM DD, YYYY')}</p>
-                                                    <p className="text-sm text-gray-500">{dayjs(formState.endDate).format('dddd')}</p>
+                                                    <p className="font-semibold text-black">Return: {formatRentalTime(formState.endAt)}</p>
+                                                    <p className="text-sm text-gray-500">{dayjs(formState.endAt).format('dddd')}</p>
                                                 </div>
                                             </div>
                                         </div>
@@ -818,13 +2974,64 @@ if (shouldSucceed) {
                                         <div className="bg-gradient-to-r from-gray-900 to-black p-4 rounded-xl text-white">
                                             <div className="flex justify-between items-center mb-2">
                                                 <span>Duration:</span>
-                                                <span className="font-bold">{rentalDays} day{rentalDays > 1 ? 's' : ''}</span>
+                                                <span className="font-bold">{formatRentalHours(rentalHours)}</span>
                                             </div>
+                                            {quote && (
+                                                <div className="space-y-1 mb-3 pb-3 border-b border-white/20 text-sm text-gray-300">
+                                                    {quote.lines.map((line, index) => (
+                                                        <div key={index} className="flex justify-between items-center gap-4">
+                                                            <span>{line.label}</span>
+                                                            <span>₹{Number(line.amount).toLocaleString()}</span>
+                                                        </div>
+                                                    ))}
+                                                    {quote.taxes.map(tax => (
+                                                        <div key={tax.name} className="flex justify-between items-center gap-4">
+                                                            <span>{tax.name} ({tax.percent}%)</span>
+                                                            <span>₹{Number(tax.amount).toLocaleString()}</span>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            )}
                                             <div className="flex justify-between items-center text-lg">
                                                 <span>Total Price:</span>
                                                 <span className="font-bold text-2xl">₹{totalPrice.toLocaleString()}</span>
                                             </div>
                                         </div>
+                                        <div className="mt-4">
+                                            {formState.promoCode ? (
+                                                <div className="flex items-center justify-between p-3 rounded-xl bg-green-50 border border-green-200 text-sm">
+                                                    <span className="flex items-center gap-2 text-green-700 font-semibold">
+                                                        <Tag className="w-4 h-4" />
+                                                        {promoLoading ? `Checking ${formState.promoCode}...` : `${formState.promoCode} applied`}
+                                                    </span>
+                                                    <button onClick={handleRemovePromo} className="text-gray-500 font-medium hover:text-black underline">
+                                                        Remove
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <div className="flex gap-2">
+                                                    <div className="flex-1">
+                                                        <FormInput
+                                                            id="promoCode"
+                                                            placeholder="Promo code"
+                                                            value={formState.promoInput}
+                                                            onChange={e => dispatch({ type: 'UPDATE_FIELD', field: 'promoInput', value: e.target.value })}
+                                                            icon={Tag}
+                                                        />
+                                                    </div>
+                                                    <button
+                                                        onClick={handleApplyPromo}
+                                                        disabled={!formState.promoInput.trim()}
+                                                        className="rounded-xl bg-black text-white font-bold px-5 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                                                    >
+                                                        Apply
+                                                    </button>
+                                                </div>
+                                            )}
+                                            {promoError && (
+                                                <p className="text-red-500 text-sm mt-2">{promoError}</p>
+                                            )}
+                                        </div>
                                     </div>
                                 </div>
                             </div>
@@ -868,6 +3075,22 @@ if (shouldSucceed) {
                 )
             },
             {
+                key: 'payment',
+                icon: CreditCard,
+                label: "Payment",
+                title: "Secure your ride",
+                subtitle: "Pay now to confirm your booking",
+                component: () => pendingPayment && (
+                    <PaymentStep
+                        booking={pendingPayment.booking}
+                        payment={pendingPayment.payment}
+                        onConfirmed={handlePaymentConfirmed}
+                        onExpired={handlePaymentExpired}
+                    />
+                )
+            },
+            {
+                key: 'success',
                 icon: Check,
                 label: "Success",
                 title: `Amazing choice, ${formState.firstName}!`,
@@ -881,8 +3104,23 @@ if (shouldSucceed) {
                                 <p className="text-gray-700 text-lg mb-4">
                                     Your <span className="font-bold text-black">{selectedVehicle?.name}</span> is ready for pickup!
                                 </p>
+                                {confirmedBooking && (
+                                    <div className="mb-4 p-4 rounded-xl bg-white border border-green-200">
+                                        <p className="text-xs uppercase tracking-wider font-bold text-gray-500">Booking reference</p>
+                                        <p className="font-mono font-bold text-2xl text-black tracking-widest">{confirmedBooking.reference}</p>
+                                        <p className="text-xs text-gray-500 mt-1">Keep this to view, change or cancel your booking</p>
+                                        <a
+                                            href={`${API_BASE_URL}/bookings/${encodeURIComponent(confirmedBooking.reference)}/invoice.pdf`}
+                                            download
+                                            className="inline-flex items-center gap-2 mt-3 px-4 py-2 rounded-xl border-2 border-gray-200 text-sm font-bold text-gray-700 hover:border-black hover:text-black transition-colors"
+                                        >
+                                            <Download className="w-4 h-4" />
+                                            Download invoice
+                                        </a>
+                                    </div>
+                                )}
                                 <div className="text-sm text-gray-600 space-y-2">
-                                    <p>📧 Confirmation sent to your email</p>
+                                    <p>📧 Confirmation and calendar invite sent to {auth.customer?.email || 'your email'}</p>
                                     <p>📱 SMS notifications enabled</p>
                                     <p>🚗 Vehicle sanitized & ready</p>
                                 </div>
@@ -896,6 +3134,14 @@ if (shouldSucceed) {
                                     <Car className="w-5 h-5" />
                                     <span>Book Another Ride</span>
                                 </button>
+                                {confirmedBooking && (
+                                    <button
+                                        onClick={() => openManageBooking(confirmedBooking.reference)}
+                                        className="block mx-auto text-gray-600 font-bold hover:text-black transition-colors underline"
+                                    >
+                                        Manage my booking
+                                    </button>
+                                )}
                                 <p className="text-gray-500 text-sm">
                                     Need help? Contact us at <span className="font-semibold text-black">support@rentalservice.com</span>
                                 </p>
@@ -905,8 +3151,65 @@ if (shouldSucceed) {
                 )
             }
         ];
-        return steps;
-    }, [formState, isLoading, vehicleTypes, vehicles, allVehicles, bookingError, getVehicleInfo, typesLoading, dispatch, setBookingError, handleReset]);
+        return stepOrder.map(key => steps.find(step => step.key === key));
+    }, [stepOrder, formState, dropoffBranch, branches, branchesLoading, branchesError, vehicleTypes, vehicles, allVehicles, bookingError, getVehicleInfo, typesLoading, typesError, vehiclesLoading, vehiclesError, bookedRanges, turnaroundMinutes, setRentalPeriod, toggleVehicleFilter, quoteData, promoData, promoLoading, promoError, handleApplyPromo, handleRemovePromo, confirmedBooking, pendingPayment, handlePaymentConfirmed, handlePaymentExpired, openManageBooking, auth.customer, auth.token, handleAuthenticated, handleSignOut, takenPeriod, dispatch, setBookingError, handleReset]);
+
+    // Screens shown in place of the booking steps
+    const secondaryView = {
+        manage: {
+            title: 'Manage my booking',
+            subtitle: 'View, change or cancel a booking with its reference',
+            content: (
+                <ManageBooking
+                    key={managingReference}
+                    initialReference={managingReference}
+                    onClose={() => setView('booking')}
+                />
+            )
+        },
+        claim: claimToken && {
+            title: 'Your waitlist offer',
+            subtitle: 'A vehicle you were waiting for has come free',
+            content: (
+                <WaitlistClaim
+                    claimToken={claimToken}
+                    auth={auth}
+                    onAuthenticated={handleAuthenticated}
+                    onSignOut={handleSignOut}
+                    onClose={closeClaim}
+                />
+            )
+        },
+        counter: ['staff', 'admin'].includes(auth.customer?.role) && {
+            title: 'Rental counter',
+            subtitle: 'Check vehicles out to customers and back in on return',
+            content: (
+                <div className="w-full space-y-8 flex flex-col items-center">
+                    <RentalCounter token={auth.token} />
+                    <CalendarFeeds token={auth.token} />
+                    <button onClick={() => setView('booking')} className="text-gray-500 font-bold hover:text-black transition-colors">
+                        Back to booking
+                    </button>
+                </div>
+            )
+        },
+        admin: auth.customer?.role === 'admin' && {
+            title: 'Fleet admin',
+            subtitle: 'See how the fleet performs; add, edit and retire vehicles and vehicle types',
+            content: (
+                <div className="w-full space-y-16">
+                    <AdminReports token={auth.token} />
+                    <AdminFleet token={auth.token} />
+                    <BookingHistory token={auth.token} />
+                    <div className="text-center">
+                        <button onClick={() => setView('booking')} className="text-gray-500 font-bold hover:text-black transition-colors">
+                            Back to booking
+                        </button>
+                    </div>
+                </div>
+            )
+        }
+    }[view];
 
     return (
         <>
@@ -1112,10 +3415,36 @@ if (shouldSucceed) {
                                 <span>4.9/5 Rating</span>
                             </div>
                         </div>
+                        {view === 'booking' && (
+                            <div className="mt-4 flex items-center justify-center gap-6">
+                                <button
+                                    onClick={() => openManageBooking()}
+                                    className="text-sm font-bold text-gray-600 hover:text-black underline transition-colors"
+                                >
+                                    Manage an existing booking
+                                </button>
+                                {['staff', 'admin'].includes(auth.customer?.role) && (
+                                    <button
+                                        onClick={() => setView('counter')}
+                                        className="text-sm font-bold text-gray-600 hover:text-black underline transition-colors"
+                                    >
+                                        Rental counter
+                                    </button>
+                                )}
+                                {auth.customer?.role === 'admin' && (
+                                    <button
+                                        onClick={() => setView('admin')}
+                                        className="text-sm font-bold text-gray-600 hover:text-black underline transition-colors"
+                                    >
+                                        Fleet admin
+                                    </button>
+                                )}
+                            </div>
+                        )}
                     </header>
                     
                     {/* Enhanced Progress Indicator */}
-                    <div className="mb-12 px-4 hidden lg:block">
+                    <div className={`mb-12 px-4 hidden ${view === 'booking' ? 'lg:block' : ''}`}>
                         <div className="flex items-center justify-center">
                             {allSteps.slice(0, 6).map((step, index) => (
                                 <React.Fragment key={index}>
@@ -1173,57 +3502,71 @@ if (shouldSucceed) {
                                 ? 'opacity-0 transform -translate-x-8 scale-95' 
                                 : 'opacity-100 transform translate-x-0 scale-100'
                         }`}>
-                            <header className="text-center mb-12">
-                                <h2 className="text-4xl font-black text-black mb-3 tracking-tight">
-                                    {allSteps[currentStep]?.title}
-                                </h2>
-                                <p className="text-gray-600 text-xl font-medium">{allSteps[currentStep]?.subtitle}</p>
-                            </header>
+                            {secondaryView ? (
+                                <>
+                                    <header className="text-center mb-12">
+                                        <h2 className="text-4xl font-black text-black mb-3 tracking-tight">{secondaryView.title}</h2>
+                                        <p className="text-gray-600 text-xl font-medium">{secondaryView.subtitle}</p>
+                                    </header>
+                                    <div className="mb-12 min-h-[400px] flex items-start justify-center">
+                                        {secondaryView.content}
+                                    </div>
+                                </>
+                            ) : (
+                                <>
+                                    <header className="text-center mb-12">
+                                        <h2 className="text-4xl font-black text-black mb-3 tracking-tight">
+                                            {allSteps[currentStep]?.title}
+                                        </h2>
+                                        <p className="text-gray-600 text-xl font-medium">{allSteps[currentStep]?.subtitle}</p>
+                                    </header>
                             
-                            <div className="mb-12 min-h-[400px] flex items-center justify-center">
-                                {allSteps[currentStep]?.component()}
-                            </div>
+                                    <div className="mb-12 min-h-[400px] flex items-center justify-center">
+                                        {allSteps[currentStep]?.component()}
+                                    </div>
                             
-                            {/* Enhanced Navigation */}
-                            {currentStep < allSteps.length - 1 && (
-                                <div className="flex flex-col-reverse sm:flex-row justify-between items-center mt-12 pt-8 border-t border-gray-200/50">
-                                    <button 
-                                        onClick={handlePrev} 
-                                        disabled={currentStep === 0} 
-                                        className="mt-6 sm:mt-0 group flex items-center gap-3 text-gray-500 font-bold rounded-2xl px-8 py-4 transition-all duration-300 hover:text-black hover:bg-gray-50 disabled:opacity-40 disabled:hover:text-gray-500 disabled:hover:bg-transparent"
-                                    >
-                                        <ChevronLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform duration-300" />
-                                        <span>Back</span>
-                                    </button>
+                                    {/* Enhanced Navigation */}
+                                    {currentStep < allSteps.length - 2 && (
+                                        <div className="flex flex-col-reverse sm:flex-row justify-between items-center mt-12 pt-8 border-t border-gray-200/50">
+                                            <button 
+                                                onClick={handlePrev} 
+                                                disabled={currentStep === 0} 
+                                                className="mt-6 sm:mt-0 group flex items-center gap-3 text-gray-500 font-bold rounded-2xl px-8 py-4 transition-all duration-300 hover:text-black hover:bg-gray-50 disabled:opacity-40 disabled:hover:text-gray-500 disabled:hover:bg-transparent"
+                                            >
+                                                <ChevronLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform duration-300" />
+                                                <span>Back</span>
+                                            </button>
                                     
-                                    {currentStep < allSteps.length - 2 ? (
-                                        <button 
-                                            onClick={handleNext} 
-                                            className="group w-full sm:w-auto flex items-center justify-center gap-3 bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 ease-in-out hover:from-gray-800 hover:to-black transform hover:-translate-y-2 hover:shadow-2xl shadow-black/20"
-                                        >
-                                            <span>Continue</span>
-                                            <ChevronRight className="w-5 h-5 group-hover:translate-x-1 transition-transform duration-300" />
-                                        </button>
-                                    ) : (
-                                        <button 
-                                            onClick={handleSubmit} 
-                                            disabled={isLoading} 
-                                            className="group w-full sm:w-auto flex items-center justify-center gap-3 bg-gradient-to-r from-green-600 to-green-700 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 ease-in-out hover:from-green-700 hover:to-green-800 transform hover:-translate-y-2 hover:shadow-2xl shadow-green-600/30 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:transform-none disabled:shadow-none"
-                                        >
-                                            {isLoading ? (
-                                                <>
-                                                    <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                                                    <span>Confirming...</span>
-                                                </>
+                                            {currentStep < allSteps.length - 3 ? (
+                                                <button 
+                                                    onClick={handleNext} 
+                                                    className="group w-full sm:w-auto flex items-center justify-center gap-3 bg-gradient-to-r from-black to-gray-800 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 ease-in-out hover:from-gray-800 hover:to-black transform hover:-translate-y-2 hover:shadow-2xl shadow-black/20"
+                                                >
+                                                    <span>Continue</span>
+                                                    <ChevronRight className="w-5 h-5 group-hover:translate-x-1 transition-transform duration-300" />
+                                                </button>
                                             ) : (
-                                                <>
-                                                    <span>Confirm & Book</span>
-                                                    <Check className="w-5 h-5 group-hover:scale-110 transition-transform duration-300" />
-                                                </>
+                                                <button 
+                                                    onClick={handleSubmit} 
+                                                    disabled={isLoading} 
+                                                    className="group w-full sm:w-auto flex items-center justify-center gap-3 bg-gradient-to-r from-green-600 to-green-700 text-white font-bold rounded-2xl px-10 py-4 transition-all duration-500 ease-in-out hover:from-green-700 hover:to-green-800 transform hover:-translate-y-2 hover:shadow-2xl shadow-green-600/30 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:transform-none disabled:shadow-none"
+                                                >
+                                                    {isLoading ? (
+                                                        <>
+                                                            <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                                            <span>Reserving...</span>
+                                                        </>
+                                                    ) : (
+                                                        <>
+                                                            <span>Continue to Payment</span>
+                                                            <Check className="w-5 h-5 group-hover:scale-110 transition-transform duration-300" />
+                                                        </>
+                                                    )}
+                                                </button>
                                             )}
-                                        </button>
+                                       </div>
                                     )}
-                               </div>
+                                </>
                             )}
                         </div>
                     </main>
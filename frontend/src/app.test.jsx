@@ -0,0 +1,44 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './app.jsx';
+
+const BRANCHES = [
+    { id: 1, name: 'Pune Central', city: 'Pune', address: 'FC Road, Shivajinagar', is_active: true },
+    { id: 2, name: 'Mumbai Andheri', city: 'Mumbai', address: 'Andheri Kurla Road', is_active: true },
+];
+
+// Answers each API request from `routes`, keyed by path under /api; anything
+// else gets an empty list
+const mockApi = (routes) => {
+    global.fetch = jest.fn(async (url) => {
+        const path = new URL(url).pathname.replace(/^\/api/, '');
+        const [status, body] = routes[path] || [200, []];
+        return { ok: status < 400, status, json: async () => body };
+    });
+};
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+test('loads branches and vehicle categories from the API', async () => {
+    mockApi({ '/branches': [200, BRANCHES], '/vehicle-types': [200, []] });
+
+    render(<App />);
+
+    await waitFor(() => {
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/api/branches', expect.objectContaining({ method: 'GET' }));
+    });
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/api/vehicle-types', expect.objectContaining({ method: 'GET' }));
+});
+
+test("shows the server's message when a request fails", async () => {
+    mockApi({ '/auth/login': [500, { code: 'internal_error', message: 'An internal server error occurred.', field: null }] });
+
+    render(<App />);
+    fireEvent.change(screen.getByPlaceholderText('Email'), { target: { value: 'asha@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'password123' } });
+    fireEvent.submit(screen.getByPlaceholderText('Password').closest('form'));
+
+    expect(await screen.findByText('An internal server error occurred.')).toBeTruthy();
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/api/auth/login', expect.objectContaining({ method: 'POST' }));
+});